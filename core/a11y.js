@@ -0,0 +1,219 @@
+// =============================================================================
+// A11Y — Accessible stand-ins for canvas-drawn controls
+// Sliders and buttons painted on a canvas can't be focused, and assistive
+// tech doesn't know they exist. A layer puts a transparent ARIA element over
+// each drawn control: it takes Tab focus (with a visible ring where the
+// control is drawn), handles the keys a native control would, and mirrors
+// the value to screen readers. Pointer input still goes to the canvas.
+//
+//   const a11y = Procedural.a11y.createLayer(container, { label: 'Variation axes' });
+//   const weight = a11y.slider({ label: 'Weight', get: () => axes.weight,
+//                                set: (v) => { axes.weight = v; } });
+//   weight.place(x, y, w, h);   // wherever the hit region is computed
+//   a11y.sync();                // once per frame, after mouse edits
+//
+// Labels are plain aria-label attributes on `el` (the layer) and on each
+// control's `el`, so an i18n binding (copy.attr) re-translates them.
+// =============================================================================
+
+Procedural.a11y = (() => {
+  const ANNOUNCE_DELAY = 300;   // ms of quiet before a value is read out
+
+  const styledRoots = new WeakSet();
+
+  // Styles go to the document or, inside <procedural-section>, its shadow
+  // root: each root needs its own copy
+  function injectStyles(node) {
+    const root = node.getRootNode ? node.getRootNode() : document;
+    const target = root === document || !root.appendChild ? document.head : root;
+    const key = target === document.head ? document : root;
+    if (styledRoots.has(key)) return;
+    styledRoots.add(key);
+    const style = document.createElement('style');
+    style.textContent = `
+      .a11y-layer { position: absolute; inset: 0; pointer-events: none; z-index: 5; }
+      .a11y-control {
+        position: absolute; margin: 0; padding: 0; border: 0;
+        background: transparent; color: transparent; overflow: hidden;
+        border-radius: 6px; outline: none;
+      }
+      .a11y-control:focus-visible {
+        outline: 2px solid rgba(140, 170, 255, 0.9); outline-offset: 2px;
+      }
+      .a11y-live {
+        position: absolute; width: 1px; height: 1px; overflow: hidden;
+        clip: rect(0 0 0 0); clip-path: inset(50%); white-space: nowrap;
+      }
+    `;
+    target.appendChild(style);
+  }
+
+  function clamp(v, lo, hi) {
+    return Math.max(lo, Math.min(hi, v));
+  }
+
+  function setAttr(el, name, value) {
+    const str = String(value);
+    if (el.getAttribute(name) !== str) el.setAttribute(name, str);
+  }
+
+  /**
+   * Create a layer of stand-in controls inside `container` (which should be
+   * positioned). Options: label (names the group for screen readers).
+   */
+  function createLayer(container, options) {
+    const opts = options || {};
+    injectStyles(container);
+
+    const root = document.createElement('div');
+    root.className = 'a11y-layer';
+    root.setAttribute('role', 'group');
+    if (opts.label) root.setAttribute('aria-label', opts.label);
+    const live = document.createElement('div');
+    live.className = 'a11y-live';
+    live.setAttribute('aria-live', 'polite');
+    root.appendChild(live);
+    container.appendChild(root);
+
+    const controls = [];
+    let announceTimer = null;
+
+    function announce(text) {
+      clearTimeout(announceTimer);
+      announceTimer = setTimeout(() => {
+        live.textContent = text;
+      }, ANNOUNCE_DELAY);
+    }
+
+    function control(role, spec) {
+      const el = document.createElement('div');
+      el.className = 'a11y-control';
+      el.tabIndex = 0;
+      el.setAttribute('role', role);
+      el.setAttribute('aria-label', spec.label);
+      if (spec.onFocus) {
+        el.addEventListener('focus', () => spec.onFocus(true));
+        el.addEventListener('blur', () => spec.onFocus(false));
+      }
+      root.insertBefore(el, live);
+      let rect = '';
+      const ctl = {
+        el,
+        /** Match the drawn control, in CSS px relative to the container. */
+        place(x, y, w, h) {
+          const next = `${x},${y},${w},${h}`;
+          if (next === rect) return;
+          rect = next;
+          el.style.left = `${x}px`;
+          el.style.top = `${y}px`;
+          el.style.width = `${w}px`;
+          el.style.height = `${h}px`;
+        },
+      };
+      controls.push(ctl);
+      return ctl;
+    }
+
+    // -------------------------------------------------------------------------
+    // Slider
+    // -------------------------------------------------------------------------
+
+    /**
+     * spec: label, get(), set(value), min (0), max (1), step (0.01),
+     * format(value) for the spoken value, onFocus(focused).
+     */
+    function slider(spec) {
+      const min = Number.isFinite(spec.min) ? spec.min : 0;
+      const max = Number.isFinite(spec.max) ? spec.max : 1;
+      const step = spec.step > 0 ? spec.step : 0.01;
+      const format = spec.format || (v => v.toFixed(2));
+      const ctl = control('slider', spec);
+      const el = ctl.el;
+      el.setAttribute('aria-valuemin', min);
+      el.setAttribute('aria-valuemax', max);
+      el.setAttribute('aria-orientation', 'horizontal');
+
+      ctl.sync = () => {
+        const value = spec.get();
+        setAttr(el, 'aria-valuenow', +value.toFixed(4));
+        setAttr(el, 'aria-valuetext', format(value));
+      };
+
+      el.addEventListener('keydown', (e) => {
+        const value = spec.get();
+        let next;
+        switch (e.key) {
+          case 'ArrowRight': case 'ArrowUp': next = value + step; break;
+          case 'ArrowLeft': case 'ArrowDown': next = value - step; break;
+          case 'PageUp': next = value + step * 10; break;
+          case 'PageDown': next = value - step * 10; break;
+          case 'Home': next = min; break;
+          case 'End': next = max; break;
+          default: return;
+        }
+        // Arrow keys would otherwise scroll to the next section
+        e.preventDefault();
+        e.stopPropagation();
+        next = clamp(+(Math.round(next / step) * step).toFixed(6), min, max);
+        if (next === value) return;
+        spec.set(next);
+        ctl.sync();
+        announce(`${el.getAttribute('aria-label')} ${format(next)}`);
+      });
+
+      ctl.sync();
+      return ctl;
+    }
+
+    // -------------------------------------------------------------------------
+    // Button
+    // -------------------------------------------------------------------------
+
+    /**
+     * spec: label, onActivate(), pressed() for toggle/radio-style buttons,
+     * describe() for what to announce after activation, onFocus(focused).
+     */
+    function button(spec) {
+      const ctl = control('button', spec);
+      const el = ctl.el;
+
+      ctl.sync = () => {
+        if (spec.pressed) setAttr(el, 'aria-pressed', !!spec.pressed());
+      };
+
+      function activate() {
+        spec.onActivate();
+        syncAll();
+        if (spec.describe) announce(spec.describe());
+      }
+
+      el.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' && e.key !== ' ') return;
+        e.preventDefault();
+        e.stopPropagation();
+        activate();
+      });
+      // Screen readers may send a click instead of keys
+      el.addEventListener('click', activate);
+
+      ctl.sync();
+      return ctl;
+    }
+
+    function syncAll() {
+      controls.forEach(ctl => ctl.sync());
+    }
+
+    function destroy() {
+      clearTimeout(announceTimer);
+      root.remove();
+      controls.length = 0;
+    }
+
+    return { el: root, slider, button, sync: syncAll, announce, destroy };
+  }
+
+  return { createLayer };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Procedural.a11y;
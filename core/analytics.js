@@ -0,0 +1,484 @@
+// =============================================================================
+// ANALYTICS — Opt-in, local-only interaction log for research sessions
+// Nothing is recorded until someone starts it (?record, the recorder panel
+// or start()), and nothing leaves the browser until someone exports it.
+// While recording, every event is { session, time (epoch ms), type, id }
+// plus what the type adds:
+//
+//   start / stop    a recording session began / ended
+//   enter / leave   a section came into view / left it; leave has dwell `ms`
+//   control         a form control or ARIA slider changed: { control, value }
+//   click           a press without movement: { control, x, y }
+//   draw            a drag on a canvas: { control, ms, x, y, path }
+//   edit            an undo stack change: { action, label }
+//   state           the section's getState() once an interaction settles
+//   mark            what a section reports itself: { name, ... }
+//
+// x, y and path points are 0..1 across the section, so a replay can show
+// them on any screen. Sections know things a pointer can't tell apart — a
+// handle drag from a slider drag on one canvas — and say so with mark():
+//
+//   if (Procedural.analytics) Procedural.analytics.mark('semantic-section', 'direct', { handle: 'nose' });
+//
+// The log lives in localStorage, so a reload mid-session keeps both it and
+// the recording. Changes emit 'analytics' with { recording, count }.
+// =============================================================================
+
+Procedural.analytics = (() => {
+  const STORAGE_KEY = 'procedural-analytics';
+  const FORMAT = 'procedural-analytics';
+  const VERSION = 1;
+  const MAX_EVENTS = 20000;     // oldest are dropped beyond this
+  const SAVE_DELAY = 1000;
+  const DRAG_PX = 6;            // pointer travel that turns a click into a draw
+  const PATH_POINTS = 48;       // kept per draw
+  const TEXT_MAX = 80;
+  const MAX_GAP = 3000;         // longest pause a replay sits through, in ms
+  const CSV_COLUMNS = ['session', 'time', 'elapsed', 'type', 'id', 'control', 'value', 'x', 'y', 'ms', 'name', 'label'];
+
+  let log = read();             // { recording, session, events }
+  let activeId = null;
+  let enteredAt = 0;            // performance.now() when activeId came into view
+  let pointer = null;           // the press being followed
+  let replaying = false;
+  let saveTimer = null;
+  let storageFailed = false;
+  let offs = [];
+  const sliderValues = new WeakMap(); // ARIA slider -> last recorded value
+
+  function read() {
+    try {
+      const data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      if (data && data.format === FORMAT && Array.isArray(data.events)) {
+        return { recording: !!data.recording, session: data.session | 0, events: data.events };
+      }
+    } catch (e) {
+      // nothing stored, or storage refused
+    }
+    return { recording: false, session: 0, events: [] };
+  }
+
+  function save() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ format: FORMAT, version: VERSION, ...log }));
+    } catch (e) {
+      // Private windows and some file:// pages refuse storage; the log then
+      // lasts until the page closes (export still works)
+      if (!storageFailed) console.warn('Failed to store the analytics log:', e);
+      storageFailed = true;
+    }
+  }
+
+  function scheduleSave() {
+    if (!saveTimer) saveTimer = setTimeout(save, SAVE_DELAY);
+  }
+
+  function notify() {
+    Procedural.emit('analytics', { recording: log.recording, count: log.events.length });
+  }
+
+  function record(type, id, detail) {
+    if (!log.recording) return;
+    log.events.push(Object.assign({ session: log.session, time: Date.now(), type, id: id || null }, detail));
+    if (log.events.length > MAX_EVENTS) log.events.splice(0, log.events.length - MAX_EVENTS);
+    scheduleSave();
+    notify();
+  }
+
+  function clip(text) {
+    const s = String(text == null ? '' : text).replace(/\s+/g, ' ').trim();
+    return s.length > TEXT_MAX ? s.slice(0, TEXT_MAX - 1) + '…' : s;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Dwell — enter/leave pairs for the section in view while the tab is visible
+  // ---------------------------------------------------------------------------
+  function enter() {
+    enteredAt = performance.now();
+    if (activeId) record('enter', activeId);
+  }
+
+  function leave() {
+    if (activeId && enteredAt) record('leave', activeId, { ms: Math.round(performance.now() - enteredAt) });
+    enteredAt = 0;
+  }
+
+  Procedural.on('active', ({ id }) => {
+    if (id === activeId) return;
+    if (log.recording) leave();
+    activeId = id;
+    if (log.recording && !document.hidden) enter();
+  });
+
+  function onVisibility() {
+    if (document.hidden) leave();
+    else enter();
+  }
+
+  // ---------------------------------------------------------------------------
+  // DOM events — captured on the document, so sections need no changes
+  // ---------------------------------------------------------------------------
+
+  /** The registered section an event happened in, through shadow roots too. */
+  function sectionOf(e) {
+    const path = e.composedPath ? e.composedPath() : [];
+    return path.find(node => node.id && node.classList && Procedural.getSection(node.id)) || null;
+  }
+
+  // Parameter panels mark controls with their schema key, which stays the
+  // same in every language; otherwise the control's own label
+  function describe(el, section) {
+    const keyed = el.closest('[data-key]');
+    if (keyed) return keyed.dataset.key;
+    if (el.tagName === 'CANVAS') {
+      const canvases = section.querySelectorAll('canvas');
+      return canvases.length > 1 ? `canvas ${Array.prototype.indexOf.call(canvases, el) + 1}` : 'canvas';
+    }
+    const label = el.getAttribute('aria-label') || el.name || el.id ||
+      (el.labels && el.labels[0] && el.labels[0].textContent) || el.title || el.textContent;
+    return clip(label) || el.tagName.toLowerCase();
+  }
+
+  function relative(e, section) {
+    const rect = section.getBoundingClientRect();
+    const round = v => Math.round(Math.max(0, Math.min(1, v)) * 1000) / 1000;
+    return {
+      x: round(rect.width ? (e.clientX - rect.left) / rect.width : 0),
+      y: round(rect.height ? (e.clientY - rect.top) / rect.height : 0),
+    };
+  }
+
+  function onChange(e) {
+    const section = sectionOf(e);
+    const el = e.composedPath ? e.composedPath()[0] : e.target;
+    if (!section || !el || !el.matches || !el.matches('input, select, textarea')) return;
+    const value = el.type === 'checkbox' || el.type === 'radio' ? el.checked : clip(el.value);
+    record('control', section.id, { control: describe(el, section), value });
+  }
+
+  // Canvas-drawn sliders have ARIA stand-ins (core/a11y.js) driven by keys
+  function onKeyUp(e) {
+    const section = sectionOf(e);
+    const el = e.composedPath ? e.composedPath()[0] : e.target;
+    if (!section || !el || !el.getAttribute || el.getAttribute('role') !== 'slider') return;
+    const value = el.getAttribute('aria-valuenow');
+    if (sliderValues.get(el) === value) return;
+    sliderValues.set(el, value);
+    record('control', section.id, { control: describe(el, section), value: Number(value) });
+  }
+
+  function onPointerDown(e) {
+    const section = sectionOf(e);
+    const el = e.composedPath ? e.composedPath()[0] : e.target;
+    if (!section || !el || !el.closest) return;
+    const start = relative(e, section);
+    pointer = {
+      pointerId: e.pointerId, section, el,
+      startX: e.clientX, startY: e.clientY, startTime: performance.now(),
+      moved: false, path: [[start.x, start.y]],
+    };
+  }
+
+  function onPointerMove(e) {
+    if (!pointer || e.pointerId !== pointer.pointerId) return;
+    if (!pointer.moved && Math.hypot(e.clientX - pointer.startX, e.clientY - pointer.startY) < DRAG_PX) return;
+    pointer.moved = true;
+    const p = relative(e, pointer.section);
+    pointer.path.push([p.x, p.y]);
+  }
+
+  // Keep every n-th point so long strokes stay small in the log
+  function thin(path) {
+    if (path.length <= PATH_POINTS) return path;
+    const out = [];
+    for (let i = 0; i < PATH_POINTS; i++) out.push(path[Math.round(i * (path.length - 1) / (PATH_POINTS - 1))]);
+    return out;
+  }
+
+  function onPointerUp(e) {
+    const press = pointer;
+    if (!press || e.pointerId !== press.pointerId) return;
+    pointer = null;
+    const { section, el } = press;
+    const [x, y] = press.path[0];
+    if (press.moved) {
+      // Range inputs and other controls report their drags through 'change'
+      if (el.tagName !== 'CANVAS') return;
+      record('draw', section.id, {
+        control: describe(el, section), x, y,
+        ms: Math.round(performance.now() - press.startTime), path: thin(press.path),
+      });
+      return;
+    }
+    if (el.closest('input, select, textarea, label')) return;
+    const target = el.tagName === 'CANVAS' ? el : el.closest('button, a, [role="button"], [role="slider"]') || el;
+    record('click', section.id, { control: describe(target, section), x, y });
+  }
+
+  const LISTENERS = [
+    ['change', onChange],
+    ['keyup', onKeyUp],
+    ['pointerdown', onPointerDown],
+    ['pointermove', onPointerMove],
+    ['pointerup', onPointerUp],
+    ['pointercancel', onPointerUp],
+  ];
+
+  function attach() {
+    LISTENERS.forEach(([type, fn]) => document.addEventListener(type, fn, true));
+    document.addEventListener('visibilitychange', onVisibility);
+    window.addEventListener('pagehide', save);
+    offs = [
+      Procedural.on('history', ({ id, action, label }) => {
+        // 'clear' comes from unloading, not from the visitor
+        if (action !== 'clear') record('edit', id, { action, label });
+      }),
+    ];
+    if (Procedural.automation) {
+      offs.push(Procedural.automation.subscribe('change', ({ id, state }) => record('state', id, { state })));
+    }
+  }
+
+  function detach() {
+    LISTENERS.forEach(([type, fn]) => document.removeEventListener(type, fn, true));
+    document.removeEventListener('visibilitychange', onVisibility);
+    window.removeEventListener('pagehide', save);
+    offs.forEach(off => off());
+    offs = [];
+    pointer = null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  /** Begin a new session (or resume one a reload interrupted). */
+  function start() {
+    if (replaying || (log.recording && offs.length)) return;
+    const resumed = log.recording;
+    if (!resumed) {
+      log.recording = true;
+      log.session += 1;
+      record('start', null, {
+        viewport: `${window.innerWidth}x${window.innerHeight}`,
+        lang: Procedural.i18n ? Procedural.i18n.language() : undefined,
+      });
+    }
+    attach();
+    if (!document.hidden) enter();
+    save();
+    notify();
+  }
+
+  function stop() {
+    if (!log.recording) return;
+    leave();
+    record('stop');
+    log.recording = false;
+    detach();
+    save();
+    notify();
+  }
+
+  function isRecording() {
+    return log.recording;
+  }
+
+  /** Log something only the section can tell, e.g. which kind of control was used. */
+  function mark(id, name, detail) {
+    record('mark', id, Object.assign({}, detail, { name: String(name) }));
+  }
+
+  /** A copy of the log, or of one session's part of it. */
+  function events(session) {
+    const list = session == null ? log.events : log.events.filter(e => e.session === session);
+    return JSON.parse(JSON.stringify(list));
+  }
+
+  /** Forget everything recorded; a running recording carries on in a new session. */
+  function clear() {
+    const recording = log.recording;
+    if (recording) detach();
+    log = { recording: false, session: 0, events: [] };
+    save();
+    if (recording) start();
+    else notify();
+  }
+
+  /** `[{ session, start, end, count }]` for a list of events, oldest first. */
+  function sessions(list) {
+    const byId = new Map();
+    (list || log.events).forEach(e => {
+      const s = byId.get(e.session) || { session: e.session, start: e.time, end: e.time, count: 0 };
+      s.start = Math.min(s.start, e.time);
+      s.end = Math.max(s.end, e.time);
+      s.count++;
+      byId.set(e.session, s);
+    });
+    return [...byId.values()].sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Per-section totals for a list of events: `{ id: { dwell, visits,
+   * control, click, draw, edit, mark, marks: { name: n } } }`. A section
+   * still in view at the end counts up to the last event.
+   */
+  function summarize(list) {
+    const out = {};
+    const open = new Map();
+    const of = id => out[id] || (out[id] = { dwell: 0, visits: 0, control: 0, click: 0, draw: 0, edit: 0, mark: 0, marks: {} });
+    const end = list.length ? list[list.length - 1].time : 0;
+    list.forEach(e => {
+      if (!e.id) return;
+      const s = of(e.id);
+      if (e.type === 'enter') {
+        s.visits++;
+        open.set(e.id, e.time);
+      } else if (e.type === 'leave') {
+        s.dwell += e.ms || 0;
+        open.delete(e.id);
+      } else if (s[e.type] !== undefined) {
+        s[e.type]++;
+        if (e.type === 'mark') s.marks[e.name] = (s.marks[e.name] || 0) + 1;
+      }
+    });
+    open.forEach((time, id) => { of(id).dwell += end - time; });
+    return out;
+  }
+
+  /** The log (or `list`) in the format parse() reads back. */
+  function exportJSON(list) {
+    return JSON.stringify({ format: FORMAT, version: VERSION, events: list || log.events }, null, 2);
+  }
+
+  function csvCell(value) {
+    if (value === undefined || value === null) return '';
+    const s = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  /**
+   * One row per event. Fixed columns come first (`time` in ISO 8601,
+   * `elapsed` in ms since the session started); whatever else an event
+   * carries — state, draw paths, mark details — goes into `detail` as JSON.
+   */
+  function exportCSV(list) {
+    const starts = {};
+    const rows = (list || log.events).map(e => {
+      if (starts[e.session] === undefined) starts[e.session] = e.time;
+      const detail = {};
+      Object.keys(e).forEach(key => {
+        if (!CSV_COLUMNS.includes(key)) detail[key] = e[key];
+      });
+      const cells = CSV_COLUMNS.map(key => {
+        if (key === 'time') return new Date(e.time).toISOString();
+        if (key === 'elapsed') return e.time - starts[e.session];
+        return e[key];
+      });
+      cells.push(Object.keys(detail).length ? detail : '');
+      return cells.map(csvCell).join(',');
+    });
+    return [CSV_COLUMNS.concat('detail').join(',')].concat(rows).join('\r\n') + '\r\n';
+  }
+
+  /** Offer the log as a .csv or .json download. */
+  function download(format, list) {
+    const csv = format === 'csv';
+    const blob = new Blob([csv ? exportCSV(list) : exportJSON(list)], { type: csv ? 'text/csv' : 'application/json' });
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+    Procedural.capture.save(blob, `procedural-analytics-${stamp}.${csv ? 'csv' : 'json'}`);
+  }
+
+  /** Events from exportJSON() output (a string or parsed object), e.g. to replay another machine's log. */
+  function parse(json) {
+    let data = json;
+    if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch (e) {
+        throw new Error('Not a JSON file');
+      }
+    }
+    if (!data || data.format !== FORMAT || !Array.isArray(data.events)) throw new Error('Not an analytics log');
+    if (data.version > VERSION) throw new Error(`Log version ${data.version} is newer than this page`);
+    return data.events.filter(e => e && typeof e.type === 'string' && Number.isFinite(e.time));
+  }
+
+  /**
+   * Play `list` back on this page: scroll to each section as it was
+   * entered and apply the recorded states, with pauses shortened by `speed`
+   * (and capped at a few seconds). onEvent(event, index) is called for
+   * each event — the viewer draws clicks and strokes from it — and onEnd()
+   * once done or stopped. Returns { stop }.
+   */
+  function replay(list, options) {
+    // The replay's own scrolling and state changes would end up in the log
+    if (log.recording) throw new Error('Stop recording before replaying');
+    const opts = options || {};
+    const speed = opts.speed > 0 ? opts.speed : 1;
+    let stopped = false;
+    let timer = null;
+    let wake = null;
+
+    function finish() {
+      if (!replaying) return;
+      replaying = false;
+      if (opts.onEnd) opts.onEnd();
+    }
+
+    function wait(ms) {
+      return new Promise(resolve => {
+        wake = resolve;
+        timer = setTimeout(resolve, ms);
+      });
+    }
+
+    function apply(e) {
+      if (e.type === 'enter' && Procedural.getSection(e.id)) {
+        Procedural.emit('navigate', { id: e.id });
+      } else if (e.type === 'state' && e.state) {
+        const entry = Procedural.getSection(e.id);
+        if (entry && entry.initialized && entry.module.setState) {
+          try {
+            entry.module.setState(e.state);
+          } catch (err) {
+            console.warn('Failed to replay state:', e.id, err);
+          }
+        }
+      }
+    }
+
+    (async () => {
+      replaying = true;
+      for (let i = 0; i < list.length && !stopped; i++) {
+        const gap = i ? list[i].time - list[i - 1].time : 0;
+        if (gap > 0) await wait(Math.min(gap, MAX_GAP) / speed);
+        if (stopped) break;
+        apply(list[i]);
+        if (opts.onEvent) opts.onEvent(list[i], i);
+      }
+      finish();
+    })();
+
+    return {
+      stop() {
+        stopped = true;
+        clearTimeout(timer);
+        if (wake) wake();
+        finish();
+      },
+    };
+  }
+
+  // A reload in the middle of a session picks the recording back up
+  if (log.recording) start();
+
+  return {
+    start, stop, isRecording, mark, events, clear, sessions, summarize,
+    exportJSON, exportCSV, download, parse, replay,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Procedural.analytics;
@@ -0,0 +1,251 @@
+// =============================================================================
+// AUTOMATION — Scripting API for the console and browser tests
+// One place to drive the page without synthesising mouse events on canvases.
+// Also reachable as window.Procedural, so Playwright-style scripts can call
+// it from page.evaluate():
+//
+//   const P = Procedural.automation;
+//   P.list();                                   // [{ id, title, ... }]
+//   await P.goTo('planets', { seed: 48213 });   // scroll, init, apply state
+//   P.setParams('planets', { seed: 7 });        // setState(), returns getState()
+//   await P.step(120);                          // freeze the clock, run 120 frames
+//   const png = P.capture('planets');           // data URL of its canvases
+//   await P.resume();                           // back to real time
+//   const off = P.subscribe('change', ({ id, state }) => console.log(id, state));
+//
+// Sections are named by id, by id without "-section" or by script file name;
+// leaving the name out means the section in view. The orchestrator does the
+// scrolling when asked through 'navigate'. 'change' fires with { id, state }
+// once a section's state settles after an interaction or setParams(); the
+// other events are the runtime's own ('active', 'init', 'history', ...).
+// =============================================================================
+
+Procedural.automation = (() => {
+  const TIMEOUT_MS = 10000;
+  const SETTLE_MS = 100;        // let frames queued on the real clock drain
+  const CHANGE_DELAY = 250;     // quiet time before reading state
+
+  let activeId = null;
+  let watching = false;
+  const lastStates = new Map(); // section id -> JSON of the last 'change'
+  const changeTimers = new Map();
+
+  Procedural.on('active', ({ id }) => { activeId = id; });
+
+  function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /** The entry for a name, the section in view when there is none. */
+  function entryOf(name) {
+    const entry = name == null ? Procedural.getSection(activeId) : Procedural.findSection(name);
+    if (!entry) throw new Error(name == null ? 'No section in view' : `Unknown section: ${name}`);
+    return entry;
+  }
+
+  function readyEntry(name) {
+    const entry = entryOf(name);
+    if (!entry.initialized) throw new Error(`Section not ready: ${entry.id}`);
+    return entry;
+  }
+
+  function describe(entry) {
+    const module = entry.module;
+    return {
+      id: entry.id,
+      title: entry.title,
+      theme: entry.theme,
+      loaded: !!module,
+      initialized: entry.initialized,
+      active: entry.id === activeId,
+      stateful: !!(module && module.getState && module.setState),
+      params: module && module.schema ? module.schema.map(def => def.key) : [],
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Change events — read state once interaction in a section goes quiet
+  // ---------------------------------------------------------------------------
+  function check(id) {
+    const entry = Procedural.getSection(id);
+    if (!entry || !entry.initialized || !entry.module.getState) return;
+    let state;
+    try {
+      state = entry.module.getState();
+    } catch (e) {
+      return;
+    }
+    const json = JSON.stringify(state);
+    if (lastStates.get(id) === json) return;
+    lastStates.set(id, json);
+    Procedural.emit('change', { id, state: JSON.parse(json) });
+  }
+
+  function queueCheck(id) {
+    clearTimeout(changeTimers.get(id));
+    changeTimers.set(id, setTimeout(() => {
+      changeTimers.delete(id);
+      check(id);
+    }, CHANGE_DELAY));
+  }
+
+  /** The registered section an event happened in, through shadow roots too. */
+  function sectionOf(e) {
+    const path = e.composedPath ? e.composedPath() : [];
+    const el = path.find(node => node.id && node.classList && Procedural.getSection(node.id));
+    return el ? el.id : null;
+  }
+
+  // Started by the first 'change' subscriber, so pages nobody scripts don't
+  // pay for getState() after every click
+  function watch() {
+    if (watching) return;
+    watching = true;
+    Procedural.getSections().forEach(entry => {
+      if (!entry.initialized || !entry.module.getState) return;
+      try {
+        lastStates.set(entry.id, JSON.stringify(entry.module.getState()));
+      } catch (e) {
+        // read on the next change instead
+      }
+    });
+    ['input', 'change', 'click', 'pointerup', 'keyup'].forEach(type => {
+      document.addEventListener(type, (e) => {
+        const id = sectionOf(e);
+        if (id) queueCheck(id);
+      }, true);
+    });
+    ['history', 'presets'].forEach(type => Procedural.on(type, ({ id }) => {
+      if (id) queueCheck(id);
+    }));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  /** Every section in page order: `{ id, title, theme, loaded, initialized, active, stateful, params }`. */
+  function list() {
+    return Procedural.getSections().map(describe);
+  }
+
+  function active() {
+    return activeId;
+  }
+
+  /**
+   * Scroll to a section and wait until it is initialized and in view, then
+   * apply `state` if given. Static sections (no script) never initialize,
+   * so for them being in view is enough. Resolves with its list() entry.
+   */
+  function goTo(name, state) {
+    const entry = entryOf(name);
+    if (state && !entry.script) return Promise.reject(new Error(`${entry.id} has no state to set`));
+    return new Promise((resolve, reject) => {
+      const offs = [];
+      const timer = setTimeout(() => {
+        finish();
+        reject(new Error(`Timed out waiting for ${entry.id}`));
+      }, TIMEOUT_MS);
+      function finish() {
+        clearTimeout(timer);
+        offs.forEach(off => off());
+      }
+      function ready() {
+        if ((entry.script && !entry.initialized) || activeId !== entry.id) return;
+        finish();
+        try {
+          if (state) setParams(entry.id, state);
+          resolve(describe(entry));
+        } catch (e) {
+          reject(e);
+        }
+      }
+      offs.push(Procedural.on('init', ready), Procedural.on('active', ready));
+      Procedural.emit('navigate', { id: entry.id });
+      ready();
+    });
+  }
+
+  /** The section's getState(), or null for sections without state. */
+  function getParams(name) {
+    const entry = readyEntry(name);
+    return entry.module.getState ? entry.module.getState() : null;
+  }
+
+  /**
+   * Pass `values` (possibly partial) to the section's setState() and return
+   * what it kept. The one-argument form targets the section in view.
+   */
+  function setParams(name, values) {
+    if (values === undefined && typeof name === 'object') {
+      values = name;
+      name = undefined;
+    }
+    const entry = readyEntry(name);
+    if (!entry.module.setState) throw new Error(`${entry.id} has no state to set`);
+    entry.module.setState(values);
+    check(entry.id);
+    return getParams(entry.id);
+  }
+
+  /** The section's parameter schema (see core/params.js), or null. */
+  function schema(name) {
+    return Procedural.params.of(entryOf(name).id);
+  }
+
+  /**
+   * Freeze the animation clock (Procedural.determinism's virtual time) from
+   * the current moment. Sections stay where they are until step() or resume().
+   */
+  async function pause() {
+    const determinism = Procedural.determinism;
+    if (determinism.isVirtual()) return;
+    determinism.useVirtualTime({ start: performance.now(), epoch: Date.now() - performance.now() });
+    await delay(SETTLE_MS);
+  }
+
+  /**
+   * Run `frames` animation frames (default 1) on the frozen clock, pausing
+   * first if needed. Every running section steps; the clock stays frozen.
+   */
+  async function step(frames) {
+    await pause();
+    Procedural.determinism.advance(frames === undefined ? 1 : frames);
+  }
+
+  /**
+   * Back to real time. Stepped frames can run ahead of the wall clock; the
+   * clock holds until it catches up, so no animation sees time go back.
+   */
+  async function resume() {
+    const determinism = Procedural.determinism;
+    if (!determinism.isVirtual() || (Procedural.capture && Procedural.capture.isRecording())) return;
+    const ahead = performance.now() - determinism.realNow();
+    if (ahead > 0) await delay(ahead);
+    determinism.useRealTime();
+  }
+
+  /**
+   * The section's canvases, composited as the capture panel records them, as
+   * a data URL. Options: type ('image/png'), quality, scale, maxWidth.
+   */
+  function capture(name, options) {
+    const entry = readyEntry(name);
+    const opts = options || {};
+    const canvas = Procedural.capture.grab({ id: entry.id, scale: opts.scale, maxWidth: opts.maxWidth });
+    return canvas.toDataURL(opts.type || 'image/png', opts.quality);
+  }
+
+  /** Listen for a runtime event; returns a function that unsubscribes. */
+  function subscribe(type, fn) {
+    if (type === 'change') watch();
+    return Procedural.on(type, fn);
+  }
+
+  return { list, active, goTo, getParams, setParams, schema, pause, step, resume, capture, subscribe };
+})();
+
+if (typeof window !== 'undefined') window.Procedural = Procedural;
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Procedural.automation;
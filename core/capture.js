@@ -0,0 +1,682 @@
+// =============================================================================
+// CAPTURE — Frame-sequence and video export
+// Records a section's canvases at a fixed timestep: the clock is switched to
+// Procedural.determinism's virtual time and stepped one frame at a time, so a
+// 60 fps export of a heavy section is as smooth as one of a light section,
+// however long each frame takes to draw. Three outputs:
+//
+//   png   — numbered PNG frames in a zip (store only, no compression)
+//   gif   — built-in encoder, median-cut palette per frame, loops forever
+//   webm  — MediaRecorder, where the browser has it; paced in real time
+//
+//   Procedural.capture.record({ id: 'planets-section', format: 'gif',
+//                               fps: 30, seconds: 4 })
+//     .then(result => Procedural.capture.save(result.blob, result.filename));
+//
+// Every canvas inside the section is composited in page order, so split
+// views (StyleTransfer, LoFi/HiFi) record as they look. DOM controls are not.
+// =============================================================================
+
+Procedural.capture = (() => {
+  const MAX_FRAMES = 3600;
+  const GIF_MAX_WIDTH = 720;
+  const SETTLE_MS = 100;        // let frames queued on the real clock drain
+  const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+  let busy = false;
+  let cancelled = false;
+
+  function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Byte output
+  // ---------------------------------------------------------------------------
+  function createWriter(size) {
+    let buf = new Uint8Array(size || 4096);
+    let length = 0;
+
+    function ensure(n) {
+      if (length + n <= buf.length) return;
+      const next = new Uint8Array(Math.max(buf.length * 2, length + n));
+      next.set(buf.subarray(0, length));
+      buf = next;
+    }
+
+    return {
+      byte(b) {
+        ensure(1);
+        buf[length++] = b;
+      },
+      u16(n) {
+        ensure(2);
+        buf[length++] = n & 0xff;
+        buf[length++] = (n >>> 8) & 0xff;
+      },
+      u32(n) {
+        ensure(4);
+        buf[length++] = n & 0xff;
+        buf[length++] = (n >>> 8) & 0xff;
+        buf[length++] = (n >>> 16) & 0xff;
+        buf[length++] = (n >>> 24) & 0xff;
+      },
+      bytes(arr) {
+        ensure(arr.length);
+        buf.set(arr, length);
+        length += arr.length;
+      },
+      ascii(str) {
+        for (let i = 0; i < str.length; i++) this.byte(str.charCodeAt(i));
+      },
+      get length() {
+        return length;
+      },
+      result() {
+        return buf.slice(0, length);
+      },
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // ZIP — store-only archive, enough for a folder of PNGs
+  // ---------------------------------------------------------------------------
+  let crcTable = null;
+
+  function crc32(data) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  function dosDateTime(date) {
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+      date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+  }
+
+  /**
+   * Collects files and builds a zip. add(name, Uint8Array); finish() returns
+   * the archive as parts for a Blob, so frames are never copied into one
+   * giant buffer.
+   */
+  function createZip() {
+    const parts = [];
+    const entries = [];
+    let offset = 0;
+    const stamp = dosDateTime(new Date());
+
+    function header(sig, entry, central) {
+      const w = createWriter(64 + entry.name.length);
+      w.u32(sig);
+      if (central) w.u16(20);               // version made by
+      w.u16(20);                            // version needed
+      w.u16(0x0800);                        // flags: UTF-8 names
+      w.u16(0);                             // method: store
+      w.u16(stamp.time);
+      w.u16(stamp.date);
+      w.u32(entry.crc);
+      w.u32(entry.size);
+      w.u32(entry.size);
+      w.u16(entry.name.length);
+      w.u16(0);                             // extra length
+      if (central) {
+        w.u16(0);                           // comment length
+        w.u16(0);                           // disk
+        w.u16(0);                           // internal attributes
+        w.u32(0);                           // external attributes
+        w.u32(entry.offset);
+      }
+      w.bytes(entry.name);
+      return w.result();
+    }
+
+    return {
+      add(name, data) {
+        const entry = {
+          name: new TextEncoder().encode(name),
+          crc: crc32(data),
+          size: data.length,
+          offset,
+        };
+        const local = header(0x04034b50, entry, false);
+        parts.push(local, data);
+        offset += local.length + data.length;
+        entries.push(entry);
+      },
+      finish() {
+        const start = offset;
+        entries.forEach(entry => {
+          const central = header(0x02014b50, entry, true);
+          parts.push(central);
+          offset += central.length;
+        });
+        const end = createWriter(22);
+        end.u32(0x06054b50);
+        end.u16(0);
+        end.u16(0);
+        end.u16(entries.length);
+        end.u16(entries.length);
+        end.u32(offset - start);
+        end.u32(start);
+        end.u16(0);
+        parts.push(end.result());
+        return parts;
+      },
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // GIF — median-cut quantizer and LZW encoder
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Reduce RGBA pixels to at most 256 colors. Pixels are binned at 5 bits per
+   * channel, the bins are split by median cut, and every bin maps straight to
+   * its box, so there is no nearest-color search. Alpha is ignored; frames
+   * are composited onto an opaque background first.
+   */
+  function quantize(rgba) {
+    const count = new Uint32Array(32768);
+    const n = rgba.length >> 2;
+    const bins = new Uint16Array(n);
+    for (let i = 0, p = 0; i < n; i++, p += 4) {
+      const bin = ((rgba[p] >> 3) << 10) | ((rgba[p + 1] >> 3) << 5) | (rgba[p + 2] >> 3);
+      bins[i] = bin;
+      count[bin]++;
+    }
+
+    const used = [];
+    for (let bin = 0; bin < 32768; bin++) if (count[bin]) used.push(bin);
+
+    const channel = (bin, c) => (bin >> (10 - c * 5)) & 31;
+    function describe(colors) {
+      const lo = [31, 31, 31], hi = [0, 0, 0];
+      let pixels = 0;
+      colors.forEach(bin => {
+        pixels += count[bin];
+        for (let c = 0; c < 3; c++) {
+          const v = channel(bin, c);
+          if (v < lo[c]) lo[c] = v;
+          if (v > hi[c]) hi[c] = v;
+        }
+      });
+      const ranges = hi.map((h, c) => h - lo[c]);
+      const axis = ranges.indexOf(Math.max(...ranges));
+      return { colors, pixels, axis, range: ranges[axis] };
+    }
+
+    const boxes = [describe(used)];
+    while (boxes.length < 256) {
+      // Split the box that covers the most pixels across the widest span
+      let pick = -1, best = 0;
+      boxes.forEach((box, i) => {
+        const score = box.range * box.pixels;
+        if (box.colors.length > 1 && score > best) {
+          best = score;
+          pick = i;
+        }
+      });
+      if (pick < 0) break;
+      const { colors, pixels, axis } = boxes[pick];
+      colors.sort((a, b) => channel(a, axis) - channel(b, axis));
+      let half = 0, cut = 1;
+      for (; cut < colors.length - 1; cut++) {
+        half += count[colors[cut - 1]];
+        if (half >= pixels / 2) break;
+      }
+      boxes.splice(pick, 1, describe(colors.slice(0, cut)), describe(colors.slice(cut)));
+    }
+
+    const palette = new Uint8Array(768);
+    const lookup = new Uint8Array(32768);
+    boxes.forEach((box, index) => {
+      let r = 0, g = 0, b = 0;
+      box.colors.forEach(bin => {
+        const w = count[bin];
+        r += w * ((channel(bin, 0) << 3) | 4);
+        g += w * ((channel(bin, 1) << 3) | 4);
+        b += w * ((channel(bin, 2) << 3) | 4);
+        lookup[bin] = index;
+      });
+      palette[index * 3] = Math.round(r / box.pixels);
+      palette[index * 3 + 1] = Math.round(g / box.pixels);
+      palette[index * 3 + 2] = Math.round(b / box.pixels);
+    });
+
+    const indices = new Uint8Array(n);
+    for (let i = 0; i < n; i++) indices[i] = lookup[bins[i]];
+    return { palette, indices };
+  }
+
+  let lzwTable = null;   // (prefix << 8 | index) -> code, reused across frames
+
+  /** Variable-width LZW as GIF wants it, packed into 255-byte sub-blocks. */
+  function lzw(indices, minCodeSize, out) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const table = lzwTable || (lzwTable = new Int16Array(4096 << 8));
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+
+    const block = new Uint8Array(255);
+    let blockLength = 0;
+    let bits = 0, bitCount = 0;
+
+    function flushBlock() {
+      if (!blockLength) return;
+      out.byte(blockLength);
+      out.bytes(block.subarray(0, blockLength));
+      blockLength = 0;
+    }
+    function emit(code) {
+      bits |= code << bitCount;
+      bitCount += codeSize;
+      while (bitCount >= 8) {
+        block[blockLength++] = bits & 0xff;
+        if (blockLength === 255) flushBlock();
+        bits >>>= 8;
+        bitCount -= 8;
+      }
+    }
+    function reset() {
+      table.fill(-1);
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    }
+
+    out.byte(minCodeSize);
+    reset();
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+      const k = indices[i];
+      const key = (prefix << 8) | k;
+      const code = table[key];
+      if (code >= 0) {
+        prefix = code;
+        continue;
+      }
+      emit(prefix);
+      if (nextCode === 4096) {
+        emit(clearCode);
+        reset();
+      } else {
+        if (nextCode >= (1 << codeSize)) codeSize++;
+        table[key] = nextCode++;
+      }
+      prefix = k;
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) {
+      block[blockLength++] = bits & 0xff;
+      if (blockLength === 255) flushBlock();
+    }
+    flushBlock();
+    out.byte(0);
+  }
+
+  /**
+   * Animated GIF writer. addFrame() takes RGBA pixels of width x height and
+   * returns the encoded bytes' size; finish() returns the parts for a Blob.
+   * Delays are in ms and rounded to the format's centiseconds without drift.
+   */
+  function createGifEncoder(width, height, options) {
+    const opts = options || {};
+    const loop = Number.isFinite(opts.loop) ? opts.loop : 0;   // 0 = forever
+    const parts = [];
+    let elapsed = 0;   // ms, for drift-free centisecond rounding
+
+    const head = createWriter(64);
+    head.ascii('GIF89a');
+    head.u16(width);
+    head.u16(height);
+    head.byte(0);                         // no global color table
+    head.byte(0);                         // background index
+    head.byte(0);                         // pixel aspect
+    head.byte(0x21); head.byte(0xff); head.byte(11);
+    head.ascii('NETSCAPE2.0');
+    head.byte(3); head.byte(1); head.u16(loop); head.byte(0);
+    parts.push(head.result());
+
+    return {
+      addFrame(rgba, delayMs) {
+        const from = Math.round(elapsed / 10);
+        elapsed += Number(delayMs) > 0 ? Number(delayMs) : 100;
+        const { palette, indices } = quantize(rgba);
+
+        const w = createWriter(indices.length >> 1);
+        w.byte(0x21); w.byte(0xf9); w.byte(4);
+        w.byte(0x04);                       // disposal: leave in place
+        w.u16(Math.round(elapsed / 10) - from);
+        w.byte(0);                          // transparent index (unused)
+        w.byte(0);
+        w.byte(0x2c);
+        w.u16(0); w.u16(0);
+        w.u16(width); w.u16(height);
+        w.byte(0x87);                       // local color table, 256 entries
+        w.bytes(palette);
+        lzw(indices, 8, w);
+        parts.push(w.result());
+        return w.length;
+      },
+      finish() {
+        parts.push(new Uint8Array([0x3b]));
+        return parts;
+      },
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Frame grabbing
+  // ---------------------------------------------------------------------------
+  function backgroundOf(el) {
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+      const bg = getComputedStyle(node).backgroundColor;
+      if (bg && bg !== 'transparent' && !/rgba\(.*,\s*0\)$/.test(bg)) return bg;
+    }
+    return '#000';
+  }
+
+  /** Visible canvases in a section and the box they cover, in CSS px. */
+  function layout(el) {
+    const origin = el.getBoundingClientRect();
+    const layers = [];
+    let left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+    el.querySelectorAll('canvas').forEach(canvas => {
+      const style = getComputedStyle(canvas);
+      const rect = canvas.getBoundingClientRect();
+      if (!canvas.width || !canvas.height || rect.width < 1 || rect.height < 1) return;
+      if (style.display === 'none' || style.visibility === 'hidden') return;
+      const x = Math.max(rect.left, origin.left) - origin.left;
+      const y = Math.max(rect.top, origin.top) - origin.top;
+      const x2 = Math.min(rect.right, origin.right) - origin.left;
+      const y2 = Math.min(rect.bottom, origin.bottom) - origin.top;
+      if (x2 <= x || y2 <= y) return;
+      layers.push({
+        canvas,
+        x: rect.left - origin.left,
+        y: rect.top - origin.top,
+        width: rect.width,
+        height: rect.height,
+        alpha: parseFloat(style.opacity),
+      });
+      left = Math.min(left, x);
+      top = Math.min(top, y);
+      right = Math.max(right, x2);
+      bottom = Math.max(bottom, y2);
+    });
+    if (!layers.length) return null;
+    return { layers, left, top, width: right - left, height: bottom - top };
+  }
+
+  function createGrabber(el, options) {
+    const box = layout(el);
+    if (!box) throw new Error('Nothing to capture: the section has no visible canvas');
+    let scale = Number(options.scale) > 0 ? Number(options.scale) : 1;
+    if (options.maxWidth && box.width * scale > options.maxWidth) scale = options.maxWidth / box.width;
+
+    const frame = document.createElement('canvas');
+    // Even dimensions keep video encoders happy
+    frame.width = Math.max(2, Math.round(box.width * scale / 2) * 2);
+    frame.height = Math.max(2, Math.round(box.height * scale / 2) * 2);
+    const ctx = frame.getContext('2d');
+    const background = backgroundOf(el);
+    const sx = frame.width / box.width;
+    const sy = frame.height / box.height;
+
+    return {
+      canvas: frame,
+      grab() {
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, frame.width, frame.height);
+        box.layers.forEach(layer => {
+          ctx.globalAlpha = Number.isFinite(layer.alpha) ? layer.alpha : 1;
+          ctx.drawImage(layer.canvas,
+            (layer.x - box.left) * sx, (layer.y - box.top) * sy,
+            layer.width * sx, layer.height * sy);
+        });
+        return frame;
+      },
+      pixels() {
+        return ctx.getImageData(0, 0, frame.width, frame.height).data;
+      },
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Outputs — each takes grabbed frames and resolves to a Blob
+  // ---------------------------------------------------------------------------
+  function toBytes(canvas) {
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => {
+        if (!blob) {
+          reject(new Error('Failed to encode frame'));
+          return;
+        }
+        blob.arrayBuffer().then(buf => resolve(new Uint8Array(buf)), reject);
+      }, 'image/png');
+    });
+  }
+
+  function pngSink(grabber, job) {
+    const zip = createZip();
+    const digits = String(job.frames).length;
+    return {
+      async add(i) {
+        const name = `${job.id}/${job.id}-${String(i + 1).padStart(Math.max(4, digits), '0')}.png`;
+        zip.add(name, await toBytes(grabber.canvas));
+      },
+      async finish() {
+        return new Blob(zip.finish(), { type: 'application/zip' });
+      },
+    };
+  }
+
+  function gifSink(grabber, job) {
+    const gif = createGifEncoder(grabber.canvas.width, grabber.canvas.height);
+    return {
+      async add() {
+        gif.addFrame(grabber.pixels(), job.frameMs);
+        // Quantizing is heavy; give the page a moment between frames
+        await delay(0);
+      },
+      async finish() {
+        return new Blob(gif.finish(), { type: 'image/gif' });
+      },
+    };
+  }
+
+  function webmType() {
+    if (typeof MediaRecorder === 'undefined' || typeof HTMLCanvasElement === 'undefined') return null;
+    if (!HTMLCanvasElement.prototype.captureStream) return null;
+    return WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+  }
+
+  // MediaRecorder stamps frames with the wall clock, so frames are handed
+  // over on a real-time schedule: one per frameMs, whatever the draw cost.
+  function webmSink(grabber, job) {
+    const type = webmType();
+    const stream = grabber.canvas.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const recorder = new MediaRecorder(stream, {
+      mimeType: type,
+      videoBitsPerSecond: Math.round(grabber.canvas.width * grabber.canvas.height * job.fps * 0.2),
+    });
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+      if (e.data && e.data.size) chunks.push(e.data);
+    };
+    const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+    const clock = Procedural.determinism.realNow;
+    let startedAt = 0;
+    recorder.start();
+
+    return {
+      async add(i) {
+        if (!startedAt) startedAt = clock();
+        const due = startedAt + i * job.frameMs;
+        if (due > clock()) await delay(due - clock());
+        if (track.requestFrame) track.requestFrame();
+      },
+      async finish() {
+        await delay(job.frameMs);
+        recorder.stop();
+        await stopped;
+        track.stop();
+        return new Blob(chunks, { type: 'video/webm' });
+      },
+      abort() {
+        if (recorder.state !== 'inactive') recorder.stop();
+        track.stop();
+      },
+    };
+  }
+
+  const SINKS = { png: pngSink, gif: gifSink, webm: webmSink };
+  const EXTENSIONS = { png: 'zip', gif: 'gif', webm: 'webm' };
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+  function supports(format) {
+    if (format === 'webm') return !!webmType();
+    return format in SINKS;
+  }
+
+  function formats() {
+    return Object.keys(SINKS).filter(supports);
+  }
+
+  /**
+   * Record the section `id`. Options: format ('png' | 'gif' | 'webm'), fps,
+   * seconds or frames, scale (output px per CSS px) and maxWidth. Resolves to
+   * { blob, filename, frames, width, height }. Sections render at full
+   * quality for the duration; the seed and any virtual clock already in use
+   * are left as they were.
+   */
+  async function record(options) {
+    const opts = options || {};
+    const format = opts.format || 'webm';
+    const entry = Procedural.getSection(opts.id);
+    const el = entry && document.getElementById(entry.id);
+    if (busy) throw new Error('A capture is already running');
+    if (!supports(format)) throw new Error(`Capture format not supported here: ${format}`);
+    if (!el || !entry.initialized) throw new Error(`Section not ready: ${opts.id}`);
+
+    const fps = Math.max(1, Math.min(120, Number(opts.fps) || 30));
+    const seconds = Number(opts.seconds) > 0 ? Number(opts.seconds) : 4;
+    const frames = Math.max(1, Math.min(MAX_FRAMES,
+      Math.round(Number(opts.frames) > 0 ? Number(opts.frames) : seconds * fps)));
+    const job = { id: entry.id, format, fps, frames, frameMs: 1000 / fps };
+
+    const determinism = Procedural.determinism;
+    const quality = Procedural.quality;
+    const wasVirtual = determinism.isVirtual();
+    const wasLocked = quality.stats().locked;
+    let sink = null;
+
+    busy = true;
+    cancelled = false;
+    try {
+      quality.lock(quality.MAX_LEVEL);
+      const grabber = createGrabber(el, {
+        scale: opts.scale,
+        maxWidth: opts.maxWidth || (format === 'gif' ? GIF_MAX_WIDTH : 0),
+      });
+      // Carry on from the current time so running animations don't jump
+      determinism.useVirtualTime({
+        frameMs: job.frameMs,
+        start: performance.now(),
+        epoch: Date.now() - performance.now(),
+      });
+      await delay(SETTLE_MS);
+      sink = SINKS[format](grabber, job);
+      Procedural.emit('capturestart', { id: job.id, format, frames });
+
+      for (let i = 0; i < frames; i++) {
+        if (cancelled) throw new Error('Capture cancelled');
+        determinism.advance(1);
+        grabber.grab();
+        await sink.add(i);
+        Procedural.emit('captureprogress', { id: job.id, frame: i + 1, frames });
+      }
+
+      const blob = await sink.finish();
+      sink = null;
+      const stamp = new Date(determinism.realNow() + performance.timeOrigin)
+        .toISOString().replace(/[:.]/g, '-').slice(0, 19);
+      const result = {
+        blob,
+        filename: `${job.id}-${stamp}.${EXTENSIONS[format]}`,
+        frames,
+        width: grabber.canvas.width,
+        height: grabber.canvas.height,
+      };
+      Procedural.emit('captureend', { id: job.id, format, result });
+      return result;
+    } catch (e) {
+      if (sink && sink.abort) sink.abort();
+      Procedural.emit('captureend', { id: job.id, format, error: e });
+      throw e;
+    } finally {
+      if (!wasVirtual && determinism.isVirtual()) {
+        // Frames can be drawn faster than they play. Hold the virtual clock
+        // until the wall clock catches up, so no animation sees time go back.
+        const ahead = performance.now() - determinism.realNow();
+        if (ahead > 0) await delay(ahead);
+        determinism.useRealTime();
+      }
+      quality.lock(wasLocked);
+      busy = false;
+    }
+  }
+
+  /** Stop a running capture; record() rejects with 'Capture cancelled'. */
+  function cancel() {
+    if (busy) cancelled = true;
+  }
+
+  function isRecording() {
+    return busy;
+  }
+
+  /**
+   * One frame of the section `id` as a canvas, composited the way record()
+   * sees it. Options: scale, maxWidth.
+   */
+  function grab(options) {
+    const opts = options || {};
+    const entry = Procedural.getSection(opts.id);
+    const el = entry && document.getElementById(entry.id);
+    if (!el || !entry.initialized) throw new Error(`Section not ready: ${opts.id}`);
+    return createGrabber(el, opts).grab();
+  }
+
+  /** Offer a Blob as a download. */
+  function save(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+  }
+
+  return { record, cancel, isRecording, grab, supports, formats, save, createGifEncoder, createZip };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Procedural.capture;
@@ -0,0 +1,186 @@
+// =============================================================================
+// DECK — The page as printable slides
+// Walks every section in page order and turns it into a slide: interactive
+// sections are put in a representative state (their guided-tour step, else
+// their first built-in preset), stepped a few frames on the virtual clock
+// and grabbed at print resolution; static sections and theme bridges come
+// along as their markup. The orchestrator lays the slides out as print pages
+// (?deck or the D key) to save as a PDF from the browser:
+//
+//   const slides = await Procedural.deck.render({
+//     onProgress: ({ index, total, entry }) => status(`${index + 1} / ${total}`),
+//   });
+//   // { kind: 'section', id, theme, overline, title, description, image, width, height }
+//   // { kind: 'theme', id, number, title, description }
+//   // { kind: 'static', id, node }
+//   Procedural.deck.release(slides);   // revoke the image URLs when done
+//
+// Slide text is the sections' own header copy — overline, title and
+// description (or subtitle) in their i18n namespace — in the current
+// language, so a German handout is a ?lang=de away.
+// =============================================================================
+
+Procedural.deck = (() => {
+  const PRINT_WIDTH = 2400;     // target image width in device pixels
+  const MAX_RATIO = 3;
+  const FRAMES = 45;            // let animations settle before the shot
+  const SETTLE_MS = 150;        // for the section in view to start running
+
+  let busy = false;
+
+  function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  function plain(html) {
+    return String(html || '').replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+  }
+
+  function header(entry) {
+    const text = key => Procedural.i18n.text(entry.id, key);
+    return {
+      overline: plain(text('overline') || Procedural.i18n.text('manifest', `theme.${entry.theme}.title`)),
+      title: plain(text('title') || entry.title || entry.label || entry.id),
+      description: plain(text('description') || text('subtitle')),
+    };
+  }
+
+  function themeSlide(theme) {
+    return {
+      kind: 'theme',
+      id: theme.id,
+      number: theme.number || '',
+      title: Procedural.i18n.text('manifest', `theme.${theme.id}.title`) || theme.title,
+      description: Procedural.i18n.text('manifest', `theme.${theme.id}.description`) || theme.description || '',
+    };
+  }
+
+  function staticSlide(entry) {
+    const el = document.getElementById(entry.id);
+    if (!el) return null;
+    const node = document.createElement('div');
+    [...el.children].forEach(child => node.appendChild(child.cloneNode(true)));
+    node.querySelectorAll('[id]').forEach(child => child.removeAttribute('id'));
+    node.querySelectorAll('.section-content').forEach(child => child.classList.add('visible'));
+    return { kind: 'static', id: entry.id, node };
+  }
+
+  /** The tour step's state, else the first built-in preset, else none. */
+  function representativeState(entry, tourSteps) {
+    const step = tourSteps.find(s => s.section === entry.id && s.state);
+    if (step) return step.state;
+    const presets = entry.module && entry.module.presets;
+    const first = presets && Object.keys(presets)[0];
+    return first ? presets[first] : undefined;
+  }
+
+  // Sections size their canvases from devicePixelRatio in resize(), so a
+  // larger ratio for the length of one shot renders them at print resolution
+  function overridePixelRatio(ratio) {
+    const own = Object.getOwnPropertyDescriptor(window, 'devicePixelRatio');
+    Object.defineProperty(window, 'devicePixelRatio', { configurable: true, get: () => ratio });
+    return () => {
+      if (own) Object.defineProperty(window, 'devicePixelRatio', own);
+      else delete window.devicePixelRatio;
+    };
+  }
+
+  function toBlob(canvas) {
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Failed to encode slide'))), 'image/png');
+    });
+  }
+
+  async function shoot(entry, state, run) {
+    const automation = Procedural.automation;
+    await automation.goTo(entry.id, state);
+    await delay(SETTLE_MS);
+    const el = document.getElementById(entry.id);
+    const current = window.devicePixelRatio || 1;
+    const ratio = Math.max(current, Math.min(MAX_RATIO, PRINT_WIDTH / Math.max(1, el.clientWidth)));
+    const restore = overridePixelRatio(ratio);
+    if (run) run(entry.id, true);
+    try {
+      if (entry.module.resize) entry.module.resize();
+      await automation.step(FRAMES);
+      const canvas = Procedural.capture.grab({ id: entry.id, scale: ratio });
+      const blob = await toBlob(canvas);
+      return { image: URL.createObjectURL(blob), width: canvas.width, height: canvas.height };
+    } finally {
+      restore();
+      if (run) run(entry.id, false);
+      if (entry.initialized && entry.module.resize) entry.module.resize();
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Build every slide in page order. Options: onProgress({ index, total,
+   * entry }) before each section, run(id, running) to start and stop a
+   * section the orchestrator isn't running (reduced motion shows stills).
+   * A section that fails to render keeps its text and loses its image.
+   */
+  async function render(options) {
+    if (busy) throw new Error('Already rendering the deck');
+    busy = true;
+    const opts = options || {};
+    const quality = Procedural.quality;
+    const wasLocked = quality.stats().locked;
+    quality.lock(quality.MAX_LEVEL);
+    const slides = [];
+    try {
+      if (!Procedural.tour.getSteps().length) {
+        await Procedural.loadScript('sections/tour.js').catch(() => {});
+      }
+      const tourSteps = Procedural.tour.getSteps();
+      const sections = Procedural.getSections();
+      const themes = Procedural.getThemes();
+      let theme = null;
+      for (let index = 0; index < sections.length; index++) {
+        const entry = sections[index];
+        if (entry.theme !== theme) {
+          theme = entry.theme;
+          const def = themes.find(t => t.id === theme);
+          if (def && def.title) slides.push(themeSlide(def));
+        }
+        if (opts.onProgress) opts.onProgress({ index, total: sections.length, entry });
+        if (!entry.script) {
+          const slide = staticSlide(entry);
+          if (slide) slides.push(slide);
+          continue;
+        }
+        const slide = Object.assign({ kind: 'section', id: entry.id, theme: entry.theme }, header(entry));
+        try {
+          await Procedural.loadSection(entry.id);
+          Object.assign(slide, header(entry), await shoot(entry, representativeState(entry, tourSteps), opts.run));
+        } catch (e) {
+          console.warn('Failed to render slide:', entry.id, e);
+        }
+        slides.push(slide);
+      }
+    } finally {
+      await Procedural.automation.resume();
+      quality.lock(wasLocked);
+      busy = false;
+    }
+    return slides;
+  }
+
+  /** Revoke the image URLs render() made. */
+  function release(slides) {
+    (slides || []).forEach(slide => {
+      if (slide.image) URL.revokeObjectURL(slide.image);
+    });
+  }
+
+  function isRendering() {
+    return busy;
+  }
+
+  return { render, release, isRendering };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Procedural.deck;
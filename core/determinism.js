@@ -0,0 +1,127 @@
+// =============================================================================
+// DETERMINISM — Seeded randomness and a virtual clock
+// Sections call Math.random, performance.now and requestAnimationFrame
+// directly, so two runs never draw the same pixels. For snapshot tests,
+// recordings and reproducible screenshots these hooks swap those globals for
+// a seeded generator and a clock that only moves when told to:
+//
+//   Procedural.determinism.seed(42);                  // before sections load
+//   Procedural.determinism.useVirtualTime({ frameMs: 1000 / 60 });
+//   Procedural.determinism.advance(120);              // run 120 frames
+//
+// setTimeout/setInterval keep real time; only frame-driven animation is
+// stepped. useRealTime() puts the native clock back and leaves the seed;
+// restore() puts every native function back. Switching clocks emits
+// 'clock' with { virtual }, for sections that draw off the main thread.
+// =============================================================================
+
+Procedural.determinism = (() => {
+  const native = {
+    random: Math.random,
+    now: performance.now,
+    dateNow: Date.now,
+    raf: window.requestAnimationFrame,
+    caf: window.cancelAnimationFrame,
+  };
+
+  let seeded = false;
+  let virtual = false;
+  let time = 0;            // virtual ms since useVirtualTime()
+  let epoch = 0;           // Date.now() at the moment time was frozen
+  let frameMs = 1000 / 60;
+  let callbacks = new Map();
+  let nextId = 1e9;        // well clear of the browser's own frame ids
+
+  // ---------------------------------------------------------------------------
+  // Seeded random
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Replace Math.random with a mulberry32 stream seeded from `value` (a
+   * number, or any string) and reseed ProceduralCore's named streams.
+   */
+  function seed(value) {
+    Math.random = ProceduralCore.mulberry32(ProceduralCore.hash(value));
+    ProceduralCore.setSeed(value);
+    seeded = true;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Virtual clock
+  // ---------------------------------------------------------------------------
+  function useVirtualTime(options) {
+    const opts = options || {};
+    if (Number(opts.frameMs) > 0) frameMs = Number(opts.frameMs);
+    if (virtual) return;
+    virtual = true;
+    time = Number.isFinite(opts.start) ? opts.start : 0;
+    epoch = Number.isFinite(opts.epoch) ? opts.epoch : native.dateNow.call(Date);
+    // Loops already scheduled on the real clock run once more, then queue here
+    performance.now = () => time;
+    Date.now = () => epoch + time;
+    window.requestAnimationFrame = (cb) => {
+      const id = nextId++;
+      callbacks.set(id, cb);
+      return id;
+    };
+    window.cancelAnimationFrame = (id) => {
+      if (!callbacks.delete(id)) native.caf.call(window, id);
+    };
+    Procedural.emit('clock', { virtual });
+  }
+
+  /** Run `frames` animation frames, each `frameMs` after the last. */
+  function advance(frames) {
+    if (!virtual) return;
+    const n = frames === undefined ? 1 : Math.max(0, Math.floor(frames));
+    for (let i = 0; i < n; i++) {
+      time += frameMs;
+      const due = callbacks;
+      callbacks = new Map();
+      due.forEach((cb) => {
+        try {
+          cb(time);
+        } catch (e) {
+          console.warn('Frame callback failed:', e);
+        }
+      });
+    }
+  }
+
+  /** The wall clock, whatever performance.now currently says. */
+  function realNow() {
+    return native.now.call(performance);
+  }
+
+  function useRealTime() {
+    if (!virtual) return;
+    virtual = false;
+    performance.now = native.now;
+    Date.now = native.dateNow;
+    window.requestAnimationFrame = native.raf;
+    window.cancelAnimationFrame = native.caf;
+    // Hand pending frames back to the real clock
+    const pending = callbacks;
+    callbacks = new Map();
+    pending.forEach(cb => native.raf.call(window, cb));
+    Procedural.emit('clock', { virtual });
+  }
+
+  function restore() {
+    Math.random = native.random;
+    seeded = false;
+    useRealTime();
+  }
+
+  function isSeeded() {
+    return seeded;
+  }
+
+  function isVirtual() {
+    return virtual;
+  }
+
+  return { seed, useVirtualTime, advance, realNow, useRealTime, restore, isSeeded, isVirtual };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Procedural.determinism;
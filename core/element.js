@@ -0,0 +1,302 @@
+// =============================================================================
+// ELEMENT — <procedural-section> web component
+// Puts one demo on any page, without the scroll page around it:
+//
+//   <script src="procedural/embed.js"></script>
+//   <procedural-section name="colorbox" seed="42"></procedural-section>
+//   <procedural-section name="planets" state='{"seed": 48213}'
+//                       style="height: 480px"></procedural-section>
+//
+// `name` is a section id from the manifest, the id without "-section", or
+// the script's file name ("lofihifi"). `seed` seeds the module's start-up
+// randomness and is passed to setState() when the section has a seed of its
+// own; `state` is JSON for setState(). Both can change later.
+//
+// Like the orchestrator, the element loads the script on first sight, calls
+// init() with a container inside its shadow root and start()/stop() as it
+// scrolls in and out of view. Section modules are singletons, so each
+// section can appear once per page; removing the element destroy()s the
+// section, so another element can show it. Copy follows the host page's
+// language (?lang=, <html lang> or the browser's; see core/i18n.js).
+// =============================================================================
+
+Procedural.element = (() => {
+  const TAG = 'procedural-section';
+
+  const claimed = new Map();    // section id -> the element showing it
+
+  const STYLE = `
+    :host {
+      display: block; position: relative; height: 640px; overflow: auto;
+      background: #06080f; color: #e8ecf8;
+      font-family: Inter, system-ui, -apple-system, sans-serif;
+    }
+    :host([hidden]) { display: none; }
+    .frame { position: relative; width: 100%; height: 100%; }
+    .message {
+      position: absolute; inset: 0; display: flex;
+      align-items: center; justify-content: center; padding: 24px;
+      font: 12px 'JetBrains Mono', ui-monospace, monospace;
+      color: rgba(180, 190, 220, 0.6); text-align: center;
+    }
+  `;
+
+  /** Section id for a `name` attribute, or null. */
+  function resolveName(name) {
+    const entry = Procedural.findSection(name);
+    return entry ? entry.id : null;
+  }
+
+  function parseState(json) {
+    if (!json) return null;
+    try {
+      const state = JSON.parse(json);
+      return state && typeof state === 'object' ? state : null;
+    } catch (e) {
+      console.warn(`<${TAG}> ignoring invalid state:`, json);
+      return null;
+    }
+  }
+
+  class ProceduralSectionElement extends HTMLElement {
+    static get observedAttributes() {
+      return ['seed', 'state'];
+    }
+
+    constructor() {
+      super();
+      this.entry = null;
+      this.visible = false;
+      this.idleTimer = null;
+      this.observer = null;
+      this.resizeObserver = null;
+      this.offMotion = null;
+      this.offLanguage = null;
+      this.styles = [];         // section <style>s moved into the shadow root
+    }
+
+    connectedCallback() {
+      if (!this.shadowRoot) this.build();
+      if (this.entry) {
+        this.observe();
+        return;
+      }
+      const id = resolveName(this.getAttribute('name'));
+      if (!id) {
+        this.showMessage(`Unknown section: ${this.getAttribute('name')}`);
+        return;
+      }
+      const owner = claimed.get(id);
+      if (owner && owner !== this) {
+        this.showMessage(`${Procedural.getSection(id).title} is already on this page`);
+        return;
+      }
+      claimed.set(id, this);
+      this.showMessage('Loading…');
+      // Canvases measure text, so the page fonts settle first (core/fonts.js)
+      Promise.all([Procedural.loadSection(id), Procedural.fonts.ready()])
+        .then(([entry]) => this.mount(entry))
+        .catch(e => {
+          console.warn(`<${TAG}> failed to load section:`, id, e);
+          this.showMessage(`Failed to load ${id}`);
+          // Let a later element try again
+          if (claimed.get(id) === this) claimed.delete(id);
+        });
+    }
+
+    disconnectedCallback() {
+      this.unobserve();
+      this.setVisible(false);
+      // Moving the element reconnects it before microtasks run
+      queueMicrotask(() => {
+        if (!this.isConnected) this.release();
+      });
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+      if (!this.entry || oldValue === value) return;
+      if (name === 'seed') this.applySeed();
+      if (name === 'state') this.applyState(parseState(value));
+    }
+
+    // -------------------------------------------------------------------------
+    // Setup
+    // -------------------------------------------------------------------------
+    build() {
+      const root = this.attachShadow({ mode: 'open' });
+      const style = document.createElement('style');
+      style.textContent = STYLE;
+      this.frame = document.createElement('div');
+      this.frame.className = 'frame';
+      root.append(style, this.frame);
+      // Interaction runs a reduced-motion still for a moment, as on the page
+      ['pointerdown', 'input', 'change', 'keydown'].forEach(type => {
+        root.addEventListener(type, () => this.nudge(), true);
+      });
+      // Ctrl+Z / Ctrl+Shift+Z while focus is inside the embed
+      root.addEventListener('keydown', (e) => {
+        if (this.entry && Procedural.history) Procedural.history.handleKey(e, this.entry.id);
+      });
+    }
+
+    showMessage(text) {
+      let message = this.shadowRoot.querySelector('.message');
+      if (!message) {
+        message = document.createElement('div');
+        message.className = 'message';
+        this.frame.appendChild(message);
+      }
+      message.textContent = text;
+    }
+
+    mount(entry) {
+      if (entry.initialized) {
+        this.showMessage(`${entry.title} is already on this page`);
+        return;
+      }
+      this.frame.textContent = '';
+      const container = document.createElement('div');
+      container.id = entry.id;
+      container.className = 'section';
+      container.style.cssText = 'position:relative;width:100%;min-height:100%;';
+      this.frame.appendChild(container);
+
+      // Sections that style themselves through document.head: move those
+      // rules into the shadow root, where they apply and can't leak out
+      const before = new Set(document.head.querySelectorAll('style'));
+      const random = Math.random;
+      const seed = this.getAttribute('seed');
+      if (seed) Math.random = ProceduralCore.mulberry32(ProceduralCore.hash(seed));
+      try {
+        entry.module.init(container);
+        entry.initialized = true;
+      } catch (e) {
+        console.warn(`<${TAG}> failed to init section:`, entry.id, e);
+        this.showMessage(`Failed to start ${entry.id}`);
+        if (claimed.get(entry.id) === this) claimed.delete(entry.id);
+        return;
+      } finally {
+        Math.random = random;
+        document.head.querySelectorAll('style').forEach(style => {
+          if (before.has(style)) return;
+          this.shadowRoot.insertBefore(style, this.frame);
+          this.styles.push(style);
+        });
+      }
+
+      this.entry = entry;
+      // Bound copy lives in the shadow root, out of reach of apply(document)
+      this.offLanguage = Procedural.on('language', () => Procedural.i18n.apply(this.shadowRoot));
+      if (Procedural.motion) {
+        Procedural.motion.apply(entry.id);
+        this.offMotion = Procedural.on('motion', ({ reduced }) => {
+          clearTimeout(this.idleTimer);
+          if (this.visible) this.run(!reduced);
+        });
+      }
+      if (seed) this.applySeed();
+      this.applyState(parseState(this.getAttribute('state')));
+      this.observe();
+    }
+
+    /** Tear the section down (if it has destroy()) and give up the claim on it. */
+    release() {
+      const entry = this.entry;
+      if (!entry || typeof entry.module.destroy !== 'function') return;
+      clearTimeout(this.idleTimer);
+      if (this.offMotion) this.offMotion();
+      if (this.offLanguage) this.offLanguage();
+      try {
+        entry.module.destroy();
+      } catch (e) {
+        console.warn(`<${TAG}> failed to destroy section:`, entry.id, e);
+      }
+      entry.initialized = false;
+      if (Procedural.history) Procedural.history.clear(entry.id);
+      claimed.delete(entry.id);
+      this.entry = this.offMotion = this.offLanguage = null;
+      this.styles.forEach(style => style.remove());
+      this.styles = [];
+      this.frame.textContent = '';
+    }
+
+    applySeed() {
+      const module = this.entry.module;
+      const seed = Number(this.getAttribute('seed'));
+      if (!Number.isFinite(seed) || !module.getState || !module.setState) return;
+      const state = module.getState();
+      if (state && 'seed' in state) this.applyState({ seed });
+    }
+
+    applyState(state) {
+      if (!state || !this.entry.module.setState) return;
+      try {
+        this.entry.module.setState(state);
+      } catch (e) {
+        console.warn(`<${TAG}> failed to apply state:`, this.entry.id, e);
+      }
+    }
+
+    // -------------------------------------------------------------------------
+    // Visibility — same thresholds as the orchestrator: start once a tenth is
+    // on screen, stop when it has left entirely
+    // -------------------------------------------------------------------------
+    observe() {
+      if (this.observer) return;
+      this.observer = new IntersectionObserver(([record]) => {
+        if (record.intersectionRatio > 0.1) this.setVisible(true);
+        else if (record.intersectionRatio === 0) this.setVisible(false);
+      }, { threshold: [0, 0.1] });
+      this.observer.observe(this);
+
+      if (typeof ResizeObserver !== 'undefined') {
+        this.resizeObserver = new ResizeObserver(() => {
+          if (this.entry.module.resize) this.entry.module.resize();
+        });
+        this.resizeObserver.observe(this.frame);
+      }
+    }
+
+    unobserve() {
+      if (this.observer) this.observer.disconnect();
+      if (this.resizeObserver) this.resizeObserver.disconnect();
+      this.observer = this.resizeObserver = null;
+    }
+
+    run(running) {
+      try {
+        if (running) this.entry.module.start();
+        else this.entry.module.stop();
+      } catch (e) {
+        console.warn(`<${TAG}> failed to set active:`, this.entry.id, running, e);
+      }
+    }
+
+    setVisible(visible) {
+      if (!this.entry || visible === this.visible) return;
+      this.visible = visible;
+      clearTimeout(this.idleTimer);
+      if (!visible) this.run(false);
+      else if (Procedural.motion && Procedural.motion.isReduced()) Procedural.motion.still(r => this.run(r));
+      else this.run(true);
+    }
+
+    nudge() {
+      if (!this.entry || !this.visible || !Procedural.motion || !Procedural.motion.isReduced()) return;
+      this.run(true);
+      clearTimeout(this.idleTimer);
+      this.idleTimer = setTimeout(() => {
+        if (Procedural.motion.isReduced()) this.run(false);
+      }, Procedural.motion.IDLE_MS);
+    }
+  }
+
+  if (!customElements.get(TAG)) {
+    customElements.define(TAG, ProceduralSectionElement);
+    Procedural.i18n.use(Procedural.i18n.preferred());
+  }
+
+  return { TAG, resolveName, ProceduralSectionElement };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Procedural.element;
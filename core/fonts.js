@@ -0,0 +1,126 @@
+// =============================================================================
+// FONTS — Self-hosted type and a loading gate
+// Inter and JetBrains Mono load from the files in fonts/ (SIL Open Font
+// License, see fonts/*-OFL.txt), not a font CDN, so a kiosk with no network
+// renders what a laptop online does; an installed copy stands in if a file
+// is missing. Several canvases measure text in these families, so the
+// orchestrator waits on ready() before it initializes a section. A face that
+// still can't load is replaced, under the same family name, by a local
+// system font scaled to its metrics, so lines break and labels fit where
+// they would have:
+//
+//   await Procedural.fonts.ready();
+//   Procedural.fonts.status();   // { Inter: 'loaded' | 'fallback' | 'missing', ... }
+//
+// Emits 'fonts' with the status once every face has settled, which may be
+// after ready() gave up waiting.
+// =============================================================================
+
+Procedural.fonts = (() => {
+  const TIMEOUT_MS = 3000;      // boot anyway if a face hangs
+
+  // Fallback overrides come from each face's ascent, descent and average
+  // advance against the local font's, so both set text in the same room
+  const FACES = [
+    {
+      family: 'Inter',
+      weight: '100 900',
+      local: ['Inter Variable', 'Inter'],
+      file: 'fonts/InterVariable.woff2',
+      metrics: { sizeAdjust: '107.12%', ascentOverride: '90.44%', descentOverride: '22.52%', lineGapOverride: '0%' },
+      fallback: [
+        { weight: '300 500', local: ['Arial', 'ArialMT', 'Helvetica', 'Liberation Sans', 'Arimo'] },
+        { weight: '600 700', local: ['Arial Bold', 'Arial-BoldMT', 'Helvetica Bold', 'Liberation Sans Bold', 'Arimo Bold'] },
+      ],
+    },
+    {
+      family: 'JetBrains Mono',
+      weight: '100 800',
+      local: ['JetBrains Mono'],
+      file: 'fonts/JetBrainsMono.woff2',
+      metrics: { sizeAdjust: '100%', ascentOverride: '102%', descentOverride: '30%', lineGapOverride: '0%' },
+      fallback: [
+        { weight: '400 500', local: ['Courier New', 'CourierNewPSMT', 'Liberation Mono', 'Cousine'] },
+      ],
+    },
+  ];
+
+  const state = {};             // family -> 'loading' | 'loaded' | 'fallback' | 'missing'
+  let pending = null;
+
+  function supported() {
+    return typeof FontFace !== 'undefined' && typeof document !== 'undefined' && !!document.fonts;
+  }
+
+  /** src descriptor: the bundled file first, then installed copies. */
+  function source(names, file) {
+    const list = names.map(name => `local('${name}')`);
+    if (file) list.unshift(`url('${Procedural.resolve(file)}') format('woff2')`);
+    return list.join(', ');
+  }
+
+  function add(family, src, descriptors) {
+    const face = new FontFace(family, src, descriptors);
+    return face.load().then(() => {
+      document.fonts.add(face);
+    });
+  }
+
+  async function loadFace(def) {
+    state[def.family] = 'loading';
+    try {
+      await add(def.family, source(def.local, def.file), { weight: def.weight, display: 'swap' });
+      state[def.family] = 'loaded';
+      return;
+    } catch (e) {
+      // fonts/ unreachable and not installed: fall back below
+    }
+    const results = await Promise.allSettled(def.fallback.map(face =>
+      add(def.family, source(face.local), Object.assign({ weight: face.weight, display: 'swap' }, def.metrics))));
+    const loaded = results.some(r => r.status === 'fulfilled');
+    state[def.family] = loaded ? 'fallback' : 'missing';
+    console.warn(loaded
+      ? `Font ${def.family} failed to load from ${def.file}; using a metrics-matched local font`
+      : `Font ${def.family} not found; using the system font`);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  /** Start loading every face (once); resolves when all have settled. */
+  function load() {
+    if (!pending) {
+      if (!supported()) {
+        FACES.forEach(def => { state[def.family] = 'missing'; });
+        pending = Promise.resolve();
+      } else {
+        pending = Promise.all(FACES.map(loadFace)).then(() => {
+          Procedural.emit('fonts', status());
+        });
+      }
+    }
+    return pending;
+  }
+
+  /** Resolve with status() once the fonts settle, or after TIMEOUT_MS. */
+  function ready() {
+    return Promise.race([
+      load(),
+      new Promise(resolve => setTimeout(resolve, TIMEOUT_MS)),
+    ]).then(status);
+  }
+
+  function status() {
+    return Object.assign({}, state);
+  }
+
+  /** Font files to keep for offline use (for the service worker). */
+  function files() {
+    return FACES.map(def => def.file);
+  }
+
+  return { load, ready, status, files };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Procedural.fonts;
@@ -0,0 +1,122 @@
+// =============================================================================
+// HISTORY — Undo/redo for interactive edits
+// Each section keeps its own stack of reversible commands. A section pushes
+// a command once an edit is finished (a stroke lifted, a drag released, a
+// Clear pressed) — not per pointer move:
+//
+//   const stroke = { points, style };
+//   strokes.push(stroke);
+//   Procedural.history.push('spiderverse-section', {
+//     label: 'Stroke',
+//     undo: () => { strokes.splice(strokes.indexOf(stroke), 1); },
+//     redo: () => { strokes.push(stroke); },
+//   });
+//
+// For edits that are easiest to express as whole snapshots, change() takes a
+// before/after pair and an apply(value) function. The orchestrator routes
+// Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS, and Ctrl+Y) to the section in view.
+// Pushing a new command drops the redo stack. Changes emit 'history' with
+// { id, action ('push'|'undo'|'redo'|'clear'), label, canUndo, canRedo }.
+// =============================================================================
+
+Procedural.history = (() => {
+  const LIMIT = 100;            // commands kept per section
+
+  const stacks = new Map();     // section id -> { done: [], undone: [] }
+  let replaying = false;        // an undo/redo is running; ignore pushes it causes
+
+  function stack(id) {
+    let s = stacks.get(id);
+    if (!s) {
+      s = { done: [], undone: [] };
+      stacks.set(id, s);
+    }
+    return s;
+  }
+
+  function notify(id, action, label) {
+    Procedural.emit('history', { id, action, label: label || '', canUndo: canUndo(id), canRedo: canRedo(id) });
+  }
+
+  /** Record a finished edit: { label, undo(), redo() }. */
+  function push(id, command) {
+    if (replaying || !id || !command || typeof command.undo !== 'function' || typeof command.redo !== 'function') return;
+    const s = stack(id);
+    s.done.push(command);
+    if (s.done.length > LIMIT) s.done.shift();
+    s.undone.length = 0;
+    notify(id, 'push', command.label);
+  }
+
+  /**
+   * Record a snapshot edit: undo calls apply(before), redo apply(after).
+   * Nothing is recorded when both serialize the same.
+   */
+  function change(id, label, before, after, apply) {
+    if (JSON.stringify(before) === JSON.stringify(after)) return;
+    push(id, { label, undo: () => apply(before), redo: () => apply(after) });
+  }
+
+  function replay(id, from, to, method) {
+    const s = stacks.get(id);
+    if (!s || !s[from].length) return null;
+    const command = s[from].pop();
+    replaying = true;
+    try {
+      command[method]();
+    } catch (e) {
+      console.warn(`Failed to ${method}:`, id, command.label, e);
+    } finally {
+      replaying = false;
+    }
+    s[to].push(command);
+    notify(id, method, command.label);
+    return command.label || '';
+  }
+
+  /** Undo the section's last edit. Returns its label, or null if none. */
+  function undo(id) {
+    return replay(id, 'done', 'undone', 'undo');
+  }
+
+  function redo(id) {
+    return replay(id, 'undone', 'done', 'redo');
+  }
+
+  function canUndo(id) {
+    const s = stacks.get(id);
+    return !!(s && s.done.length);
+  }
+
+  function canRedo(id) {
+    const s = stacks.get(id);
+    return !!(s && s.undone.length);
+  }
+
+  /** Forget a section's history, e.g. when its state is replaced wholesale. */
+  function clear(id) {
+    if (!stacks.delete(id)) return;
+    notify(id, 'clear');
+  }
+
+  /**
+   * Undo/redo for a keydown, if it is one: Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z or
+   * Ctrl+Y. Text fields keep their own undo. Returns true when handled.
+   */
+  function handleKey(e, id) {
+    if (!id || !(e.ctrlKey || e.metaKey) || e.altKey) return false;
+    const key = e.key.toLowerCase();
+    const isRedo = (key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey);
+    if (key !== 'z' && !isRedo) return false;
+    const target = e.composedPath ? e.composedPath()[0] : e.target;
+    if (target && target.closest && target.closest('input[type=text], input[type=number], input:not([type]), textarea, [contenteditable]')) return false;
+    e.preventDefault();
+    if (isRedo) redo(id);
+    else undo(id);
+    return true;
+  }
+
+  return { LIMIT, push, change, undo, redo, canUndo, canRedo, clear, handleKey };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Procedural.history;
@@ -0,0 +1,323 @@
+// =============================================================================
+// I18N — Message catalogs, per-section namespaces, language switching
+// English copy stays next to the code that shows it. A section declares its
+// strings once, under its own id, and reads or binds them from there:
+//
+//   const copy = Procedural.i18n.namespace('spiderverse-section', {
+//     title: 'Artist demonstrates intent, AI fills in the in-betweens',
+//     more: { one: 'Place {count} more anchor', other: 'Place {count} more anchors' },
+//   });
+//   copy.text(titleEl, 'title');         // textContent now and after a switch
+//   copy.attr(button, 'aria-label', 'clear');
+//   ctx.fillText(copy('more', { count: 2 }), x, y);   // canvas: read every frame
+//
+// Translations live in locales/<lang>.js, loaded on first use, as
+// Procedural.i18n.define('de', { 'spiderverse-section': { title: '…' } }).
+// Missing keys fall back to English. `{name}` placeholders take params;
+// a { one, other, … } message picks its form from params.count. Static
+// markup opts in with data-i18n="namespace:key" (data-i18n-html for copy
+// with markup) and keeps its English as written. use(lang) re-applies every
+// binding in the document and emits 'language' with { lang }; canvas text
+// updates on the next frame. fitText() keeps canvas-drawn headers inside
+// their box when a translation runs longer than the English.
+// =============================================================================
+
+Procedural.i18n = (() => {
+  const LANGUAGES = { en: 'English', de: 'Deutsch', ja: '日本語' };
+  const DEFAULT = 'en';
+  const STORAGE_KEY = 'procedural-lang';
+  const ELLIPSIS = '…';
+
+  const catalogs = { en: {} };  // lang -> namespace -> key -> message
+  const originals = new WeakMap(); // markup element -> its English copy
+  const loading = new Map();    // lang -> Promise while its file loads
+  let lang = DEFAULT;
+  let plurals = null;
+
+  function merge(code, messages) {
+    const catalog = catalogs[code] || (catalogs[code] = {});
+    Object.keys(messages).forEach(ns => {
+      catalog[ns] = Object.assign(catalog[ns] || {}, messages[ns]);
+    });
+  }
+
+  function lookup(ns, key) {
+    const current = catalogs[lang] && catalogs[lang][ns];
+    if (current && current[key] !== undefined) return current[key];
+    const english = catalogs[DEFAULT][ns];
+    return english ? english[key] : undefined;
+  }
+
+  function pluralForm(count) {
+    if (!plurals || plurals.resolvedOptions().locale.split('-')[0] !== lang) {
+      plurals = typeof Intl !== 'undefined' ? new Intl.PluralRules(lang) : null;
+    }
+    return plurals ? plurals.select(count) : (count === 1 ? 'one' : 'other');
+  }
+
+  function format(message, params) {
+    let text = message;
+    if (text && typeof text === 'object') {
+      const count = params ? Number(params.count) : NaN;
+      text = text[Number.isFinite(count) ? pluralForm(count) : 'other'] || text.other || '';
+    }
+    if (!params) return String(text);
+    return String(text).replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+  }
+
+  /** `ns:key` for a binding, split back by resolve(). */
+  function resolve(binding) {
+    const i = binding.indexOf(':');
+    return i < 0 ? { ns: '', key: binding } : { ns: binding.slice(0, i), key: binding.slice(i + 1) };
+  }
+
+  function message(binding, params, fallback) {
+    const { ns, key } = resolve(binding);
+    const found = lookup(ns, key);
+    return found === undefined ? fallback : format(found, params);
+  }
+
+  function readParams(el) {
+    try {
+      return el.dataset.i18nParams ? JSON.parse(el.dataset.i18nParams) : undefined;
+    } catch (e) {
+      return undefined;
+    }
+  }
+
+  function applyElement(el) {
+    const params = readParams(el);
+    if (el.dataset.i18n) {
+      if (!originals.has(el)) originals.set(el, el.textContent);
+      const text = message(el.dataset.i18n, params, originals.get(el));
+      if (el.textContent !== text) el.textContent = text;
+    }
+    if (el.dataset.i18nHtml) {
+      if (!originals.has(el)) originals.set(el, el.innerHTML);
+      const html = message(el.dataset.i18nHtml, params, originals.get(el));
+      if (el.innerHTML !== html) el.innerHTML = html;
+    }
+    if (el.dataset.i18nAttrs) {
+      const attrs = JSON.parse(el.dataset.i18nAttrs);
+      Object.keys(attrs).forEach(name => {
+        const text = message(attrs[name], params, el.getAttribute(name));
+        if (text != null) el.setAttribute(name, text);
+      });
+    }
+  }
+
+  function setParams(el, params) {
+    if (params) el.dataset.i18nParams = JSON.stringify(params);
+    else delete el.dataset.i18nParams;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  /** Add translations: { namespace: { key: message } } for `lang`. */
+  function define(code, messages) {
+    merge(code, messages || {});
+  }
+
+  /**
+   * Register a namespace's English messages and get its translator:
+   * copy(key, params) returns the string in the current language, and
+   * copy.text / .html / .attr bind an element so a switch re-translates it.
+   */
+  function namespace(ns, english) {
+    merge(DEFAULT, { [ns]: english || {} });
+
+    function t(key, params) {
+      const found = lookup(ns, key);
+      return found === undefined ? key : format(found, params);
+    }
+
+    t.ns = ns;
+
+    /** Add English messages to the namespace (e.g. parameter labels). */
+    t.add = (messages) => {
+      merge(DEFAULT, { [ns]: messages });
+      return t;
+    };
+
+    t.text = (el, key, params) => {
+      el.dataset.i18n = `${ns}:${key}`;
+      setParams(el, params);
+      el.textContent = t(key, params);
+      return el;
+    };
+
+    // Catalogs are part of the code, so their markup is trusted
+    t.html = (el, key, params) => {
+      el.dataset.i18nHtml = `${ns}:${key}`;
+      setParams(el, params);
+      el.innerHTML = t(key, params);
+      return el;
+    };
+
+    t.attr = (el, name, key, params) => {
+      const attrs = el.dataset.i18nAttrs ? JSON.parse(el.dataset.i18nAttrs) : {};
+      attrs[name] = `${ns}:${key}`;
+      el.dataset.i18nAttrs = JSON.stringify(attrs);
+      if (params) setParams(el, params);
+      el.setAttribute(name, t(key, params));
+      return el;
+    };
+
+    return t;
+  }
+
+  /**
+   * The message for `key` in namespace `ns`, formatted with `params`, or
+   * undefined when neither the current language nor English has it.
+   */
+  function text(ns, key, params) {
+    const found = lookup(ns, key);
+    return found === undefined ? undefined : format(found, params);
+  }
+
+  /** Re-translate every bound element under `root` (default: the document). */
+  function apply(root) {
+    const scope = root || document;
+    scope.querySelectorAll('[data-i18n], [data-i18n-html], [data-i18n-attrs]').forEach(applyElement);
+  }
+
+  /** The language to start in: ?lang=, the last choice, then the browser's. */
+  function preferred() {
+    const candidates = [];
+    try {
+      candidates.push(new URLSearchParams(location.search).get('lang'));
+      candidates.push(localStorage.getItem(STORAGE_KEY));
+    } catch (e) {
+      // storage refused (private window, file://)
+    }
+    candidates.push(document.documentElement.getAttribute('lang'));
+    if (typeof navigator !== 'undefined') candidates.push(...(navigator.languages || [navigator.language]));
+    const match = candidates
+      .filter(Boolean)
+      .map(code => String(code).toLowerCase().split('-')[0])
+      .find(code => LANGUAGES[code]);
+    return match || DEFAULT;
+  }
+
+  function load(code) {
+    if (code === DEFAULT || catalogs[code]) return Promise.resolve();
+    if (!loading.has(code)) {
+      loading.set(code, Procedural.loadScript(`locales/${code}.js`).finally(() => loading.delete(code)));
+    }
+    return loading.get(code);
+  }
+
+  /**
+   * Switch to `code` (see LANGUAGES), loading its catalog first. Resolves
+   * with the language in use; unknown codes and failed loads keep English.
+   */
+  async function use(code, options) {
+    const next = LANGUAGES[code] ? code : DEFAULT;
+    try {
+      await load(next);
+      lang = next;
+    } catch (e) {
+      console.warn('Failed to load language:', next, e);
+      lang = DEFAULT;
+    }
+    if (options && options.remember) {
+      try {
+        localStorage.setItem(STORAGE_KEY, lang);
+      } catch (e) {
+        // the choice lasts until the page closes
+      }
+    }
+    document.documentElement.setAttribute('lang', lang);
+    apply(document);
+    Procedural.emit('language', { lang });
+    return lang;
+  }
+
+  function language() {
+    return lang;
+  }
+
+  /** A number in the current language's format (Intl options welcome). */
+  function number(value, options) {
+    return typeof Intl !== 'undefined' ? new Intl.NumberFormat(lang, options).format(value) : String(value);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Canvas text fitting
+  // ---------------------------------------------------------------------------
+
+  // Latin words stay whole; CJK text may break between any two characters
+  const CJK = '\u3000-\u30ff\u3400-\u9fff\uf900-\ufaff\uff00-\uffef';
+  const TOKEN = new RegExp(`[${CJK}]|[^\\s${CJK}]+|\\s+`, 'g');
+
+  function tokens(text) {
+    return String(text).match(TOKEN) || [];
+  }
+
+  function wrap(ctx, text, maxWidth) {
+    const lines = [];
+    let line = '';
+    tokens(text).forEach(token => {
+      if (/^\s+$/.test(token)) {
+        if (line) line += ' ';
+        return;
+      }
+      const next = line + token;
+      if (line && ctx.measureText(next).width > maxWidth) {
+        lines.push(line.trimEnd());
+        line = token;
+      } else {
+        line = next;
+      }
+    });
+    if (line.trim()) lines.push(line.trimEnd());
+    return lines;
+  }
+
+  function truncate(ctx, line, maxWidth) {
+    if (ctx.measureText(line).width <= maxWidth) return line;
+    let text = line.endsWith(ELLIPSIS) ? line.slice(0, -1) : line;
+    while (text && ctx.measureText(text + ELLIPSIS).width > maxWidth) text = text.slice(0, -1);
+    return text.trimEnd() + ELLIPSIS;
+  }
+
+  /**
+   * Fit `text` into `maxWidth` on a canvas: try `size` down to `minSize`,
+   * wrapping into at most `maxLines` lines, and cut the last line with an
+   * ellipsis if even the smallest size overflows. `font(size)` builds the
+   * CSS font string; ctx.font is left set to the chosen size. Returns
+   * { lines, size, lineHeight, height } for the caller to draw.
+   */
+  function fitText(ctx, text, maxWidth, options) {
+    const opts = options || {};
+    const size = opts.size || 14;
+    const minSize = Math.min(size, opts.minSize || Math.ceil(size * 0.7));
+    const maxLines = opts.maxLines || 1;
+    const leading = opts.leading || 1.3;
+    let lines = [];
+    let s = size;
+    for (; s >= minSize; s--) {
+      ctx.font = opts.font(s);
+      lines = wrap(ctx, text, maxWidth);
+      if (lines.length <= maxLines && lines.every(line => ctx.measureText(line).width <= maxWidth)) break;
+    }
+    if (s < minSize) {
+      s = minSize;
+      ctx.font = opts.font(s);
+      lines = wrap(ctx, text, maxWidth);
+      if (lines.length > maxLines) {
+        lines = lines.slice(0, maxLines);
+        lines[maxLines - 1] += ELLIPSIS;
+      }
+      lines = lines.map(line => truncate(ctx, line, maxWidth));
+    }
+    const lineHeight = Math.round(s * leading);
+    return { lines, size: s, lineHeight, height: lines.length * lineHeight };
+  }
+
+  return { LANGUAGES, define, namespace, text, apply, preferred, use, language, number, fitText };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Procedural.i18n;
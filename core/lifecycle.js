@@ -0,0 +1,212 @@
+// =============================================================================
+// LIFECYCLE — Unloading sections and hot-reloading their scripts
+// Sections that implement destroy() can be taken down and brought back. The
+// orchestrator unloads the ones scrolled far away when memory runs short,
+// least recently seen first; scrolling back re-inits them with the state
+// they had:
+//
+//   Procedural.lifecycle.trim(id => visibility[id] > 0);  // spare on-screen ones
+//   Procedural.lifecycle.unload('planets-section');        // one section, now
+//   await Procedural.lifecycle.reload('planets');          // re-run its script
+//
+// destroy() must undo everything init() did — listeners on window/document,
+// rAF handles, timers, palette subscriptions, DOM — so init() can run again
+// on the same element. Unloading emits 'unload' and a finished reload
+// 'reload', both with { id }; the orchestrator re-inits a reloaded section
+// that is on screen. With ?hot the page polls loaded section scripts and
+// reloads the ones that change (needs a dev server; file:// can't fetch).
+// =============================================================================
+
+Procedural.lifecycle = (() => {
+  const LIVE_PER_GB = 2;        // initialized sections per GB of device memory
+  const DEFAULT_LIVE = 8;       // when the browser doesn't say
+  const MIN_LIVE = 3;
+  const HEAP_PRESSURE = 0.7;    // used / limit of the JS heap, where reported
+  const WATCH_MS = 1000;
+
+  const saved = new Map();      // section id -> getState() from before unloading
+  const lastSeen = new Map();   // section id -> time it was last in view
+  const sources = new Map();    // section id -> script text, while watching
+  let budget = defaultBudget();
+  let watchTimer = null;
+
+  function defaultBudget() {
+    const gb = typeof navigator !== 'undefined' && navigator.deviceMemory;
+    return gb ? Math.max(MIN_LIVE, Math.round(gb * LIVE_PER_GB)) : DEFAULT_LIVE;
+  }
+
+  Procedural.on('active', ({ id }) => seen(id));
+
+  // Back from an unload: the placeholder height goes, the state comes back
+  Procedural.on('init', ({ id }) => {
+    seen(id);
+    const el = document.getElementById(id);
+    if (el) el.style.minHeight = '';
+    if (!saved.has(id)) return;
+    const state = saved.get(id);
+    saved.delete(id);
+    const entry = Procedural.getSection(id);
+    if (!entry.module.setState) return;
+    try {
+      entry.module.setState(state);
+    } catch (e) {
+      console.warn('Failed to restore state:', id, e);
+    }
+  });
+
+  function seen(id) {
+    lastSeen.set(id, performance.now());
+  }
+
+  function canUnload(entry) {
+    return !!(entry && entry.initialized && typeof entry.module.destroy === 'function');
+  }
+
+  function live() {
+    return Procedural.getSections().filter(entry => entry.initialized);
+  }
+
+  /** True when the heap is nearly full or more sections are up than the budget allows. */
+  function underPressure() {
+    const memory = typeof performance !== 'undefined' && performance.memory;
+    if (memory && memory.jsHeapSizeLimit && memory.usedJSHeapSize / memory.jsHeapSizeLimit > HEAP_PRESSURE) return true;
+    return live().length > budget;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Stop and destroy a section, keeping its state for the next init. The
+   * element keeps its height so the page doesn't jump. Returns false for
+   * sections that aren't up or have no destroy().
+   */
+  function unload(id) {
+    const entry = Procedural.getSection(id);
+    if (!canUnload(entry)) return false;
+    const module = entry.module;
+    if (module.getState) {
+      try {
+        saved.set(id, module.getState());
+      } catch (e) {
+        saved.delete(id);
+      }
+    }
+    const el = document.getElementById(id);
+    if (el) el.style.minHeight = `${el.offsetHeight}px`;
+    try {
+      module.stop();
+      module.destroy();
+    } catch (e) {
+      console.warn('Failed to destroy section:', id, e);
+    }
+    entry.initialized = false;
+    Procedural.history.clear(id);
+    Procedural.emit('unload', { id });
+    return true;
+  }
+
+  /**
+   * While under pressure, unload the least recently seen sections that
+   * `isProtected(id)` doesn't spare. Returns the ids unloaded.
+   */
+  function trim(isProtected) {
+    const spare = isProtected || (() => false);
+    const candidates = live()
+      .filter(entry => canUnload(entry) && !spare(entry.id))
+      .sort((a, b) => (lastSeen.get(a.id) || 0) - (lastSeen.get(b.id) || 0));
+    const unloaded = [];
+    while (candidates.length && underPressure()) {
+      const entry = candidates.shift();
+      if (unload(entry.id)) unloaded.push(entry.id);
+    }
+    return unloaded;
+  }
+
+  /** How many sections may stay initialized; no argument resets to the device default. */
+  function setBudget(count) {
+    const n = Math.floor(Number(count));
+    budget = n > 0 ? n : defaultBudget();
+  }
+
+  function getBudget() {
+    return budget;
+  }
+
+  function fetchSource(entry) {
+    return fetch(Procedural.resolve(entry.script), { cache: 'no-store' }).then(res => {
+      if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+      return res.text();
+    });
+  }
+
+  // A section script declares its module with a top-level const, which can't
+  // be declared twice in one page, so the new copy runs in its own scope
+  function run(entry, source) {
+    const script = document.createElement('script');
+    script.textContent = `(function () {\n${source}\n})();\n//# sourceURL=${Procedural.resolve(entry.script)}`;
+    document.head.appendChild(script);
+    script.remove();
+  }
+
+  /**
+   * Re-run a section's script without reloading the page: unload the old
+   * module, run the new one, restore the state. Resolves with the entry.
+   */
+  async function reload(name, source) {
+    const entry = Procedural.findSection(name);
+    if (!entry || !entry.script) throw new Error(`Unknown section: ${name}`);
+    const text = source === undefined ? await fetchSource(entry) : source;
+    const previous = entry.module;
+    if (previous && !unload(entry.id) && entry.initialized) {
+      throw new Error(`${entry.id} has no destroy(); reload the page instead`);
+    }
+    run(entry, text);
+    if (entry.module === previous) throw new Error(`${entry.script} did not register ${entry.id}`);
+    if (watchTimer) sources.set(entry.id, text);
+    Procedural.emit('reload', { id: entry.id });
+    return entry;
+  }
+
+  async function poll() {
+    const loaded = Procedural.getSections().filter(entry => entry.module && entry.script);
+    for (const entry of loaded) {
+      let text;
+      try {
+        text = await fetchSource(entry);
+      } catch (e) {
+        console.warn('Hot reload stopped; scripts could not be fetched:', e);
+        unwatch();
+        return;
+      }
+      if (!watchTimer) return;
+      const known = sources.get(entry.id);
+      sources.set(entry.id, text);
+      if (known === undefined || known === text) continue;
+      try {
+        await reload(entry.id, text);
+        console.info('Reloaded', entry.script);
+      } catch (e) {
+        console.warn('Failed to reload section:', entry.id, e);
+      }
+    }
+    if (watchTimer) watchTimer = setTimeout(poll, WATCH_MS);
+  }
+
+  /** Poll loaded section scripts and reload the ones that change (dev only). */
+  function watch() {
+    if (watchTimer) return;
+    watchTimer = setTimeout(poll, 0);
+  }
+
+  function unwatch() {
+    clearTimeout(watchTimer);
+    watchTimer = null;
+    sources.clear();
+  }
+
+  return { unload, trim, underPressure, setBudget, getBudget, reload, watch, unwatch };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Procedural.lifecycle;
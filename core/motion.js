@@ -0,0 +1,93 @@
+// =============================================================================
+// MOTION — Reduced-motion preference
+// Follows the system's prefers-reduced-motion setting unless the page
+// overrides it (?motion=reduce / ?motion=full, or the M key). While motion is
+// reduced the orchestrator and <procedural-section> show each section as a
+// settled still and only run its loop while someone is using it (IDLE_MS
+// after the last input); CSS transitions are switched off
+// through the `reduced-motion` class on <html>. Modules with effects of their
+// own to hold back (auto-advance, flashes) opt in with setReducedMotion(on).
+// =============================================================================
+
+Procedural.motion = (() => {
+  const STILL_FRAMES = 45;      // frames a still is settled for
+  const IDLE_MS = 2000;         // keep running this long after the last input
+  const query = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+  let preference = null;        // 'reduce' | 'full' | null to follow the system
+  let reduced = compute();
+
+  function compute() {
+    if (preference) return preference === 'reduce';
+    return !!(query && query.matches);
+  }
+
+  /** Pass the current mode to a section's setReducedMotion(), if it has one. */
+  function apply(id) {
+    const entry = Procedural.getSection(id);
+    if (!entry || !entry.initialized || !entry.module.setReducedMotion) return;
+    try {
+      entry.module.setReducedMotion(reduced);
+    } catch (e) {
+      console.warn('Failed to set reduced motion:', id, e);
+    }
+  }
+
+  function update() {
+    const next = compute();
+    document.documentElement.classList.toggle('reduced-motion', next);
+    if (next === reduced) return;
+    reduced = next;
+    Procedural.getSections().forEach(entry => apply(entry.id));
+    Procedural.emit('motion', { reduced });
+  }
+
+  if (query) {
+    if (query.addEventListener) query.addEventListener('change', update);
+    else if (query.addListener) query.addListener(update);
+  }
+  document.documentElement.classList.toggle('reduced-motion', reduced);
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  /** 'reduce' or 'full' overrides the system setting; anything else follows it. */
+  function set(value) {
+    preference = value === 'reduce' || value === 'full' ? value : null;
+    update();
+  }
+
+  function get() {
+    return preference;
+  }
+
+  function isReduced() {
+    return reduced;
+  }
+
+  /**
+   * Draw a still: run(true), step STILL_FRAMES frames instantly on the
+   * virtual clock, run(false) — so particle trails, webs and layouts have
+   * formed. The frames end at the present, so no loop sees time go back.
+   * While something else (a capture) owns the clock this does nothing.
+   */
+  function still(run) {
+    const determinism = Procedural.determinism;
+    if (determinism.isVirtual()) return;
+    const frameMs = 1000 / 60;
+    const now = performance.now();
+    determinism.useVirtualTime({ frameMs, start: now - STILL_FRAMES * frameMs, epoch: Date.now() - now });
+    try {
+      run(true);
+      determinism.advance(STILL_FRAMES);
+      run(false);
+    } finally {
+      determinism.useRealTime();
+    }
+  }
+
+  return { IDLE_MS, set, get, isReduced, apply, still };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Procedural.motion;
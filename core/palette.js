@@ -0,0 +1,88 @@
+// =============================================================================
+// PALETTE — Shared colors across sections
+// ColorBox can publish the ramp it generates; sections that subscribe re-skin
+// themselves while it changes and go back to their own colors when it stops:
+//
+//   Procedural.palette.subscribe(colors => {
+//     if (!colors) { restoreOwnColors(); return; }
+//     const [a, b, c] = Procedural.palette.pick(colors, 3, [0.45, 0.85]);
+//     agentColor = a.hex;
+//   });
+//
+// Colors are { hex, rgb: [r, g, b], l } with HSL lightness l in 0..1, in the
+// publisher's order (ColorBox: light to dark). Publishing is opt-in — the
+// toggle lives in ColorBox — and emits 'palette' with { source, colors }.
+// =============================================================================
+
+Procedural.palette = (() => {
+  let current = null;           // { source, colors } while someone publishes
+
+  function normalize(color) {
+    const rgb = Array.isArray(color)
+      ? color.slice(0, 3)
+      : color && color.rgb ? color.rgb.slice(0, 3) : ProceduralCore.hexToRgb(color && color.hex || color);
+    if (rgb.length !== 3 || !rgb.every(Number.isFinite)) return null;
+    const clamped = rgb.map(v => Math.round(Math.max(0, Math.min(255, v))));
+    return { hex: ProceduralCore.rgbToHex(...clamped), rgb: clamped, l: ProceduralCore.rgbToHsl(...clamped)[2] };
+  }
+
+  /**
+   * Share `colors` — hex strings, [r, g, b] or objects with `rgb`/`hex` — as
+   * the page palette, replacing any other source's.
+   */
+  function publish(source, colors) {
+    const list = (colors || []).map(normalize).filter(Boolean);
+    if (!list.length) {
+      clear(source);
+      return;
+    }
+    current = { source, colors: list };
+    Procedural.emit('palette', { source, colors: list.slice() });
+  }
+
+  /** Stop sharing; subscribers get null and restore their own colors. */
+  function clear(source) {
+    if (!current || (source && current.source !== source)) return;
+    current = null;
+    Procedural.emit('palette', { source, colors: null });
+  }
+
+  function get() {
+    return current ? current.colors.slice() : null;
+  }
+
+  /** Call fn(colors or null) now if a palette is out, then on every change. */
+  function subscribe(fn) {
+    const off = Procedural.on('palette', ({ colors }) => fn(colors));
+    if (current) fn(get());
+    return off;
+  }
+
+  /**
+   * `count` colors spread evenly along the ramp. With `range` ([lo, hi]
+   * lightness), only colors inside it are used — e.g. the ones that read on
+   * the page's dark ground — unless fewer than two qualify.
+   */
+  function pick(colors, count, range) {
+    let pool = colors;
+    if (range) {
+      const inside = colors.filter(c => c.l >= range[0] && c.l <= range[1]);
+      if (inside.length >= 2) pool = inside;
+    }
+    const out = [];
+    for (let i = 0; i < count; i++) {
+      const t = count === 1 ? 0.5 : i / (count - 1);
+      out.push(pool[Math.round(t * (pool.length - 1))]);
+    }
+    return out;
+  }
+
+  /** CSS rgba() for a palette color. */
+  function rgba(color, alpha) {
+    return ProceduralCore.rgbToCss(...color.rgb, alpha);
+  }
+
+  return { publish, clear, get, subscribe, pick, rgba };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Procedural.palette;
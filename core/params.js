@@ -0,0 +1,462 @@
+// =============================================================================
+// PARAMS — Typed parameter schemas and a shared control panel
+// A section declares its knobs once:
+//
+//   const SCHEMA = Procedural.params.define({
+//     density: { type: 'range', label: 'Density', min: 0, max: 1, step: 0.01, default: 0.5 },
+//     style:   { type: 'enum', label: 'Style', options: ['mixed', 'stipple'], default: 'mixed' },
+//     trails:  { type: 'toggle', label: 'Trails', default: true, group: 'Behaviors' },
+//     tint:    { type: 'color', label: 'Tint', default: '#6a8cff' },
+//     seed:    { type: 'seed', label: 'Seed' },
+//   });
+//
+// and gets, from that one table: defaults(), validate() for setState (clamped
+// and snapped to step, unknown or malformed keys dropped), pick() for
+// getState, randomize(), and createPanel(), which builds the controls and
+// writes straight into the section's values object. Sections expose the
+// schema as `module.schema`, so presets and scripts can read it too.
+//
+// Common fields: label, group (consecutive params with the same group share
+// a titled block), default, format(value) for the readout, random: false to
+// keep a param out of randomize() (or [lo, hi] to narrow a range), panel:
+// false to leave it off the panel, when(values) to dim the control while it
+// has no effect. With a `messages` option (a core/i18n.js namespace) the
+// panel's title, labels, group titles and options are translated as
+// `panel.title`, `param.<key>`, `group.<name>` and `option.<key>.<value>`.
+// =============================================================================
+
+Procedural.params = (() => {
+  const TYPES = ['range', 'enum', 'toggle', 'color', 'seed'];
+  const SEED_MAX = 999999;
+
+  const styledRoots = new WeakSet();
+
+  const copy = Procedural.i18n.namespace('params', {
+    reset: 'Reset',
+    randomize: 'Randomize',
+    newSeed: 'New seed',
+  });
+
+  const STYLE = `
+    .pp-panel {
+      --pp-accent: rgba(100, 140, 255, 0.8);
+      --pp-text: rgba(232, 230, 227, 0.55);
+      --pp-track: rgba(255, 255, 255, 0.1);
+      display: flex; flex-direction: column; gap: 14px;
+      font-family: 'JetBrains Mono', 'SF Mono', monospace;
+    }
+    .pp-panel.pp-row { flex-direction: row; flex-wrap: wrap; gap: 20px 24px; align-items: flex-start; }
+    .pp-row > .pp-control, .pp-row > .pp-group { flex: 1; min-width: 160px; }
+    .pp-group { display: flex; flex-direction: column; gap: 10px; }
+    .pp-panel:not(.pp-row) > .pp-control + .pp-group,
+    .pp-panel:not(.pp-row) > .pp-group + .pp-group {
+      border-top: 1px solid rgba(255, 255, 255, 0.06); padding-top: 14px;
+    }
+    .pp-group-title, .pp-label span {
+      font-size: 10px; letter-spacing: 0.08em; text-transform: uppercase;
+      color: var(--pp-text);
+    }
+    .pp-group-title { font-weight: 600; opacity: 0.8; }
+    .pp-control { display: flex; flex-direction: column; gap: 6px; transition: opacity 0.2s; }
+    .pp-control.pp-off { opacity: 0.35; pointer-events: none; }
+    .pp-label { display: flex; justify-content: space-between; align-items: baseline; gap: 8px; }
+    .pp-label .pp-value {
+      text-transform: none; letter-spacing: 0; color: var(--pp-accent);
+      font-variant-numeric: tabular-nums;
+    }
+    .pp-slider {
+      -webkit-appearance: none; appearance: none; width: 100%; height: 4px; margin: 4px 0;
+      border-radius: 2px; background: var(--pp-track); outline: none; cursor: pointer;
+    }
+    .pp-slider::-webkit-slider-thumb {
+      -webkit-appearance: none; appearance: none; width: 12px; height: 12px;
+      border-radius: 50%; background: var(--pp-accent); border: none; cursor: pointer;
+    }
+    .pp-slider::-moz-range-thumb {
+      width: 12px; height: 12px; border-radius: 50%;
+      background: var(--pp-accent); border: none; cursor: pointer;
+    }
+    .pp-slider:focus-visible, .pp-select:focus-visible, .pp-number:focus-visible,
+    .pp-toggle:focus-visible, .pp-button:focus-visible {
+      outline: 2px solid var(--pp-accent); outline-offset: 2px;
+    }
+    .pp-select, .pp-number, .pp-button {
+      background: rgba(255, 255, 255, 0.06); border: 1px solid rgba(255, 255, 255, 0.1);
+      border-radius: 6px; color: #e8e6e3; padding: 5px 8px;
+      font: 12px 'JetBrains Mono', 'SF Mono', monospace;
+    }
+    .pp-button { cursor: pointer; }
+    .pp-button:hover { border-color: var(--pp-accent); }
+    .pp-seed-row, .pp-actions { display: flex; gap: 6px; }
+    .pp-number { flex: 1; min-width: 0; }
+    .pp-color {
+      width: 100%; height: 24px; padding: 0; border: 1px solid rgba(255, 255, 255, 0.1);
+      border-radius: 6px; background: transparent; cursor: pointer;
+    }
+    .pp-toggle-row { flex-direction: row; justify-content: space-between; align-items: center; }
+    .pp-toggle {
+      position: relative; flex: none; width: 32px; height: 18px; padding: 0; border: none;
+      border-radius: 9px; background: var(--pp-track); cursor: pointer; transition: background 0.2s;
+    }
+    .pp-toggle::after {
+      content: ''; position: absolute; top: 2px; left: 2px; width: 14px; height: 14px;
+      border-radius: 50%; background: rgba(255, 255, 255, 0.5);
+      transition: transform 0.2s cubic-bezier(0.4, 0, 0.2, 1), background 0.2s;
+    }
+    .pp-toggle[aria-pressed="true"]::after { transform: translateX(14px); background: var(--pp-accent); }
+  `;
+
+  // ---------------------------------------------------------------------------
+  // Schema
+  // ---------------------------------------------------------------------------
+
+  function decimalsOf(step) {
+    const [mantissa, exponent] = String(step).split('e-');
+    const fraction = (mantissa.split('.')[1] || '').length;
+    return fraction + (exponent ? Number(exponent) : 0);
+  }
+
+  /** Normalize `{ key: def }` into an ordered array of defs with `key` set. */
+  function define(spec) {
+    return Object.freeze(Object.keys(spec).map(key => {
+      const def = { key, label: key, ...spec[key] };
+      if (!TYPES.includes(def.type)) throw new Error(`Unknown param type for ${key}: ${def.type}`);
+      if (def.type === 'range') {
+        if (!Number.isFinite(def.min) || !Number.isFinite(def.max)) throw new Error(`Range param ${key} needs min and max`);
+        if (!(def.step > 0)) def.step = (def.max - def.min) / 100;
+        if (!Number.isFinite(def.decimals)) def.decimals = decimalsOf(def.step);
+        if (def.default === undefined) def.default = def.min;
+      } else if (def.type === 'enum') {
+        def.options = def.options.map(o => (typeof o === 'object' ? o : { value: o, label: String(o) }));
+        if (def.default === undefined) def.default = def.options[0].value;
+      } else if (def.type === 'toggle') {
+        def.default = !!def.default;
+      } else if (def.type === 'color') {
+        if (def.default === undefined) def.default = '#ffffff';
+      } else if (def.type === 'seed') {
+        if (!Number.isFinite(def.max)) def.max = SEED_MAX;
+        if (def.default === undefined) def.default = 1;
+      }
+      return Object.freeze(def);
+    }));
+  }
+
+  function isNumeric(value) {
+    return typeof value === 'number' || (typeof value === 'string' && value.trim() !== '');
+  }
+
+  /** Coerce one value to its def, or undefined when it can't be used. */
+  function coerce(def, value) {
+    switch (def.type) {
+      case 'range': {
+        const v = Number(value);
+        if (!isNumeric(value) || !Number.isFinite(v)) return undefined;
+        const snapped = def.min + Math.round((v - def.min) / def.step) * def.step;
+        return Math.max(def.min, Math.min(def.max, +snapped.toFixed(def.decimals)));
+      }
+      case 'enum': {
+        const match = def.options.find(o => o.value === value || String(o.value) === String(value));
+        return match ? match.value : undefined;
+      }
+      case 'toggle':
+        return typeof value === 'boolean' ? value : undefined;
+      case 'color':
+        return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : undefined;
+      case 'seed': {
+        const v = Number(value);
+        if (!isNumeric(value) || !Number.isFinite(v)) return undefined;
+        return Math.max(0, Math.min(def.max, Math.round(v)));
+      }
+    }
+    return undefined;
+  }
+
+  function defaults(schema) {
+    const values = {};
+    schema.forEach(def => { values[def.key] = def.default; });
+    return values;
+  }
+
+  /** The usable subset of a (partial, hand-edited) state, clamped and snapped. */
+  function validate(schema, state) {
+    const clean = {};
+    if (!state || typeof state !== 'object') return clean;
+    schema.forEach(def => {
+      if (!(def.key in state)) return;
+      const v = coerce(def, state[def.key]);
+      if (v !== undefined) clean[def.key] = v;
+    });
+    return clean;
+  }
+
+  /** The schema's keys from a values object — what getState() reports. */
+  function pick(schema, values) {
+    const state = {};
+    schema.forEach(def => { state[def.key] = values[def.key]; });
+    return state;
+  }
+
+  /** A random value for every param that allows it; `random` defaults to Math.random. */
+  function randomize(schema, random) {
+    const rand = random || Math.random;
+    const state = {};
+    schema.forEach(def => {
+      if (def.random === false) return;
+      switch (def.type) {
+        case 'range': {
+          const [lo, hi] = Array.isArray(def.random) ? def.random : [def.min, def.max];
+          state[def.key] = coerce(def, lo + rand() * (hi - lo));
+          break;
+        }
+        case 'enum': state[def.key] = def.options[Math.floor(rand() * def.options.length)].value; break;
+        case 'toggle': state[def.key] = rand() < 0.5; break;
+        case 'color': state[def.key] = '#' + Math.floor(rand() * 0x1000000).toString(16).padStart(6, '0'); break;
+        case 'seed': state[def.key] = Math.floor(rand() * (def.max + 1)); break;
+      }
+    });
+    return state;
+  }
+
+  /** The schema a registered section declared, or null. */
+  function of(id) {
+    const entry = Procedural.getSection(id);
+    return entry && entry.module && entry.module.schema ? entry.module.schema : null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Panel
+  // ---------------------------------------------------------------------------
+
+  // Styles go to the document or, inside <procedural-section>, its shadow root
+  function injectStyles(node) {
+    const root = node.getRootNode ? node.getRootNode() : document;
+    const target = root === document || !root.appendChild ? document.head : root;
+    const key = target === document.head ? document : root;
+    if (styledRoots.has(key)) return;
+    styledRoots.add(key);
+    const style = document.createElement('style');
+    style.textContent = STYLE;
+    target.appendChild(style);
+  }
+
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function formatValue(def, value) {
+    if (def.format) return def.format(value);
+    if (def.type === 'range') return value.toFixed(def.decimals);
+    return String(value);
+  }
+
+  /**
+   * Build controls for `schema` inside `container`, reading and writing
+   * `values` in place. Options:
+   *   onChange(key, value, values)  after a control changed a value
+   *   layout                        'column' (default) or 'row'
+   *   title                         heading above the controls
+   *   accent                        CSS color for thumbs, readouts, focus
+   *   actions                       { reset, randomize }: apply(state) callbacks
+   *                                 for a Reset / Randomize button row
+   *   messages                      i18n namespace to translate labels with
+   * Returns { el, sync(), control(key), destroy() }; call sync() after
+   * changing `values` from code.
+   */
+  function createPanel(container, schema, values, options) {
+    const opts = options || {};
+    const panel = el('div', 'pp-panel' + (opts.layout === 'row' ? ' pp-row' : ''));
+    if (opts.accent) panel.style.setProperty('--pp-accent', opts.accent);
+    container.appendChild(panel);
+    injectStyles(panel);
+
+    const controls = {};   // key -> { root, sync }
+    let group = null;
+    let groupName;
+
+    // The schema's own labels are the English messages
+    const m = opts.messages;
+    if (m) {
+      const english = { 'panel.title': opts.title };
+      schema.forEach(def => {
+        english[`param.${def.key}`] = def.label;
+        if (def.group) english[`group.${def.group}`] = def.group;
+        (def.options || []).forEach(o => { english[`option.${def.key}.${o.value}`] = o.label; });
+      });
+      m.add(english);
+    }
+
+    function label(node, key, text) {
+      if (m) m.text(node, key);
+      else node.textContent = text;
+      return node;
+    }
+
+    function ariaLabel(node, def) {
+      if (m) m.attr(node, 'aria-label', `param.${def.key}`);
+      else node.setAttribute('aria-label', def.label);
+    }
+
+    if (opts.title) panel.appendChild(label(el('div', 'pp-group-title'), 'panel.title', opts.title));
+
+    function commit(def, raw) {
+      const v = coerce(def, raw);
+      if (v === undefined) {
+        controls[def.key].sync();
+        return;
+      }
+      values[def.key] = v;
+      controls[def.key].sync();
+      if (opts.onChange) opts.onChange(def.key, v, values);
+      syncWhen();
+    }
+
+    function labelRow(def, withValue) {
+      const row = el('div', 'pp-label');
+      row.appendChild(label(el('span'), `param.${def.key}`, def.label));
+      const value = withValue ? row.appendChild(el('span', 'pp-value')) : null;
+      return { row, value };
+    }
+
+    const builders = {
+      range(def, root) {
+        const { row, value } = labelRow(def, true);
+        const input = el('input', 'pp-slider');
+        input.type = 'range';
+        input.min = def.min;
+        input.max = def.max;
+        input.step = def.step;
+        ariaLabel(input, def);
+        input.addEventListener('input', () => commit(def, parseFloat(input.value)));
+        root.append(row, input);
+        return () => {
+          input.value = values[def.key];
+          value.textContent = formatValue(def, values[def.key]);
+          input.setAttribute('aria-valuetext', value.textContent);
+        };
+      },
+      enum(def, root) {
+        const { row } = labelRow(def, false);
+        const select = el('select', 'pp-select');
+        ariaLabel(select, def);
+        def.options.forEach((o, i) => {
+          const option = label(el('option'), `option.${def.key}.${o.value}`, o.label);
+          option.value = i;
+          select.appendChild(option);
+        });
+        select.addEventListener('change', () => commit(def, def.options[select.value].value));
+        root.append(row, select);
+        return () => {
+          select.value = def.options.findIndex(o => o.value === values[def.key]);
+        };
+      },
+      toggle(def, root) {
+        root.classList.add('pp-toggle-row');
+        const { row } = labelRow(def, false);
+        const button = el('button', 'pp-toggle');
+        button.type = 'button';
+        ariaLabel(button, def);
+        button.addEventListener('click', () => commit(def, !values[def.key]));
+        root.append(row, button);
+        return () => button.setAttribute('aria-pressed', String(!!values[def.key]));
+      },
+      color(def, root) {
+        const { row, value } = labelRow(def, true);
+        const input = el('input', 'pp-color');
+        input.type = 'color';
+        ariaLabel(input, def);
+        input.addEventListener('input', () => commit(def, input.value));
+        root.append(row, input);
+        return () => {
+          input.value = values[def.key];
+          value.textContent = formatValue(def, values[def.key]);
+        };
+      },
+      seed(def, root) {
+        const { row } = labelRow(def, false);
+        const line = el('div', 'pp-seed-row');
+        const input = el('input', 'pp-number');
+        input.type = 'number';
+        input.min = 0;
+        input.max = def.max;
+        ariaLabel(input, def);
+        input.addEventListener('change', () => commit(def, input.value));
+        const reroll = el('button', 'pp-button', '↻');
+        reroll.type = 'button';
+        copy.attr(reroll, 'title', 'newSeed');
+        copy.attr(reroll, 'aria-label', 'newSeed');
+        reroll.addEventListener('click', () => commit(def, Math.floor(Math.random() * (def.max + 1))));
+        line.append(input, reroll);
+        root.append(row, line);
+        return () => {
+          input.value = values[def.key];
+        };
+      },
+    };
+
+    schema.forEach(def => {
+      if (def.panel === false) return;
+      if (def.group !== groupName) {
+        groupName = def.group;
+        group = null;
+        if (groupName) {
+          group = el('div', 'pp-group');
+          group.appendChild(label(el('div', 'pp-group-title'), `group.${groupName}`, groupName));
+          panel.appendChild(group);
+        }
+      }
+      const root = el('div', `pp-control pp-type-${def.type}`);
+      root.dataset.key = def.key;
+      const sync = builders[def.type](def, root);
+      (group || panel).appendChild(root);
+      controls[def.key] = { root, sync };
+      sync();
+    });
+
+    if (opts.actions) {
+      const row = el('div', 'pp-actions');
+      if (opts.actions.reset) {
+        const reset = row.appendChild(copy.text(el('button', 'pp-button'), 'reset'));
+        reset.type = 'button';
+        reset.addEventListener('click', () => opts.actions.reset(defaults(schema)));
+      }
+      if (opts.actions.randomize) {
+        const shuffle = row.appendChild(copy.text(el('button', 'pp-button'), 'randomize'));
+        shuffle.type = 'button';
+        shuffle.addEventListener('click', () => opts.actions.randomize(randomize(schema)));
+      }
+      panel.appendChild(row);
+    }
+
+    function syncWhen() {
+      schema.forEach(def => {
+        if (def.when && controls[def.key]) controls[def.key].root.classList.toggle('pp-off', !def.when(values));
+      });
+    }
+
+    function sync() {
+      Object.keys(controls).forEach(key => controls[key].sync());
+      syncWhen();
+    }
+    syncWhen();
+
+    // Readouts from format() may be worded or localized numbers
+    const offLanguage = Procedural.on('language', sync);
+
+    return {
+      el: panel,
+      sync,
+      control: key => (controls[key] ? controls[key].root : null),
+      destroy() {
+        offLanguage();
+        panel.remove();
+      },
+    };
+  }
+
+  return { define, defaults, validate, pick, randomize, of, createPanel };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Procedural.params;
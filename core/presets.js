@@ -0,0 +1,210 @@
+// =============================================================================
+// PRESETS — Named section states, kept in localStorage
+// Any section with getState()/setState() can have presets: save() stores the
+// current state under a name, apply() hands it back to setState(). Sections
+// may also ship read-only presets as `module.presets` ({ name: state }),
+// which list() shows first.
+//
+// The whole library — or one section's part of it — exports as a JSON file
+// other people can import:
+//
+//   { "format": "procedural-presets", "version": 1,
+//     "presets": { "planets-section": { "Ice giant": { "seed": 48213 } } } }
+//
+// Changes emit 'presets' with { id } (id is null after an import). The
+// library's maps have no prototype, so ids and names like "constructor" or
+// "__proto__" from a shared file stay plain keys.
+// =============================================================================
+
+Procedural.presets = (() => {
+  const STORAGE_KEY = 'procedural-presets';
+  const FORMAT = 'procedural-presets';
+  const VERSION = 1;
+  const NAME_MAX = 60;
+
+  let library = read();   // section id -> { name -> state }
+  let storageFailed = false;
+
+  function read() {
+    try {
+      const data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      return data && typeof data.presets === 'object' && data.presets ? clean(data.presets) : dict();
+    } catch (e) {
+      return dict();
+    }
+  }
+
+  function persist() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ format: FORMAT, version: VERSION, presets: library }));
+      return true;
+    } catch (e) {
+      // Private windows and some file:// pages refuse storage; presets then
+      // last until the page closes (export still works)
+      if (!storageFailed) console.warn('Failed to store presets:', e);
+      storageFailed = true;
+      return false;
+    }
+  }
+
+  function dict() {
+    return Object.create(null);
+  }
+
+  function copy(state) {
+    return JSON.parse(JSON.stringify(state));
+  }
+
+  function cleanName(name) {
+    return String(name == null ? '' : name).trim().slice(0, NAME_MAX);
+  }
+
+  /** Keep only { id: { name: object } } entries from untrusted data. */
+  function clean(presets) {
+    const out = dict();
+    Object.keys(presets).forEach(id => {
+      const entries = presets[id];
+      if (!entries || typeof entries !== 'object' || Array.isArray(entries)) return;
+      Object.keys(entries).forEach(raw => {
+        const name = cleanName(raw);
+        const state = entries[raw];
+        if (!name || !state || typeof state !== 'object' || Array.isArray(state)) return;
+        (out[id] = out[id] || dict())[name] = state;
+      });
+    });
+    return out;
+  }
+
+  function own(obj, key) {
+    return obj && Object.prototype.hasOwnProperty.call(obj, key) ? obj[key] : undefined;
+  }
+
+  function moduleOf(id) {
+    const entry = Procedural.getSection(id);
+    return entry && entry.module ? entry : null;
+  }
+
+  function builtins(id) {
+    const entry = moduleOf(id);
+    const presets = entry && entry.module.presets;
+    return presets && typeof presets === 'object' ? presets : {};
+  }
+
+  // Another tab saved or deleted a preset
+  window.addEventListener('storage', (e) => {
+    if (e.key !== STORAGE_KEY) return;
+    library = read();
+    Procedural.emit('presets', { id: null });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  /** `[{ name, builtin }]`: the section's own presets, then saved ones A–Z. */
+  function list(id) {
+    const shipped = Object.keys(builtins(id)).map(name => ({ name, builtin: true }));
+    const saved = Object.keys(own(library, id) || {})
+      .sort((a, b) => a.localeCompare(b))
+      .map(name => ({ name, builtin: false }));
+    return shipped.concat(saved);
+  }
+
+  /** A copy of a preset's state; saved presets shadow built-in ones. */
+  function get(id, name) {
+    const state = own(own(library, id), name) || own(builtins(id), name);
+    return state ? copy(state) : null;
+  }
+
+  /**
+   * Save `state` (default: the section's current getState()) under `name`,
+   * replacing a saved preset of the same name. Returns the stored name.
+   */
+  function save(id, name, state) {
+    const key = cleanName(name);
+    if (!key) throw new Error('Preset needs a name');
+    let snapshot = state;
+    if (snapshot === undefined) {
+      const entry = moduleOf(id);
+      if (!entry || !entry.initialized || !entry.module.getState) throw new Error(`${id} has no state to save`);
+      snapshot = entry.module.getState();
+    }
+    if (!snapshot || typeof snapshot !== 'object') throw new Error('Preset state must be an object');
+    (library[id] = own(library, id) || dict())[key] = copy(snapshot);
+    persist();
+    Procedural.emit('presets', { id });
+    return key;
+  }
+
+  /** Pass a preset to the section's setState(). Returns false if it can't. */
+  function apply(id, name) {
+    const entry = moduleOf(id);
+    const state = get(id, name);
+    if (!state || !entry || !entry.initialized || !entry.module.setState) return false;
+    try {
+      entry.module.setState(state);
+    } catch (e) {
+      console.warn('Failed to apply preset:', id, name, e);
+      return false;
+    }
+    return true;
+  }
+
+  /** Delete a saved preset (built-in ones stay). */
+  function remove(id, name) {
+    if (!own(own(library, id), name)) return false;
+    delete library[id][name];
+    if (!Object.keys(library[id]).length) delete library[id];
+    persist();
+    Procedural.emit('presets', { id });
+    return true;
+  }
+
+  /** The saved presets of one section, or all of them, as a JSON string. */
+  function exportJSON(id) {
+    const presets = id ? (own(library, id) ? { [id]: library[id] } : {}) : library;
+    return JSON.stringify({ format: FORMAT, version: VERSION, presets }, null, 2);
+  }
+
+  /**
+   * Merge presets from exportJSON() output (a string or parsed object).
+   * Same-named presets are replaced; sections this page doesn't have are
+   * skipped. Returns the number imported.
+   */
+  function importJSON(json) {
+    let data = json;
+    if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch (e) {
+        throw new Error('Not a JSON file');
+      }
+    }
+    if (!data || data.format !== FORMAT || typeof data.presets !== 'object' || !data.presets) {
+      throw new Error('Not a preset file');
+    }
+    if (data.version > VERSION) throw new Error(`Preset file version ${data.version} is newer than this page`);
+    const incoming = clean(data.presets);
+    let count = 0;
+    Object.keys(incoming).forEach(id => {
+      if (!Procedural.getSection(id)) return;
+      library[id] = Object.assign(own(library, id) || dict(), incoming[id]);
+      count += Object.keys(incoming[id]).length;
+    });
+    if (count) {
+      persist();
+      Procedural.emit('presets', { id: null });
+    }
+    return count;
+  }
+
+  /** Offer exportJSON(id) as a file download. */
+  function download(id) {
+    const blob = new Blob([exportJSON(id)], { type: 'application/json' });
+    Procedural.capture.save(blob, `${id || 'procedural'}-presets.json`);
+  }
+
+  return { list, get, save, apply, remove, exportJSON, importJSON, download };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Procedural.presets;
@@ -0,0 +1,193 @@
+// =============================================================================
+// PROCEDURAL — Section Registry & Script Loader
+// Shared runtime behind the orchestrator. The manifest (sections/manifest.js)
+// declares every section, its theme and its script; section modules call
+// Procedural.registerSection() when their script runs. Nav dots, theme
+// grouping and lazy loading are all derived from this registry.
+// =============================================================================
+
+const Procedural = (() => {
+  // ---------------------------------------------------------------------------
+  // State
+  // ---------------------------------------------------------------------------
+  const themes = [];
+  const sections = [];          // Ordered entries, page order
+  const byId = new Map();
+  const pending = new Map();    // id -> Promise while a script is loading
+  const listeners = {};
+
+  // Scripts in the manifest are relative to the project root, which is one
+  // level above this file. Resolving against our own URL lets pages outside
+  // the root (embeds, docs) load sections too.
+  const baseUrl = (typeof document !== 'undefined' && document.currentScript)
+    ? new URL('../', document.currentScript.src).href
+    : '';
+
+  // ---------------------------------------------------------------------------
+  // Events
+  // ---------------------------------------------------------------------------
+  function on(type, fn) {
+    (listeners[type] || (listeners[type] = [])).push(fn);
+    return () => off(type, fn);
+  }
+
+  function off(type, fn) {
+    const list = listeners[type];
+    if (!list) return;
+    const i = list.indexOf(fn);
+    if (i >= 0) list.splice(i, 1);
+  }
+
+  function emit(type, detail) {
+    const list = listeners[type];
+    if (!list) return;
+    list.slice().forEach(fn => {
+      try {
+        fn(detail);
+      } catch (e) {
+        console.warn('Procedural listener failed:', type, e);
+      }
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Registry
+  // ---------------------------------------------------------------------------
+  function createEntry(def) {
+    return {
+      id: def.id,
+      title: def.title || def.id,
+      label: def.label || def.title || def.id,
+      theme: def.theme || null,
+      script: def.script || null,
+      module: null,
+      initialized: false,
+    };
+  }
+
+  function defineTheme(def) {
+    if (!def || !def.id) throw new Error('Procedural: theme needs an id');
+    let theme = themes.find(t => t.id === def.id);
+    if (!theme) {
+      theme = { id: def.id };
+      themes.push(theme);
+    }
+    Object.assign(theme, def);
+    return theme;
+  }
+
+  /**
+   * Register (or complete) a section. Manifest entries arrive without a
+   * module; the section script later registers the same id with its module.
+   * Sections not listed in the manifest are appended to their theme.
+   */
+  function registerSection(def) {
+    if (!def || !def.id) throw new Error('Procedural: section needs an id');
+    let entry = byId.get(def.id);
+    const isNew = !entry;
+    if (isNew) {
+      entry = createEntry(def);
+      byId.set(def.id, entry);
+      const last = def.theme ? findLastIndex(s => s.theme === def.theme) : -1;
+      if (last >= 0) sections.splice(last + 1, 0, entry);
+      else sections.push(entry);
+    }
+    ['title', 'label', 'theme', 'script', 'module'].forEach(key => {
+      if (def[key] !== undefined) entry[key] = def[key];
+    });
+    if (def.theme && !themes.some(t => t.id === def.theme)) defineTheme({ id: def.theme });
+    emit('register', { entry, isNew });
+    return entry;
+  }
+
+  function findLastIndex(pred) {
+    for (let i = sections.length - 1; i >= 0; i--) {
+      if (pred(sections[i])) return i;
+    }
+    return -1;
+  }
+
+  /** Load the manifest: `{ themes: [...], sections: [...] }`. */
+  function defineManifest(data) {
+    (data.themes || []).forEach(defineTheme);
+    (data.sections || []).forEach(registerSection);
+  }
+
+  function getSection(id) {
+    return byId.get(id) || null;
+  }
+
+  /**
+   * Look a section up by id, by id without "-section" ("planets") or by its
+   * script's file name ("lofihifi"). Returns the entry or null.
+   */
+  function findSection(name) {
+    if (!name) return null;
+    return byId.get(name) || byId.get(`${name}-section`) ||
+      sections.find(s => s.script && s.script.replace(/^.*\/|\.js$/g, '') === name) || null;
+  }
+
+  function getSections() {
+    return sections.slice();
+  }
+
+  function getThemes() {
+    return themes.slice();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Loader
+  // ---------------------------------------------------------------------------
+  function resolve(path) {
+    return baseUrl ? new URL(path, baseUrl).href : path;
+  }
+
+  /** Inject a classic script (path relative to the project root). */
+  function loadScript(path) {
+    return new Promise((res, rej) => {
+      const script = document.createElement('script');
+      script.src = resolve(path);
+      script.async = true;
+      script.onload = () => res();
+      script.onerror = () => rej(new Error('Procedural: failed to load ' + path));
+      document.head.appendChild(script);
+    });
+  }
+
+  /** Resolve with the entry once its script has run and registered a module. */
+  function loadSection(id) {
+    const entry = byId.get(id);
+    if (!entry) return Promise.reject(new Error('Procedural: unknown section ' + id));
+    if (entry.module || !entry.script) return Promise.resolve(entry);
+    if (pending.has(id)) return pending.get(id);
+
+    const promise = loadScript(entry.script).then(() => {
+      pending.delete(id);
+      if (!entry.module) throw new Error('Procedural: ' + entry.script + ' did not register ' + id);
+      return entry;
+    }, e => {
+      pending.delete(id);
+      throw e;
+    });
+    pending.set(id, promise);
+    return promise;
+  }
+
+  return {
+    on,
+    off,
+    emit,
+    defineTheme,
+    defineManifest,
+    registerSection,
+    getSection,
+    findSection,
+    getSections,
+    getThemes,
+    loadScript,
+    loadSection,
+    resolve,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Procedural;
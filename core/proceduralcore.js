@@ -0,0 +1,536 @@
+// =============================================================================
+// PROCEDURAL CORE — Noise, seeded randomness and color math
+// The building blocks the sections share: simplex (2D/3D/4D), Perlin (2D/3D)
+// and hashed value noise, FBM / ridged / domain-warp, seeded generators and
+// named streams, and color-space conversions. No DOM, no dependencies; works
+// as a page global and as a CommonJS module.
+//
+//   const simplex = ProceduralCore.createSimplex(42);
+//   const terrain = ProceduralCore.fbm(simplex.noise2D, { octaves: 5 });
+//   const h = terrain(x * 0.01, y * 0.01);
+//
+// Conventions: noise returns roughly -1..1 (value noise 0..1), hue is in
+// degrees, saturation/lightness 0..1, RGB channels 0..255 (not rounded).
+// =============================================================================
+
+const ProceduralCore = (() => {
+  // ---------------------------------------------------------------------------
+  // Seeded generators — each returns a function yielding [0, 1)
+  // ---------------------------------------------------------------------------
+  function mulberry32(a) {
+    return function () {
+      a |= 0; a = a + 0x6D2B79F5 | 0;
+      let t = Math.imul(a ^ a >>> 15, 1 | a);
+      t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+      return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    };
+  }
+
+  /** Linear congruential (Numerical Recipes constants). */
+  function lcg(seed) {
+    let s = seed | 0;
+    return function () {
+      s = (s * 1664525 + 1013904223) & 0xffffffff;
+      return (s >>> 0) / 4294967296;
+    };
+  }
+
+  /** Park-Miller minimal standard. Seed must be non-zero. */
+  function parkMiller(seed) {
+    let s = seed;
+    return function () {
+      s = (s * 16807) % 2147483647;
+      return (s - 1) / 2147483646;
+    };
+  }
+
+  /** FNV-1a hash of a string to an unsigned 32-bit int. */
+  function hashString(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  /** Numbers are used as-is, anything else is hashed. */
+  function hash(value) {
+    const n = Number(value);
+    if (value !== '' && value !== null && Number.isFinite(n)) return n >>> 0;
+    return hashString(String(value));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Named streams — independent generators derived from one master seed, so
+  // adding a draw to 'terrain' doesn't shift everything drawn from 'stars'
+  // ---------------------------------------------------------------------------
+  let masterSeed = null;
+  const streams = new Map();
+
+  function setSeed(seed) {
+    masterSeed = hash(seed);
+    streams.clear();
+  }
+
+  function stream(name) {
+    const key = String(name);
+    if (!streams.has(key)) {
+      if (masterSeed === null) masterSeed = (Math.random() * 4294967296) >>> 0;
+      streams.set(key, mulberry32((masterSeed ^ hashString(key)) >>> 0));
+    }
+    return streams.get(key);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Permutation tables
+  // ---------------------------------------------------------------------------
+
+  /**
+   * 512-entry permutation (256 doubled) from a seed number, a random()
+   * function or an existing 256/512-entry table. No argument uses Math.random.
+   */
+  function permutation(source) {
+    const perm = new Uint8Array(512);
+    if (source && typeof source === 'object' && source.length >= 256) {
+      for (let i = 0; i < 512; i++) perm[i] = source[i & 255];
+      return perm;
+    }
+    const random = typeof source === 'function' ? source
+      : source === undefined ? Math.random : mulberry32(hash(source));
+    const p = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) p[i] = i;
+    for (let i = 255; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      const tmp = p[i]; p[i] = p[j]; p[j] = tmp;
+    }
+    for (let i = 0; i < 512; i++) perm[i] = p[i & 255];
+    return perm;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Simplex noise — Stefan Gustavson's algorithm
+  // ---------------------------------------------------------------------------
+  const F2 = 0.5 * (Math.sqrt(3) - 1);
+  const G2 = (3 - Math.sqrt(3)) / 6;
+  const F3 = 1 / 3;
+  const G3 = 1 / 6;
+  const F4 = (Math.sqrt(5) - 1) / 4;
+  const G4 = (5 - Math.sqrt(5)) / 20;
+
+  const GRAD2 = [
+    [1, 1], [-1, 1], [1, -1], [-1, -1],
+    [1, 0], [-1, 0], [0, 1], [0, -1],
+    [1, 1], [-1, 1], [1, -1], [-1, -1],
+  ];
+
+  const GRAD3 = [
+    [1, 1, 0], [-1, 1, 0], [1, -1, 0], [-1, -1, 0],
+    [1, 0, 1], [-1, 0, 1], [1, 0, -1], [-1, 0, -1],
+    [0, 1, 1], [0, -1, 1], [0, 1, -1], [0, -1, -1],
+  ];
+
+  const GRAD4 = [
+    [0, 1, 1, 1], [0, 1, 1, -1], [0, 1, -1, 1], [0, 1, -1, -1],
+    [0, -1, 1, 1], [0, -1, 1, -1], [0, -1, -1, 1], [0, -1, -1, -1],
+    [1, 0, 1, 1], [1, 0, 1, -1], [1, 0, -1, 1], [1, 0, -1, -1],
+    [-1, 0, 1, 1], [-1, 0, 1, -1], [-1, 0, -1, 1], [-1, 0, -1, -1],
+    [1, 1, 0, 1], [1, 1, 0, -1], [1, -1, 0, 1], [1, -1, 0, -1],
+    [-1, 1, 0, 1], [-1, 1, 0, -1], [-1, -1, 0, 1], [-1, -1, 0, -1],
+    [1, 1, 1, 0], [1, 1, -1, 0], [1, -1, 1, 0], [1, -1, -1, 0],
+    [-1, 1, 1, 0], [-1, 1, -1, 0], [-1, -1, 1, 0], [-1, -1, -1, 0],
+  ];
+
+  /** `source` as for permutation(). Returns { noise2D, noise3D, noise4D }. */
+  function createSimplex(source) {
+    const perm = permutation(source);
+    const permMod12 = new Uint8Array(512);
+    for (let i = 0; i < 512; i++) permMod12[i] = perm[i] % 12;
+
+    function noise2D(xin, yin) {
+      const s = (xin + yin) * F2;
+      const i = Math.floor(xin + s), j = Math.floor(yin + s);
+      const t = (i + j) * G2;
+      const x0 = xin - (i - t), y0 = yin - (j - t);
+      const i1 = x0 > y0 ? 1 : 0, j1 = x0 > y0 ? 0 : 1;
+      const x1 = x0 - i1 + G2, y1 = y0 - j1 + G2;
+      const x2 = x0 - 1 + 2 * G2, y2 = y0 - 1 + 2 * G2;
+      const ii = i & 255, jj = j & 255;
+      const gi0 = permMod12[ii + perm[jj]];
+      const gi1 = permMod12[ii + i1 + perm[jj + j1]];
+      const gi2 = permMod12[ii + 1 + perm[jj + 1]];
+      let n0 = 0, n1 = 0, n2 = 0;
+      let t0 = 0.5 - x0 * x0 - y0 * y0;
+      if (t0 >= 0) { t0 *= t0; n0 = t0 * t0 * (GRAD2[gi0][0] * x0 + GRAD2[gi0][1] * y0); }
+      let t1 = 0.5 - x1 * x1 - y1 * y1;
+      if (t1 >= 0) { t1 *= t1; n1 = t1 * t1 * (GRAD2[gi1][0] * x1 + GRAD2[gi1][1] * y1); }
+      let t2 = 0.5 - x2 * x2 - y2 * y2;
+      if (t2 >= 0) { t2 *= t2; n2 = t2 * t2 * (GRAD2[gi2][0] * x2 + GRAD2[gi2][1] * y2); }
+      return 70 * (n0 + n1 + n2);
+    }
+
+    function noise3D(xin, yin, zin) {
+      const s = (xin + yin + zin) * F3;
+      const i = Math.floor(xin + s), j = Math.floor(yin + s), k = Math.floor(zin + s);
+      const t = (i + j + k) * G3;
+      const x0 = xin - (i - t), y0 = yin - (j - t), z0 = zin - (k - t);
+      // Which simplex of the cube we're in
+      let i1, j1, k1, i2, j2, k2;
+      if (x0 >= y0) {
+        if (y0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+        else if (x0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 0; k2 = 1; }
+        else { i1 = 0; j1 = 0; k1 = 1; i2 = 1; j2 = 0; k2 = 1; }
+      } else {
+        if (y0 < z0) { i1 = 0; j1 = 0; k1 = 1; i2 = 0; j2 = 1; k2 = 1; }
+        else if (x0 < z0) { i1 = 0; j1 = 1; k1 = 0; i2 = 0; j2 = 1; k2 = 1; }
+        else { i1 = 0; j1 = 1; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+      }
+      const x1 = x0 - i1 + G3, y1 = y0 - j1 + G3, z1 = z0 - k1 + G3;
+      const x2 = x0 - i2 + 2 * G3, y2 = y0 - j2 + 2 * G3, z2 = z0 - k2 + 2 * G3;
+      const x3 = x0 - 1 + 3 * G3, y3 = y0 - 1 + 3 * G3, z3 = z0 - 1 + 3 * G3;
+      const ii = i & 255, jj = j & 255, kk = k & 255;
+      const g0 = GRAD3[permMod12[ii + perm[jj + perm[kk]]]];
+      const g1 = GRAD3[permMod12[ii + i1 + perm[jj + j1 + perm[kk + k1]]]];
+      const g2 = GRAD3[permMod12[ii + i2 + perm[jj + j2 + perm[kk + k2]]]];
+      const g3 = GRAD3[permMod12[ii + 1 + perm[jj + 1 + perm[kk + 1]]]];
+      let n0 = 0, n1 = 0, n2 = 0, n3 = 0;
+      let t0 = 0.6 - x0 * x0 - y0 * y0 - z0 * z0;
+      if (t0 >= 0) { t0 *= t0; n0 = t0 * t0 * (g0[0] * x0 + g0[1] * y0 + g0[2] * z0); }
+      let t1 = 0.6 - x1 * x1 - y1 * y1 - z1 * z1;
+      if (t1 >= 0) { t1 *= t1; n1 = t1 * t1 * (g1[0] * x1 + g1[1] * y1 + g1[2] * z1); }
+      let t2 = 0.6 - x2 * x2 - y2 * y2 - z2 * z2;
+      if (t2 >= 0) { t2 *= t2; n2 = t2 * t2 * (g2[0] * x2 + g2[1] * y2 + g2[2] * z2); }
+      let t3 = 0.6 - x3 * x3 - y3 * y3 - z3 * z3;
+      if (t3 >= 0) { t3 *= t3; n3 = t3 * t3 * (g3[0] * x3 + g3[1] * y3 + g3[2] * z3); }
+      return 32 * (n0 + n1 + n2 + n3);
+    }
+
+    function noise4D(x, y, z, w) {
+      const s = (x + y + z + w) * F4;
+      const i = Math.floor(x + s), j = Math.floor(y + s), k = Math.floor(z + s), l = Math.floor(w + s);
+      const t = (i + j + k + l) * G4;
+      const x0 = x - (i - t), y0 = y - (j - t), z0 = z - (k - t), w0 = w - (l - t);
+      // Rank the coordinates to find the simplex traversal order
+      let rx = 0, ry = 0, rz = 0, rw = 0;
+      if (x0 > y0) rx++; else ry++;
+      if (x0 > z0) rx++; else rz++;
+      if (x0 > w0) rx++; else rw++;
+      if (y0 > z0) ry++; else rz++;
+      if (y0 > w0) ry++; else rw++;
+      if (z0 > w0) rz++; else rw++;
+      const i1 = rx >= 3 ? 1 : 0, j1 = ry >= 3 ? 1 : 0, k1 = rz >= 3 ? 1 : 0, l1 = rw >= 3 ? 1 : 0;
+      const i2 = rx >= 2 ? 1 : 0, j2 = ry >= 2 ? 1 : 0, k2 = rz >= 2 ? 1 : 0, l2 = rw >= 2 ? 1 : 0;
+      const i3 = rx >= 1 ? 1 : 0, j3 = ry >= 1 ? 1 : 0, k3 = rz >= 1 ? 1 : 0, l3 = rw >= 1 ? 1 : 0;
+      const x1 = x0 - i1 + G4, y1 = y0 - j1 + G4, z1 = z0 - k1 + G4, w1 = w0 - l1 + G4;
+      const x2 = x0 - i2 + 2 * G4, y2 = y0 - j2 + 2 * G4, z2 = z0 - k2 + 2 * G4, w2 = w0 - l2 + 2 * G4;
+      const x3 = x0 - i3 + 3 * G4, y3 = y0 - j3 + 3 * G4, z3 = z0 - k3 + 3 * G4, w3 = w0 - l3 + 3 * G4;
+      const x4 = x0 - 1 + 4 * G4, y4 = y0 - 1 + 4 * G4, z4 = z0 - 1 + 4 * G4, w4 = w0 - 1 + 4 * G4;
+      const ii = i & 255, jj = j & 255, kk = k & 255, ll = l & 255;
+      const g0 = GRAD4[perm[ii + perm[jj + perm[kk + perm[ll]]]] % 32];
+      const g1 = GRAD4[perm[ii + i1 + perm[jj + j1 + perm[kk + k1 + perm[ll + l1]]]] % 32];
+      const g2 = GRAD4[perm[ii + i2 + perm[jj + j2 + perm[kk + k2 + perm[ll + l2]]]] % 32];
+      const g3 = GRAD4[perm[ii + i3 + perm[jj + j3 + perm[kk + k3 + perm[ll + l3]]]] % 32];
+      const g4 = GRAD4[perm[ii + 1 + perm[jj + 1 + perm[kk + 1 + perm[ll + 1]]]] % 32];
+      let n = 0;
+      let t0 = 0.6 - x0 * x0 - y0 * y0 - z0 * z0 - w0 * w0;
+      if (t0 >= 0) { t0 *= t0; n += t0 * t0 * (g0[0] * x0 + g0[1] * y0 + g0[2] * z0 + g0[3] * w0); }
+      let t1 = 0.6 - x1 * x1 - y1 * y1 - z1 * z1 - w1 * w1;
+      if (t1 >= 0) { t1 *= t1; n += t1 * t1 * (g1[0] * x1 + g1[1] * y1 + g1[2] * z1 + g1[3] * w1); }
+      let t2 = 0.6 - x2 * x2 - y2 * y2 - z2 * z2 - w2 * w2;
+      if (t2 >= 0) { t2 *= t2; n += t2 * t2 * (g2[0] * x2 + g2[1] * y2 + g2[2] * z2 + g2[3] * w2); }
+      let t3 = 0.6 - x3 * x3 - y3 * y3 - z3 * z3 - w3 * w3;
+      if (t3 >= 0) { t3 *= t3; n += t3 * t3 * (g3[0] * x3 + g3[1] * y3 + g3[2] * z3 + g3[3] * w3); }
+      let t4 = 0.6 - x4 * x4 - y4 * y4 - z4 * z4 - w4 * w4;
+      if (t4 >= 0) { t4 *= t4; n += t4 * t4 * (g4[0] * x4 + g4[1] * y4 + g4[2] * z4 + g4[3] * w4); }
+      return 27 * n;
+    }
+
+    return { noise2D, noise3D, noise4D };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Perlin (improved) noise
+  // ---------------------------------------------------------------------------
+  function fade(t) { return t * t * t * (t * (t * 6 - 15) + 10); }
+  function lerp(a, b, t) { return a + t * (b - a); }
+
+  function grad2(hash, x, y) {
+    const h = hash & 3;
+    return ((h & 1) === 0 ? x : -x) + ((h & 2) === 0 ? y : -y);
+  }
+
+  function dot3(g, x, y, z) { return g[0] * x + g[1] * y + g[2] * z; }
+
+  /** `source` as for permutation(). Returns { noise2D, noise3D }. */
+  function createPerlin(source) {
+    const perm = permutation(source);
+
+    function noise2D(x, y) {
+      const X = Math.floor(x) & 255;
+      const Y = Math.floor(y) & 255;
+      const xf = x - Math.floor(x);
+      const yf = y - Math.floor(y);
+      const u = fade(xf);
+      const v = fade(yf);
+      const aa = perm[perm[X] + Y];
+      const ab = perm[perm[X] + Y + 1];
+      const ba = perm[perm[X + 1] + Y];
+      const bb = perm[perm[X + 1] + Y + 1];
+      return lerp(
+        lerp(grad2(aa, xf, yf), grad2(ba, xf - 1, yf), u),
+        lerp(grad2(ab, xf, yf - 1), grad2(bb, xf - 1, yf - 1), u),
+        v
+      );
+    }
+
+    function noise3D(x, y, z) {
+      const X = Math.floor(x) & 255;
+      const Y = Math.floor(y) & 255;
+      const Z = Math.floor(z) & 255;
+      x -= Math.floor(x);
+      y -= Math.floor(y);
+      z -= Math.floor(z);
+      const u = fade(x), v = fade(y), w = fade(z);
+      const A = perm[X] + Y;
+      const AA = perm[A] + Z;
+      const AB = perm[A + 1] + Z;
+      const B = perm[X + 1] + Y;
+      const BA = perm[B] + Z;
+      const BB = perm[B + 1] + Z;
+      return lerp(
+        lerp(
+          lerp(dot3(GRAD3[perm[AA] % 12], x, y, z),
+               dot3(GRAD3[perm[BA] % 12], x - 1, y, z), u),
+          lerp(dot3(GRAD3[perm[AB] % 12], x, y - 1, z),
+               dot3(GRAD3[perm[BB] % 12], x - 1, y - 1, z), u),
+          v),
+        lerp(
+          lerp(dot3(GRAD3[perm[AA + 1] % 12], x, y, z - 1),
+               dot3(GRAD3[perm[BA + 1] % 12], x - 1, y, z - 1), u),
+          lerp(dot3(GRAD3[perm[AB + 1] % 12], x, y - 1, z - 1),
+               dot3(GRAD3[perm[BB + 1] % 12], x - 1, y - 1, z - 1), u),
+          v),
+        w);
+    }
+
+    return { noise2D, noise3D };
+  }
+
+  /**
+   * Stateless lattice value noise in 0..1, hashed from integer coordinates
+   * and a seed — no table to build, so any seed is free.
+   */
+  function valueNoise2D(x, y, seed) {
+    const xi = Math.floor(x), yi = Math.floor(y);
+    const corner = (cx, cy) => parkMiller(cx * 374761 + cy * 668265 + seed)();
+    const v00 = corner(xi, yi);
+    const v10 = corner(xi + 1, yi);
+    const v01 = corner(xi, yi + 1);
+    const v11 = corner(xi + 1, yi + 1);
+    const fx = x - xi, fy = y - yi;
+    const tx = fx * fx * (3 - 2 * fx);
+    const ty = fy * fy * (3 - 2 * fy);
+    return (v00 * (1 - tx) + v10 * tx) * (1 - ty) +
+           (v01 * (1 - tx) + v11 * tx) * ty;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Fractal combinators — wrap any noise function of 2-4 coordinates and
+  // return a sampler with the same coordinates. The dimension is taken from
+  // the noise function's arity unless `dimensions` is given.
+  // ---------------------------------------------------------------------------
+  function octaveOptions(noise, opts) {
+    const o = opts || {};
+    return {
+      octaves: Math.max(1, o.octaves | 0 || 4),
+      lacunarity: o.lacunarity || 2,
+      gain: o.gain === undefined ? 0.5 : o.gain,
+      dims: o.dimensions || Math.max(2, Math.min(4, noise.length)),
+    };
+  }
+
+  function sample(noise, dims, f, x, y, z, w) {
+    if (dims === 2) return noise(x * f, y * f);
+    if (dims === 3) return noise(x * f, y * f, z * f);
+    return noise(x * f, y * f, z * f, w * f);
+  }
+
+  /** Fractal Brownian motion, normalized back to the noise's own range. */
+  function fbm(noise, opts) {
+    const { octaves, lacunarity, gain, dims } = octaveOptions(noise, opts);
+    return function (x, y, z, w) {
+      let sum = 0, amp = 1, freq = 1, max = 0;
+      for (let i = 0; i < octaves; i++) {
+        sum += amp * sample(noise, dims, freq, x, y, z, w);
+        max += amp;
+        amp *= gain;
+        freq *= lacunarity;
+      }
+      return sum / max;
+    };
+  }
+
+  /** Ridged multifractal: sharp creases where the noise crosses zero. 0..1. */
+  function ridged(noise, opts) {
+    const { octaves, lacunarity, gain, dims } = octaveOptions(noise, opts);
+    return function (x, y, z, w) {
+      let sum = 0, amp = 1, freq = 1, max = 0, prev = 1;
+      for (let i = 0; i < octaves; i++) {
+        let n = 1 - Math.abs(sample(noise, dims, freq, x, y, z, w));
+        n *= n;
+        sum += n * amp * prev;
+        max += amp;
+        prev = n;
+        amp *= gain;
+        freq *= lacunarity;
+      }
+      return sum / max;
+    };
+  }
+
+  /**
+   * Domain warp (2D): offsets the lookup by a second noise field, which
+   * turns blobs into swirls. `strength` is in input units.
+   */
+  function domainWarp(noise, opts) {
+    const o = opts || {};
+    const strength = o.strength === undefined ? 1 : o.strength;
+    const scale = o.scale || 1;
+    const warp = o.warp || noise;
+    return function (x, y) {
+      const qx = warp(x * scale + 5.2, y * scale + 1.3);
+      const qy = warp(x * scale + 1.7, y * scale + 9.2);
+      return noise(x + strength * qx, y + strength * qy);
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Color conversions
+  // ---------------------------------------------------------------------------
+  function clamp01(v) { return Math.max(0, Math.min(1, v)); }
+
+  /** h: degrees, s/l: 0..1 -> [r, g, b] 0..255 */
+  function hslToRgb(h, s, l) {
+    h = ((h % 360) + 360) % 360;
+    s = clamp01(s);
+    l = clamp01(l);
+    const c = (1 - Math.abs(2 * l - 1)) * s;
+    const x = c * (1 - Math.abs((h / 60) % 2 - 1));
+    const m = l - c / 2;
+    let r, g, b;
+    if (h < 60)       { r = c; g = x; b = 0; }
+    else if (h < 120) { r = x; g = c; b = 0; }
+    else if (h < 180) { r = 0; g = c; b = x; }
+    else if (h < 240) { r = 0; g = x; b = c; }
+    else if (h < 300) { r = x; g = 0; b = c; }
+    else              { r = c; g = 0; b = x; }
+    return [(r + m) * 255, (g + m) * 255, (b + m) * 255];
+  }
+
+  /** [r, g, b] 0..255 -> [h degrees, s 0..1, l 0..1] */
+  function rgbToHsl(r, g, b) {
+    r /= 255; g /= 255; b /= 255;
+    const max = Math.max(r, g, b), min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    if (max === min) return [0, 0, l];
+    const d = max - min;
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    let h;
+    if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+    else if (max === g) h = (b - r) / d + 2;
+    else h = (r - g) / d + 4;
+    return [h * 60, s, l];
+  }
+
+  /** h: degrees, s/v: 0..1 -> [r, g, b] 0..255 */
+  function hsvToRgb(h, s, v) {
+    const l = v * (1 - s / 2);
+    const sl = l === 0 || l === 1 ? 0 : (v - l) / Math.min(l, 1 - l);
+    return hslToRgb(h, sl, l);
+  }
+
+  /** '#rgb' or '#rrggbb' -> [r, g, b] */
+  function hexToRgb(hex) {
+    let str = String(hex).replace(/^#/, '');
+    if (str.length === 3) str = str.replace(/./g, '$&$&');
+    const v = parseInt(str, 16);
+    return [(v >> 16) & 255, (v >> 8) & 255, v & 255];
+  }
+
+  function rgbToHex(r, g, b) {
+    return '#' + [r, g, b].map(v => Math.round(Math.max(0, Math.min(255, v))).toString(16).padStart(2, '0')).join('');
+  }
+
+  /** CSS rgb()/rgba() string; channels are rounded. */
+  function rgbToCss(r, g, b, a) {
+    if (a !== undefined) return `rgba(${Math.round(r)},${Math.round(g)},${Math.round(b)},${a})`;
+    return `rgb(${Math.round(r)},${Math.round(g)},${Math.round(b)})`;
+  }
+
+  /** sRGB channel 0..255 -> linear 0..1 */
+  function srgbToLinear(c) {
+    c = c / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  }
+
+  /** linear 0..1 -> sRGB channel 0..255 */
+  function linearToSrgb(c) {
+    c = clamp01(c);
+    return (c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055) * 255;
+  }
+
+  /** WCAG relative luminance, 0..1 */
+  function relativeLuminance(r, g, b) {
+    return 0.2126 * srgbToLinear(r) + 0.7152 * srgbToLinear(g) + 0.0722 * srgbToLinear(b);
+  }
+
+  /** WCAG contrast ratio between two relative luminances, 1..21 */
+  function contrastRatio(l1, l2) {
+    const lighter = Math.max(l1, l2);
+    const darker = Math.min(l1, l2);
+    return (lighter + 0.05) / (darker + 0.05);
+  }
+
+  /** [r, g, b] 0..255 -> OKLab [L, a, b] (Björn Ottosson) */
+  function rgbToOklab(r, g, b) {
+    const lr = srgbToLinear(r), lg = srgbToLinear(g), lb = srgbToLinear(b);
+    const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+    const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+    const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+    return [
+      0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+      1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+      0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s,
+    ];
+  }
+
+  /** OKLab [L, a, b] -> [r, g, b] 0..255 (clipped to the sRGB gamut) */
+  function oklabToRgb(L, a, b) {
+    const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+    const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+    const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+    return [
+      linearToSrgb(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+      linearToSrgb(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+      linearToSrgb(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s),
+    ];
+  }
+
+  function lerpColor(c1, c2, t) {
+    return [lerp(c1[0], c2[0], t), lerp(c1[1], c2[1], t), lerp(c1[2], c2[2], t)];
+  }
+
+  return {
+    // random
+    mulberry32, lcg, parkMiller, hash, hashString, setSeed, stream,
+    // noise
+    permutation, createSimplex, createPerlin, valueNoise2D,
+    fbm, ridged, domainWarp,
+    // color
+    hslToRgb, rgbToHsl, hsvToRgb, hexToRgb, rgbToHex, rgbToCss,
+    srgbToLinear, linearToSrgb, relativeLuminance, contrastRatio,
+    rgbToOklab, oklabToRgb, lerpColor,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ProceduralCore;
@@ -0,0 +1,179 @@
+// =============================================================================
+// QUALITY — Adaptive quality governor
+// Watches the page frame time and trades detail for frame rate. Each running
+// section has a tier from 0 (lowest) to 3 (full); when frames run long the
+// running sections step down one tier, and after a stretch at the target
+// rate they step back up. Modules opt in with setQuality(level) and decide
+// what a tier means for them (particle counts, texture resolution, DPR cap);
+// dprFor(level) is the DPR cap for sections with nothing else to trade.
+// =============================================================================
+
+Procedural.quality = (() => {
+  const LEVELS = ['low', 'medium', 'high', 'full'];
+  const MAX_LEVEL = LEVELS.length - 1;
+  const DPR_CAPS = [1, 1.25, 1.5, Infinity];   // per tier
+
+  const SLOW_FACTOR = 1.2;      // frame time over budget * this counts as slow
+  const SLOW_HOLD = 1500;       // ms of slow frames before stepping down
+  const FAST_HOLD = 8000;       // ms at target before trying a step up
+  const COOLDOWN = 2000;        // ms to let a change settle before judging it
+  const MAX_BACKOFF = 8;        // cap on the step-up wait multiplier
+
+  let target = 60;
+  let locked = null;            // fixed level for every section, or null
+  const levels = {};            // id -> tier the governor wants
+  const applied = {};           // id -> tier last passed to setQuality
+  const running = new Set();    // ids of sections currently animating
+
+  let rafId = null;
+  let last = 0;
+  let frameMs = 1000 / target;  // smoothed
+  let slowSince = 0;
+  let fastSince = 0;
+  let lastChange = 0;
+  let lastWasUp = false;
+  let backoff = 1;
+
+  function clampLevel(level) {
+    return Math.max(0, Math.min(MAX_LEVEL, Math.round(Number(level))));
+  }
+
+  function levelOf(id) {
+    if (locked !== null) return locked;
+    return levels[id] === undefined ? MAX_LEVEL : levels[id];
+  }
+
+  function apply(id) {
+    const level = levelOf(id);
+    const entry = Procedural.getSection(id);
+    if (!entry || !entry.initialized || !entry.module.setQuality) return;
+    if ((applied[id] === undefined ? MAX_LEVEL : applied[id]) === level) return;
+    try {
+      entry.module.setQuality(level);
+      applied[id] = level;
+      Procedural.emit('quality', { id, level, name: LEVELS[level] });
+    } catch (e) {
+      console.warn('Failed to set quality:', id, e);
+    }
+  }
+
+  /** Step every running section one tier. Returns true if any changed. */
+  function step(delta) {
+    let changed = false;
+    running.forEach(id => {
+      const entry = Procedural.getSection(id);
+      if (!entry || !entry.module || !entry.module.setQuality) return;
+      const next = clampLevel(levelOf(id) + delta);
+      if (next === levelOf(id)) return;
+      levels[id] = next;
+      apply(id);
+      changed = true;
+    });
+    return changed;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Frame monitor
+  // ---------------------------------------------------------------------------
+  function tick(now) {
+    rafId = requestAnimationFrame(tick);
+    const dt = now - last;
+    last = now;
+    // Hidden tabs and long stalls (script loads, layout) say nothing useful
+    if (dt <= 0 || dt > 250) {
+      slowSince = fastSince = 0;
+      return;
+    }
+    frameMs += (dt - frameMs) * 0.1;
+
+    if (locked !== null || now - lastChange < COOLDOWN) return;
+    const budget = 1000 / target;
+
+    if (frameMs > budget * SLOW_FACTOR) {
+      fastSince = 0;
+      if (!slowSince) slowSince = now;
+      if (now - slowSince > SLOW_HOLD && step(-1)) {
+        // Undo of a step up: wait longer before trying again
+        if (lastWasUp) backoff = Math.min(MAX_BACKOFF, backoff * 2);
+        lastWasUp = false;
+        lastChange = now;
+        slowSince = 0;
+      }
+    } else {
+      slowSince = 0;
+      if (!fastSince) fastSince = now;
+      if (now - fastSince > FAST_HOLD * backoff && step(1)) {
+        lastWasUp = true;
+        lastChange = now;
+        fastSince = 0;
+      }
+    }
+  }
+
+  function start() {
+    if (rafId) return;
+    last = performance.now();
+    rafId = requestAnimationFrame(tick);
+  }
+
+  function stop() {
+    if (rafId) cancelAnimationFrame(rafId);
+    rafId = null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  /** Called by the orchestrator when a section starts or stops animating. */
+  function track(id, isRunning) {
+    if (isRunning) {
+      running.add(id);
+      apply(id);
+    } else {
+      running.delete(id);
+    }
+  }
+
+  function setTarget(fps) {
+    const n = Number(fps);
+    if (n > 0) target = n;
+  }
+
+  /** Pin every section to one tier (e.g. for recording); null resumes. */
+  function lock(level) {
+    const n = level === null || level === undefined ? NaN : Number(level);
+    locked = Number.isFinite(n) ? clampLevel(n) : null;
+    Object.keys(applied).concat(Array.from(running)).forEach(apply);
+    slowSince = fastSince = 0;
+    lastChange = performance.now();
+  }
+
+  /** Device pixel ratio to draw at in tier `level`: the screen's, capped. */
+  function dprFor(level) {
+    return Math.min(window.devicePixelRatio || 1, DPR_CAPS[clampLevel(level)]);
+  }
+
+  function getLevel(id) {
+    return levelOf(id);
+  }
+
+  function stats() {
+    return {
+      fps: 1000 / frameMs,
+      frameMs,
+      target,
+      locked,
+      sections: Array.from(running)
+        .filter(id => {
+          const entry = Procedural.getSection(id);
+          return entry && entry.module && entry.module.setQuality;
+        })
+        .map(id => ({ id, level: levelOf(id), name: LEVELS[levelOf(id)] })),
+    };
+  }
+
+  return { LEVELS, MAX_LEVEL, DPR_CAPS, dprFor, start, stop, track, setTarget, lock, getLevel, stats };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Procedural.quality;
@@ -0,0 +1,116 @@
+// =============================================================================
+// TOUR — Guided / kiosk presentation
+// Plays a timeline of sections hands-free: each step names a section, how long
+// to stay, the state to apply through its setState() and an optional caption.
+// The timeline is plain JSON wrapped in a call, like the manifest:
+//
+//   Procedural.tour.define({
+//     "loop": true,
+//     "steps": [
+//       { "section": "planets-section", "durationMs": 12000,
+//         "state": { "seed": 48213 }, "caption": "One seed, one world" }
+//     ]
+//   });
+//
+// The tour only keeps time; the orchestrator listens for 'tourstep' and does
+// the scrolling, state and captions. Like AnimSpectrum's auto-advance, any
+// interaction pauses it and it carries on after a stretch of idle time.
+// =============================================================================
+
+Procedural.tour = (() => {
+  const DEFAULT_DURATION = 10000;
+  const IDLE_RESUME = 15000;
+
+  let timeline = null;   // { loop, steps }
+  let index = -1;
+  let running = false;
+  let paused = false;
+  let stepTimer = null;
+  let idleTimer = null;
+
+  /** Accepts `{ loop, steps }` or a bare array of steps. */
+  function define(data) {
+    const steps = (Array.isArray(data) ? data : (data && data.steps) || [])
+      .filter(step => step && typeof step.section === 'string');
+    timeline = { loop: Array.isArray(data) || data.loop !== false, steps };
+    return timeline;
+  }
+
+  function duration(step) {
+    const ms = Number(step.durationMs);
+    return ms > 0 ? ms : DEFAULT_DURATION;
+  }
+
+  function clearTimers() {
+    clearTimeout(stepTimer);
+    clearTimeout(idleTimer);
+    stepTimer = idleTimer = null;
+  }
+
+  function goTo(i) {
+    clearTimeout(stepTimer);
+    const steps = timeline.steps;
+    if (i >= steps.length) {
+      if (!timeline.loop) {
+        stop();
+        return;
+      }
+      i = 0;
+    }
+    index = i;
+    Procedural.emit('tourstep', { index, step: steps[index], total: steps.length });
+    stepTimer = setTimeout(() => goTo(index + 1), duration(steps[index]));
+  }
+
+  /** Start from a step index (default 0). Returns false without a timeline. */
+  function start(from) {
+    if (!timeline || !timeline.steps.length) return false;
+    clearTimers();
+    running = true;
+    paused = false;
+    Procedural.emit('tourstart', { total: timeline.steps.length });
+    goTo(Math.max(0, Math.min(timeline.steps.length - 1, from | 0)));
+    return true;
+  }
+
+  function stop() {
+    if (!running) return;
+    clearTimers();
+    running = false;
+    paused = false;
+    index = -1;
+    Procedural.emit('tourstop');
+  }
+
+  /** Hold the current step; resume with the next one after IDLE_RESUME. */
+  function pause() {
+    if (!running) return;
+    clearTimers();
+    if (!paused) {
+      paused = true;
+      Procedural.emit('tourpause', { index });
+    }
+    idleTimer = setTimeout(() => {
+      paused = false;
+      Procedural.emit('tourresume', { index });
+      goTo(index + 1);
+    }, IDLE_RESUME);
+  }
+
+  function isRunning() {
+    return running;
+  }
+
+  /** A copy of the defined timeline's steps ([] before define()). */
+  function getSteps() {
+    return timeline ? JSON.parse(JSON.stringify(timeline.steps)) : [];
+  }
+
+  function isPaused() {
+    return paused;
+  }
+
+  return { define, start, stop, pause, isRunning, isPaused, getSteps };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Procedural.tour;
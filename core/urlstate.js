@@ -0,0 +1,79 @@
+// =============================================================================
+// URL STATE — Shareable deep links
+// The hash names the active section and, optionally, the state its module
+// reported through getState():
+//
+//   #planets-section?seed=48213
+//   #colorbox-section?steps=14&hue=[0.55,0.25,0.3,0.75,0.7,0.7]
+//
+// One query entry per top-level state key. Strings are written bare, every
+// other value as JSON, so hand-edited links stay readable.
+// =============================================================================
+
+Procedural.urlState = (() => {
+  function encodeValue(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+
+  function decodeValue(raw) {
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      return raw;
+    }
+  }
+
+  /** `'#id?a=1&b=x'` -> `{ id: 'id', state: { a: 1, b: 'x' } }` (state may be null). */
+  function parse(hash) {
+    const str = (hash || '').replace(/^#/, '');
+    if (!str) return { id: null, state: null };
+    const q = str.indexOf('?');
+    const id = decodeURIComponent(q < 0 ? str : str.slice(0, q));
+    if (q < 0) return { id, state: null };
+
+    const state = {};
+    new URLSearchParams(str.slice(q + 1)).forEach((raw, key) => {
+      state[key] = decodeValue(raw);
+    });
+    return { id, state: Object.keys(state).length ? state : null };
+  }
+
+  function format(id, state) {
+    if (!id) return '';
+    let hash = '#' + encodeURIComponent(id);
+    if (state && typeof state === 'object') {
+      const params = new URLSearchParams();
+      Object.keys(state).forEach(key => {
+        if (state[key] !== undefined) params.append(key, encodeValue(state[key]));
+      });
+      const query = params.toString();
+      if (query) hash += '?' + query;
+    }
+    return hash;
+  }
+
+  function read() {
+    return parse(location.hash);
+  }
+
+  /**
+   * Replace the current hash without adding a history entry or scrolling.
+   * Returns false when the URL already matched.
+   */
+  function write(id, state) {
+    const hash = format(id, state);
+    if (hash === location.hash || (!hash && !location.hash)) return false;
+    try {
+      history.replaceState(null, '', hash || location.pathname + location.search);
+    } catch (e) {
+      // Some browsers refuse replaceState on file:// pages. This path fires
+      // hashchange, so listeners should ignore hashes they just wrote.
+      location.replace(hash || '#');
+    }
+    return true;
+  }
+
+  return { parse, format, read, write };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Procedural.urlState;
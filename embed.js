@@ -0,0 +1,40 @@
+// =============================================================================
+// EMBED — one script tag for <procedural-section> on any page
+// Loads the shared runtime, the section manifest and the custom element
+// (core/element.js); section scripts then load on demand, relative to this
+// file. Skip it on pages that already include the core scripts.
+//
+//   <script src="procedural/embed.js"></script>
+//   <procedural-section name="planets"></procedural-section>
+// =============================================================================
+
+(function() {
+  'use strict';
+
+  const SCRIPTS = [
+    'core/proceduralcore.js',
+    'core/procedural.js',
+    'core/fonts.js',
+    'core/determinism.js',
+    'core/quality.js',
+    'core/motion.js',
+    'core/a11y.js',
+    'core/i18n.js',
+    'core/params.js',
+    'core/palette.js',
+    'core/history.js',
+    'core/capture.js',
+    'sections/manifest.js',
+    'core/element.js',
+  ];
+
+  const base = new URL('./', document.currentScript.src).href;
+
+  // Injected scripts with async = false still run in insertion order
+  SCRIPTS.forEach(path => {
+    const script = document.createElement('script');
+    script.src = new URL(path, base).href;
+    script.async = false;
+    document.head.appendChild(script);
+  });
+})();
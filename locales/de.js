@@ -0,0 +1,650 @@
+// =============================================================================
+// DEUTSCH — German catalog for core/i18n.js
+// Keys mirror the English each section registers with i18n.namespace();
+// anything missing here falls back to English. Loaded on first use.
+// =============================================================================
+
+Procedural.i18n.define('de', {
+  'page': {
+    'language': 'Sprache',
+    'intro.quote': '<em>Entwirf die Maschine,</em><br>die das Design entwirft.',
+    'intro.subtext': 'Menschliches Wissen und Absichten in maschinenverständliche, künstlerisch steuerbare Prozesse übertragen – durch Berechnung.',
+    'intro.term': 'Prozedural',
+    'intro.definition': 'Inhalte und Gestaltung &mdash; Umgebungen, Szenen, Animation, Figuren, Materialien, Architektur &mdash; <strong>rechnerisch</strong> statt von Hand erzeugen. Durch datengetriebene Simulation, kontrollierten Zufall und intelligente Systeme.',
+    'themes.overline': 'Themen: KI & Prozedurales',
+    'themes.title': 'Vier Dimensionen erweiterter Kreativität',
+    'themes.1.title': 'Der Mensch im Regelkreis',
+    'themes.1.description': 'Künstlerisch steuerbare KI und prozedurale Systeme. Die Künstlerin zeigt die Absicht, die KI ergänzt die Zwischenschritte.',
+    'themes.2.title': 'Exploration im großen Maßstab',
+    'themes.2.description': 'Von linearer, einsträngiger Exploration zu paralleler, echtzeitfähiger, asynchroner und agentischer Entwurfssuche.',
+    'themes.3.title': 'Semantische Manipulation',
+    'themes.3.description': 'Über direkte Manipulation hinaus zu semantischer Steuerung. Wir sind die Dirigenten &mdash; wir drücken Absichten aus, keine Pixelpositionen.',
+    'themes.4.title': 'Partizipatives Design',
+    'themes.4.description': 'Gestaltung zur Laufzeit. Von spezifikations- zu simulationsbasiertem Design, in dem emergentes Verhalten das Ergebnis prägt.',
+    'participatory.overline': 'Von der Spezifikation zur Simulation',
+    'participatory.title': 'Designparameter werden zum Produkt',
+    'participatory.before': 'Vor der KI',
+    'participatory.specification': 'Spezifikationsbasiert',
+    'participatory.after': 'KI-Ära',
+    'participatory.simulation': 'Simulationsbasiert',
+    'participatory.text1': 'Im klassischen Design liefern wir eine feste Spezifikation aus. Mit KI und prozeduralen Systemen werden Designparameter und Steuerelemente Teil des Kernerlebnisses &mdash; und ermöglichen emergentes Verhalten, das sich zur Laufzeit entwickelt.',
+    'participatory.text2': 'Das ausgelieferte Produkt wird zu einem lebendigen System, in dem die Designexploration über die direkte Beteiligung der Gestalter hinaus weitergeht.',
+    'closing.line1': 'Kunst fordert die Technik heraus,',
+    'closing.line2': 'und Technik inspiriert die Kunst.',
+    'closing.thanks': 'Vielen Dank',
+    'recorder.title': 'Rekorder',
+    'recorder.record': 'Aufnehmen',
+    'recorder.stop': 'Stopp',
+    'recorder.clear': 'Löschen',
+    'recorder.replay': 'Wiedergabe',
+    'recorder.session': 'Sitzung',
+    'recorder.open': 'Öffnen …',
+    'recorder.timeline': 'Verweildauer je Abschnitt',
+    'recorder.summary': 'Zusammenfassung je Abschnitt',
+    'recorder.play': 'Abspielen',
+    'recorder.speed': 'Wiedergabetempo',
+    'recorder.events': { one: '{count} Ereignis', other: '{count} Ereignisse' },
+    'recorder.viewingFile': ' · Datei geöffnet',
+    'recorder.empty': 'Noch nichts aufgezeichnet',
+    'recorder.count.control': { one: '{count} Regler', other: '{count} Regler' },
+    'recorder.count.click': { one: '{count} Klick', other: '{count} Klicks' },
+    'recorder.count.draw': { one: '{count} Zeichnung', other: '{count} Zeichnungen' },
+    'recorder.count.edit': { one: '{count} Änderung', other: '{count} Änderungen' },
+    'recorder.nothingToReplay': 'Nichts zum Abspielen',
+    'recorder.replayFinished': 'Wiedergabe beendet',
+    'recorder.recordingStopped': 'Aufnahme beendet',
+    'recorder.recording': 'Aufnahme läuft – bleibt bis zum Export in diesem Browser',
+    'recorder.confirmClear': 'Alle aufgezeichneten Ereignisse in diesem Browser löschen?',
+    'recorder.cleared': 'Protokoll gelöscht',
+    'recorder.opened': '{name} geöffnet',
+    'deck.title': 'Druckbare Präsentation',
+    'deck.print': 'Drucken / Als PDF speichern',
+    'deck.close': 'Schließen',
+    'deck.rendering': 'Wird erstellt …',
+    'deck.progress': 'Erstelle {index} / {total} – {section}',
+    'deck.pages': { one: '{count} Seite', other: '{count} Seiten' },
+    'capture.title': 'Mitschnitt',
+    'capture.format': 'Format',
+    'capture.format.webm': 'WebM-Video',
+    'capture.format.gif': 'Animiertes GIF',
+    'capture.format.png': 'PNG-Einzelbilder (zip)',
+    'capture.seconds': 'Sekunden',
+    'capture.fps': 'Bilder/s',
+    'capture.record': 'Aufnehmen',
+    'capture.cancel': 'Abbrechen',
+    'capture.noSection': 'Zuerst zu einem interaktiven Abschnitt scrollen',
+    'capture.starting': 'Wird gestartet …',
+    'capture.progress': 'Bild {frame} / {frames}',
+    'capture.saved': {
+      one: '{count} Bild gespeichert, {width}×{height}\n{size} MB',
+      other: '{count} Bilder gespeichert, {width}×{height}\n{size} MB',
+    },
+    'capture.cancelled': 'Mitschnitt abgebrochen',
+    'presets.title': 'Voreinstellungen',
+    'presets.name': 'Name',
+    'presets.nameLabel': 'Name der Voreinstellung',
+    'presets.save': 'Speichern',
+    'presets.list': 'Gespeicherte Voreinstellungen',
+    'presets.export': 'Exportieren',
+    'presets.import': 'Importieren …',
+    'presets.noSection': 'Zuerst zu einem interaktiven Abschnitt scrollen',
+    'presets.empty': 'Noch keine Voreinstellungen',
+    'presets.apply': '{name} anwenden',
+    'presets.applyBuiltin': '{name} anwenden (mitgeliefert)',
+    'presets.delete': '{name} löschen',
+    'presets.saved': '{name} gespeichert',
+    'presets.deleted': '{name} gelöscht',
+    'presets.applied': '{name} angewendet',
+    'presets.notApplied': '{name} konnte nicht angewendet werden',
+    'presets.imported': { one: '{count} Voreinstellung importiert', other: '{count} Voreinstellungen importiert' },
+    'history.undo': 'Rückgängig',
+    'history.redo': 'Wiederholen',
+    'history.undoLabel': 'Rückgängig: {label}',
+    'history.redoLabel': 'Wiederholen: {label}',
+  },
+
+  'manifest': {
+    'theme.human-in-the-loop.title': 'Der Mensch im Regelkreis',
+    'theme.human-in-the-loop.description': 'Künstlerisch steuerbare KI und prozedurale Systeme. Die Künstlerin zeigt die Designabsicht, das System ergänzt die Zwischenschritte.',
+    'theme.exploration.title': 'Designexploration im großen Maßstab',
+    'theme.exploration.description': 'Designabsichten als Variablen abstrahieren, um Varianten zu erzeugen. Riesige Entwurfsräume durch Generierung, Interpolation und agentische Exploration erkunden.',
+    'theme.semantic.title': 'Semantische Manipulation',
+    'theme.semantic.description': 'Die Zukunft interaktiver Systeme. Von direkter Manipulation zu semantischer Steuerung – wir sind die Dirigenten.',
+    'theme.participatory.title': 'Partizipatives Design',
+    'theme.participatory.description': 'Gestaltung zur Laufzeit. Simulationsbasierte Systeme, in denen emergentes Verhalten das Ergebnis über die direkte Beteiligung der Gestalter hinaus prägt.',
+    'theme.more.title': 'Mehr Prozedurales',
+    'theme.more.description': 'Prozedurales Denken in vielen Disziplinen – vom agentischen Set-Design über parametrische Architektur bis zu programmatischen Farbsystemen.',
+    'theme.intuitions.title': 'Intuitionen: Das Spektrum',
+    'theme.intuitions.description': 'Von rein prozedural bis KI-gesteuert – das sich wandelnde Verhältnis von menschlicher Kontrolle, Physik, Lernen und kreativem Ausdruck.',
+    'section.hero.label': 'Start',
+    'section.intro.label': 'Über',
+    'section.themes-overview.label': 'Themen',
+    'section.spiderverse-section.label': 'Schattierung',
+    'section.firewatch-section.label': 'Farbe',
+    'section.style-transfer-section.label': 'Stil',
+    'section.planets-section.label': 'Planeten',
+    'section.exploration-section.label': 'Raster',
+    'section.layout-gen-section.label': 'Layouts',
+    'section.variable-font-section.label': 'Schriften',
+    'section.semantic-section.label': 'Gesichter',
+    'section.lofi-hifi-section.label': 'Lofi-Hifi',
+    'section.semantic-lighting-section.label': 'Licht',
+    'section.semantic-animation-section.label': 'Gang',
+    'section.participatory.label': 'Laufzeit',
+    'section.emergent-section.label': 'Emergenz',
+    'section.spiderweb-section.label': 'Netze',
+    'section.parametric-arch-section.label': 'Architektur',
+    'section.colorbox-section.label': 'Farbe',
+    'section.animation-spectrum-section.label': 'Spektrum',
+    'section.closing.label': 'Schluss',
+  },
+
+  'tour': {
+    'Procedural Design — design for & with AI': 'Prozedurales Design – Gestaltung für & mit KI',
+    'The artist demonstrates intent; the system fills in the shading': 'Die Künstlerin zeigt die Absicht, das System ergänzt die Schattierung',
+    'One slider re-colors an entire landscape': 'Ein Regler färbt eine ganze Landschaft um',
+    'One composition, six rendering styles': 'Eine Komposition, sechs Darstellungsstile',
+    'Every seed is a world — 18 quintillion of them': 'Jeder Seed ist eine Welt – 18 Trillionen davon',
+    'Design intents become variables to explore': 'Designabsichten werden zu erkundbaren Variablen',
+    'Layouts generated from rules, not templates': 'Layouts aus Regeln, nicht aus Vorlagen',
+    'Continuous axes of typographic variation': 'Stufenlose Achsen typografischer Variation',
+    'From direct manipulation to semantic control': 'Von direkter Manipulation zu semantischer Steuerung',
+    'Paint meaning; the system renders detail': 'Bedeutung malen, das System rendert die Details',
+    'Describe intent, not coordinates': 'Absichten beschreiben, nicht Koordinaten',
+    'A walk cycle directed by mood, energy and weight': 'Ein Gangzyklus, gesteuert von Stimmung, Energie und Gewicht',
+    'Simple rules, complex outcomes': 'Einfache Regeln, komplexe Ergebnisse',
+    'Virtual spiders weave from a handful of anchors': 'Virtuelle Spinnen weben aus einer Handvoll Ankerpunkten',
+    'Infinite structures from a few parameters': 'Unendlich viele Bauwerke aus wenigen Parametern',
+    'Accessible palettes from three curves': 'Barrierefreie Paletten aus drei Kurven',
+    'From purely procedural to AI-driven': 'Von rein prozedural bis KI-gesteuert',
+  },
+
+  'params': {
+    reset: 'Zurücksetzen',
+    randomize: 'Zufällig',
+    newSeed: 'Neuer Seed',
+  },
+
+  'hero': {
+    title: 'Prozedurales Design',
+    subtitle: 'Gestaltung für & mit KI',
+    date: 'Erster Entwurf · 2019',
+    scroll: 'Scrollen',
+    settings: 'Partikeleinstellungen',
+    'panel.title': 'Partikelparameter',
+    'group.Flow': 'Strömung',
+    'group.Motion': 'Bewegung',
+    'group.Size': 'Größe',
+    'group.Cursor': 'Cursor',
+    'group.Blur': 'Unschärfe',
+    'param.PARTICLE_COUNT': 'Partikel',
+    'param.NOISE_SCALE': 'Strömungsmaßstab',
+    'param.NOISE_SPEED': 'Strömungstempo',
+    'param.FLOW_STRENGTH': 'Strömungsstärke',
+    'param.TRAIL_ALPHA': 'Spurausblendung',
+    'param.SPEED_DAMPING': 'Dämpfung',
+    'param.MAX_SPEED': 'Höchsttempo',
+    'param.PARTICLE_MIN_SIZE': 'Min. Größe',
+    'param.PARTICLE_MAX_SIZE': 'Max. Größe',
+    'param.MOUSE_RADIUS': 'Cursorradius',
+    'param.MOUSE_STRENGTH': 'Cursorkraft',
+    'param.BLUR_ENABLED': 'Tiefenschärfe',
+    'param.BLUR_AMOUNT': 'Unschärfegrad',
+    'param.BLUR_CLEAR_RADIUS': 'Scharfer Radius',
+    'group.Field': 'Feld',
+    'group.Attractor': 'Attraktor',
+    'param.FIELD_NOISE': 'Rauschen',
+    'param.FIELD_CURL': 'Curl-Rauschen',
+    'param.FIELD_ATTRACTOR': 'Attraktor',
+    'param.FIELD_POINTS': 'Wirbel',
+    'param.FIELD_IMAGE': 'Bild / Text',
+    'param.IMAGE_ANGLE': 'Bildströmungswinkel',
+    'param.CLICK_MODE': 'Klick setzt',
+    'param.ATTRACTOR': 'Abbildung',
+    'option.CLICK_MODE.ripple': 'Welle',
+    'option.CLICK_MODE.vortex': 'Wirbel',
+    'option.CLICK_MODE.source': 'Quelle',
+    fieldText: 'Text, dem die Strömung folgt',
+    fieldImage: 'Bild …',
+    fieldClear: 'Feld leeren',
+    'group.Form': 'Formation',
+    'param.FORM_STRENGTH': 'Formation',
+    'param.FORM_SIZE': 'Formgröße',
+    formText: 'Formtext (leer: der Titel)',
+    formImage: 'Form …',
+    formClear: 'Form leeren',
+    'group.Audio': 'Audio',
+    'param.AUDIO_FLOW': 'Strömungsstärke aus',
+    'param.AUDIO_SPEED': 'Strömungstempo aus',
+    'param.AUDIO_SIZE': 'Partikelgröße aus',
+    'param.AUDIO_HUE': 'Paletten-Verschiebung aus',
+    'param.AUDIO_GAIN': 'Empfindlichkeit',
+    'param.AUDIO_ONSETS': 'Beats als Wellen',
+    'option.AUDIO_FLOW.off': 'Aus',
+    'option.AUDIO_FLOW.bass': 'Bass',
+    'option.AUDIO_FLOW.mids': 'Mitten',
+    'option.AUDIO_FLOW.highs': 'Höhen',
+    'option.AUDIO_SPEED.off': 'Aus',
+    'option.AUDIO_SPEED.bass': 'Bass',
+    'option.AUDIO_SPEED.mids': 'Mitten',
+    'option.AUDIO_SPEED.highs': 'Höhen',
+    'option.AUDIO_SIZE.off': 'Aus',
+    'option.AUDIO_SIZE.bass': 'Bass',
+    'option.AUDIO_SIZE.mids': 'Mitten',
+    'option.AUDIO_SIZE.highs': 'Höhen',
+    'option.AUDIO_HUE.off': 'Aus',
+    'option.AUDIO_HUE.bass': 'Bass',
+    'option.AUDIO_HUE.mids': 'Mitten',
+    'option.AUDIO_HUE.highs': 'Höhen',
+    audioOpen: 'Audio …',
+    audioStop: 'Audio stoppen',
+    audioHint: 'Audiodatei wählen oder auf die Seite ziehen',
+  },
+
+  'spiderverse-section': {
+    overline: 'Künstlerisch steuerbare Schattierung',
+    title: 'Die Künstlerin zeigt die Absicht, die KI ergänzt die Zwischenschritte',
+    description: 'Zeichne grobe Striche auf die Fläche unten. Das System erzeugt prozedural Kreuzschraffur, Punktierung und Schattierung im Comicstil – inspiriert von Spider-Man: A New Universe.',
+    hint: 'Hier zeichnen – deine Striche werden schattiert',
+    clear: 'Leeren',
+    exportSvg: 'SVG',
+    exportSvgTitle: 'Als SVG speichern, eine Ebene je Markierungsart und eine Gruppe je Strich',
+    exportPlot: 'Plotter-SVG',
+    exportPlotTitle: 'Als SVG für einen Stiftplotter speichern, mit weniger Leerfahrt',
+    'param.density': 'Schattierungsdichte',
+    'param.weight': 'Strichstärke',
+    'param.style': 'Stil',
+    'option.style.mixed': 'Gemischt',
+    'option.style.crosshatch': 'Kreuzschraffur',
+    'option.style.stipple': 'Punktierung',
+  },
+
+  'firewatch-section': {
+    overline: 'Prozedurale Farbe & Tonwerte',
+    title: 'Farbe und Tonwert sind die Schlüsselkonzepte',
+    description: 'Inspiriert von Firewatch – zieh am Tageszeit-Regler und die gesamte Landschaftspalette verschiebt sich. Temperatur und Sättigung steuern die Stimmung. Bewege die Maus über die Szene für eine sanfte Parallaxe.',
+    cool: 'Kühl',
+    warm: 'Warm',
+    neutral: 'Neutral',
+    muted: 'Gedämpft',
+    vivid: 'Kräftig',
+    normal: 'Normal',
+    'param.time': 'Tageszeit',
+    'param.temperature': 'Temperatur',
+    'param.saturation': 'Sättigung',
+  },
+
+  'style-transfer-section': {
+    overline: 'Stiltransfer & Imitation',
+    title: 'Derselbe Inhalt, durch verschiedene künstlerische Prozesse gerendert',
+    description: 'Von Prisma bis zu Pixars <em>Stylizing Animation by Example</em> – dieselbe prozedurale Komposition in sechs unterschiedlichen Bildstilen. Jeder zeigt, wie der künstlerische Prozess identischen Inhalt verwandelt.',
+    newComposition: 'Neue Komposition',
+    'style.wireframe': 'Drahtgitter',
+    'style.watercolor': 'Aquarell',
+    'style.oilpaint': 'Ölmalerei',
+    'style.pixelart': 'Pixelkunst',
+    'style.comic': 'Comic / Pop-Art',
+    'style.woodcut': 'Holzschnitt',
+  },
+
+  'planets-section': {
+    overline: 'Prozedurale Generierung',
+    title: 'Jede Welt ist einzigartig',
+    developers: 'Entwickler',
+    quintillion: '18,4 Trillionen',
+    uniquePlanets: 'einzigartige Planeten',
+    counter: 'Planet Nr. {seed} von {total}',
+    seed: 'Seed:',
+    go: 'Los',
+    generate: 'Neue Welt erzeugen',
+    ringed: '{type} / mit Ringen',
+    'type.Rocky': 'Felsig',
+    'type.Icy': 'Eisig',
+    'type.Lush': 'Üppig',
+    'type.Volcanic': 'Vulkanisch',
+    'type.Gas Giant': 'Gasriese',
+    'type.Toxic': 'Giftig',
+    'type.Ocean': 'Ozean',
+    'type.Exotic': 'Exotisch',
+  },
+
+  'exploration-section': {
+    overline: 'Designexploration im großen Maßstab',
+    title: 'Designabsichten als Variablen',
+    description: 'Varianten entstehen, indem Designentscheidungen parametrisiert werden. Navigiere den Möglichkeitsraum durch Interpolation und generative Exploration.',
+    grid: 'Generatives Designraster',
+    variables: 'Designvariablen',
+    'complexity.label': 'Komplexität',
+    'complexity.lo': 'Einfach',
+    'complexity.hi': 'Verschlungen',
+    'symmetry.label': 'Symmetrie',
+    'symmetry.lo': 'Asymmetrisch',
+    'symmetry.hi': 'Radial',
+    'organic.label': 'Organik',
+    'organic.lo': 'Geometrisch',
+    'organic.hi': 'Organisch',
+    'colorTemp.label': 'Farbtemperatur',
+    'colorTemp.lo': 'Kühl',
+    'colorTemp.hi': 'Warm',
+    randomize: 'Alles zufällig',
+    interpolation: 'Interpolation im Entwurfsraum',
+    newEndpoints: 'Neue Endpunkte',
+    modes: 'Explorationsmodi',
+    'mode.linear': 'Lineare Exploration',
+    'mode.multi': 'Parallele Exploration',
+    'mode.agentive': 'Agentische Exploration',
+    'mode.linear.description': 'Ein Pfad durch den Entwurfsraum',
+    'mode.multi.description': 'Verzweigte parallele Bewertung',
+    'mode.agentive.description': 'Autonome Agenten erkunden fortlaufend',
+    start: 'Start',
+    end: 'Ende',
+    designSpace: 'Entwurfsraum',
+  },
+
+  'layout-gen-section': {
+    overline: 'ABSCHNITT D',
+    title: 'Generatives Layout',
+    description: 'Prozedurale Seitenkomposition – abstrakte Inhaltsabsichten als Variablen',
+    layoutMode: 'LAYOUTMODUS',
+    generate: 'Erzeugen',
+    seed: 'Seed: {seed}',
+    blockTypes: 'BLOCKTYPEN',
+    controls: 'Layoutmodus',
+    generateLayout: 'Neues Layout erzeugen',
+    status: 'Layout {mode}, Seed {seed}',
+    'mode.Magazine': 'Magazin',
+    'mode.Blog': 'Blog',
+    'mode.Dashboard': 'Dashboard',
+    'mode.Portfolio': 'Portfolio',
+    'layout.Magazine': 'Magazin-Layout',
+    'layout.Blog': 'Blog-Layout',
+    'layout.Dashboard': 'Dashboard-Layout',
+    'layout.Portfolio': 'Portfolio-Layout',
+    'block.heading': 'Überschrift',
+    'block.body-text': 'Fließtext',
+    'block.image': 'Bild',
+    'block.sidebar': 'Seitenleiste',
+    'block.pull-quote': 'Zitat',
+    'block.nav': 'Navigation',
+  },
+
+  'variable-font-section': {
+    overline: 'ABSCHNITT E',
+    title: 'Typografischer Gestaltungsraum',
+    description: 'Interpolation variabler Schriften – Navigation entlang stufenloser Achsen typografischer Variation',
+    axes: 'VARIATIONSACHSEN',
+    designSpace: 'ENTWURFSRAUM',
+    weightAxis: 'Stärke →',
+    widthAxis: 'Breite →',
+    controls: 'Variationsachsen',
+    range: '{value} ({lo} bis {hi})',
+    'weight.label': 'Stärke',
+    'weight.lo': 'Dünn',
+    'weight.hi': 'Fett',
+    'width.label': 'Breite',
+    'width.lo': 'Schmal',
+    'width.hi': 'Breit',
+    'opticalSize.label': 'Optische Größe',
+    'opticalSize.lo': 'Bildunterschrift',
+    'opticalSize.hi': 'Display',
+    'slant.label': 'Neigung',
+    'slant.lo': 'Aufrecht',
+    'slant.hi': 'Kursiv',
+  },
+
+  'semantic-section': {
+    direct: 'Direkte Manipulation',
+    semantic: 'Semantische Manipulation',
+    vs: 'VS',
+    quoteLine: '„Die Zukunft interaktiver Systeme',
+    directQuote: 'und das Aufkommen der direkten Manipulation.“',
+    semanticQuote: 'und das Aufkommen der semantischen Manipulation.“',
+    directCredit: '– Ben Shneiderman, 1982',
+    semanticCredit: '– 2019',
+    conductor: 'Wir sind die Dirigenten.',
+    controlPoints: { one: '{count} Kontrollpunkt', other: '{count} Kontrollpunkte' },
+    dimensions: { one: '{count} semantische Dimension', other: '{count} semantische Dimensionen' },
+    dragHint: 'Zieh einen Punkt, um das Gesicht zu verformen',
+    sliderHint: 'Bewege die Regler unten',
+    controls: 'Semantische Steuerung',
+    range: '{value} ({lo} bis {hi})',
+    'mood.label': 'Stimmung',
+    'mood.left': 'Traurig',
+    'mood.right': 'Fröhlich',
+    'energy.label': 'Energie',
+    'energy.left': 'Ruhig',
+    'energy.right': 'Aufgeregt',
+    'age.label': 'Alter',
+    'age.left': 'Jung',
+    'age.right': 'Alt',
+    'style.label': 'Stil',
+    'style.left': 'Minimal',
+    'style.right': 'Detailliert',
+    'handle.head_top': 'Kopf oben',
+    'handle.head_right': 'Kopf rechts',
+    'handle.head_bottom': 'Kopf unten',
+    'handle.head_left': 'Kopf links',
+    'handle.eye_l': 'Linkes Auge',
+    'handle.eye_r': 'Rechtes Auge',
+    'handle.eye_l_size': 'Größe l. Auge',
+    'handle.eye_r_size': 'Größe r. Auge',
+    'handle.brow_l': 'Linke Braue',
+    'handle.brow_r': 'Rechte Braue',
+    'handle.nose': 'Nase',
+    'handle.mouth_l': 'Mund L',
+    'handle.mouth_c': 'Mundbogen',
+    'handle.mouth_r': 'Mund R',
+    'handle.cheek_l': 'Linke Wange',
+    'handle.cheek_r': 'Rechte Wange',
+  },
+
+  'lofi-hifi-section': {
+    overline: 'Von Lofi zu Hifi',
+    title: 'Gib mir eine Grundlage zum Jammen',
+    description: 'Absicht malen, Details erzeugen. Skizziere links semantische Bereiche – Himmel, Wasser, Bäume – und sieh rechts prozedurale Texturen entstehen. Inspiriert von Nvidia GauGAN.',
+    example: 'Beispiel',
+    clear: 'Leeren',
+    sketch: 'Skizze',
+    rendered: 'Gerendert',
+    'brush.Sky': 'Himmel',
+    'brush.Water': 'Wasser',
+    'brush.Trees': 'Bäume',
+    'brush.Mountains': 'Berge',
+    'brush.Ground': 'Boden',
+    'brush.Sand': 'Sand',
+    'brush.Snow': 'Schnee',
+  },
+
+  'semantic-lighting-section': {
+    overline: 'Semantische Beleuchtung',
+    title: 'Maschinen Licht und Schatten beibringen',
+    description: 'Absichten beschreiben, nicht Koordinaten. Stelle Tageszeit, Wetter, Dramatik und Jahreszeit ein – das System berechnet Sonnenstand, Schattenwinkel, Himmelsverläufe und atmosphärische Effekte. Inspiriert von Autodesk Flame und Promethean AI.',
+    timeOfDay: 'Tageszeit',
+    weather: 'Wetter',
+    drama: 'Dramatik',
+    season: 'Jahreszeit',
+    showDirect: 'Direkte Werte zeigen',
+    hideDirect: 'Direkte Werte ausblenden',
+    'weather.Clear': 'Klar',
+    'weather.Cloudy': 'Bewölkt',
+    'weather.Stormy': 'Stürmisch',
+    'season.Spring': 'Frühling',
+    'season.Summer': 'Sommer',
+    'season.Fall': 'Herbst',
+    'season.Winter': 'Winter',
+    'direct.sunX': 'Sonne X',
+    'direct.sunY': 'Sonne Y',
+    'direct.shadowAngle': 'Schattenwinkel',
+    'direct.ambient': 'Umgebungslicht',
+  },
+
+  'semantic-animation-section': {
+    overline: 'SEMANTISCHE ANIMATION',
+    title: 'Semantische Animation',
+    subtitle: 'Wie Disney & Pixar über Bewegung denken – Bedeutung statt Mathematik.',
+    vs: 'VS',
+    direct: 'Direkte Steuerung (12 Gelenke)',
+    directHint: 'Jedes Gelenk einzeln ziehen',
+    semantic: 'Semantische Steuerung (4 Dimensionen)',
+    semanticHint: 'Ein beliebiger Regler verändert den Gang',
+    poseHint: 'Zieh ein Gelenk, um die Figur zu posieren',
+    moved: '{moved}/12 Gelenke bewegt – merkst du, wie mühsam das ist?',
+    tedious: 'Mühsam, oder? Jetzt sieh dir die rechte Seite an.',
+    oneSlider: 'Ein Regler verändert alle 12 Gelenke zugleich',
+    'mood.label': 'Stimmung',
+    'mood.left': 'Traurig',
+    'mood.right': 'Fröhlich',
+    'energy.label': 'Energie',
+    'energy.left': 'Müde',
+    'energy.right': 'Energisch',
+    'weight.label': 'Gewicht',
+    'weight.left': 'Leicht',
+    'weight.right': 'Schwer',
+    'style.label': 'Stil',
+    'style.left': 'Dezent',
+    'style.right': 'Übertrieben',
+  },
+
+  'emergent-section': {
+    overline: 'Multi-Agenten-Systeme',
+    title: 'Emergentes Verhalten',
+    description: 'Einfache Regeln, komplexe Ergebnisse – emergenter Werkzeuggebrauch aus dem Zusammenspiel vieler Agenten. Gestaltung zur Laufzeit durch Simulation. Klicke, um Futter oder Hindernisse zu platzieren.',
+    interaction: 'Interaktion',
+    'mode.observe': 'Beobachten',
+    'mode.food': 'Futter setzen',
+    'mode.obstacle': 'Hindernis setzen',
+    reset: 'Simulation zurücksetzen',
+    stats: 'Futter: {food}  |  Agenten: {agents}  |  Spuren: {trails} %',
+    'group.Agents': 'Agenten',
+    'group.Simulation': 'Simulation',
+    'group.Behaviors': 'Verhalten',
+    'param.foragerCount': 'Sammler',
+    'param.builderCount': 'Baumeister',
+    'param.scoutCount': 'Späher',
+    'param.speedMult': 'Tempo',
+    'param.pheromoneDecay': 'Spurzerfall',
+    'param.flocking': 'Schwarmverhalten',
+    'param.trailFollowing': 'Spuren folgen',
+    'param.signalsEnabled': 'Spähersignale',
+  },
+
+  'spiderweb-section': {
+    title: 'Prozedurales & agentisches Design',
+    description: 'Inspiriert von Pixars prozeduralem Spinnennetz-System – virtuelle Spinnen weben realistische Netze, gesteuert über Dichte, Spannung und Platzierung.',
+    help: 'Doppel- oder Rechtsklick auf einen Anker entfernt ihn',
+    clear: 'Leeren',
+    placeAnchors: 'Klicke, um Ankerpunkte zu setzen',
+    weaveHint: 'Setze {count} oder mehr Anker, um ein Netz zu weben',
+    moreAnchors: { one: 'Noch {count} Anker, dann beginnt das Weben', other: 'Noch {count} Anker, dann beginnt das Weben' },
+    'param.density': 'Netzdichte',
+    'param.tension': 'Spannung',
+    'param.spiderSpeed': 'Spinnentempo',
+  },
+
+  'parametric-arch-section': {
+    overline: 'Abschnitt J',
+    title: 'Parametrische Architektur',
+    description: 'Von Flughäfen bis zu Stadien – parametrisches Design erzeugt aus wenigen Steuerparametern unendlich viele Tragwerksvarianten. Inspiriert vom Flughafen Shenzhen Bao’an.',
+    random: 'Zufälliges Gebäude',
+    'preset.Airport Terminal': 'Flughafenterminal',
+    'preset.Bridge': 'Brücke',
+    'preset.Stadium': 'Stadion',
+    'preset.Tower': 'Turm',
+    'param.curvature': 'Krümmung',
+    'param.columns': 'Stützendichte',
+    'param.roofSpan': 'Dachspannweite',
+    'param.height': 'Höhe',
+    'param.organic': 'Organischer Anteil',
+  },
+
+  'colorbox-section': {
+    overline: 'Abschnitt K',
+    title: 'Programmatische Farbe',
+    description: 'Prozedural erzeugte, vollständig barrierefreie Farbpaletten – jede Stufe aus Kurven berechnet, nicht von Hand gewählt. Inspiriert von ColorBox.io.',
+    'curve.hue': 'Farbton',
+    'curve.saturation': 'Sättigung',
+    'curve.lightness': 'Helligkeit',
+    steps: 'Stufen',
+    correction: 'Wahrnehmungskorrektur',
+    share: 'Andere Demos einfärben',
+    randomize: 'Zufällig',
+    sensitivity: 'Helligkeitsempfinden des Menschen',
+    caption: 'Das menschliche Auge reagiert stärker auf Grün und Rot, schwächer auf Blau – gleiche Helligkeitswerte wirken unterschiedlich hell.',
+    blueWarning: 'Deine Palette enthält Blautöne (200–280°). Sie wirken dunkler, als die HSL-Helligkeit vermuten lässt. Aktiviere die Wahrnehmungskorrektur zum Ausgleich.',
+    brightness: 'wahrgenommene Helligkeit',
+    'preset.Ocean Blues': 'Ozeanblau',
+    'preset.Warm Sunset': 'Warmer Sonnenuntergang',
+    'preset.Accessible Grays': 'Barrierefreie Grautöne',
+    'preset.Brand Purple': 'Markenviolett',
+  },
+
+  'animation-spectrum-section': {
+    overline: 'INTUITIONEN – PROZEDURAL UND KI',
+    title: 'Der konvergente Pfad',
+    subtitle: 'Wie Figurenanimation und künstliche Intelligenz unabhängig voneinander denselben Durchbruch fanden',
+    characterDemo: 'Figurendemo',
+    artDirection: 'Art Direction',
+    subtle: 'Dezent',
+    expressive: 'Ausdrucksstark',
+    noStrengths: '(Keine Stärken – dieser Ansatz scheitert)',
+    insight: 'Erkenntnis',
+    computerGraphics: 'Computergrafik',
+    aiField: 'KI-Forschung',
+    collapsed: 'ZUSAMMENGEBROCHEN',
+    restarting: 'Neustart …',
+    'step.ik.title': 'Rein prozedural',
+    'step.ik.subtitle': 'Inverse Kinematik',
+    'step.ik.description': 'Animation rein auf Basis von IK-Rigs. Handgeschriebene Regeln führen jedes Gelenk zu seiner Zielposition. Sieht gut aus, ist aber teuer in Erstellung und Pflege. Etwas verallgemeinerbar – Rigs funktionieren für Figuren unterschiedlicher Größe und Statur –, aber grundsätzlich durch das begrenzt, was der Programmierer vorhersieht.',
+    'step.ik.insight': 'Wie Expertensysteme in der KI: stark in engen Domänen, aber jeder Sonderfall muss von Hand programmiert werden.',
+    'step.ik.strength.0': 'Volle künstlerische Kontrolle',
+    'step.ik.strength.1': 'Vorhersagbares Verhalten',
+    'step.ik.weakness.0': 'Teuer in der Erstellung',
+    'step.ik.weakness.1': 'Begrenzte Verallgemeinerung',
+    'step.ik.weakness.2': 'Fragil in neuen Situationen',
+    'step.pfnn.title': 'Überwachtes Lernen',
+    'step.pfnn.subtitle': 'Phase-Functioned Neural Networks (SIGGRAPH 2017)',
+    'step.pfnn.description': 'Daniel Holden, Taku Komura und Jun Saito trainierten ein neuronales Netz auf umfangreichen Motion-Capture-Daten. Das Phase-Functioned Neural Network erzeugt bemerkenswert flüssige, ansprechende Bewegung, indem es die statistischen Muster menschlicher Bewegung lernt.',
+    'step.pfnn.subtext': 'MoCap-Daten → Prozedurale Anreicherung → PFNN → Bewegungserzeugung',
+    'step.pfnn.insight': 'Wie Deep Learning der ImageNet-Ära: beeindruckende Mustererkennung, aber kein Verständnis der zugrunde liegenden Physik.',
+    'step.pfnn.strength.0': 'Sehr flüssige Bewegung',
+    'step.pfnn.strength.1': 'Lernt aus echten menschlichen Daten',
+    'step.pfnn.weakness.0': 'Kein Physikverständnis',
+    'step.pfnn.weakness.1': 'Schwer künstlerisch steuerbar',
+    'step.pfnn.weakness.2': 'Kein agentisches Verhalten (nur Steuerung, keine Autonomie)',
+    'step.sl_physics_fail.title': 'Der Bruchpunkt',
+    'step.sl_physics_fail.subtitle': 'Wenn überwachtes Lernen auf Physik trifft',
+    'step.sl_physics_fail.description': 'Forschende bei Nvidia nahmen die PFNN-Arbeit und fügten eine Physiksimulation hinzu. Die Figur fällt sofort um – sie wurde nie darauf trainiert, auf physikalische Kräfte zu reagieren. Ohne RL gibt es keine Strategie, die sie aufrecht hält. Überwachtes Lernen ist außerhalb seiner Trainingsverteilung fragil.',
+    'step.sl_physics_fail.insight': 'Die entscheidende Lehre: Muster zu lernen ist nicht dasselbe, wie handeln zu lernen. Ein Modell, das auf „was passiert“ trainiert ist, kann nicht mit „was tun, wenn etwas schiefgeht“ umgehen.',
+    'step.sl_physics_fail.weakness.0': 'Figur bricht unter Physik zusammen',
+    'step.sl_physics_fail.weakness.1': 'Keine Strategie zur Erholung',
+    'step.sl_physics_fail.weakness.2': 'Überwachtes Lernen verallgemeinert nicht auf unbekannte Kräfte',
+    'step.rl_physics.title': 'RL + Physik',
+    'step.rl_physics.subtitle': 'DeepLoco (2017) · Emergence of Locomotion (DeepMind, 2017)',
+    'step.rl_physics.description': 'Die Figur lernt von Grund auf durch Versuch und Irrtum in einer Physiksimulation. RL entdeckt Fortbewegung emergent – Laufen, Springen, Ducken –, ohne dass jede Bewegung eigens beigebracht wird. Allgemeiner und robust gegen Störungen. Doch die Bewegungen wirken nicht natürlich. Mehr Gelenke und Knochen = unnatürlichere Bewegung.',
+    'step.rl_physics.insight': 'RL findet Lösungen, die funktionieren, aber nicht menschlich sind. Wie frühe spielende KI: Sie gewinnt, aber auf eine Weise, die kein Mensch wiedererkennen würde.',
+    'step.rl_physics.strength.0': 'Verkraftet Störungen',
+    'step.rl_physics.strength.1': 'Emergentes Verhalten',
+    'step.rl_physics.strength.2': 'Physikbewusst',
+    'step.rl_physics.weakness.0': 'Unnatürlicher Gang',
+    'step.rl_physics.weakness.1': 'Fremdartige Bewegungsstrategien',
+    'step.rl_physics.weakness.2': 'Keine Garantie für Menschenähnlichkeit',
+    'step.deepmimic.title': 'Der Durchbruch',
+    'step.deepmimic.subtitle': 'DeepMimic – Peng, Abbeel, Levine, van de Panne (SIGGRAPH 2018)',
+    'step.deepmimic.description': 'DeepMimic verbindet RL mit Referenzbewegung als Belohnungssignal. Die Figur lernt, Motion-Capture-Vorbilder nachzuahmen, und bleibt dabei robust gegenüber Physik. Natürlich UND verallgemeinerbar. Die Schlüsselformel: RL für Robustheit + menschlich ausgerichtete Vorgaben für Qualität.',
+    'step.deepmimic.insight': 'Dieselbe Formel, die später die KI verändern sollte: RL + menschlich ausgerichtete Vorgaben. Referenzbewegung in der Computergrafik (2018). Menschliche Präferenzen in der KI (2022). Beide Felder kamen unabhängig zur selben Erkenntnis.',
+    'step.deepmimic.strength.0': 'Natürliche Bewegung',
+    'step.deepmimic.strength.1': 'Robust gegenüber Physik',
+    'step.deepmimic.strength.2': 'Verallgemeinert auf neue Situationen',
+    'step.deepmimic.weakness.0': 'Weniger steuerbar als prozedurale Ansätze',
+    'step.deepmimic.weakness.1': 'Abhängig von guten Referenzdaten',
+    'step.rl_il_proc.title': 'Der Kreis schließt sich',
+    'step.rl_il_proc.subtitle': 'Künstlerische Kontrolle kehrt zurück – Overgrowth (~2019)',
+    'step.rl_il_proc.description': 'Der letzte Schritt: prozedurale Steuerung über gelerntem Verhalten. Die Maschine lernt den schweren Teil (Physik, natürliche Bewegung); die Künstlerin lenkt den Ausdruck (Schritt, Energie, Stil). Kunst fordert die Technik heraus, und Technik inspiriert die Kunst.',
+    'step.rl_il_proc.insight': 'Das Ziel beider Felder: Die KI übernimmt die Komplexität, Menschen steuern die Absicht. Constitutional AI bei Sprachmodellen. Prozedurale Ebenen in der Animation. Der Mensch bleibt im Regelkreis.',
+    'step.rl_il_proc.strength.0': 'Natürliche Bewegung',
+    'step.rl_il_proc.strength.1': 'Robust gegenüber Physik',
+    'step.rl_il_proc.strength.2': 'Künstlerisch steuerbar',
+    'step.rl_il_proc.strength.3': 'Der Kreis schließt sich',
+    'step.rl_il_proc.weakness.0': 'Komplexeste Pipeline',
+  },
+});
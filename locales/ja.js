@@ -0,0 +1,648 @@
+// =============================================================================
+// 日本語 — Japanese catalog for core/i18n.js
+// Keys mirror the English each section registers with i18n.namespace();
+// anything missing here falls back to English. Japanese has no plural
+// forms, so counted messages only need `other`.
+// =============================================================================
+
+Procedural.i18n.define('ja', {
+  'page': {
+    'language': '言語',
+    'intro.quote': '<em>デザインするマシンを、</em><br>デザインする。',
+    'intro.subtext': '人間の知識と意図を、計算によって、機械が理解でき、アートディレクションが可能なプロセスへと変換する。',
+    'intro.term': 'プロシージャル',
+    'intro.definition': '環境、シーン、アニメーション、キャラクター、マテリアル、建築などのコンテンツやデザインを、手作業ではなく<strong>計算によって</strong>生成すること。データ駆動のシミュレーション、制御されたランダム性、知的なシステムによって。',
+    'themes.overline': 'テーマ：AIとプロシージャル',
+    'themes.title': '拡張された創造性の4つの次元',
+    'themes.1.title': 'ヒューマン・イン・ザ・ループ',
+    'themes.1.description': 'アートディレクション可能なAIとプロシージャルシステム。アーティストが意図を示し、AIがその間を埋める。',
+    'themes.2.title': '大規模な探索',
+    'themes.2.description': '直線的な単一スレッドの探索から、並列・リアルタイム・非同期、そしてエージェントによるデザイン探索へ。',
+    'themes.3.title': 'セマンティック操作',
+    'themes.3.description': '直接操作を超えて、意味による制御へ。私たちは指揮者だ &mdash; ピクセルの位置ではなく、意図を伝える。',
+    'themes.4.title': '参加型デザイン',
+    'themes.4.description': '実行時のデザイン。仕様ベースからシミュレーションベースのデザインへ。創発的な振る舞いが結果を形づくる。',
+    'participatory.overline': '仕様からシミュレーションへ',
+    'participatory.title': 'デザインパラメータがプロダクトになる',
+    'participatory.before': 'AI以前',
+    'participatory.specification': '仕様ベース',
+    'participatory.after': 'AI時代',
+    'participatory.simulation': 'シミュレーションベース',
+    'participatory.text1': '従来のデザインでは、固定された仕様を出荷する。AIとプロシージャルシステムでは、デザインのパラメータと操作そのものが体験の中核となり &mdash; 実行時に進化する創発的な振る舞いを可能にする。',
+    'participatory.text2': '出荷されたプロダクトは生きたシステムとなり、デザインの探索はデザイナーの直接の関与を超えて続いていく。',
+    'closing.line1': 'アートは技術に挑み、',
+    'closing.line2': '技術はアートを触発する。',
+    'closing.thanks': 'ありがとうございました',
+    'recorder.title': 'レコーダー',
+    'recorder.record': '記録',
+    'recorder.stop': '停止',
+    'recorder.clear': '消去',
+    'recorder.replay': '再生',
+    'recorder.session': 'セッション',
+    'recorder.open': '開く…',
+    'recorder.timeline': 'セクションごとの滞在時間',
+    'recorder.summary': 'セクションごとの概要',
+    'recorder.play': '再生',
+    'recorder.speed': '再生速度',
+    'recorder.events': { other: '{count} 件のイベント' },
+    'recorder.viewingFile': ' · ファイルを表示中',
+    'recorder.empty': 'まだ記録がありません',
+    'recorder.count.control': { other: '操作 {count} 回' },
+    'recorder.count.click': { other: 'クリック {count} 回' },
+    'recorder.count.draw': { other: '描画 {count} 回' },
+    'recorder.count.edit': { other: '編集 {count} 回' },
+    'recorder.nothingToReplay': '再生するものがありません',
+    'recorder.replayFinished': '再生が終わりました',
+    'recorder.recordingStopped': '記録を停止しました',
+    'recorder.recording': '記録中 — エクスポートするまでこのブラウザー内に保存されます',
+    'recorder.confirmClear': 'このブラウザーに記録したイベントをすべて削除しますか？',
+    'recorder.cleared': 'ログを消去しました',
+    'recorder.opened': '{name} を開きました',
+    'deck.title': '印刷用スライド',
+    'deck.print': '印刷 / PDF として保存',
+    'deck.close': '閉じる',
+    'deck.rendering': '作成中…',
+    'deck.progress': '作成中 {index} / {total} — {section}',
+    'deck.pages': { other: '{count} ページ' },
+    'capture.title': 'キャプチャ',
+    'capture.format': '形式',
+    'capture.format.webm': 'WebM 動画',
+    'capture.format.gif': 'アニメーション GIF',
+    'capture.format.png': 'PNG 連番 (zip)',
+    'capture.seconds': '秒数',
+    'capture.fps': 'FPS',
+    'capture.record': '録画',
+    'capture.cancel': 'キャンセル',
+    'capture.noSection': 'インタラクティブなセクションまでスクロールしてください',
+    'capture.starting': '開始中…',
+    'capture.progress': 'フレーム {frame} / {frames}',
+    'capture.saved': { other: '{count} フレームを保存しました ({width}×{height})\n{size} MB' },
+    'capture.cancelled': 'キャプチャを中止しました',
+    'presets.title': 'プリセット',
+    'presets.name': '名前',
+    'presets.nameLabel': 'プリセット名',
+    'presets.save': '保存',
+    'presets.list': '保存済みのプリセット',
+    'presets.export': 'エクスポート',
+    'presets.import': 'インポート…',
+    'presets.noSection': 'インタラクティブなセクションまでスクロールしてください',
+    'presets.empty': 'プリセットはまだありません',
+    'presets.apply': '{name} を適用',
+    'presets.applyBuiltin': '{name} を適用 (組み込み)',
+    'presets.delete': '{name} を削除',
+    'presets.saved': '{name} を保存しました',
+    'presets.deleted': '{name} を削除しました',
+    'presets.applied': '{name} を適用しました',
+    'presets.notApplied': '{name} を適用できませんでした',
+    'presets.imported': { other: '{count} 件のプリセットをインポートしました' },
+    'history.undo': '元に戻す',
+    'history.redo': 'やり直す',
+    'history.undoLabel': '元に戻す: {label}',
+    'history.redoLabel': 'やり直す: {label}',
+  },
+
+  'manifest': {
+    'theme.human-in-the-loop.title': 'ヒューマン・イン・ザ・ループ',
+    'theme.human-in-the-loop.description': 'アートディレクション可能なAIとプロシージャルシステム。アーティストがデザインの意図を示し、システムがその間を埋める。',
+    'theme.exploration.title': '大規模なデザイン探索',
+    'theme.exploration.description': 'デザインの意図を変数として抽象化し、バリエーションを生み出す。生成・補間・エージェントによる探索で広大なデザイン空間を巡る。',
+    'theme.semantic.title': 'セマンティック操作',
+    'theme.semantic.description': 'インタラクティブシステムの未来。直接操作から意味による制御へ――私たちは指揮者だ。',
+    'theme.participatory.title': '参加型デザイン',
+    'theme.participatory.description': '実行時のデザイン。シミュレーションベースのシステムでは、創発的な振る舞いがデザイナーの直接の関与を超えて結果を形づくる。',
+    'theme.more.title': 'さらなるプロシージャル',
+    'theme.more.description': 'エージェントによるセットデザインからパラメトリック建築、プログラマブルなカラーシステムまで、分野を横断するプロシージャル思考。',
+    'theme.intuitions.title': '直感：スペクトラム',
+    'theme.intuitions.description': '純粋なプロシージャルからAI駆動まで――人間の制御、物理、学習、そして創造的表現の関係の変化。',
+    'section.hero.label': 'ホーム',
+    'section.intro.label': '概要',
+    'section.themes-overview.label': 'テーマ',
+    'section.spiderverse-section.label': 'シェーディング',
+    'section.firewatch-section.label': '色',
+    'section.style-transfer-section.label': 'スタイル',
+    'section.planets-section.label': '惑星',
+    'section.exploration-section.label': 'グリッド',
+    'section.layout-gen-section.label': 'レイアウト',
+    'section.variable-font-section.label': 'フォント',
+    'section.semantic-section.label': '顔',
+    'section.lofi-hifi-section.label': 'ローファイ',
+    'section.semantic-lighting-section.label': 'ライティング',
+    'section.semantic-animation-section.label': '歩行',
+    'section.participatory.label': 'ランタイム',
+    'section.emergent-section.label': '創発',
+    'section.spiderweb-section.label': 'クモの巣',
+    'section.parametric-arch-section.label': '建築',
+    'section.colorbox-section.label': 'カラー',
+    'section.animation-spectrum-section.label': 'スペクトラム',
+    'section.closing.label': '結び',
+  },
+
+  'tour': {
+    'Procedural Design — design for & with AI': 'プロシージャルデザイン――AIのための、AIとともにあるデザイン',
+    'The artist demonstrates intent; the system fills in the shading': 'アーティストが意図を示し、システムが陰影を描き込む',
+    'One slider re-colors an entire landscape': 'ひとつのスライダーで風景全体の色が変わる',
+    'One composition, six rendering styles': 'ひとつの構図、6つの描画スタイル',
+    'Every seed is a world — 18 quintillion of them': 'シードの数だけ世界がある――その数1844京',
+    'Design intents become variables to explore': 'デザインの意図が探索できる変数になる',
+    'Layouts generated from rules, not templates': 'テンプレートではなくルールから生まれるレイアウト',
+    'Continuous axes of typographic variation': 'タイポグラフィの連続的な変化軸',
+    'From direct manipulation to semantic control': '直接操作からセマンティックな制御へ',
+    'Paint meaning; the system renders detail': '意味を描けば、細部はシステムが描く',
+    'Describe intent, not coordinates': '座標ではなく意図を伝える',
+    'A walk cycle directed by mood, energy and weight': '気分・エネルギー・重さで演出する歩行サイクル',
+    'Simple rules, complex outcomes': '単純なルール、複雑な結果',
+    'Virtual spiders weave from a handful of anchors': 'わずかなアンカーから仮想のクモが巣を編む',
+    'Infinite structures from a few parameters': '少数のパラメータから無限の構造',
+    'Accessible palettes from three curves': '3本のカーブから生まれるアクセシブルなパレット',
+    'From purely procedural to AI-driven': '純粋なプロシージャルからAI駆動へ',
+  },
+
+  'params': {
+    reset: 'リセット',
+    randomize: 'ランダム',
+    newSeed: '新しいシード',
+  },
+
+  'hero': {
+    title: 'プロシージャルデザイン',
+    subtitle: 'AIのための、AIとともにあるデザイン',
+    date: '初稿 · 2019',
+    scroll: 'スクロール',
+    settings: 'パーティクル設定',
+    'panel.title': 'パーティクルのパラメータ',
+    'group.Flow': 'フロー',
+    'group.Motion': '動き',
+    'group.Size': 'サイズ',
+    'group.Cursor': 'カーソル',
+    'group.Blur': 'ぼかし',
+    'param.PARTICLE_COUNT': 'パーティクル数',
+    'param.NOISE_SCALE': 'フローのスケール',
+    'param.NOISE_SPEED': 'フローの速さ',
+    'param.FLOW_STRENGTH': 'フローの強さ',
+    'param.TRAIL_ALPHA': '軌跡の減衰',
+    'param.SPEED_DAMPING': '減衰',
+    'param.MAX_SPEED': '最高速度',
+    'param.PARTICLE_MIN_SIZE': '最小サイズ',
+    'param.PARTICLE_MAX_SIZE': '最大サイズ',
+    'param.MOUSE_RADIUS': 'カーソル半径',
+    'param.MOUSE_STRENGTH': 'カーソルの力',
+    'param.BLUR_ENABLED': '被写界深度',
+    'param.BLUR_AMOUNT': 'ぼかし量',
+    'param.BLUR_CLEAR_RADIUS': 'ピント半径',
+    'group.Field': 'フィールド',
+    'group.Attractor': 'アトラクター',
+    'param.FIELD_NOISE': 'ノイズ',
+    'param.FIELD_CURL': 'カールノイズ',
+    'param.FIELD_ATTRACTOR': 'アトラクター',
+    'param.FIELD_POINTS': '渦',
+    'param.FIELD_IMAGE': '画像 / テキスト',
+    'param.IMAGE_ANGLE': '画像フローの角度',
+    'param.CLICK_MODE': 'クリックで追加',
+    'param.ATTRACTOR': '写像',
+    'option.CLICK_MODE.ripple': '波紋',
+    'option.CLICK_MODE.vortex': '渦',
+    'option.CLICK_MODE.source': '湧き出し',
+    fieldText: '流れに沿わせるテキスト',
+    fieldImage: '画像…',
+    fieldClear: 'フィールドを消去',
+    'group.Form': 'フォーメーション',
+    'param.FORM_STRENGTH': '形成',
+    'param.FORM_SIZE': '形のサイズ',
+    formText: '形にするテキスト（空欄でタイトル）',
+    formImage: '形…',
+    formClear: '形を消去',
+    'group.Audio': 'オーディオ',
+    'param.AUDIO_FLOW': 'フローの強さの入力',
+    'param.AUDIO_SPEED': 'フローの速さの入力',
+    'param.AUDIO_SIZE': '粒子サイズの入力',
+    'param.AUDIO_HUE': 'パレットシフトの入力',
+    'param.AUDIO_GAIN': '感度',
+    'param.AUDIO_ONSETS': 'ビートで波紋',
+    'option.AUDIO_FLOW.off': 'オフ',
+    'option.AUDIO_FLOW.bass': '低音',
+    'option.AUDIO_FLOW.mids': '中音',
+    'option.AUDIO_FLOW.highs': '高音',
+    'option.AUDIO_SPEED.off': 'オフ',
+    'option.AUDIO_SPEED.bass': '低音',
+    'option.AUDIO_SPEED.mids': '中音',
+    'option.AUDIO_SPEED.highs': '高音',
+    'option.AUDIO_SIZE.off': 'オフ',
+    'option.AUDIO_SIZE.bass': '低音',
+    'option.AUDIO_SIZE.mids': '中音',
+    'option.AUDIO_SIZE.highs': '高音',
+    'option.AUDIO_HUE.off': 'オフ',
+    'option.AUDIO_HUE.bass': '低音',
+    'option.AUDIO_HUE.mids': '中音',
+    'option.AUDIO_HUE.highs': '高音',
+    audioOpen: 'オーディオ…',
+    audioStop: 'オーディオを停止',
+    audioHint: 'オーディオファイルを選ぶか、ページにドロップ',
+  },
+
+  'spiderverse-section': {
+    overline: 'アートディレクション可能なシェーディング',
+    title: 'アーティストが意図を示し、AIがその間を埋める',
+    description: '下のキャンバスに大まかなストロークを描いてみよう。『スパイダーマン：スパイダーバース』に着想を得て、クロスハッチング、点描、コミック風の陰影をシステムがプロシージャルに生成する。',
+    hint: 'ここに描くと、ストロークに陰影がつく',
+    clear: 'クリア',
+    exportSvg: 'SVG',
+    exportSvgTitle: 'SVG で保存（マークの種類ごとのレイヤー、ストロークごとのグループ）',
+    exportPlot: 'プロッター用 SVG',
+    exportPlotTitle: 'ペンプロッター向けに順序を最適化した SVG で保存（ペンを上げた移動を削減）',
+    'param.density': 'ハッチングの密度',
+    'param.weight': '線の太さ',
+    'param.style': 'スタイル',
+    'option.style.mixed': 'ミックス',
+    'option.style.crosshatch': 'クロスハッチ',
+    'option.style.stipple': '点描',
+  },
+
+  'firewatch-section': {
+    overline: 'プロシージャルな色と明暗',
+    title: '色と明暗こそが鍵となる概念',
+    description: 'Firewatchに着想を得て――時刻スライダーを動かすと、風景のパレット全体が移り変わる。色温度と彩度がムードを決める。シーン上でマウスを動かすと穏やかな視差が生まれる。',
+    cool: '寒色',
+    warm: '暖色',
+    neutral: 'ニュートラル',
+    muted: '控えめ',
+    vivid: '鮮やか',
+    normal: '標準',
+    'param.time': '時刻',
+    'param.temperature': '色温度',
+    'param.saturation': '彩度',
+  },
+
+  'style-transfer-section': {
+    overline: 'スタイル転送と模倣',
+    title: '同じ内容を、異なる芸術的プロセスで描く',
+    description: 'PrismaからPixarの<em>Stylizing Animation by Example</em>まで――同じプロシージャルな構図を6つの異なる視覚スタイルで描画する。それぞれが、芸術的プロセスによって同じ内容がどう変わるかを示す。',
+    newComposition: '新しい構図',
+    'style.wireframe': 'ワイヤーフレーム',
+    'style.watercolor': '水彩',
+    'style.oilpaint': '油彩',
+    'style.pixelart': 'ピクセルアート',
+    'style.comic': 'コミック／ポップアート',
+    'style.woodcut': '木版画',
+  },
+
+  'planets-section': {
+    overline: 'プロシージャル生成',
+    title: 'すべての世界はユニーク',
+    developers: '開発者',
+    quintillion: '1844京',
+    uniquePlanets: '個のユニークな惑星',
+    counter: '惑星 #{seed} / {total}',
+    seed: 'シード：',
+    go: '移動',
+    generate: '新しい世界を生成',
+    ringed: '{type}・環あり',
+    'type.Rocky': '岩石',
+    'type.Icy': '氷',
+    'type.Lush': '緑豊か',
+    'type.Volcanic': '火山',
+    'type.Gas Giant': 'ガス惑星',
+    'type.Toxic': '有毒',
+    'type.Ocean': '海洋',
+    'type.Exotic': 'エキゾチック',
+  },
+
+  'exploration-section': {
+    overline: '大規模なデザイン探索',
+    title: '変数としてのデザインの意図',
+    description: 'デザインの判断をパラメータ化してバリエーションを生み出す。補間と生成的探索で可能性の空間を移動する。',
+    grid: '生成デザイングリッド',
+    variables: 'デザイン変数',
+    'complexity.label': '複雑さ',
+    'complexity.lo': 'シンプル',
+    'complexity.hi': '緻密',
+    'symmetry.label': '対称性',
+    'symmetry.lo': '非対称',
+    'symmetry.hi': '放射状',
+    'organic.label': '有機性',
+    'organic.lo': '幾何学的',
+    'organic.hi': '有機的',
+    'colorTemp.label': '色温度',
+    'colorTemp.lo': '寒色',
+    'colorTemp.hi': '暖色',
+    randomize: 'すべてランダム',
+    interpolation: 'デザイン空間の補間',
+    newEndpoints: '新しい端点',
+    modes: '探索モード',
+    'mode.linear': '直線的な探索',
+    'mode.multi': '並列の探索',
+    'mode.agentive': 'エージェントによる探索',
+    'mode.linear.description': 'デザイン空間を通る一本の道',
+    'mode.multi.description': '分岐する並列評価',
+    'mode.agentive.description': '自律エージェントが探索し続ける',
+    start: '開始',
+    end: '終了',
+    designSpace: 'デザイン空間',
+  },
+
+  'layout-gen-section': {
+    overline: 'セクション D',
+    title: '生成レイアウト',
+    description: 'プロシージャルなページ構成――抽象的なコンテンツの意図を変数として',
+    layoutMode: 'レイアウトモード',
+    generate: '生成',
+    seed: 'シード：{seed}',
+    blockTypes: 'ブロックの種類',
+    controls: 'レイアウトモード',
+    generateLayout: '新しいレイアウトを生成',
+    status: '{mode}、シード {seed}',
+    'mode.Magazine': '雑誌',
+    'mode.Blog': 'ブログ',
+    'mode.Dashboard': 'ダッシュボード',
+    'mode.Portfolio': 'ポートフォリオ',
+    'layout.Magazine': '雑誌レイアウト',
+    'layout.Blog': 'ブログレイアウト',
+    'layout.Dashboard': 'ダッシュボードレイアウト',
+    'layout.Portfolio': 'ポートフォリオレイアウト',
+    'block.heading': '見出し',
+    'block.body-text': '本文',
+    'block.image': '画像',
+    'block.sidebar': 'サイドバー',
+    'block.pull-quote': '引用',
+    'block.nav': 'ナビ',
+  },
+
+  'variable-font-section': {
+    overline: 'セクション E',
+    title: 'タイポグラフィのデザイン空間',
+    description: 'バリアブルフォントの補間――タイポグラフィの連続的な変化軸を移動する',
+    axes: '変化の軸',
+    designSpace: 'デザイン空間',
+    weightAxis: 'ウェイト →',
+    widthAxis: '字幅 →',
+    controls: '変化の軸',
+    range: '{value}（{lo}〜{hi}）',
+    'weight.label': 'ウェイト',
+    'weight.lo': '細',
+    'weight.hi': '太',
+    'width.label': '字幅',
+    'width.lo': '狭',
+    'width.hi': '広',
+    'opticalSize.label': 'オプティカルサイズ',
+    'opticalSize.lo': 'キャプション',
+    'opticalSize.hi': 'ディスプレイ',
+    'slant.label': '傾き',
+    'slant.lo': '正体',
+    'slant.hi': 'イタリック',
+  },
+
+  'semantic-section': {
+    direct: '直接操作',
+    semantic: 'セマンティック操作',
+    vs: 'VS',
+    quoteLine: '「インタラクティブシステムの未来',
+    directQuote: 'と直接操作の出現」',
+    semanticQuote: 'とセマンティック操作の出現」',
+    directCredit: '― ベン・シュナイダーマン、1982年',
+    semanticCredit: '― 2019年',
+    conductor: '私たちは指揮者だ。',
+    controlPoints: { other: '{count}個の制御点' },
+    dimensions: { other: '{count}つの意味の次元' },
+    dragHint: '点をドラッグして顔を変形する',
+    sliderHint: '下のスライダーを動かす',
+    controls: 'セマンティック制御',
+    range: '{value}（{lo}〜{hi}）',
+    'mood.label': '気分',
+    'mood.left': '悲しい',
+    'mood.right': '嬉しい',
+    'energy.label': 'エネルギー',
+    'energy.left': '穏やか',
+    'energy.right': '興奮',
+    'age.label': '年齢',
+    'age.left': '若い',
+    'age.right': '年配',
+    'style.label': 'スタイル',
+    'style.left': 'ミニマル',
+    'style.right': '精細',
+    'handle.head_top': '頭頂',
+    'handle.head_right': '頭・右',
+    'handle.head_bottom': 'あご',
+    'handle.head_left': '頭・左',
+    'handle.eye_l': '左目',
+    'handle.eye_r': '右目',
+    'handle.eye_l_size': '左目の大きさ',
+    'handle.eye_r_size': '右目の大きさ',
+    'handle.brow_l': '左眉',
+    'handle.brow_r': '右眉',
+    'handle.nose': '鼻',
+    'handle.mouth_l': '口・左',
+    'handle.mouth_c': '口のカーブ',
+    'handle.mouth_r': '口・右',
+    'handle.cheek_l': '左頬',
+    'handle.cheek_r': '右頬',
+  },
+
+  'lofi-hifi-section': {
+    overline: 'ローファイからハイファイへ',
+    title: 'ジャムするための土台をくれ',
+    description: '意図を描けば、細部が生まれる。左側に空・水・木などの意味領域をスケッチすると、右側にプロシージャルなテクスチャが現れる。Nvidia GauGANに着想を得た。',
+    example: 'サンプル',
+    clear: 'クリア',
+    sketch: 'スケッチ',
+    rendered: 'レンダリング',
+    'brush.Sky': '空',
+    'brush.Water': '水',
+    'brush.Trees': '木',
+    'brush.Mountains': '山',
+    'brush.Ground': '地面',
+    'brush.Sand': '砂',
+    'brush.Snow': '雪',
+  },
+
+  'semantic-lighting-section': {
+    overline: 'セマンティック・ライティング',
+    title: '機械に光と影を教える',
+    description: '座標ではなく意図を伝える。時刻・天気・ドラマ・季節を設定すると、太陽の位置、影の角度、空のグラデーション、大気の効果をシステムが計算する。Autodesk FlameとPromethean AIに着想を得た。',
+    timeOfDay: '時刻',
+    weather: '天気',
+    drama: 'ドラマ',
+    season: '季節',
+    showDirect: '直接の値を表示',
+    hideDirect: '直接の値を隠す',
+    'weather.Clear': '晴れ',
+    'weather.Cloudy': '曇り',
+    'weather.Stormy': '嵐',
+    'season.Spring': '春',
+    'season.Summer': '夏',
+    'season.Fall': '秋',
+    'season.Winter': '冬',
+    'direct.sunX': '太陽 X',
+    'direct.sunY': '太陽 Y',
+    'direct.shadowAngle': '影の角度',
+    'direct.ambient': '環境光',
+  },
+
+  'semantic-animation-section': {
+    overline: 'セマンティック・アニメーション',
+    title: 'セマンティック・アニメーション',
+    subtitle: 'ディズニーとピクサーの動きの考え方――数学ではなく意味で。',
+    vs: 'VS',
+    direct: '直接制御（12関節）',
+    directHint: '関節を一つずつドラッグ',
+    semantic: 'セマンティック制御（4次元）',
+    semanticHint: 'どのスライダーでも歩き方が変わる',
+    poseHint: '関節をドラッグしてポーズをつける',
+    moved: '{moved}/12 関節を移動――面倒さを感じる？',
+    tedious: '面倒でしょう？ 右側を見てみよう。',
+    oneSlider: 'ひとつのスライダーで12関節すべてが同時に変わる',
+    'mood.label': '気分',
+    'mood.left': '悲しい',
+    'mood.right': '嬉しい',
+    'energy.label': 'エネルギー',
+    'energy.left': '疲れた',
+    'energy.right': '元気',
+    'weight.label': '重さ',
+    'weight.left': '軽い',
+    'weight.right': '重い',
+    'style.label': 'スタイル',
+    'style.left': '控えめ',
+    'style.right': '誇張',
+  },
+
+  'emergent-section': {
+    overline: 'マルチエージェントシステム',
+    title: '創発的な振る舞い',
+    description: '単純なルール、複雑な結果――多数のエージェントの相互作用から道具の使用が創発する。シミュレーションによる実行時のデザイン。クリックで餌や障害物を置ける。',
+    interaction: 'インタラクション',
+    'mode.observe': '観察',
+    'mode.food': '餌を置く',
+    'mode.obstacle': '障害物を置く',
+    reset: 'シミュレーションをリセット',
+    stats: '餌：{food}  |  エージェント：{agents}  |  軌跡：{trails}%',
+    'group.Agents': 'エージェント',
+    'group.Simulation': 'シミュレーション',
+    'group.Behaviors': '振る舞い',
+    'param.foragerCount': '採集役',
+    'param.builderCount': '建設役',
+    'param.scoutCount': '偵察役',
+    'param.speedMult': '速さ',
+    'param.pheromoneDecay': '軌跡の減衰',
+    'param.flocking': '群れ',
+    'param.trailFollowing': '軌跡の追従',
+    'param.signalsEnabled': '偵察シグナル',
+  },
+
+  'spiderweb-section': {
+    title: 'プロシージャル＆エージェントによるデザイン',
+    description: 'Pixarのプロシージャルなクモの巣システムに着想を得て――仮想のクモが、密度・張力・配置の指示に従ってリアルな巣を編む。',
+    help: 'アンカーをダブルクリックまたは右クリックで削除',
+    clear: 'クリア',
+    placeAnchors: 'クリックしてアンカーを置く',
+    weaveHint: '{count}個以上のアンカーを置くと巣を編み始める',
+    moreAnchors: { other: 'あと{count}個アンカーを置くと編み始める' },
+    'param.density': '巣の密度',
+    'param.tension': '張力',
+    'param.spiderSpeed': 'クモの速さ',
+  },
+
+  'parametric-arch-section': {
+    overline: 'セクション J',
+    title: 'パラメトリック建築',
+    description: '空港からスタジアムまで――パラメトリックデザインは少数の制御パラメータから無限の構造バリエーションを生み出す。深圳宝安国際空港に着想を得た。',
+    random: 'ランダムな建物',
+    'preset.Airport Terminal': '空港ターミナル',
+    'preset.Bridge': '橋',
+    'preset.Stadium': 'スタジアム',
+    'preset.Tower': 'タワー',
+    'param.curvature': '曲率',
+    'param.columns': '柱の密度',
+    'param.roofSpan': '屋根のスパン',
+    'param.height': '高さ',
+    'param.organic': '有機的な変化',
+  },
+
+  'colorbox-section': {
+    overline: 'セクション K',
+    title: 'プログラマブルな色',
+    description: 'プロシージャルに生成された、完全にアクセシブルなカラーパレット――各ステップは手で選ぶのではなく、カーブから計算される。ColorBox.ioに着想を得た。',
+    'curve.hue': '色相',
+    'curve.saturation': '彩度',
+    'curve.lightness': '明度',
+    steps: 'ステップ',
+    correction: '知覚補正',
+    share: '他のデモを配色',
+    randomize: 'ランダム',
+    sensitivity: '人間の明るさ知覚',
+    caption: '人の目は緑と赤に敏感で、青には鈍い――同じ明度の値でも明るさが違って見える。',
+    blueWarning: 'パレットに青（200–280°）が含まれている。HSLの明度から想像するより暗く見える。知覚補正を有効にして補おう。',
+    brightness: '知覚上の明るさ',
+    'preset.Ocean Blues': 'オーシャンブルー',
+    'preset.Warm Sunset': '暖かな夕焼け',
+    'preset.Accessible Grays': 'アクセシブルなグレー',
+    'preset.Brand Purple': 'ブランドパープル',
+  },
+
+  'animation-spectrum-section': {
+    overline: '直感――プロシージャルとAI',
+    title: '収束する道',
+    subtitle: 'キャラクターアニメーションと人工知能は、どのようにして同じ突破口に独立してたどり着いたのか',
+    characterDemo: 'キャラクターデモ',
+    artDirection: 'アートディレクション',
+    subtle: '控えめ',
+    expressive: '表現豊か',
+    noStrengths: '（長所なし――このアプローチは失敗する）',
+    insight: '洞察',
+    computerGraphics: 'コンピュータグラフィックス',
+    aiField: 'AI分野',
+    collapsed: '崩壊',
+    restarting: '再開中…',
+    'step.ik.title': '純粋なプロシージャル',
+    'step.ik.subtitle': 'インバースキネマティクス',
+    'step.ik.description': 'IKリグだけに基づくアニメーション。手書きのルールが各関節を目標位置へ導く。見た目は良いが、作るのも保守するのも高くつく。ある程度は汎用的――リグは身長や体格の違うキャラクターにも使える――だが、根本的にはプログラマが想定した範囲に限られる。',
+    'step.ik.insight': 'AIのエキスパートシステムに似ている。狭い領域では強いが、あらゆる例外を手でコーディングしなければならない。',
+    'step.ik.strength.0': '完全なアートディレクション',
+    'step.ik.strength.1': '予測可能な振る舞い',
+    'step.ik.weakness.0': '作成コストが高い',
+    'step.ik.weakness.1': '汎用性が限られる',
+    'step.ik.weakness.2': '新しい状況に弱い',
+    'step.pfnn.title': '教師あり学習',
+    'step.pfnn.subtitle': 'Phase-Functioned Neural Networks（SIGGRAPH 2017）',
+    'step.pfnn.description': 'Daniel Holden、Taku Komura、Jun Saitoは、大量のモーションキャプチャデータでニューラルネットワークを訓練した。Phase-Functioned Neural Networkは人間の動きの統計的パターンを学習し、驚くほど滑らかで魅力的な動きを生み出す。',
+    'step.pfnn.subtext': 'モーキャプデータ → プロシージャル拡張 → PFNN → モーション生成',
+    'step.pfnn.insight': 'ImageNet時代のディープラーニングに似ている。パターン認識は見事だが、背後の物理は理解していない。',
+    'step.pfnn.strength.0': '非常に滑らかな動き',
+    'step.pfnn.strength.1': '実際の人間のデータから学ぶ',
+    'step.pfnn.weakness.0': '物理を理解しない',
+    'step.pfnn.weakness.1': 'アートディレクションが難しい',
+    'step.pfnn.weakness.2': 'エージェント的な振る舞いがない（制御のみで自律性なし）',
+    'step.sl_physics_fail.title': '限界点',
+    'step.sl_physics_fail.subtitle': '教師あり学習が物理に出会うとき',
+    'step.sl_physics_fail.description': 'Nvidiaの研究者はPFNNの研究に物理シミュレーションを加えた。キャラクターはすぐに倒れてしまう――物理的な力に反応するよう訓練されていないからだ。RLがなければ、立ち続けるための方策がない。教師あり学習は訓練分布の外では脆い。',
+    'step.sl_physics_fail.insight': '重要な教訓：パターンを学ぶことは、行動を学ぶことと同じではない。「何が起こるか」で訓練されたモデルは、「うまくいかないときにどうするか」に対処できない。',
+    'step.sl_physics_fail.weakness.0': '物理の下でキャラクターが崩れる',
+    'step.sl_physics_fail.weakness.1': '立ち直る方策がない',
+    'step.sl_physics_fail.weakness.2': '教師あり学習は未知の力に汎化できない',
+    'step.rl_physics.title': 'RL＋物理',
+    'step.rl_physics.subtitle': 'DeepLoco（2017）· Emergence of Locomotion（DeepMind、2017）',
+    'step.rl_physics.description': 'キャラクターは物理シミュレーションの中で試行錯誤を重ね、ゼロから学ぶ。RLは移動運動――走る、跳ぶ、かがむ――を、一つひとつ教えられることなく創発的に発見する。より汎用的で、外乱にも強い。だが動きは自然に見えない。関節や骨が増えるほど、動きは不自然になる。',
+    'step.rl_physics.insight': 'RLは機能するが人間らしくない解を見つける。初期のゲームAIのように、勝ちはするが、人間には見覚えのない方法で勝つ。',
+    'step.rl_physics.strength.0': '外乱に対処できる',
+    'step.rl_physics.strength.1': '創発的な振る舞い',
+    'step.rl_physics.strength.2': '物理を考慮',
+    'step.rl_physics.weakness.0': '不自然な歩き方',
+    'step.rl_physics.weakness.1': '異質な移動戦略',
+    'step.rl_physics.weakness.2': '人間らしさの保証がない',
+    'step.deepmimic.title': '突破口',
+    'step.deepmimic.subtitle': 'DeepMimic――Peng、Abbeel、Levine、van de Panne（SIGGRAPH 2018）',
+    'step.deepmimic.description': 'DeepMimicはRLと、報酬信号としての参照モーションを組み合わせる。キャラクターは物理に対する頑健さを保ちながら、モーションキャプチャの手本を模倣することを学ぶ。自然で、かつ汎用的。鍵となる式は、頑健さのためのRL＋品質のための人間に沿った事前知識。',
+    'step.deepmimic.insight': 'のちにAIを変えることになるのと同じ式：RL＋人間に沿った事前知識。グラフィックスでは参照モーション（2018年）、AIでは人間の選好（2022年）。二つの分野は独立に同じ洞察にたどり着いた。',
+    'step.deepmimic.strength.0': '自然な動き',
+    'step.deepmimic.strength.1': '物理に頑健',
+    'step.deepmimic.strength.2': '新しい状況に汎化する',
+    'step.deepmimic.weakness.0': 'プロシージャルより制御しにくい',
+    'step.deepmimic.weakness.1': '良質な参照データに依存',
+    'step.rl_il_proc.title': '一巡する',
+    'step.rl_il_proc.subtitle': 'アーティストの制御が戻る――Overgrowth（2019年頃）',
+    'step.rl_il_proc.description': '最後の一歩：学習された振る舞いの上にプロシージャルな制御を重ねる。難しい部分（物理、自然な動き）は機械が学び、アーティストは表現（歩幅、エネルギー、スタイル）を演出する。アートは技術に挑み、技術はアートを触発する。',
+    'step.rl_il_proc.insight': '両分野の目標：AIが複雑さを担い、人間が意図を導く。言語モデルにおけるConstitutional AI、アニメーションにおけるプロシージャルなレイヤー。人間はループの中にいる。',
+    'step.rl_il_proc.strength.0': '自然な動き',
+    'step.rl_il_proc.strength.1': '物理に頑健',
+    'step.rl_il_proc.strength.2': 'アートディレクション可能',
+    'step.rl_il_proc.strength.3': '一巡する',
+    'step.rl_il_proc.weakness.0': '最も複雑なパイプライン',
+  },
+});
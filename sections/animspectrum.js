@@ -9,11 +9,13 @@ const AnimSpectrumSection = (() => {
   let container, canvas, ctx;
   let running = false, animFrameId = null;
   let width = 0, height = 0, dpr = 1;
+  let quality = Procedural.quality.MAX_LEVEL;   // setQuality tier
   let time = 0;
   let currentStep = -1;
   let autoAdvanceTimer = null;
   let idleResumeTimer = null;
   let autoAdvancePaused = false;
+  let reducedMotion = false;  // no auto-advance under prefers-reduced-motion
   let stepTransitioning = false;
 
   // ---- Art direction slider (Step 6) ----
@@ -39,6 +41,9 @@ const AnimSpectrumSection = (() => {
   let leftCol, rightCol, canvasWrap;
   let stepDots = [];
   let stepContentEls = {};
+  let syncSliderVisuals = null; // set by setupSlider, used by setState
+  let teardownSlider = null;    // set by setupSlider, used by destroy
+  let fadeTimer = null;         // step content cross-fade
 
   // ================================================================
   //  SKELETON DEFINITION
@@ -205,6 +210,32 @@ const AnimSpectrumSection = (() => {
     { cgIdx: 4, aiIdx: 4 },
   ];
 
+  // ================================================================
+  //  COPY — English from STEPS, keyed step.<id>.<field> (core/i18n.js)
+  // ================================================================
+  const copy = Procedural.i18n.namespace('animation-spectrum-section', {
+    overline: 'INTUITIONS \u2014 PROCEDURAL AND AI',
+    title: 'The Convergent Path',
+    subtitle: 'How character animation and artificial intelligence independently discovered the same breakthrough',
+    characterDemo: 'Character Demo',
+    artDirection: 'Art Direction',
+    subtle: 'Subtle',
+    expressive: 'Expressive',
+    noStrengths: '(No strengths \u2014 this approach fails)',
+    insight: 'Insight',
+    computerGraphics: 'Computer Graphics',
+    aiField: 'AI Field',
+    collapsed: 'COLLAPSED',
+    restarting: 'Restarting...',
+    ...Object.fromEntries(STEPS.flatMap(step => [
+      ...['title', 'subtitle', 'description', 'subtext', 'insight']
+        .filter(field => step[field])
+        .map(field => [`step.${step.id}.${field}`, step[field]]),
+      ...step.strengths.map((text, i) => [`step.${step.id}.strength.${i}`, text]),
+      ...step.weaknesses.map((text, i) => [`step.${step.id}.weakness.${i}`, text]),
+    ])),
+  });
+
   // ================================================================
   //  FORWARD KINEMATICS
   // ================================================================
@@ -1329,6 +1360,12 @@ const AnimSpectrumSection = (() => {
   // ================================================================
   //  BUILD DOM
   // ================================================================
+
+  /** Bind every [data-copy] under `root` to its message. */
+  function bindCopy(root) {
+    root.querySelectorAll('[data-copy]').forEach(node => copy.text(node, node.dataset.copy));
+  }
+
   function buildDOM() {
     injectStyles();
 
@@ -1339,10 +1376,11 @@ const AnimSpectrumSection = (() => {
     headerEl = document.createElement('div');
     headerEl.className = 'as-header';
     headerEl.innerHTML = `
-      <div class="as-overline">INTUITIONS \u2014 PROCEDURAL AND AI</div>
-      <h2 class="as-title">The Convergent Path</h2>
-      <p class="as-subtitle">How character animation and artificial intelligence independently discovered the same breakthrough</p>
+      <div class="as-overline" data-copy="overline"></div>
+      <h2 class="as-title" data-copy="title"></h2>
+      <p class="as-subtitle" data-copy="subtitle"></p>
     `;
+    bindCopy(headerEl);
     domWrapper.appendChild(headerEl);
 
     // Timeline strip (step numbers are integrated into CG milestones)
@@ -1366,7 +1404,7 @@ const AnimSpectrumSection = (() => {
 
     const canvasLabel = document.createElement('div');
     canvasLabel.className = 'as-canvas-label';
-    canvasLabel.textContent = 'Character Demo';
+    copy.text(canvasLabel, 'characterDemo');
     canvasWrap.appendChild(canvasLabel);
 
     canvas = document.createElement('canvas');
@@ -1380,16 +1418,17 @@ const AnimSpectrumSection = (() => {
     sliderWrap.className = 'as-slider-wrap';
     sliderWrap.id = 'as-art-slider';
     sliderWrap.innerHTML = `
-      <div class="as-slider-label">Art Direction</div>
+      <div class="as-slider-label" data-copy="artDirection"></div>
       <div class="as-slider-track">
         <div class="as-slider-fill" style="width: 50%"></div>
         <div class="as-slider-thumb" style="left: 50%"></div>
       </div>
       <div class="as-slider-labels">
-        <span>Subtle</span>
-        <span>Expressive</span>
+        <span data-copy="subtle"></span>
+        <span data-copy="expressive"></span>
       </div>
     `;
+    bindCopy(sliderWrap);
     leftCol.appendChild(sliderWrap);
     setupSlider(sliderWrap);
 
@@ -1406,32 +1445,34 @@ const AnimSpectrumSection = (() => {
       el.className = 'as-step-content';
       el.dataset.step = String(i);
 
+      const key = `step.${s.id}`;
       let tradeoffsHTML = '';
       if (s.strengths.length === 0 && s.weaknesses.length > 0) {
-        tradeoffsHTML += '<li class="no-strengths">(No strengths \u2014 this approach fails)</li>';
-      }
-      for (const str of s.strengths) {
-        tradeoffsHTML += `<li class="strength">${str}</li>`;
-      }
-      for (const w of s.weaknesses) {
-        tradeoffsHTML += `<li class="weakness">${w}</li>`;
+        tradeoffsHTML += '<li class="no-strengths" data-copy="noStrengths"></li>';
       }
+      s.strengths.forEach((str, j) => {
+        tradeoffsHTML += `<li class="strength" data-copy="${key}.strength.${j}"></li>`;
+      });
+      s.weaknesses.forEach((w, j) => {
+        tradeoffsHTML += `<li class="weakness" data-copy="${key}.weakness.${j}"></li>`;
+      });
 
       const subtextHTML = s.subtext
-        ? `<div class="as-step-subtext">${s.subtext}</div>`
+        ? `<div class="as-step-subtext" data-copy="${key}.subtext"></div>`
         : '';
 
       el.innerHTML = `
-        <h3 class="as-step-title">${s.title}</h3>
-        <div class="as-step-subtitle">${s.subtitle}</div>
-        <p class="as-step-desc">${s.description}</p>
+        <h3 class="as-step-title" data-copy="${key}.title"></h3>
+        <div class="as-step-subtitle" data-copy="${key}.subtitle"></div>
+        <p class="as-step-desc" data-copy="${key}.description"></p>
         ${subtextHTML}
         <ul class="as-tradeoffs">${tradeoffsHTML}</ul>
         <div class="as-insight" style="border-color: ${s.color}; background: color-mix(in srgb, ${s.color} 6%, transparent);">
-          <span class="as-insight-label" style="color: ${s.color}">Insight</span>
-          ${s.insight}
+          <span class="as-insight-label" style="color: ${s.color}" data-copy="insight"></span>
+          <span data-copy="${key}.insight"></span>
         </div>
       `;
+      bindCopy(el);
 
       rightCol.appendChild(el);
       stepContentEls[i] = el;
@@ -1450,12 +1491,12 @@ const AnimSpectrumSection = (() => {
     // Track labels
     const cgLabel = document.createElement('div');
     cgLabel.className = 'as-timeline-track-label cg';
-    cgLabel.textContent = 'Computer Graphics';
+    copy.text(cgLabel, 'computerGraphics');
     timelineStrip.appendChild(cgLabel);
 
     const aiLabel = document.createElement('div');
     aiLabel.className = 'as-timeline-track-label ai';
-    aiLabel.textContent = 'AI Field';
+    copy.text(aiLabel, 'aiField');
     timelineStrip.appendChild(aiLabel);
 
     // Tracks
@@ -1604,7 +1645,8 @@ const AnimSpectrumSection = (() => {
 
     if (oldContent) {
       oldContent.style.opacity = '0';
-      setTimeout(() => {
+      clearTimeout(fadeTimer);
+      fadeTimer = setTimeout(() => {
         oldContent.classList.remove('active');
         oldContent.style.display = 'none';
 
@@ -1625,7 +1667,7 @@ const AnimSpectrumSection = (() => {
     }
 
     // Show/hide art slider
-    const slider = document.getElementById('as-art-slider');
+    const slider = domWrapper && domWrapper.querySelector('#as-art-slider');
     if (slider) {
       if (currentStep === 5) {
         slider.classList.add('visible');
@@ -1715,6 +1757,7 @@ const AnimSpectrumSection = (() => {
       fill.style.width = pct + '%';
       thumb.style.left = pct + '%';
     }
+    syncSliderVisuals = updateSliderVisuals;
 
     function onPointerDown(e) {
       dragging = true;
@@ -1772,6 +1815,12 @@ const AnimSpectrumSection = (() => {
     const endTouch = () => { dragging = false; };
     document.addEventListener('touchend', endTouch);
     document.addEventListener('touchcancel', endTouch);
+
+    teardownSlider = () => {
+      onPointerUp();
+      document.removeEventListener('touchend', endTouch);
+      document.removeEventListener('touchcancel', endTouch);
+    };
   }
 
   // ================================================================
@@ -1780,7 +1829,7 @@ const AnimSpectrumSection = (() => {
   function sizeCanvas() {
     if (!canvas || !canvasWrap) return;
     const rect = canvasWrap.getBoundingClientRect();
-    dpr = window.devicePixelRatio || 1;
+    dpr = Procedural.quality.dprFor(quality);
     width = Math.round(rect.width * dpr);
     height = Math.round(rect.height * dpr);
     canvas.width = width;
@@ -1838,7 +1887,7 @@ const AnimSpectrumSection = (() => {
     ctx.fillStyle = step.color + '60';
     ctx.textAlign = 'center';
     ctx.textBaseline = 'bottom';
-    ctx.fillText(step.title, w / 2, h - 10);
+    ctx.fillText(copy(`step.${step.id}.title`), w / 2, h - 10);
 
     // For step 3, show collapse indicator
     if (step.id === 'sl_physics_fail' && collapsePhase >= 1) {
@@ -1846,11 +1895,11 @@ const AnimSpectrumSection = (() => {
       ctx.fillStyle = 'rgba(255, 85, 85, 0.6)';
       ctx.textAlign = 'center';
       ctx.textBaseline = 'middle';
-      ctx.fillText('COLLAPSED', w / 2, h * 0.18);
+      ctx.fillText(copy('collapsed'), w / 2, h * 0.18);
 
       ctx.font = '400 9px "Inter", -apple-system, sans-serif';
       ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
-      ctx.fillText('Restarting...', w / 2, h * 0.18 + 16);
+      ctx.fillText(copy('restarting'), w / 2, h * 0.18 + 16);
     }
 
     ctx.restore();
@@ -1881,7 +1930,7 @@ const AnimSpectrumSection = (() => {
       running = true;
       sizeCanvas();
       animFrameId = requestAnimationFrame(drawCanvas);
-      startAutoAdvance();
+      if (!reducedMotion) startAutoAdvance();
 
       // Ensure nav line is sized after layout
       requestAnimationFrame(() => {
@@ -1908,16 +1957,57 @@ const AnimSpectrumSection = (() => {
 
     destroy() {
       this.stop();
+      clearTimeout(fadeTimer);
+      if (teardownSlider) teardownSlider();
       if (domWrapper && domWrapper.parentNode) {
         domWrapper.parentNode.removeChild(domWrapper);
       }
+      const style = document.getElementById('animspectrum-styles');
+      if (style) style.remove();
       domWrapper = null;
       canvas = null;
       ctx = null;
       stepDots = [];
       stepContentEls = {};
+      syncSliderVisuals = null;
+      teardownSlider = null;
+      fadeTimer = null;
+      stepTransitioning = false;
+      currentStep = -1;   // so the next init() shows step 0 again
+      container = null;
+    },
+
+    getState() {
+      return { step: currentStep, art: +artDirection.toFixed(3) };
+    },
+
+    setState(state) {
+      if (!state || !domWrapper) return;
+      if (Number.isFinite(state.art)) {
+        artDirection = Math.max(0, Math.min(1, state.art));
+        if (syncSliderVisuals) syncSliderVisuals();
+      }
+      // Treated as a user pick so auto-advance doesn't move straight off it
+      if (Number.isInteger(state.step) && state.step !== currentStep) goToStep(state.step, true);
+    },
+
+    // Quality tier 0-3: the DPR cap from Procedural.quality.dprFor()
+    setQuality(level) {
+      const next = Math.max(0, Math.min(Procedural.quality.MAX_LEVEL, level | 0));
+      if (next === quality) return;
+      quality = next;
+      this.resize();
+    },
+
+    // Reduced motion: steps change only when picked
+    setReducedMotion(reduced) {
+      reducedMotion = !!reduced;
+      if (reducedMotion) stopAutoAdvance();
+      else if (running) startAutoAdvance();
     },
   };
 })();
 
 if (typeof module !== 'undefined' && module.exports) module.exports = AnimSpectrumSection;
+
+if (typeof Procedural !== 'undefined') Procedural.registerSection({ id: 'animation-spectrum-section', module: AnimSpectrumSection });
@@ -7,6 +7,8 @@
 
 const ColorBoxSection = (() => {
 
+  const ID = 'colorbox-section'; // history stack and copy namespace
+
   let container, running = false, animFrameId = null;
   let dpr = 1;
 
@@ -14,6 +16,7 @@ const ColorBoxSection = (() => {
 
   let steps = 12;
   let perceptualCorrection = false;
+  let sharing = false;      // publish the palette to other sections (core/palette.js)
   let palette = []; // Array of { h, s, l, hex, rgb }
 
   // Bezier control points for each curve: [cp1x, cp1y, cp2x, cp2y] normalized 0-1
@@ -28,9 +31,11 @@ const ColorBoxSection = (() => {
   const curveEditors = {};
   let swatchContainer, contrastContainer, perceptionCanvas, perceptionCtx;
   let warningEl;
+  let stepsInput, stepsVal, correctionToggle, shareToggle;
 
   // Drag state
-  let dragging = null; // { curve, point ('cp1'|'cp2'), canvas }
+  let dragging = null; // { curve, point ('cp1'|'cp2'), canvas, before }
+  let offLanguage = null;
 
   // --- Presets ----------------------------------------------------------------
 
@@ -57,49 +62,36 @@ const ColorBoxSection = (() => {
     },
   };
 
-  // --- Color math ------------------------------------------------------------
+  // --- Copy (core/i18n.js) ---------------------------------------------------
+
+  const copy = Procedural.i18n.namespace(ID, {
+    overline: 'Section K',
+    title: 'Programmatic Color',
+    description: 'Procedurally generated, fully accessible color palettes — every step computed from curves, not picked by hand. Inspired by ColorBox.io.',
+    'curve.hue': 'Hue',
+    'curve.saturation': 'Saturation',
+    'curve.lightness': 'Lightness',
+    steps: 'Steps',
+    correction: 'Perceptual Correction',
+    share: 'Theme Other Demos',
+    randomize: 'Randomize',
+    sensitivity: 'Human Luminosity Sensitivity',
+    caption: 'Human vision is more sensitive to green and red, less sensitive to blue — identical lightness values appear different in brightness.',
+    blueWarning: 'Your palette includes blue hues (200-280°). These will appear darker than HSL lightness suggests. Enable Perceptual Correction to compensate.',
+    brightness: 'perceived brightness',
+    ...Object.fromEntries(Object.keys(presets).map(name => [`preset.${name}`, name])),
+  });
+
+  // --- Color math (ProceduralCore) -------------------------------------------
 
   function hslToRgb(h, s, l) {
-    // h: 0-360, s: 0-100, l: 0-100
-    h = ((h % 360) + 360) % 360;
-    s = s / 100;
-    l = l / 100;
-    const c = (1 - Math.abs(2 * l - 1)) * s;
-    const x = c * (1 - Math.abs(((h / 60) % 2) - 1));
-    const m = l - c / 2;
-    let r, g, b;
-    if (h < 60)       { r = c; g = x; b = 0; }
-    else if (h < 120) { r = x; g = c; b = 0; }
-    else if (h < 180) { r = 0; g = c; b = x; }
-    else if (h < 240) { r = 0; g = x; b = c; }
-    else if (h < 300) { r = x; g = 0; b = c; }
-    else              { r = c; g = 0; b = x; }
-    return [
-      Math.round((r + m) * 255),
-      Math.round((g + m) * 255),
-      Math.round((b + m) * 255),
-    ];
-  }
-
-  function rgbToHex(r, g, b) {
-    return '#' + [r, g, b].map(v => v.toString(16).padStart(2, '0')).join('');
-  }
-
-  function linearize(c) {
-    // sRGB to linear
-    c = c / 255;
-    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
-  }
-
-  function relativeLuminance(r, g, b) {
-    return 0.2126 * linearize(r) + 0.7152 * linearize(g) + 0.0722 * linearize(b);
+    // h: 0-360, s: 0-100, l: 0-100 -> rounded channels
+    return ProceduralCore.hslToRgb(h, s / 100, l / 100).map(Math.round);
   }
 
-  function contrastRatio(l1, l2) {
-    const lighter = Math.max(l1, l2);
-    const darker = Math.min(l1, l2);
-    return (lighter + 0.05) / (darker + 0.05);
-  }
+  const rgbToHex = ProceduralCore.rgbToHex;
+  const relativeLuminance = ProceduralCore.relativeLuminance;
+  const contrastRatio = ProceduralCore.contrastRatio;
 
   function wcagLevel(ratio) {
     if (ratio >= 7) return 'AAA';
@@ -453,7 +445,7 @@ const ColorBoxSection = (() => {
     cx.fillStyle = 'rgba(255, 220, 100, 0.5)';
     cx.font = `${8 * dpr}px "JetBrains Mono", monospace`;
     cx.textAlign = 'left';
-    cx.fillText('perceived brightness', 4 * dpr, curveTop + 10 * dpr);
+    cx.fillText(copy('brightness'), 4 * dpr, curveTop + 10 * dpr);
 
     // Check for blue hues in palette and show warning
     const hasBlue = palette.some(c => c.h >= 200 && c.h <= 280 && c.s > 30);
@@ -466,6 +458,7 @@ const ColorBoxSection = (() => {
 
   function update() {
     generatePalette();
+    if (sharing) Procedural.palette.publish(ID, palette);
     Object.keys(curveEditors).forEach(drawCurveEditor);
     renderSwatches();
     drawPerception();
@@ -508,7 +501,7 @@ const ColorBoxSection = (() => {
     const canvas = curveEditors[name].canvas;
     const point = getClosestPoint(name, e.clientX, e.clientY, canvas);
     if (point) {
-      dragging = { curve: name, point, canvas };
+      dragging = { curve: name, point, canvas, before: curveState() };
       e.preventDefault();
     }
   }
@@ -534,6 +527,8 @@ const ColorBoxSection = (() => {
   }
 
   function onPointerUp() {
+    if (!dragging) return;
+    Procedural.history.change(ID, 'Edit curve', dragging.before, curveState(), setCurves);
     dragging = null;
   }
 
@@ -547,10 +542,11 @@ const ColorBoxSection = (() => {
     const header = document.createElement('div');
     header.style.cssText = 'max-width:900px;margin:0 auto 32px;padding:0 32px;box-sizing:border-box;';
     header.innerHTML = `
-      <div style="text-transform:uppercase;font-size:11px;letter-spacing:3px;color:rgba(100,140,255,0.8);margin-bottom:10px;font-family:'JetBrains Mono',monospace;">Section K</div>
-      <h2 style="margin:0 0 12px;font-size:32px;font-weight:700;color:#e8e4de;line-height:1.2;">Programmatic Color</h2>
-      <p style="margin:0;font-size:15px;color:rgba(232,228,222,0.55);line-height:1.6;max-width:640px;">Procedurally generated, fully accessible color palettes — every step computed from curves, not picked by hand. Inspired by ColorBox.io.</p>
+      <div data-copy="overline" style="text-transform:uppercase;font-size:11px;letter-spacing:3px;color:rgba(100,140,255,0.8);margin-bottom:10px;font-family:'JetBrains Mono',monospace;"></div>
+      <h2 data-copy="title" style="margin:0 0 12px;font-size:32px;font-weight:700;color:#e8e4de;line-height:1.2;"></h2>
+      <p data-copy="description" style="margin:0;font-size:15px;color:rgba(232,228,222,0.55);line-height:1.6;max-width:640px;"></p>
     `;
+    header.querySelectorAll('[data-copy]').forEach(el => copy.text(el, el.dataset.copy));
     container.appendChild(header);
 
     // Main content area
@@ -569,9 +565,10 @@ const ColorBoxSection = (() => {
       const colors = { hue: 'rgba(255,140,100,0.8)', saturation: 'rgba(100,255,180,0.8)', lightness: 'rgba(100,140,255,0.8)' };
       const ranges = { hue: '0 – 360°', saturation: '0 – 100%', lightness: '0 – 100%' };
       label.innerHTML = `
-        <span style="font-size:12px;color:${colors[name]};font-family:'JetBrains Mono',monospace;font-weight:600;text-transform:capitalize;">${name}</span>
+        <span style="font-size:12px;color:${colors[name]};font-family:'JetBrains Mono',monospace;font-weight:600;"></span>
         <span style="font-size:10px;color:rgba(232,228,222,0.55);font-family:'JetBrains Mono',monospace;margin-left:6px;">${ranges[name]}</span>
       `;
+      copy.text(label.firstElementChild, `curve.${name}`);
       wrap.appendChild(label);
 
       const cvs = document.createElement('canvas');
@@ -596,12 +593,12 @@ const ColorBoxSection = (() => {
     const stepsWrap = document.createElement('div');
     stepsWrap.style.cssText = 'display:flex;align-items:center;gap:8px;';
     const stepsLabel = document.createElement('label');
-    stepsLabel.textContent = 'Steps';
+    copy.text(stepsLabel, 'steps');
     stepsLabel.style.cssText = 'font-size:12px;color:rgba(232,228,222,0.6);font-family:"JetBrains Mono",monospace;';
-    const stepsVal = document.createElement('span');
+    stepsVal = document.createElement('span');
     stepsVal.textContent = steps;
     stepsVal.style.cssText = 'font-size:11px;color:rgba(100,140,255,0.7);font-family:"JetBrains Mono",monospace;min-width:20px;text-align:center;';
-    const stepsInput = document.createElement('input');
+    stepsInput = document.createElement('input');
     stepsInput.type = 'range';
     stepsInput.min = 6;
     stepsInput.max = 20;
@@ -621,21 +618,41 @@ const ColorBoxSection = (() => {
     // Perceptual correction toggle
     const toggleWrap = document.createElement('label');
     toggleWrap.style.cssText = 'display:flex;align-items:center;gap:6px;cursor:pointer;';
-    const toggleCb = document.createElement('input');
-    toggleCb.type = 'checkbox';
-    toggleCb.checked = perceptualCorrection;
-    toggleCb.style.cssText = 'accent-color:rgba(100,140,255,0.8);cursor:pointer;';
-    toggleCb.addEventListener('change', () => {
-      perceptualCorrection = toggleCb.checked;
+    correctionToggle = document.createElement('input');
+    correctionToggle.type = 'checkbox';
+    correctionToggle.checked = perceptualCorrection;
+    correctionToggle.style.cssText = 'accent-color:rgba(100,140,255,0.8);cursor:pointer;';
+    correctionToggle.addEventListener('change', () => {
+      perceptualCorrection = correctionToggle.checked;
       update();
     });
     const toggleLabel = document.createElement('span');
-    toggleLabel.textContent = 'Perceptual Correction';
+    copy.text(toggleLabel, 'correction');
     toggleLabel.style.cssText = 'font-size:12px;color:rgba(232,228,222,0.6);font-family:"JetBrains Mono",monospace;';
-    toggleWrap.appendChild(toggleCb);
+    toggleWrap.appendChild(correctionToggle);
     toggleWrap.appendChild(toggleLabel);
     controlRow.appendChild(toggleWrap);
 
+    // Share toggle: the hero, Emergent, Style Transfer and Layout sections
+    // take their colors from this palette while it is on
+    const shareWrap = document.createElement('label');
+    shareWrap.style.cssText = toggleWrap.style.cssText;
+    shareToggle = document.createElement('input');
+    shareToggle.type = 'checkbox';
+    shareToggle.checked = sharing;
+    shareToggle.style.cssText = correctionToggle.style.cssText;
+    shareToggle.addEventListener('change', () => {
+      sharing = shareToggle.checked;
+      if (sharing) Procedural.palette.publish(ID, palette);
+      else Procedural.palette.clear(ID);
+    });
+    const shareLabel = document.createElement('span');
+    copy.text(shareLabel, 'share');
+    shareLabel.style.cssText = toggleLabel.style.cssText;
+    shareWrap.appendChild(shareToggle);
+    shareWrap.appendChild(shareLabel);
+    controlRow.appendChild(shareWrap);
+
     // Separator
     const sep = document.createElement('div');
     sep.style.cssText = 'width:1px;height:20px;background:rgba(232,228,222,0.1);margin:0 4px;';
@@ -643,13 +660,13 @@ const ColorBoxSection = (() => {
 
     // Preset buttons
     Object.keys(presets).forEach(name => {
-      const btn = createButton(name);
+      const btn = createButton(`preset.${name}`);
       btn.addEventListener('click', () => applyPreset(name));
       controlRow.appendChild(btn);
     });
 
     // Randomize button
-    const randBtn = createButton('Randomize');
+    const randBtn = createButton('randomize');
     randBtn.style.background = 'rgba(100,140,255,0.15)';
     randBtn.style.borderColor = 'rgba(100,140,255,0.35)';
     randBtn.addEventListener('click', randomizeCurves);
@@ -668,7 +685,7 @@ const ColorBoxSection = (() => {
 
     const percLabel = document.createElement('div');
     percLabel.style.cssText = 'font-size:12px;color:rgba(232,228,222,0.55);font-family:"JetBrains Mono",monospace;margin-bottom:8px;';
-    percLabel.textContent = 'Human Luminosity Sensitivity';
+    copy.text(percLabel, 'sensitivity');
     percSection.appendChild(percLabel);
 
     perceptionCanvas = document.createElement('canvas');
@@ -677,12 +694,12 @@ const ColorBoxSection = (() => {
 
     const percCaption = document.createElement('div');
     percCaption.style.cssText = 'font-size:10px;color:rgba(232,228,222,0.55);font-family:"JetBrains Mono",monospace;margin-top:6px;';
-    percCaption.textContent = 'Human vision is more sensitive to green and red, less sensitive to blue — identical lightness values appear different in brightness.';
+    copy.text(percCaption, 'caption');
     percSection.appendChild(percCaption);
 
     warningEl = document.createElement('div');
     warningEl.style.cssText = 'display:none;font-size:11px;color:rgba(255,180,80,0.7);font-family:"JetBrains Mono",monospace;margin-top:6px;padding:8px 12px;background:rgba(255,180,80,0.06);border:1px solid rgba(255,180,80,0.15);border-radius:4px;';
-    warningEl.textContent = 'Your palette includes blue hues (200-280°). These will appear darker than HSL lightness suggests. Enable Perceptual Correction to compensate.';
+    copy.text(warningEl, 'blueWarning');
     percSection.appendChild(warningEl);
 
     main.appendChild(percSection);
@@ -693,9 +710,9 @@ const ColorBoxSection = (() => {
     document.addEventListener('pointerup', onPointerUp);
   }
 
-  function createButton(text) {
+  function createButton(key) {
     const btn = document.createElement('button');
-    btn.textContent = text;
+    copy.text(btn, key);
     btn.style.cssText = `
       padding:6px 14px;font-size:11px;font-family:"JetBrains Mono",monospace;
       background:rgba(232,228,222,0.06);color:rgba(232,228,222,0.7);
@@ -707,7 +724,7 @@ const ColorBoxSection = (() => {
       btn.style.color = '#e8e4de';
     });
     btn.addEventListener('mouseleave', () => {
-      btn.style.background = text === 'Randomize' ? 'rgba(100,140,255,0.15)' : 'rgba(232,228,222,0.06)';
+      btn.style.background = key === 'randomize' ? 'rgba(100,140,255,0.15)' : 'rgba(232,228,222,0.06)';
       btn.style.color = 'rgba(232,228,222,0.7)';
     });
     return btn;
@@ -716,6 +733,7 @@ const ColorBoxSection = (() => {
   function applyPreset(name) {
     const p = presets[name];
     if (!p) return;
+    const before = curveState();
     ['hue', 'saturation', 'lightness'].forEach(key => {
       curves[key].cp1 = { ...p[key].cp1 };
       curves[key].cp2 = { ...p[key].cp2 };
@@ -723,9 +741,11 @@ const ColorBoxSection = (() => {
       curves[key].endY = p[key].endY;
     });
     update();
+    Procedural.history.change(ID, name, before, curveState(), setCurves);
   }
 
   function randomizeCurves() {
+    const before = curveState();
     const r = () => Math.random();
     ['hue', 'saturation', 'lightness'].forEach(name => {
       const c = curves[name];
@@ -742,6 +762,33 @@ const ColorBoxSection = (() => {
       }
     });
     update();
+    Procedural.history.change(ID, 'Randomize', before, curveState(), setCurves);
+  }
+
+  // --- Shareable state -------------------------------------------------------
+  // Each curve packs to [startY, cp1.x, cp1.y, cp2.x, cp2.y, endY].
+
+  function packCurve(c) {
+    return [c.startY, c.cp1.x, c.cp1.y, c.cp2.x, c.cp2.y, c.endY].map(v => +v.toFixed(3));
+  }
+
+  function unpackCurve(name, arr) {
+    if (!Array.isArray(arr) || arr.length !== 6 || !arr.every(Number.isFinite)) return;
+    const v = arr.map(n => Math.max(0, Math.min(1, n)));
+    curves[name].startY = v[0];
+    curves[name].cp1 = { x: v[1], y: v[2] };
+    curves[name].cp2 = { x: v[3], y: v[4] };
+    curves[name].endY = v[5];
+  }
+
+  // All three curves packed, for undo snapshots
+  function curveState() {
+    return { hue: packCurve(curves.hue), saturation: packCurve(curves.saturation), lightness: packCurve(curves.lightness) };
+  }
+
+  function setCurves(state) {
+    ['hue', 'saturation', 'lightness'].forEach(name => unpackCurve(name, state[name]));
+    update();
   }
 
   // --- Canvas sizing ---------------------------------------------------------
@@ -775,6 +822,7 @@ const ColorBoxSection = (() => {
       buildDOM(containerEl);
       setupCanvases();
       update();
+      offLanguage = Procedural.on('language', drawPerception);
     },
     start() {
       if (running) return;
@@ -785,10 +833,60 @@ const ColorBoxSection = (() => {
       if (animFrameId) { cancelAnimationFrame(animFrameId); animFrameId = null; }
     },
     resize() {
+      if (!container) return;
       setupCanvases();
       update();
     },
+    destroy() {
+      this.stop();
+      if (!container) return;
+      document.removeEventListener('pointermove', onPointerMove);
+      document.removeEventListener('pointerup', onPointerUp);
+      if (sharing) Procedural.palette.clear(ID);
+      offLanguage();
+      sharing = false;
+      offLanguage = null;
+      dragging = null;
+      container.textContent = '';
+      Object.keys(curveEditors).forEach(name => { delete curveEditors[name]; });
+      container = swatchContainer = contrastContainer = perceptionCanvas = perceptionCtx = warningEl = null;
+      stepsInput = stepsVal = correctionToggle = shareToggle = null;
+    },
+    // The built-in palettes, in getState() form, for the preset manager
+    get presets() {
+      const out = {};
+      Object.keys(presets).forEach(name => {
+        out[name] = {};
+        ['hue', 'saturation', 'lightness'].forEach(key => { out[name][key] = packCurve(presets[name][key]); });
+      });
+      return out;
+    },
+    getState() {
+      return {
+        steps,
+        correction: perceptualCorrection,
+        hue: packCurve(curves.hue),
+        saturation: packCurve(curves.saturation),
+        lightness: packCurve(curves.lightness),
+      };
+    },
+    setState(state) {
+      if (!state || !stepsInput) return;
+      if (Number.isFinite(state.steps)) {
+        steps = Math.max(6, Math.min(20, Math.round(state.steps)));
+        stepsInput.value = steps;
+        stepsVal.textContent = steps;
+      }
+      if (typeof state.correction === 'boolean') {
+        perceptualCorrection = state.correction;
+        correctionToggle.checked = perceptualCorrection;
+      }
+      ['hue', 'saturation', 'lightness'].forEach(name => unpackCurve(name, state[name]));
+      update();
+    },
   };
 })();
 
 if (typeof module !== 'undefined' && module.exports) module.exports = ColorBoxSection;
+
+if (typeof Procedural !== 'undefined') Procedural.registerSection({ id: 'colorbox-section', module: ColorBoxSection });
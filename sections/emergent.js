@@ -10,6 +10,20 @@ const EmergentSection = (() => {
   let running = false, animFrameId = null, dpr = 1;
   let W = 900, H = 500;
 
+  const ID = 'emergent-section';   // history stack and copy namespace
+
+  const copy = Procedural.i18n.namespace(ID, {
+    overline: 'Multi-Agent Systems',
+    title: 'Emergent Behavior',
+    description: 'Simple rules, complex outcomes \u2014 emergent tool use from multi-agent interaction. Design at runtime through simulation. Click to place food or obstacles.',
+    interaction: 'Interaction',
+    'mode.observe': 'Observe',
+    'mode.food': 'Add Food',
+    'mode.obstacle': 'Add Obstacle',
+    reset: 'Reset Simulation',
+    stats: 'Food: {food} \u00a0|\u00a0 Agents: {agents} \u00a0|\u00a0 Trails: {trails}%',
+  });
+
   /* simulation state */
   let agents = [];
   let foods = [];
@@ -22,34 +36,42 @@ const EmergentSection = (() => {
   let lastTime = 0;
 
   /* config – mutable via controls */
+  const SCHEMA = Procedural.params.define({
+    foragerCount: { type: 'range', label: 'Foragers', min: 5, max: 60, step: 1, default: 35, group: 'Agents' },
+    builderCount: { type: 'range', label: 'Builders', min: 0, max: 35, step: 1, default: 18, group: 'Agents' },
+    scoutCount: { type: 'range', label: 'Scouts', min: 0, max: 25, step: 1, default: 12, group: 'Agents' },
+    speedMult: { type: 'range', label: 'Speed', min: 0.2, max: 3.0, step: 0.1, default: 1.0, group: 'Simulation' },
+    pheromoneDecay: { type: 'range', label: 'Trail Decay', min: 0.95, max: 0.999, step: 0.001, default: 0.985, group: 'Simulation' },
+    flocking: { type: 'toggle', label: 'Flocking', default: true, group: 'Behaviors' },
+    trailFollowing: { type: 'toggle', label: 'Trail Following', default: true, group: 'Behaviors' },
+    signalsEnabled: { type: 'toggle', label: 'Scout Signals', default: true, group: 'Behaviors' },
+  });
   const cfg = {
-    foragerCount: 35,
-    builderCount: 18,
-    scoutCount: 12,
-    speedMult: 1.0,
-    pheromoneDecay: 0.985,
-    flocking: true,
-    trailFollowing: true,
-    signalsEnabled: true,
+    ...Procedural.params.defaults(SCHEMA),
     interactionMode: 'observe', // 'observe' | 'food' | 'obstacle'
   };
 
+  /* quality tiers (setQuality): DPR cap, pheromone texture scale, share of
+     the configured agents that run */
+  const QUALITY = [
+    { dpr: 1, trail: 0.35, agents: 0.4 },
+    { dpr: 1, trail: 0.5, agents: 0.6 },
+    { dpr: 1.5, trail: 0.75, agents: 0.8 },
+    { dpr: Infinity, trail: 1, agents: 1 },
+  ];
+  let quality = QUALITY.length - 1;
+  let trailDpr = 1;
+
+  /* Procedural.params panel over cfg */
+  let panel = null;
+  let offPalette = null;
+  let onWindowResize = null;
+
   /* colors */
   const C = {
     bg: '#06080f',
-    forager: '#4a9eff',
-    foragerCarrying: '#7dbaff',
-    builder: '#3ddc84',
-    scout: '#ff9f43',
-    food: '#ffd700',
-    foodGlow: 'rgba(255,215,0,0.15)',
     obstacle: '#1a1e2e',
     obstacleBorder: '#2a2e3e',
-    signal: 'rgba(255,159,67,0.6)',
-    structure: '#2a8a52',
-    trail: 'rgba(74,158,255,0.35)',
-    baseColors: ['rgba(74,158,255,0.1)', 'rgba(61,220,132,0.1)', 'rgba(255,159,67,0.1)'],
-    baseBorders: ['rgba(74,158,255,0.3)', 'rgba(61,220,132,0.3)', 'rgba(255,159,67,0.3)'],
     text: '#e0e6ed',
     textDim: '#8d9aad',
     accent: '#4a9eff',
@@ -57,6 +79,32 @@ const EmergentSection = (() => {
     panelBorder: 'rgba(74,158,255,0.15)',
   };
 
+  /* simulation colors by role, as "r,g,b" for rgba() — ColorBox can swap
+     them for its palette (core/palette.js) */
+  const OWN_ROLES = {
+    forager: '74,158,255', carrying: '125,186,255', builder: '61,220,132',
+    scout: '255,159,67', food: '255,215,0', structure: '42,138,82',
+  };
+  const BASE_ROLES = ['forager', 'builder', 'scout'];   // by base.color
+  let roles = OWN_ROLES;
+
+  function applyPalette(colors) {
+    if (!colors) {
+      roles = OWN_ROLES;
+      return;
+    }
+    const [forager, builder, scout, food] = Procedural.palette.pick(colors, 4, [0.4, 0.8]).map(c => c.rgb);
+    const channels = rgb => rgb.map(Math.round).join(',');
+    roles = {
+      forager: channels(forager),
+      carrying: channels(ProceduralCore.lerpColor(forager, [255, 255, 255], 0.35)),
+      builder: channels(builder),
+      scout: channels(scout),
+      food: channels(food),
+      structure: channels(ProceduralCore.lerpColor(builder, [0, 0, 0], 0.4)),
+    };
+  }
+
   /* ---- utilities ---- */
   const rand = (a, b) => a + Math.random() * (b - a);
   const randInt = (a, b) => Math.floor(rand(a, b + 1));
@@ -243,9 +291,7 @@ const EmergentSection = (() => {
     spawnObstacles(5);
     spawnFood(12);
 
-    for (let i = 0; i < cfg.foragerCount; i++) agents.push(createAgent('forager'));
-    for (let i = 0; i < cfg.builderCount; i++) agents.push(createAgent('builder'));
-    for (let i = 0; i < cfg.scoutCount; i++) agents.push(createAgent('scout'));
+    syncAgentCounts();
 
     /* clear trail canvas */
     if (trailCtx) {
@@ -559,12 +605,17 @@ const EmergentSection = (() => {
     frameCount++;
   }
 
-  /* ---- sync agent count to cfg ---- */
+  /* ---- sync agent count to cfg, scaled by the quality tier ---- */
   function syncAgentCounts() {
     const counts = { forager: 0, builder: 0, scout: 0 };
     for (const a of agents) counts[a.type]++;
 
-    const targets = { forager: cfg.foragerCount, builder: cfg.builderCount, scout: cfg.scoutCount };
+    const share = QUALITY[quality].agents;
+    const targets = {
+      forager: Math.round(cfg.foragerCount * share),
+      builder: Math.round(cfg.builderCount * share),
+      scout: Math.round(cfg.scoutCount * share),
+    };
     for (const type of ['forager', 'builder', 'scout']) {
       while (counts[type] < targets[type]) {
         agents.push(createAgent(type));
@@ -577,6 +628,26 @@ const EmergentSection = (() => {
     }
   }
 
+  /* ---- sizing ---- */
+  function sizeCanvases() {
+    dpr = Math.min(window.devicePixelRatio || 1, QUALITY[quality].dpr);
+    trailDpr = dpr * QUALITY[quality].trail;
+    const wrap = container.querySelector('#em-canvas-wrap');
+    const rect = wrap.getBoundingClientRect();
+    W = Math.min(rect.width, 1100);
+    H = Math.max(400, Math.min(W * 0.55, 550));
+
+    canvas.width = W * dpr;
+    canvas.height = H * dpr;
+    canvas.style.width = W + 'px';
+    canvas.style.height = H + 'px';
+
+    trailCanvas.width = Math.ceil(W * trailDpr);
+    trailCanvas.height = Math.ceil(H * trailDpr);
+    trailCanvas.style.width = W + 'px';
+    trailCanvas.style.height = H + 'px';
+  }
+
   /* ---- rendering ---- */
   function renderTrailCanvas() {
     /* fade existing trails */
@@ -589,10 +660,10 @@ const EmergentSection = (() => {
         const val = pheromoneGrid[gy * gridW + gx];
         if (val > 0.015) {
           const alpha = Math.min(0.45, val * 0.5);
-          const px = gx * GRID_RES * dpr;
-          const py = gy * GRID_RES * dpr;
-          const sz = GRID_RES * dpr;
-          trailCtx.fillStyle = `rgba(74,158,255,${alpha})`;
+          const px = gx * GRID_RES * trailDpr;
+          const py = gy * GRID_RES * trailDpr;
+          const sz = GRID_RES * trailDpr;
+          trailCtx.fillStyle = `rgba(${roles.forager},${alpha})`;
           trailCtx.fillRect(px, py, sz, sz);
         }
       }
@@ -604,7 +675,7 @@ const EmergentSection = (() => {
 
     /* draw trail canvas as underlay */
     renderTrailCanvas();
-    ctx.drawImage(trailCanvas, 0, 0);
+    ctx.drawImage(trailCanvas, 0, 0, canvas.width, canvas.height);
 
     ctx.save();
     ctx.scale(dpr, dpr);
@@ -614,9 +685,10 @@ const EmergentSection = (() => {
       const b = bases[i];
       ctx.beginPath();
       ctx.arc(b.x, b.y, b.r, 0, TAU);
-      ctx.fillStyle = C.baseColors[b.color];
+      const role = roles[BASE_ROLES[b.color]];
+      ctx.fillStyle = `rgba(${role},0.1)`;
       ctx.fill();
-      ctx.strokeStyle = C.baseBorders[b.color];
+      ctx.strokeStyle = `rgba(${role},0.3)`;
       ctx.lineWidth = 1;
       ctx.stroke();
 
@@ -627,13 +699,13 @@ const EmergentSection = (() => {
       ctx.lineTo(b.x, b.y + 6);
       ctx.lineTo(b.x - 5, b.y);
       ctx.closePath();
-      ctx.fillStyle = C.baseBorders[b.color];
+      ctx.fillStyle = `rgba(${role},0.3)`;
       ctx.fill();
     }
 
     /* structures */
     for (const s of structures) {
-      ctx.fillStyle = `rgba(42,138,82,${s.opacity * 0.7})`;
+      ctx.fillStyle = `rgba(${roles.structure},${s.opacity * 0.7})`;
       ctx.fillRect(s.x - 2.5, s.y - 2.5, 5, 5);
     }
 
@@ -668,8 +740,8 @@ const EmergentSection = (() => {
       const a = clamp(f.amount / f.maxAmount, 0.2, 1);
       /* glow */
       const grad = ctx.createRadialGradient(f.x, f.y, 0, f.x, f.y, f.r * 2.5);
-      grad.addColorStop(0, `rgba(255,215,0,${0.12 * a})`);
-      grad.addColorStop(1, 'rgba(255,215,0,0)');
+      grad.addColorStop(0, `rgba(${roles.food},${0.12 * a})`);
+      grad.addColorStop(1, `rgba(${roles.food},0)`);
       ctx.beginPath();
       ctx.arc(f.x, f.y, f.r * 2.5, 0, TAU);
       ctx.fillStyle = grad;
@@ -677,7 +749,7 @@ const EmergentSection = (() => {
       /* body */
       ctx.beginPath();
       ctx.arc(f.x, f.y, f.r * a, 0, TAU);
-      ctx.fillStyle = `rgba(255,215,0,${0.6 + 0.4 * a})`;
+      ctx.fillStyle = `rgba(${roles.food},${0.6 + 0.4 * a})`;
       ctx.fill();
     }
 
@@ -685,7 +757,7 @@ const EmergentSection = (() => {
     for (const s of signals) {
       ctx.beginPath();
       ctx.arc(s.x, s.y, s.radius, 0, TAU);
-      ctx.strokeStyle = `rgba(255,159,67,${s.opacity})`;
+      ctx.strokeStyle = `rgba(${roles.scout},${s.opacity})`;
       ctx.lineWidth = 2;
       ctx.stroke();
     }
@@ -695,13 +767,13 @@ const EmergentSection = (() => {
       let color;
       let size = 3.5;
       if (a.type === 'forager') {
-        color = a.carrying ? C.foragerCarrying : C.forager;
+        color = `rgb(${a.carrying ? roles.carrying : roles.forager})`;
         size = 3.5;
       } else if (a.type === 'builder') {
-        color = C.builder;
+        color = `rgb(${roles.builder})`;
         size = 3.2;
       } else {
-        color = C.scout;
+        color = `rgb(${roles.scout})`;
         size = 4;
       }
 
@@ -727,7 +799,7 @@ const EmergentSection = (() => {
       if (a.carrying) {
         ctx.beginPath();
         ctx.arc(a.x, a.y, size + 2, 0, TAU);
-        ctx.strokeStyle = C.food;
+        ctx.strokeStyle = `rgb(${roles.food})`;
         ctx.lineWidth = 0.8;
         ctx.stroke();
       }
@@ -765,14 +837,13 @@ const EmergentSection = (() => {
           <div style="
             font-family:'JetBrains Mono',monospace; font-size:11px; letter-spacing:3px;
             text-transform:uppercase; color:${C.accent}; margin-bottom:10px;
-          ">Multi-Agent Systems</div>
+          " data-copy="overline"></div>
           <h2 style="
             font-size:32px; font-weight:700; margin:0 0 12px; line-height:1.2; color:#fff;
-          ">Emergent Behavior</h2>
+          " data-copy="title"></h2>
           <p style="
             font-size:14px; line-height:1.65; color:${C.textDim}; max-width:620px; margin:0;
-          ">Simple rules, complex outcomes &mdash; emergent tool use from multi-agent interaction.
-          Design at runtime through simulation. Click to place food or obstacles.</p>
+          " data-copy="description"></p>
         </div>
 
         <!-- canvas wrapper -->
@@ -787,8 +858,8 @@ const EmergentSection = (() => {
             position:absolute; top:10px; left:10px; padding:4px 10px;
             font-family:'JetBrains Mono',monospace; font-size:10px;
             background:rgba(6,8,15,0.8); border:1px solid ${C.panelBorder};
-            border-radius:4px; color:${C.textDim}; pointer-events:none;
-          ">OBSERVE</div>
+            border-radius:4px; color:${C.textDim}; pointer-events:none; text-transform:uppercase;
+          "></div>
           <!-- live stats overlay -->
           <div id="em-stats" style="
             position:absolute; top:10px; right:10px; padding:6px 12px;
@@ -807,6 +878,9 @@ const EmergentSection = (() => {
       </div>
     `;
 
+    container.querySelectorAll('[data-copy]').forEach(el => copy.text(el, el.dataset.copy));
+    copy.text(container.querySelector('#em-mode-badge'), `mode.${cfg.interactionMode}`);
+
     canvas = container.querySelector('#em-canvas');
     ctx = canvas.getContext('2d');
     trailCanvas = container.querySelector('#em-trail-canvas');
@@ -820,95 +894,22 @@ const EmergentSection = (() => {
   function buildControls() {
     const wrap = container.querySelector('#em-controls');
 
-    function makeSlider(label, min, max, step, value, onChange) {
-      const id = 'em-' + label.replace(/\s/g, '-').toLowerCase();
-      const div = document.createElement('div');
-      div.style.cssText = `
-        background:${C.panel}; border:1px solid ${C.panelBorder}; border-radius:6px;
-        padding:10px 14px;
-      `;
-      div.innerHTML = `
-        <div style="display:flex; justify-content:space-between; margin-bottom:6px;">
-          <span style="color:${C.textDim};font-family:'JetBrains Mono',monospace;font-size:10px;text-transform:uppercase;letter-spacing:1px;">${label}</span>
-          <span id="${id}-val" style="color:${C.text};font-family:'JetBrains Mono',monospace;font-size:11px;">${value}</span>
-        </div>
-        <input id="${id}" type="range" min="${min}" max="${max}" step="${step}" value="${value}" style="
-          width:100%; -webkit-appearance:none; background:rgba(74,158,255,0.1);
-          height:4px; border-radius:2px; outline:none; cursor:pointer;
-        ">
-      `;
-      wrap.appendChild(div);
-      const inp = div.querySelector(`#${id}`);
-      const valEl = div.querySelector(`#${id}-val`);
-      inp.addEventListener('input', () => {
-        const v = parseFloat(inp.value);
-        valEl.textContent = v;
-        onChange(v);
-      });
-      /* style thumb via stylesheet once */
-      return div;
-    }
-
-    function makeToggleGroup() {
-      const div = document.createElement('div');
-      div.style.cssText = `
-        background:${C.panel}; border:1px solid ${C.panelBorder}; border-radius:6px;
-        padding:10px 14px; display:flex; flex-direction:column; gap:6px;
-      `;
-      div.innerHTML = `<span style="color:${C.textDim};font-family:'JetBrains Mono',monospace;font-size:10px;text-transform:uppercase;letter-spacing:1px;margin-bottom:2px;">Behaviors</span>`;
-
-      function addToggle(label, key) {
-        const row = document.createElement('div');
-        row.style.cssText = 'display:flex; align-items:center; justify-content:space-between;';
-        row.innerHTML = `
-          <span style="color:${C.text};font-size:12px;">${label}</span>
-          <button style="
-            width:36px; height:20px; border-radius:10px; border:none; cursor:pointer;
-            background:${cfg[key] ? C.accent : 'rgba(255,255,255,0.1)'};
-            position:relative; transition:background 0.2s;
-          ">
-            <span style="
-              position:absolute; top:2px; left:${cfg[key] ? '18px' : '2px'};
-              width:16px; height:16px; border-radius:50%; background:#fff;
-              transition: left 0.2s;
-            "></span>
-          </button>
-        `;
-        const btn = row.querySelector('button');
-        const dot = btn.querySelector('span');
-        btn.addEventListener('click', () => {
-          cfg[key] = !cfg[key];
-          btn.style.background = cfg[key] ? C.accent : 'rgba(255,255,255,0.1)';
-          dot.style.left = cfg[key] ? '18px' : '2px';
-        });
-        div.appendChild(row);
-      }
-
-      addToggle('Flocking', 'flocking');
-      addToggle('Trail Following', 'trailFollowing');
-      addToggle('Scout Signals', 'signalsEnabled');
-      wrap.appendChild(div);
-    }
-
     function makeModeButtons() {
       const div = document.createElement('div');
       div.style.cssText = `
         background:${C.panel}; border:1px solid ${C.panelBorder}; border-radius:6px;
         padding:10px 14px; display:flex; flex-direction:column; gap:6px;
       `;
-      div.innerHTML = `<span style="color:${C.textDim};font-family:'JetBrains Mono',monospace;font-size:10px;text-transform:uppercase;letter-spacing:1px;margin-bottom:2px;">Interaction</span>`;
+      div.innerHTML = `<span style="color:${C.textDim};font-family:'JetBrains Mono',monospace;font-size:10px;text-transform:uppercase;letter-spacing:1px;margin-bottom:2px;"></span>`;
+      copy.text(div.firstChild, 'interaction');
 
-      const modes = [
-        { label: 'Observe', value: 'observe' },
-        { label: 'Add Food', value: 'food' },
-        { label: 'Add Obstacle', value: 'obstacle' },
-      ];
+      const modes = ['observe', 'food', 'obstacle'].map(value => ({ key: `mode.${value}`, value }));
       const btns = [];
       const row = document.createElement('div');
       row.style.cssText = 'display:flex; gap:4px; flex-wrap:wrap;';
       for (const m of modes) {
         const b = document.createElement('button');
-        b.textContent = m.label;
+        copy.text(b, m.key);
         b.dataset.mode = m.value;
         b.style.cssText = `
           flex:1; padding:6px 8px; border-radius:4px; border:1px solid ${C.panelBorder};
@@ -925,7 +926,7 @@ const EmergentSection = (() => {
             ob.style.color = active ? C.accent : C.textDim;
           }
           const badge = container.querySelector('#em-mode-badge');
-          badge.textContent = m.label.toUpperCase();
+          copy.text(badge, m.key);
         });
         btns.push(b);
         row.appendChild(b);
@@ -934,7 +935,7 @@ const EmergentSection = (() => {
 
       /* clear all button */
       const clearBtn = document.createElement('button');
-      clearBtn.textContent = 'Reset Simulation';
+      copy.text(clearBtn, 'reset');
       clearBtn.style.cssText = `
         margin-top:4px; padding:6px 8px; border-radius:4px;
         border:1px solid rgba(255,100,100,0.25); background:rgba(255,100,100,0.08);
@@ -942,25 +943,37 @@ const EmergentSection = (() => {
         font-family:'JetBrains Mono',monospace; transition: all 0.15s;
       `;
       clearBtn.addEventListener('click', () => {
+        let before = colony();
         initSimulation();
+        let after = colony();
+        Procedural.history.push(ID, {
+          label: 'Reset simulation',
+          undo: () => { after = colony(); restoreColony(before); },
+          redo: () => { before = colony(); restoreColony(after); },
+        });
       });
       div.appendChild(clearBtn);
 
       wrap.appendChild(div);
     }
 
-    /* build all controls */
-    makeSlider('Foragers', 5, 60, 1, cfg.foragerCount, v => { cfg.foragerCount = v; syncAgentCounts(); });
-    makeSlider('Builders', 0, 35, 1, cfg.builderCount, v => { cfg.builderCount = v; syncAgentCounts(); });
-    makeSlider('Scouts', 0, 25, 1, cfg.scoutCount, v => { cfg.scoutCount = v; syncAgentCounts(); });
-    makeSlider('Speed', 0.2, 3.0, 0.1, cfg.speedMult, v => { cfg.speedMult = v; });
-    makeSlider('Trail Decay', 0.95, 0.999, 0.001, cfg.pheromoneDecay, v => { cfg.pheromoneDecay = v; });
-    makeToggleGroup();
+    /* build all controls: schema groups become cards, then the tools */
+    panel = Procedural.params.createPanel(wrap, SCHEMA, cfg, {
+      layout: 'row',
+      accent: C.accent,
+      messages: copy,
+      onChange: key => { if (key.endsWith('Count')) syncAgentCounts(); },
+    });
+    panel.el.style.cssText = 'grid-column: 1 / -1; gap: 12px;';
     makeModeButtons();
 
     /* inject slider thumb styles */
     const style = document.createElement('style');
     style.textContent = `
+      #em-controls .pp-group {
+        background: ${C.panel}; border: 1px solid ${C.panelBorder}; border-radius: 6px;
+        padding: 10px 14px; min-width: 200px; --pp-text: ${C.textDim};
+      }
       #em-controls input[type=range]::-webkit-slider-thumb {
         -webkit-appearance: none; width: 12px; height: 12px;
         background: ${C.accent}; border-radius: 50%; cursor: pointer;
@@ -982,7 +995,7 @@ const EmergentSection = (() => {
       const y = (e.clientY - rect.top) * (H / rect.height);
 
       if (cfg.interactionMode === 'food') {
-        foods.push({
+        place(foods, 'Add food', {
           x, y,
           amount: 1.0, maxAmount: 1.0,
           regenRate: 0.0004 + Math.random() * 0.0003,
@@ -990,7 +1003,7 @@ const EmergentSection = (() => {
         });
       } else if (cfg.interactionMode === 'obstacle') {
         const isRect = Math.random() > 0.5;
-        obstacles.push({
+        place(obstacles, 'Add obstacle', {
           x, y,
           r: rand(18, 30),
           w: isRect ? rand(25, 55) : 0,
@@ -1001,13 +1014,37 @@ const EmergentSection = (() => {
     });
   }
 
+  /* drop an item into foods/obstacles as an undoable edit */
+  function place(list, label, item) {
+    list.push(item);
+    Procedural.history.push(ID, {
+      label,
+      undo: () => {
+        const i = list.indexOf(item);
+        if (i >= 0) list.splice(i, 1);
+      },
+      redo: () => { list.push(item); },
+    });
+  }
+
+  /* the whole colony, for undoing a reset; initSimulation() replaces every
+     list and the grid, so the snapshot can keep them by reference */
+  function colony() {
+    return { agents, foods, obstacles, structures, signals, stats, pheromone: pheromoneGrid };
+  }
+
+  function restoreColony(saved) {
+    ({ agents, foods, obstacles, structures, signals, stats } = saved);
+    /* trails from before a resize no longer fit the grid */
+    if (saved.pheromone.length === gridW * gridH) pheromoneGrid = saved.pheromone;
+    else pheromoneGrid.fill(0);
+  }
+
   /* ---- stats display ---- */
   function updateStatsDisplay() {
     const el = container.querySelector('#em-stats');
     if (el) {
-      el.innerHTML = `
-        Food: ${stats.foodCollected} &nbsp;|&nbsp; Agents: ${stats.activeAgents} &nbsp;|&nbsp; Trails: ${stats.trailCoverage}%
-      `;
+      el.textContent = copy('stats', { food: stats.foodCollected, agents: stats.activeAgents, trails: stats.trailCoverage });
     }
   }
 
@@ -1030,7 +1067,9 @@ const EmergentSection = (() => {
       buildDOM(containerEl);
       this.resize();
       initSimulation();
-      window.addEventListener('resize', () => this.resize());
+      offPalette = Procedural.palette.subscribe(applyPalette);
+      onWindowResize = () => this.resize();
+      window.addEventListener('resize', onWindowResize);
     },
 
     start() {
@@ -1047,25 +1086,50 @@ const EmergentSection = (() => {
 
     resize() {
       if (!canvas) return;
-      dpr = window.devicePixelRatio || 1;
-      const wrap = container.querySelector('#em-canvas-wrap');
-      const rect = wrap.getBoundingClientRect();
-      W = Math.min(rect.width, 1100);
-      H = Math.max(400, Math.min(W * 0.55, 550));
-
-      canvas.width = W * dpr;
-      canvas.height = H * dpr;
-      canvas.style.width = W + 'px';
-      canvas.style.height = H + 'px';
-
-      trailCanvas.width = W * dpr;
-      trailCanvas.height = H * dpr;
-      trailCanvas.style.width = W + 'px';
-      trailCanvas.style.height = H + 'px';
-
+      sizeCanvases();
       initPheromoneGrid();
     },
+
+    destroy() {
+      this.stop();
+      if (!container) return;
+      window.removeEventListener('resize', onWindowResize);
+      if (offPalette) offPalette();
+      if (panel) panel.destroy();
+      container.textContent = '';
+      agents = []; foods = []; obstacles = []; structures = []; signals = [];
+      pheromoneGrid = null;
+      container = canvas = ctx = trailCanvas = trailCtx = null;
+      panel = offPalette = onWindowResize = null;
+    },
+
+    schema: SCHEMA,
+
+    /* interaction mode is a tool choice, not part of the design */
+    getState() {
+      return Procedural.params.pick(SCHEMA, cfg);
+    },
+
+    setState(state) {
+      const next = Procedural.params.validate(SCHEMA, state);
+      Object.assign(cfg, next);
+      if (!panel) return;
+      panel.sync();
+      if (Object.keys(next).some(key => key.endsWith('Count'))) syncAgentCounts();
+    },
+
+    /* quality tier 0-3: fewer agents, a lower DPR and a coarser pheromone
+       texture; the sliders (and getState) keep the full counts */
+    setQuality(level) {
+      const next = clamp(level | 0, 0, QUALITY.length - 1);
+      if (next === quality) return;
+      quality = next;
+      syncAgentCounts();
+      if (canvas) sizeCanvases();
+    },
   };
 })();
 
 if (typeof module !== 'undefined' && module.exports) module.exports = EmergentSection;
+
+if (typeof Procedural !== 'undefined') Procedural.registerSection({ id: 'emergent-section', module: EmergentSection });
@@ -4,6 +4,38 @@
 // ============================================================================
 
 const ExplorationSection = {
+  copy: Procedural.i18n.namespace('exploration-section', {
+    overline: 'Design Exploration at Scale',
+    title: 'Abstract Design Intents as Variables',
+    description: 'Create variants by parameterizing design decisions. Navigate the space of possibilities through interpolation and generative exploration.',
+    grid: 'Generative Design Grid',
+    variables: 'Design Variables',
+    'complexity.label': 'Complexity',
+    'complexity.lo': 'Simple',
+    'complexity.hi': 'Intricate',
+    'symmetry.label': 'Symmetry',
+    'symmetry.lo': 'Asymmetric',
+    'symmetry.hi': 'Radial',
+    'organic.label': 'Organic',
+    'organic.lo': 'Geometric',
+    'organic.hi': 'Organic',
+    'colorTemp.label': 'Color Temperature',
+    'colorTemp.lo': 'Cool',
+    'colorTemp.hi': 'Warm',
+    randomize: 'Randomize All',
+    interpolation: 'Design Space Interpolation',
+    newEndpoints: 'New Endpoints',
+    modes: 'Exploration Modes',
+    'mode.linear': 'Linear Exploration',
+    'mode.multi': 'Multi-threaded Exploration',
+    'mode.agentive': 'Agentive Exploration',
+    'mode.linear.description': 'Single path through design space',
+    'mode.multi.description': 'Branching parallel evaluation',
+    'mode.agentive.description': 'Autonomous agents explore continuously',
+    start: 'Start',
+    end: 'End',
+    designSpace: 'design space',
+  }),
   container: null,
   canvases: [],
   interpCanvas: null,
@@ -32,34 +64,31 @@ const ExplorationSection = {
   lastAutoTime: 0,
   agents: [],
 
+  // Quality tiers (setQuality): DPR cap and grid redraw interval in ms
+  QUALITY: [
+    { dpr: 1, gridInterval: 200 },
+    { dpr: 1, gridInterval: 140 },
+    { dpr: 1.5, gridInterval: 100 },
+    { dpr: Infinity, gridInterval: 80 },
+  ],
+  quality: 3,
+
+  _pixelRatio() {
+    return Math.min(window.devicePixelRatio || 1, this.QUALITY[this.quality].dpr);
+  },
+
   // ── Parametric seed system ──────────────────────────────────────────────
   // Each grid cell gets a unique seed that drives its variation
 
   _seededRandom(seed) {
-    let s = seed;
-    return () => {
-      s = (s * 16807 + 0) % 2147483647;
-      return (s - 1) / 2147483646;
-    };
+    return ProceduralCore.parkMiller(seed);
   },
 
   // ── Color system ────────────────────────────────────────────────────────
 
-  _hslToRgb(h, s, l) {
-    h = ((h % 360) + 360) % 360;
-    s = Math.max(0, Math.min(1, s));
-    l = Math.max(0, Math.min(1, l));
-    const c = (1 - Math.abs(2 * l - 1)) * s;
-    const x = c * (1 - Math.abs(((h / 60) % 2) - 1));
-    const m = l - c / 2;
-    let r, g, b;
-    if (h < 60) { r = c; g = x; b = 0; }
-    else if (h < 120) { r = x; g = c; b = 0; }
-    else if (h < 180) { r = 0; g = c; b = x; }
-    else if (h < 240) { r = 0; g = x; b = c; }
-    else if (h < 300) { r = x; g = 0; b = c; }
-    else { r = c; g = 0; b = x; }
-    return `rgb(${Math.round((r + m) * 255)},${Math.round((g + m) * 255)},${Math.round((b + m) * 255)})`;
+  _hslToRgb(h, s, l, alpha) {
+    const [r, g, b] = ProceduralCore.hslToRgb(h, s, l);
+    return ProceduralCore.rgbToCss(r, g, b, alpha);
   },
 
   _palette(seed, colorTemp) {
@@ -81,50 +110,13 @@ const ExplorationSection = {
 
   _getColor(palette, index, alpha) {
     const c = palette[index % palette.length];
-    if (alpha !== undefined) {
-      const h = ((c.h % 360) + 360) % 360;
-      const s = Math.max(0, Math.min(1, c.s));
-      const l = Math.max(0, Math.min(1, c.l));
-      const ch = (1 - Math.abs(2 * l - 1)) * s;
-      const x = ch * (1 - Math.abs(((h / 60) % 2) - 1));
-      const m = l - ch / 2;
-      let r, g, b;
-      if (h < 60) { r = ch; g = x; b = 0; }
-      else if (h < 120) { r = x; g = ch; b = 0; }
-      else if (h < 180) { r = 0; g = ch; b = x; }
-      else if (h < 240) { r = 0; g = x; b = ch; }
-      else if (h < 300) { r = x; g = 0; b = ch; }
-      else { r = ch; g = 0; b = x; }
-      return `rgba(${Math.round((r + m) * 255)},${Math.round((g + m) * 255)},${Math.round((b + m) * 255)},${alpha})`;
-    }
-    return this._hslToRgb(c.h, c.s, c.l);
+    return this._hslToRgb(c.h, c.s, c.l, alpha);
   },
 
   // ── Noise function (simple value noise) ─────────────────────────────────
 
   _noise2D(x, y, seed) {
-    const rng = this._seededRandom(
-      Math.floor(x) * 374761 + Math.floor(y) * 668265 + seed
-    );
-    const v00 = rng();
-    const rng2 = this._seededRandom(
-      (Math.floor(x) + 1) * 374761 + Math.floor(y) * 668265 + seed
-    );
-    const v10 = rng2();
-    const rng3 = this._seededRandom(
-      Math.floor(x) * 374761 + (Math.floor(y) + 1) * 668265 + seed
-    );
-    const v01 = rng3();
-    const rng4 = this._seededRandom(
-      (Math.floor(x) + 1) * 374761 + (Math.floor(y) + 1) * 668265 + seed
-    );
-    const v11 = rng4();
-    const fx = x - Math.floor(x);
-    const fy = y - Math.floor(y);
-    const tx = fx * fx * (3 - 2 * fx);
-    const ty = fy * fy * (3 - 2 * fy);
-    return (v00 * (1 - tx) + v10 * tx) * (1 - ty) +
-           (v01 * (1 - tx) + v11 * tx) * ty;
+    return ProceduralCore.valueNoise2D(x, y, seed);
   },
 
   _fbm(x, y, seed, octaves) {
@@ -435,12 +427,9 @@ const ExplorationSection = {
     this._modeBtnRects = [];
 
     // Mode labels
-    const labels = ['Linear Exploration', 'Multi-threaded Exploration', 'Agentive Exploration'];
-    const descriptions = [
-      'Single path through design space',
-      'Branching parallel evaluation',
-      'Autonomous agents explore continuously'
-    ];
+    const modeKeys = ['mode.linear', 'mode.multi', 'mode.agentive'];
+    const labels = modeKeys.map(key => this.copy(key));
+    const descriptions = modeKeys.map(key => this.copy(`${key}.description`));
 
     // Draw mode selectors with playful underline highlight
     const labelY = 28;
@@ -458,15 +447,18 @@ const ExplorationSection = {
       const hitY = 6;
       this._modeBtnRects.push({ x: hitX, y: hitY, w: hitW, h: hitH, mode: i });
 
-      // Label text
-      const fontSize = isActive ? 13 : 11;
-      ctx.font = `${isActive ? '600 ' : '400 '}${fontSize}px "SF Mono", "Fira Code", monospace`;
+      // Label text, shrunk to its third of the width if a translation runs long
+      const label = Procedural.i18n.fitText(ctx, labels[i], hitW, {
+        size: isActive ? 13 : 11,
+        minSize: 9,
+        font: size => `${isActive ? '600 ' : '400 '}${size}px "SF Mono", "Fira Code", monospace`,
+      }).lines[0];
       ctx.fillStyle = isActive ? 'rgba(220, 230, 255, 0.95)' : 'rgba(150, 160, 190, 0.55)';
-      ctx.fillText(labels[i], lx, labelY);
+      ctx.fillText(label, lx, labelY);
 
       // Playful underline highlight for active mode
       if (isActive) {
-        const textW = ctx.measureText(labels[i]).width;
+        const textW = ctx.measureText(label).width;
         const underY = labelY + 4;
         // Wavy/playful underline using a sine wave
         ctx.beginPath();
@@ -486,9 +478,13 @@ const ExplorationSection = {
       }
 
       // Description below
-      ctx.font = '10px "SF Mono", "Fira Code", monospace';
+      const description = Procedural.i18n.fitText(ctx, descriptions[i], hitW, {
+        size: 10,
+        minSize: 8,
+        font: size => `${size}px "SF Mono", "Fira Code", monospace`,
+      }).lines[0];
       ctx.fillStyle = isActive ? 'rgba(150, 170, 220, 0.6)' : 'rgba(150, 170, 220, 0.45)';
-      ctx.fillText(descriptions[i], lx, labelY + 20);
+      ctx.fillText(description, lx, labelY + 20);
 
       // Pinned indicator: small dot under the label
       if (isSelected) {
@@ -586,8 +582,8 @@ const ExplorationSection = {
     ctx.font = '10px "SF Mono", monospace';
     ctx.fillStyle = 'rgba(150, 170, 210, 0.5)';
     ctx.textAlign = 'center';
-    ctx.fillText('Start', startX, cy + 25);
-    ctx.fillText('End', startX + pathLen, cy + 25);
+    ctx.fillText(this.copy('start'), startX, cy + 25);
+    ctx.fillText(this.copy('end'), startX + pathLen, cy + 25);
   },
 
   _drawMultiThreadedMode(ctx, w, y0, h, progress, time) {
@@ -805,7 +801,7 @@ const ExplorationSection = {
     ctx.font = '9px "SF Mono", monospace';
     ctx.fillStyle = 'rgba(130, 150, 200, 0.55)';
     ctx.textAlign = 'left';
-    ctx.fillText('design space', left + 5, top + 12);
+    ctx.fillText(this.copy('designSpace'), left + 5, top + 12);
   },
 
   // ── Build the DOM ───────────────────────────────────────────────────────
@@ -824,17 +820,11 @@ const ExplorationSection = {
     const header = document.createElement('div');
     header.style.cssText = 'text-align: center; margin-bottom: 50px;';
     header.innerHTML = `
-      <div style="font-size: 11px; text-transform: uppercase; letter-spacing: 4px; color: rgba(130,160,255,0.6); margin-bottom: 12px;">
-        Design Exploration at Scale
-      </div>
-      <h2 style="font-size: 32px; font-weight: 300; color: #e0e6f0; margin: 0 0 8px 0; font-family: inherit;">
-        Abstract Design Intents as Variables
-      </h2>
-      <p style="font-size: 13px; color: rgba(160,175,210,0.55); max-width: 520px; margin: 0 auto; line-height: 1.7;">
-        Create variants by parameterizing design decisions. Navigate the space
-        of possibilities through interpolation and generative exploration.
-      </p>
+      <div data-copy="overline" style="font-size: 11px; text-transform: uppercase; letter-spacing: 4px; color: rgba(130,160,255,0.6); margin-bottom: 12px;"></div>
+      <h2 data-copy="title" style="font-size: 32px; font-weight: 300; color: #e0e6f0; margin: 0 0 8px 0; font-family: inherit;"></h2>
+      <p data-copy="description" style="font-size: 13px; color: rgba(160,175,210,0.55); max-width: 520px; margin: 0 auto; line-height: 1.7;"></p>
     `;
+    header.querySelectorAll('[data-copy]').forEach(el => this.copy.text(el, el.dataset.copy));
     container.appendChild(header);
 
     // ── Generative Grid ──
@@ -843,7 +833,7 @@ const ExplorationSection = {
 
     const gridLabel = document.createElement('div');
     gridLabel.style.cssText = 'font-size: 11px; text-transform: uppercase; letter-spacing: 3px; color: rgba(130,160,255,0.55); margin-bottom: 20px;';
-    gridLabel.textContent = 'Generative Design Grid';
+    this.copy.text(gridLabel, 'grid');
     gridSection.appendChild(gridLabel);
 
     // Grid + Controls wrapper
@@ -893,14 +883,14 @@ const ExplorationSection = {
 
     const ctrlTitle = document.createElement('div');
     ctrlTitle.style.cssText = 'font-size: 11px; text-transform: uppercase; letter-spacing: 2px; color: rgba(130,160,255,0.55); margin-bottom: 20px;';
-    ctrlTitle.textContent = 'Design Variables';
+    this.copy.text(ctrlTitle, 'variables');
     controls.appendChild(ctrlTitle);
 
     const sliderDefs = [
-      { key: 'complexity', label: 'Complexity', lo: 'Simple', hi: 'Intricate' },
-      { key: 'symmetry', label: 'Symmetry', lo: 'Asymmetric', hi: 'Radial' },
-      { key: 'organic', label: 'Organic', lo: 'Geometric', hi: 'Organic' },
-      { key: 'colorTemp', label: 'Color Temperature', lo: 'Cool', hi: 'Warm' },
+      { key: 'complexity' },
+      { key: 'symmetry' },
+      { key: 'organic' },
+      { key: 'colorTemp' },
     ];
 
     this._sliders = {};
@@ -911,9 +901,10 @@ const ExplorationSection = {
       const labelRow = document.createElement('div');
       labelRow.style.cssText = 'display: flex; justify-content: space-between; margin-bottom: 6px;';
       labelRow.innerHTML = `
-        <span style="font-size: 11px; color: rgba(180,190,220,0.7);">${def.label}</span>
+        <span style="font-size: 11px; color: rgba(180,190,220,0.7);" class="var-label"></span>
         <span style="font-size: 10px; color: rgba(130,150,200,0.55);" class="val-display">${(this.params[def.key] * 100).toFixed(0)}%</span>
       `;
+      this.copy.text(labelRow.querySelector('.var-label'), `${def.key}.label`);
       group.appendChild(labelRow);
 
       const slider = document.createElement('input');
@@ -937,9 +928,11 @@ const ExplorationSection = {
       const rangeLabels = document.createElement('div');
       rangeLabels.style.cssText = 'display: flex; justify-content: space-between; margin-top: 3px;';
       rangeLabels.innerHTML = `
-        <span style="font-size: 9px; color: rgba(130,150,200,0.55);">${def.lo}</span>
-        <span style="font-size: 9px; color: rgba(130,150,200,0.55);">${def.hi}</span>
+        <span style="font-size: 9px; color: rgba(130,150,200,0.55);"></span>
+        <span style="font-size: 9px; color: rgba(130,150,200,0.55);"></span>
       `;
+      this.copy.text(rangeLabels.children[0], `${def.key}.lo`);
+      this.copy.text(rangeLabels.children[1], `${def.key}.hi`);
       group.appendChild(rangeLabels);
 
       controls.appendChild(group);
@@ -948,7 +941,7 @@ const ExplorationSection = {
 
     // Randomize button
     const randBtn = document.createElement('button');
-    randBtn.textContent = 'Randomize All';
+    this.copy.text(randBtn, 'randomize');
     randBtn.style.cssText = `
       width: 100%; padding: 10px; margin-top: 10px;
       background: rgba(80, 110, 200, 0.15); border: 1px solid rgba(80, 110, 200, 0.3);
@@ -984,7 +977,7 @@ const ExplorationSection = {
 
     const interpLabel = document.createElement('div');
     interpLabel.style.cssText = 'font-size: 11px; text-transform: uppercase; letter-spacing: 3px; color: rgba(130,160,255,0.55); margin-bottom: 20px;';
-    interpLabel.textContent = 'Design Space Interpolation';
+    this.copy.text(interpLabel, 'interpolation');
     interpSection.appendChild(interpLabel);
 
     const interpRow = document.createElement('div');
@@ -1070,7 +1063,7 @@ const ExplorationSection = {
     const newEndpoints = document.createElement('div');
     newEndpoints.style.cssText = 'text-align: center; margin-top: 12px;';
     const newBtn = document.createElement('button');
-    newBtn.textContent = 'New Endpoints';
+    this.copy.text(newBtn, 'newEndpoints');
     newBtn.style.cssText = `
       padding: 8px 20px; background: rgba(80, 110, 200, 0.12);
       border: 1px solid rgba(80, 110, 200, 0.25); border-radius: 6px;
@@ -1099,7 +1092,7 @@ const ExplorationSection = {
 
     const modesLabel = document.createElement('div');
     modesLabel.style.cssText = 'font-size: 11px; text-transform: uppercase; letter-spacing: 3px; color: rgba(130,160,255,0.55); margin-bottom: 20px;';
-    modesLabel.textContent = 'Exploration Modes';
+    this.copy.text(modesLabel, 'modes');
     modesSection.appendChild(modesLabel);
 
     const modesContainer = document.createElement('div');
@@ -1186,10 +1179,11 @@ const ExplorationSection = {
 
   // ── Resize all canvases ──
   resize() {
+    if (!this.container) return;
     // Grid canvases
     this.canvases.forEach(canvas => {
       const rect = canvas.parentElement.getBoundingClientRect();
-      const dpr = window.devicePixelRatio || 1;
+      const dpr = this._pixelRatio();
       canvas.width = rect.width * dpr;
       canvas.height = rect.height * dpr;
     });
@@ -1198,7 +1192,7 @@ const ExplorationSection = {
     [this.interpCanvasA, this.interpCanvasB, ...this.interpMidCanvases].forEach(c => {
       if (c) {
         const rect = c.getBoundingClientRect();
-        const dpr = window.devicePixelRatio || 1;
+        const dpr = this._pixelRatio();
         c.width = rect.width * dpr;
         c.height = rect.height * dpr;
       }
@@ -1207,7 +1201,7 @@ const ExplorationSection = {
     // Modes canvas
     if (this.modesCanvas) {
       const rect = this.modesCanvas.getBoundingClientRect();
-      const dpr = window.devicePixelRatio || 1;
+      const dpr = this._pixelRatio();
       this.modesCanvas.width = rect.width * dpr;
       this.modesCanvas.height = rect.height * dpr;
     }
@@ -1223,8 +1217,8 @@ const ExplorationSection = {
       if (!this.running) return;
       this.time = now;
 
-      // Draw grid at reduced framerate for performance (every 80ms)
-      if (now - this._lastGridDraw > 80) {
+      // Draw grid at reduced framerate for performance (every 80ms at full quality)
+      if (now - this._lastGridDraw > this.QUALITY[this.quality].gridInterval) {
         this._lastGridDraw = now;
         this._drawGrid(now);
         this._drawInterpolation(now);
@@ -1233,7 +1227,7 @@ const ExplorationSection = {
       // Exploration modes at full framerate (it's lightweight)
       if (this.modesCanvas) {
         const ctx = this.modesCanvas.getContext('2d');
-        const dpr = window.devicePixelRatio || 1;
+        const dpr = this._pixelRatio();
         ctx.save();
         ctx.scale(dpr, dpr);
         const rect = this.modesCanvas.getBoundingClientRect();
@@ -1254,8 +1248,63 @@ const ExplorationSection = {
     }
   },
 
+  // ── Teardown: everything lives inside the container ──
+  destroy() {
+    this.stop();
+    if (!this.container) return;
+    this.container.innerHTML = '';
+    this.container = null;
+    this.canvases = [];
+    this.interpCanvasA = this.interpCanvasB = this.modesCanvas = null;
+    this.interpMidCanvases = [];
+    this._sliders = this._interpSlider = null;
+    this.agents = [];
+  },
+
+  // ── Shareable state ──
+  getState() {
+    return {
+      ...this.params,
+      t: this.interpT,
+      seedA: this.designA ? this.designA.seed : 12345,
+      seedB: this.designB ? this.designB.seed : 67890,
+      mode: this.selectedMode,
+    };
+  },
+
+  setState(state) {
+    if (!state || !this._sliders) return;
+    const unit = v => Math.max(0, Math.min(1, Number(v)));
+
+    Object.keys(this.params).forEach(key => {
+      if (!Number.isFinite(state[key])) return;
+      const val = unit(state[key]);
+      this.params[key] = val;
+      this._sliders[key].value = String(val * 100);
+      this._sliders[key].parentElement.querySelector('.val-display').textContent = `${(val * 100).toFixed(0)}%`;
+    });
+
+    if (Number.isFinite(state.t)) {
+      this.interpT = unit(state.t);
+      this._interpSlider.value = String(this.interpT * 100);
+    }
+    if (Number.isFinite(state.seedA)) this.designA = this._makeDesignEndpoint(Math.floor(state.seedA));
+    if (Number.isFinite(state.seedB)) this.designB = this._makeDesignEndpoint(Math.floor(state.seedB));
+    if ('mode' in state) {
+      this.selectedMode = [0, 1, 2].includes(state.mode) ? state.mode : null;
+    }
+  },
+
+  // Quality tier 0-3: lower DPR and a slower grid refresh when low
+  setQuality(level) {
+    const next = Math.max(0, Math.min(this.QUALITY.length - 1, level | 0));
+    if (next === this.quality) return;
+    this.quality = next;
+    this.resize();
+  },
+
   _drawGrid(time) {
-    const dpr = window.devicePixelRatio || 1;
+    const dpr = this._pixelRatio();
     for (let i = 0; i < 16; i++) {
       const canvas = this.canvases[i];
       if (!canvas || canvas.width === 0) continue;
@@ -1271,7 +1320,7 @@ const ExplorationSection = {
   },
 
   _drawInterpolation(time) {
-    const dpr = window.devicePixelRatio || 1;
+    const dpr = this._pixelRatio();
     if (!this.designA || !this.designB) return;
 
     // Update display
@@ -1336,3 +1385,5 @@ const ExplorationSection = {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = ExplorationSection;
 }
+
+if (typeof Procedural !== 'undefined') Procedural.registerSection({ id: 'exploration-section', module: ExplorationSection });
@@ -6,48 +6,9 @@
 
 const FirewatchSection = (() => {
   // ---------------------------------------------------------------------------
-  // Simplex Noise (2D)
+  // Simplex Noise (2D) — shared ProceduralCore field, fixed seed
   // ---------------------------------------------------------------------------
-  const SimplexNoise = (() => {
-    const F2 = 0.5 * (Math.sqrt(3) - 1);
-    const G2 = (3 - Math.sqrt(3)) / 6;
-    const grad3 = [
-      [1, 1], [-1, 1], [1, -1], [-1, -1],
-      [1, 0], [-1, 0], [0, 1], [0, -1],
-      [1, 1], [-1, 1], [1, -1], [-1, -1],
-    ];
-    const perm = new Uint8Array(512);
-    const permMod12 = new Uint8Array(512);
-    const p = new Uint8Array(256);
-    for (let i = 0; i < 256; i++) p[i] = i;
-    let seed = 42;
-    const sr = () => { seed = (seed * 16807) % 2147483647; return (seed - 1) / 2147483646; };
-    for (let i = 255; i > 0; i--) { const j = Math.floor(sr() * (i + 1)); [p[i], p[j]] = [p[j], p[i]]; }
-    for (let i = 0; i < 512; i++) { perm[i] = p[i & 255]; permMod12[i] = perm[i] % 12; }
-
-    function noise2D(xin, yin) {
-      const s = (xin + yin) * F2;
-      const i = Math.floor(xin + s), j = Math.floor(yin + s);
-      const t = (i + j) * G2;
-      const x0 = xin - (i - t), y0 = yin - (j - t);
-      const i1 = x0 > y0 ? 1 : 0, j1 = x0 > y0 ? 0 : 1;
-      const x1 = x0 - i1 + G2, y1 = y0 - j1 + G2;
-      const x2 = x0 - 1 + 2 * G2, y2 = y0 - 1 + 2 * G2;
-      const ii = i & 255, jj = j & 255;
-      const gi0 = permMod12[ii + perm[jj]];
-      const gi1 = permMod12[ii + i1 + perm[jj + j1]];
-      const gi2 = permMod12[ii + 1 + perm[jj + 1]];
-      let n0 = 0, n1 = 0, n2 = 0;
-      let t0 = 0.5 - x0 * x0 - y0 * y0;
-      if (t0 >= 0) { t0 *= t0; n0 = t0 * t0 * (grad3[gi0][0] * x0 + grad3[gi0][1] * y0); }
-      let t1 = 0.5 - x1 * x1 - y1 * y1;
-      if (t1 >= 0) { t1 *= t1; n1 = t1 * t1 * (grad3[gi1][0] * x1 + grad3[gi1][1] * y1); }
-      let t2 = 0.5 - x2 * x2 - y2 * y2;
-      if (t2 >= 0) { t2 *= t2; n2 = t2 * t2 * (grad3[gi2][0] * x2 + grad3[gi2][1] * y2); }
-      return 70 * (n0 + n1 + n2);
-    }
-    return { noise2D };
-  })();
+  const SimplexNoise = ProceduralCore.createSimplex(ProceduralCore.parkMiller(42));
 
   // ---------------------------------------------------------------------------
   // State
@@ -55,12 +16,31 @@ const FirewatchSection = (() => {
   let container, canvas, ctx;
   let running = false, animFrameId = null;
   let width, height, dpr;
-  let timeOfDay = 17.0; // Start at golden hour
-  let temperature = 0.0; // -1 cool, +1 warm
-  let saturation = 0.0;  // -1 muted, +1 vivid
+  let quality = Procedural.quality.MAX_LEVEL;   // setQuality tier
+  const copy = Procedural.i18n.namespace('firewatch-section', {
+    overline: 'Procedural Color & Tone',
+    title: 'Color and tone are the key concepts',
+    description: 'Inspired by Firewatch \u2014 drag the time-of-day slider to see the entire landscape palette shift. Adjust temperature and saturation to art-direct the mood. Move your mouse over the scene for subtle parallax.',
+    cool: 'Cool',
+    warm: 'Warm',
+    neutral: 'Neutral',
+    muted: 'Muted',
+    vivid: 'Vivid',
+    normal: 'Normal',
+  });
+  const SCHEMA = Procedural.params.define({
+    time: { type: 'range', label: 'Time of Day', min: 0, max: 24, step: 0.1, default: 17.0, format: formatTime }, // golden hour
+    temperature: { type: 'range', label: 'Temperature', min: -1, max: 1, step: 0.01, default: 0,
+      format: v => copy(v < 0 ? 'cool' : v > 0 ? 'warm' : 'neutral') },
+    saturation: { type: 'range', label: 'Saturation', min: -1, max: 1, step: 0.01, default: 0,
+      format: v => copy(v < 0 ? 'muted' : v > 0 ? 'vivid' : 'normal') },
+  });
+  const settings = Procedural.params.defaults(SCHEMA);
   let mouseX = 0.5, mouseY = 0.5;
   let targetMouseX = 0.5, targetMouseY = 0.5;
   let animTime = 0;
+  let panel = null; // Procedural.params panel over settings
+  let offLanguage = null;
 
   // Terrain layers (generated once, rendered each frame with new colors)
   let layers = [];
@@ -210,9 +190,9 @@ const FirewatchSection = (() => {
   function applyTemperatureAndSaturation(hsl) {
     let [h, s, l] = hsl;
     // Temperature shifts hue: warm = toward orange (30), cool = toward blue (220)
-    h = h + temperature * 15;
+    h = h + settings.temperature * 15;
     // Saturation adjustment
-    s = clamp(s + saturation * 25, 0, 100);
+    s = clamp(s + settings.saturation * 25, 0, 100);
     return [(h + 360) % 360, s, l];
   }
 
@@ -329,7 +309,7 @@ const FirewatchSection = (() => {
   }
 
   function drawSunMoon(colors) {
-    const hour = ((timeOfDay % 24) + 24) % 24;
+    const hour = ((settings.time % 24) + 24) % 24;
     const isNight = hour < 5 || hour > 20;
 
     // Sun/moon position based on time
@@ -389,7 +369,7 @@ const FirewatchSection = (() => {
   }
 
   function drawStars() {
-    const hour = ((timeOfDay % 24) + 24) % 24;
+    const hour = ((settings.time % 24) + 24) % 24;
     // Stars visible from 19h to 6h
     let starAlpha = 0;
     if (hour >= 20 || hour <= 4) {
@@ -445,7 +425,7 @@ const FirewatchSection = (() => {
     // Atmospheric perspective: farther layers get hazier
     const depth = layer.depth;
     const haze = (1 - depth) * 0.35;
-    const colors = getColorsForTime(timeOfDay);
+    const colors = getColorsForTime(settings.time);
     const hazeColor = colors.sky;
 
     // Base fill
@@ -500,7 +480,7 @@ const FirewatchSection = (() => {
   }
 
   function render() {
-    const colors = getColorsForTime(timeOfDay);
+    const colors = getColorsForTime(settings.time);
 
     // Smooth mouse
     mouseX = lerp(mouseX, targetMouseX, 0.05);
@@ -564,7 +544,7 @@ const FirewatchSection = (() => {
     `;
 
     const overline = document.createElement('div');
-    overline.textContent = 'Procedural Color & Tone';
+    copy.text(overline, 'overline');
     overline.style.cssText = `
       font-family: 'JetBrains Mono', monospace;
       font-size: 11px;
@@ -575,7 +555,7 @@ const FirewatchSection = (() => {
     `;
 
     const title = document.createElement('h2');
-    title.textContent = 'Color and tone are the key concepts';
+    copy.text(title, 'title');
     title.style.cssText = `
       font-size: 28px;
       font-weight: 600;
@@ -585,7 +565,7 @@ const FirewatchSection = (() => {
     `;
 
     const desc = document.createElement('p');
-    desc.textContent = 'Inspired by Firewatch \u2014 drag the time-of-day slider to see the entire landscape palette shift. Adjust temperature and saturation to art-direct the mood. Move your mouse over the scene for subtle parallax.';
+    copy.text(desc, 'description');
     desc.style.cssText = `
       font-size: 15px;
       color: rgba(232,230,227,0.55);
@@ -640,7 +620,7 @@ const FirewatchSection = (() => {
       pointer-events: none;
       backdrop-filter: blur(4px);
     `;
-    timeDisplay.textContent = formatTime(timeOfDay);
+    timeDisplay.textContent = formatTime(settings.time);
 
     canvasContainer.appendChild(canvas);
     canvasContainer.appendChild(timeDisplay);
@@ -660,27 +640,17 @@ const FirewatchSection = (() => {
       box-sizing: border-box;
     `;
 
-    // Time of Day slider
-    const timeGroup = createSlider('Time of Day', 0, 24, timeOfDay, 0.1, (v) => {
-      timeOfDay = v;
-      const td = container.querySelector('#fw-time-display');
-      if (td) td.textContent = formatTime(v);
-    }, formatTime);
-
-    // Temperature slider
-    const tempGroup = createSlider('Temperature', -1, 1, temperature, 0.01, (v) => {
-      temperature = v;
-    }, (v) => v < 0 ? 'Cool' : v > 0 ? 'Warm' : 'Neutral');
-
-    // Saturation slider
-    const satGroup = createSlider('Saturation', -1, 1, saturation, 0.01, (v) => {
-      saturation = v;
-    }, (v) => v < 0 ? 'Muted' : v > 0 ? 'Vivid' : 'Normal');
-
-    controls.appendChild(timeGroup);
-    controls.appendChild(tempGroup);
-    controls.appendChild(satGroup);
+    panel = Procedural.params.createPanel(controls, SCHEMA, settings, {
+      layout: 'row',
+      accent: 'rgba(100,140,255,0.9)',
+      messages: copy,
+      onChange: (key) => {
+        if (key === 'time') showTime();
+      },
+    });
+    panel.el.style.flex = '1';
     canvasWrap.appendChild(controls);
+    offLanguage = Procedural.on('language', showTime);
 
     // Mouse parallax events
     canvasContainer.addEventListener('mousemove', (e) => {
@@ -694,100 +664,24 @@ const FirewatchSection = (() => {
     });
   }
 
+  function showTime() {
+    const td = container.querySelector('#fw-time-display');
+    if (td) td.textContent = formatTime(settings.time);
+  }
+
+  // 5:00 PM in English, 17:00 in German and Japanese
   function formatTime(v) {
     const hours = Math.floor(v) % 24;
     const mins = Math.floor((v % 1) * 60);
-    const period = hours >= 12 ? 'PM' : 'AM';
-    const h12 = hours === 0 ? 12 : hours > 12 ? hours - 12 : hours;
-    return `${h12}:${mins.toString().padStart(2, '0')} ${period}`;
-  }
-
-  function createSlider(labelText, min, max, value, step, onChange, displayFn) {
-    const group = document.createElement('div');
-    group.style.cssText = 'display: flex; flex-direction: column; gap: 6px; min-width: 180px; flex: 1;';
-
-    const labelRow = document.createElement('div');
-    labelRow.style.cssText = 'display: flex; justify-content: space-between; align-items: center;';
-
-    const label = document.createElement('label');
-    label.textContent = labelText;
-    label.style.cssText = `
-      font-family: 'JetBrains Mono', monospace;
-      font-size: 10px;
-      letter-spacing: 1.5px;
-      text-transform: uppercase;
-      color: rgba(232,230,227,0.55);
-    `;
-
-    const valDisplay = document.createElement('span');
-    valDisplay.textContent = displayFn ? displayFn(value) : value.toFixed(2);
-    valDisplay.style.cssText = `
-      font-family: 'JetBrains Mono', monospace;
-      font-size: 10px;
-      color: rgba(100,140,255,0.8);
-    `;
-
-    labelRow.appendChild(label);
-    labelRow.appendChild(valDisplay);
-
-    const slider = document.createElement('input');
-    slider.type = 'range';
-    slider.min = min;
-    slider.max = max;
-    slider.step = step;
-    slider.value = value;
-    slider.style.cssText = `
-      width: 100%;
-      height: 4px;
-      -webkit-appearance: none;
-      appearance: none;
-      background: rgba(255,255,255,0.1);
-      border-radius: 2px;
-      outline: none;
-      cursor: pointer;
-    `;
-
-    const styleId = 'fw-slider-style';
-    if (!document.getElementById(styleId)) {
-      const style = document.createElement('style');
-      style.id = styleId;
-      style.textContent = `
-        .fw-slider::-webkit-slider-thumb {
-          -webkit-appearance: none;
-          width: 14px; height: 14px;
-          border-radius: 50%;
-          background: rgba(100,140,255,0.9);
-          cursor: pointer;
-          border: none;
-        }
-        .fw-slider::-moz-range-thumb {
-          width: 14px; height: 14px;
-          border-radius: 50%;
-          background: rgba(100,140,255,0.9);
-          cursor: pointer;
-          border: none;
-        }
-      `;
-      document.head.appendChild(style);
-    }
-    slider.className = 'fw-slider';
-
-    slider.addEventListener('input', () => {
-      const v = parseFloat(slider.value);
-      valDisplay.textContent = displayFn ? displayFn(v) : v.toFixed(2);
-      onChange(v);
-    });
-
-    group.appendChild(labelRow);
-    group.appendChild(slider);
-    return group;
+    const clock = new Intl.DateTimeFormat(Procedural.i18n.language(), { hour: 'numeric', minute: '2-digit' });
+    return clock.format(new Date(2000, 0, 1, hours, mins));
   }
 
   // ---------------------------------------------------------------------------
   // Sizing
   // ---------------------------------------------------------------------------
   function sizeCanvas() {
-    dpr = window.devicePixelRatio || 1;
+    dpr = Procedural.quality.dprFor(quality);
     const rect = canvas.parentElement.getBoundingClientRect();
     width = rect.width;
     height = 450;
@@ -829,7 +723,41 @@ const FirewatchSection = (() => {
       generateLayers();
       generateStars();
     },
+
+    destroy() {
+      this.stop();
+      if (!container) return;
+      offLanguage();
+      panel.destroy();
+      container.textContent = '';
+      container = canvas = ctx = panel = offLanguage = null;
+      layers = [];
+      stars = [];
+    },
+
+    schema: SCHEMA,
+
+    getState() {
+      return Procedural.params.pick(SCHEMA, settings);
+    },
+
+    setState(state) {
+      Object.assign(settings, Procedural.params.validate(SCHEMA, state));
+      if (!panel) return;
+      panel.sync();
+      showTime();
+    },
+
+    // Quality tier 0-3: the DPR cap from Procedural.quality.dprFor()
+    setQuality(level) {
+      const next = Math.max(0, Math.min(Procedural.quality.MAX_LEVEL, level | 0));
+      if (next === quality) return;
+      quality = next;
+      if (canvas) sizeCanvas();
+    },
   };
 })();
 
 if (typeof module !== 'undefined' && module.exports) module.exports = FirewatchSection;
+
+if (typeof Procedural !== 'undefined') Procedural.registerSection({ id: 'firewatch-section', module: FirewatchSection });
@@ -1,116 +1,79 @@
 // =============================================================================
 // HERO SECTION — Procedural Flow-Field Particle Canvas
 // A mesmerizing generative particle system driven by simplex noise flow fields,
-// with mouse-interactive "human in the loop" behavior.
+// with mouse-interactive "human in the loop" behavior, and a formation mode
+// in which they gather into a wordmark or logo. A local audio file can drive
+// the flow: its frequency bands modulate the config and beats spawn ripples.
+// The particles run in
+// sections/heroparticles.js: in a Web Worker drawing to an OffscreenCanvas
+// where the browser allows it, else on the main thread. Under virtual time
+// (captures, the deck, automation) they move to the main thread, where each
+// stepped frame is drawn before advance() returns, and go back when the
+// section next starts on the real clock.
 // =============================================================================
 
 const HeroSection = (() => {
-  // ---------------------------------------------------------------------------
-  // Simplex Noise (2D) — compact inline implementation
-  // Based on Stefan Gustavson's simplex noise algorithm
-  // ---------------------------------------------------------------------------
-  const SimplexNoise = (() => {
-    const F2 = 0.5 * (Math.sqrt(3) - 1);
-    const G2 = (3 - Math.sqrt(3)) / 6;
-
-    const grad3 = [
-      [1, 1], [-1, 1], [1, -1], [-1, -1],
-      [1, 0], [-1, 0], [0, 1], [0, -1],
-      [1, 1], [-1, 1], [1, -1], [-1, -1],
-    ];
-
-    const perm = new Uint8Array(512);
-    const permMod12 = new Uint8Array(512);
-
-    // Seed the permutation table
-    const p = new Uint8Array(256);
-    for (let i = 0; i < 256; i++) p[i] = i;
-    // Fisher-Yates shuffle with a fixed seed for reproducibility
-    let seed = 42;
-    const seededRandom = () => {
-      seed = (seed * 16807 + 0) % 2147483647;
-      return (seed - 1) / 2147483646;
-    };
-    for (let i = 255; i > 0; i--) {
-      const j = Math.floor(seededRandom() * (i + 1));
-      [p[i], p[j]] = [p[j], p[i]];
-    }
-    for (let i = 0; i < 512; i++) {
-      perm[i] = p[i & 255];
-      permMod12[i] = perm[i] % 12;
-    }
-
-    function noise2D(xin, yin) {
-      const s = (xin + yin) * F2;
-      const i = Math.floor(xin + s);
-      const j = Math.floor(yin + s);
-      const t = (i + j) * G2;
-
-      const X0 = i - t;
-      const Y0 = j - t;
-      const x0 = xin - X0;
-      const y0 = yin - Y0;
-
-      const i1 = x0 > y0 ? 1 : 0;
-      const j1 = x0 > y0 ? 0 : 1;
-
-      const x1 = x0 - i1 + G2;
-      const y1 = y0 - j1 + G2;
-      const x2 = x0 - 1.0 + 2.0 * G2;
-      const y2 = y0 - 1.0 + 2.0 * G2;
-
-      const ii = i & 255;
-      const jj = j & 255;
-      const gi0 = permMod12[ii + perm[jj]];
-      const gi1 = permMod12[ii + i1 + perm[jj + j1]];
-      const gi2 = permMod12[ii + 1 + perm[jj + 1]];
-
-      let n0 = 0, n1 = 0, n2 = 0;
-
-      let t0 = 0.5 - x0 * x0 - y0 * y0;
-      if (t0 >= 0) {
-        t0 *= t0;
-        n0 = t0 * t0 * (grad3[gi0][0] * x0 + grad3[gi0][1] * y0);
-      }
-
-      let t1 = 0.5 - x1 * x1 - y1 * y1;
-      if (t1 >= 0) {
-        t1 *= t1;
-        n1 = t1 * t1 * (grad3[gi1][0] * x1 + grad3[gi1][1] * y1);
-      }
-
-      let t2 = 0.5 - x2 * x2 - y2 * y2;
-      if (t2 >= 0) {
-        t2 *= t2;
-        n2 = t2 * t2 * (grad3[gi2][0] * x2 + grad3[gi2][1] * y2);
-      }
-
-      return 70.0 * (n0 + n1 + n2);
-    }
-
-    return { noise2D };
-  })();
+  const ENGINE_SCRIPT = 'sections/heroparticles.js';
+  const MAIN_THREAD_LIMIT = 6000;   // particles, when the engine shares the page's thread
+  const MAX_IN_FLIGHT = 2;          // frames posted to the worker but not yet drawn
+  const MAX_POINTS = 16;            // placed vortices and sources; the oldest goes first
+  const FIELD_GRID = 160;           // image/text gradient cells across the canvas
+  const FIELD_BLUR = 3;             // box-blur passes, so the gradient reaches past edges
+  const FORM_GRID = 360;            // shape cells across the canvas, sampled for targets
+  const MAX_TARGETS = 30000;        // target points sent to the engine
+  const AUDIO_FFT = 2048;
+  const ONSET_RISE = 0.12;          // bass above its running average that counts as a beat
+  const ONSET_GAP_MS = 180;         // shortest time between beat ripples
 
   // ---------------------------------------------------------------------------
   // State
   // ---------------------------------------------------------------------------
-  let canvas, ctx, container;
+  let canvas, container;
   let width, height, dpr;
-  let particles = [];
+  let engine = null;            // HeroParticles engine, or a proxy to the worker's
+  let worker = null;
+  let threaded = false;         // the engine belongs in a worker on the real clock
   let animationId = null;
   let running = false;
-  let time = 0;
 
   // Mouse state (normalized 0-1, centered)
   let mouse = { x: 0.5, y: 0.5, active: false };
-  let mouseSmooth = { x: 0.5, y: 0.5 };
 
-  // Ripple state
-  let ripples = [];
+  // Field sources placed or loaded by hand (the rest are CONFIG weights)
+  let points = [];              // { x, y (0-1), kind: 'vortex' | 'source', strength: ±1 }
+  let fieldText = '';
+  let fieldImage = null;        // an uploaded image; not part of getState()
+
+  // Shape the particles form: text (the title when empty) or an image
+  let formText = '';
+  let formImage = null;         // an uploaded SVG or PNG; not part of getState()
+  let formDirty = true;         // targets to resample before they are next needed
+
+  // Playing audio: { element, context, analyser, bins, levels, average, lastOnset }
+  let audio = null;
+  let audioStop = null;         // the panel's stop button
 
   // Blur overlay
   let blurOverlay = null;
 
+  // Config panel (Procedural.params panel over CONFIG)
+  let configPanel = null;
+  let fieldInput = null;        // the panel's text box for the text field
+  let formInput = null;         // and for the shape text
+  let onOutsideClick = null;    // document listener that closes it
+  let offPalette = null;
+  let offLanguage = null;
+  let offClock = null;
+
+  // Quality tiers (setQuality): share of CONFIG.PARTICLE_COUNT drawn, DPR cap
+  const QUALITY = [
+    { particles: 0.3, dpr: 1 },
+    { particles: 0.5, dpr: 1 },
+    { particles: 0.75, dpr: 1.5 },
+    { particles: 1, dpr: 2 },
+  ];
+  let quality = QUALITY.length - 1;
+
   // ---------------------------------------------------------------------------
   // Configuration
   // ---------------------------------------------------------------------------
@@ -129,8 +92,107 @@ const HeroSection = (() => {
     BLUR_ENABLED: true,
     BLUR_AMOUNT: 2.3,
     BLUR_CLEAR_RADIUS: 240,
+    FIELD_NOISE: 1,
+    FIELD_CURL: 0,
+    FIELD_ATTRACTOR: 0,
+    FIELD_POINTS: 1,
+    FIELD_IMAGE: 1,
+    IMAGE_ANGLE: 90,
+    CLICK_MODE: 'ripple',
+    ATTRACTOR: 'clifford',
+    ATTRACTOR_A: -1.4,
+    ATTRACTOR_B: 1.6,
+    ATTRACTOR_C: 1.0,
+    ATTRACTOR_D: 0.7,
+    FORM_STRENGTH: 0,
+    FORM_SIZE: 0.8,
+    AUDIO_FLOW: 'bass',
+    AUDIO_SPEED: 'mids',
+    AUDIO_SIZE: 'highs',
+    AUDIO_HUE: 'highs',
+    AUDIO_GAIN: 1.5,
+    AUDIO_ONSETS: true,
   };
 
+  // Frequency bands in Hz, and what a band can drive: a CONFIG value, or an
+  // engine input with no panel control (LIVE), scaled or offset by the level
+  const BANDS = { bass: [20, 250], mids: [250, 2000], highs: [2000, 10000] };
+  const LIVE = { SIZE_SCALE: 1, PALETTE_SHIFT: 0 };
+  const MODULATIONS = [
+    { key: 'AUDIO_FLOW', param: 'FLOW_STRENGTH', apply: (base, level) => base * (1 + level * 2) },
+    { key: 'AUDIO_SPEED', param: 'NOISE_SPEED', apply: (base, level) => base * (1 + level * 4) },
+    { key: 'AUDIO_SIZE', param: 'SIZE_SCALE', apply: (base, level) => base * (1 + level * 1.5) },
+    { key: 'AUDIO_HUE', param: 'PALETTE_SHIFT', apply: (base, level) => base + level },
+  ];
+  const BAND_OPTIONS = [
+    { value: 'off', label: 'Off' },
+    { value: 'bass', label: 'Bass' },
+    { value: 'mids', label: 'Mids' },
+    { value: 'highs', label: 'Highs' },
+  ];
+
+  // Panel, getState/setState and presets all come from this table
+  const copy = Procedural.i18n.namespace('hero', {
+    title: 'Procedural Design',
+    subtitle: 'Design for & with AI',
+    date: 'First Draft \u00b7 2019',
+    scroll: 'Scroll',
+    settings: 'Particle settings',
+    fieldText: 'Text to flow along',
+    fieldImage: 'Image…',
+    fieldClear: 'Clear field',
+    formText: 'Shape text (empty: the title)',
+    formImage: 'Shape…',
+    formClear: 'Clear shape',
+    audioOpen: 'Audio…',
+    audioStop: 'Stop audio',
+    audioHint: 'Choose an audio file, or drop one on the page',
+  });
+
+  const SCHEMA = Procedural.params.define({
+    PARTICLE_COUNT: { type: 'range', label: 'Particles', min: 100, max: 60000, step: 50, default: CONFIG.PARTICLE_COUNT },
+    NOISE_SCALE: { type: 'range', label: 'Flow Scale', min: 0.0005, max: 0.008, step: 0.0001, default: CONFIG.NOISE_SCALE, group: 'Flow' },
+    NOISE_SPEED: { type: 'range', label: 'Flow Speed', min: 0.00005, max: 0.002, step: 0.00005, default: CONFIG.NOISE_SPEED, group: 'Flow' },
+    FLOW_STRENGTH: { type: 'range', label: 'Flow Strength', min: 0.2, max: 5, step: 0.1, default: CONFIG.FLOW_STRENGTH, group: 'Flow' },
+    TRAIL_ALPHA: { type: 'range', label: 'Trail Fade', min: 0.01, max: 0.2, step: 0.005, default: CONFIG.TRAIL_ALPHA, group: 'Motion' },
+    SPEED_DAMPING: { type: 'range', label: 'Damping', min: 0.9, max: 0.999, step: 0.001, default: CONFIG.SPEED_DAMPING, group: 'Motion' },
+    MAX_SPEED: { type: 'range', label: 'Max Speed', min: 1, max: 15, step: 0.5, default: CONFIG.MAX_SPEED, group: 'Motion' },
+    PARTICLE_MIN_SIZE: { type: 'range', label: 'Min Size', min: 0.1, max: 3, step: 0.1, default: CONFIG.PARTICLE_MIN_SIZE, group: 'Size' },
+    PARTICLE_MAX_SIZE: { type: 'range', label: 'Max Size', min: 0.5, max: 8, step: 0.1, default: CONFIG.PARTICLE_MAX_SIZE, group: 'Size' },
+    MOUSE_RADIUS: { type: 'range', label: 'Cursor Radius', min: 0.05, max: 0.4, step: 0.01, default: CONFIG.MOUSE_RADIUS, group: 'Cursor' },
+    MOUSE_STRENGTH: { type: 'range', label: 'Cursor Force', min: 0.1, max: 2, step: 0.05, default: CONFIG.MOUSE_STRENGTH, group: 'Cursor' },
+    BLUR_ENABLED: { type: 'toggle', label: 'Depth of Field', default: CONFIG.BLUR_ENABLED, group: 'Blur' },
+    BLUR_AMOUNT: { type: 'range', label: 'Blur Amount', min: 0.5, max: 8, step: 0.25, decimals: 1, default: CONFIG.BLUR_AMOUNT, group: 'Blur', when: c => c.BLUR_ENABLED },
+    BLUR_CLEAR_RADIUS: { type: 'range', label: 'Clear Radius', min: 60, max: 500, step: 10, default: CONFIG.BLUR_CLEAR_RADIUS, group: 'Blur', when: c => c.BLUR_ENABLED },
+    FIELD_NOISE: { type: 'range', label: 'Noise', min: 0, max: 2, step: 0.05, default: CONFIG.FIELD_NOISE, group: 'Field' },
+    FIELD_CURL: { type: 'range', label: 'Curl Noise', min: 0, max: 2, step: 0.05, default: CONFIG.FIELD_CURL, group: 'Field' },
+    FIELD_ATTRACTOR: { type: 'range', label: 'Attractor', min: 0, max: 2, step: 0.05, default: CONFIG.FIELD_ATTRACTOR, group: 'Field' },
+    FIELD_POINTS: { type: 'range', label: 'Vortices', min: 0, max: 3, step: 0.05, default: CONFIG.FIELD_POINTS, group: 'Field' },
+    FIELD_IMAGE: { type: 'range', label: 'Image / Text', min: 0, max: 3, step: 0.05, default: CONFIG.FIELD_IMAGE, group: 'Field' },
+    IMAGE_ANGLE: { type: 'range', label: 'Image Flow Angle', min: 0, max: 180, step: 5, default: CONFIG.IMAGE_ANGLE, group: 'Field', when: c => c.FIELD_IMAGE > 0, format: v => `${v}\u00b0` },
+    CLICK_MODE: { type: 'enum', label: 'Click Adds', options: [
+      { value: 'ripple', label: 'Ripple' },
+      { value: 'vortex', label: 'Vortex' },
+      { value: 'source', label: 'Source' },
+    ], default: CONFIG.CLICK_MODE, group: 'Field', random: false },
+    ATTRACTOR: { type: 'enum', label: 'Map', options: [
+      { value: 'clifford', label: 'Clifford' },
+      { value: 'dejong', label: 'De Jong' },
+    ], default: CONFIG.ATTRACTOR, group: 'Attractor', when: c => c.FIELD_ATTRACTOR > 0 },
+    ATTRACTOR_A: { type: 'range', label: 'a', min: -3, max: 3, step: 0.05, default: CONFIG.ATTRACTOR_A, group: 'Attractor', when: c => c.FIELD_ATTRACTOR > 0 },
+    ATTRACTOR_B: { type: 'range', label: 'b', min: -3, max: 3, step: 0.05, default: CONFIG.ATTRACTOR_B, group: 'Attractor', when: c => c.FIELD_ATTRACTOR > 0 },
+    ATTRACTOR_C: { type: 'range', label: 'c', min: -3, max: 3, step: 0.05, default: CONFIG.ATTRACTOR_C, group: 'Attractor', when: c => c.FIELD_ATTRACTOR > 0 },
+    ATTRACTOR_D: { type: 'range', label: 'd', min: -3, max: 3, step: 0.05, default: CONFIG.ATTRACTOR_D, group: 'Attractor', when: c => c.FIELD_ATTRACTOR > 0 },
+    FORM_STRENGTH: { type: 'range', label: 'Formation', min: 0, max: 1, step: 0.05, default: CONFIG.FORM_STRENGTH, group: 'Form', random: false },
+    FORM_SIZE: { type: 'range', label: 'Shape Size', min: 0.3, max: 1, step: 0.05, default: CONFIG.FORM_SIZE, group: 'Form', when: c => c.FORM_STRENGTH > 0, format: v => `${Math.round(v * 100)}%` },
+    AUDIO_FLOW: { type: 'enum', label: 'Flow Strength From', options: BAND_OPTIONS, default: CONFIG.AUDIO_FLOW, group: 'Audio', random: false },
+    AUDIO_SPEED: { type: 'enum', label: 'Flow Speed From', options: BAND_OPTIONS, default: CONFIG.AUDIO_SPEED, group: 'Audio', random: false },
+    AUDIO_SIZE: { type: 'enum', label: 'Particle Size From', options: BAND_OPTIONS, default: CONFIG.AUDIO_SIZE, group: 'Audio', random: false },
+    AUDIO_HUE: { type: 'enum', label: 'Palette Shift From', options: BAND_OPTIONS, default: CONFIG.AUDIO_HUE, group: 'Audio', random: false },
+    AUDIO_GAIN: { type: 'range', label: 'Sensitivity', min: 0.25, max: 4, step: 0.05, default: CONFIG.AUDIO_GAIN, group: 'Audio', random: false },
+    AUDIO_ONSETS: { type: 'toggle', label: 'Beats Ripple', default: CONFIG.AUDIO_ONSETS, group: 'Audio', random: false },
+  });
+
   // Color palette — soft blues, purples, warm whites
   const PALETTE = [
     { r: 140, g: 160, b: 255 },  // soft blue
@@ -142,293 +204,467 @@ const HeroSection = (() => {
     { r: 255, g: 245, b: 240 },  // cream white
     { r: 120, g: 180, b: 255 },  // sky blue
   ];
+  let palette = PALETTE;        // swapped for ColorBox's while it shares one
+
+  /** Take the light half of a shared ramp; null goes back to PALETTE. */
+  function applyPalette(colors) {
+    palette = colors
+      ? Procedural.palette.pick(colors, PALETTE.length, [0.5, 0.95]).map(({ rgb }) => ({ r: rgb[0], g: rgb[1], b: rgb[2] }))
+      : PALETTE;
+    // Particles keep their place in the ramp, so a live edit recolors smoothly
+    if (engine) engine.setPalette(palette);
+  }
 
   // ---------------------------------------------------------------------------
-  // Particle class
+  // Engine — a worker that owns the canvas, or the same engine in this thread
   // ---------------------------------------------------------------------------
-  function createParticle(respawn) {
-    const color = PALETTE[Math.floor(Math.random() * PALETTE.length)];
-    const size = CONFIG.PARTICLE_MIN_SIZE +
-      Math.random() * (CONFIG.PARTICLE_MAX_SIZE - CONFIG.PARTICLE_MIN_SIZE);
-    const baseOpacity = 0.15 + Math.random() * 0.6;
-    // Larger particles are slightly more opaque
-    const opacity = baseOpacity * (0.5 + (size / CONFIG.PARTICLE_MAX_SIZE) * 0.5);
-    const life = 300 + Math.random() * 700;
-
-    let x, y;
-    if (respawn) {
-      // Respawn from edges for continuous flow
-      const edge = Math.floor(Math.random() * 4);
-      switch (edge) {
-        case 0: x = Math.random() * width; y = -10; break;
-        case 1: x = width + 10; y = Math.random() * height; break;
-        case 2: x = Math.random() * width; y = height + 10; break;
-        case 3: x = -10; y = Math.random() * height; break;
-      }
-    } else {
-      x = Math.random() * width;
-      y = Math.random() * height;
-    }
+
+  /** The engine's calls, posted to a worker drawing on an OffscreenCanvas. */
+  function createWorkerEngine() {
+    worker = new Worker(Procedural.resolve(ENGINE_SCRIPT));
+    const offscreen = canvas.transferControlToOffscreen();
+    // Here too, so a switch to virtual time finds the engine loaded
+    if (typeof HeroParticles === 'undefined') Procedural.loadScript(ENGINE_SCRIPT).catch(() => {});
+    canvas.dataset.offscreen = 'true';
+    let inFlight = 0;
+    const call = (method, ...args) => worker.postMessage({ method, args });
+
+    worker.addEventListener('message', ({ data }) => {
+      if (data.type === 'stepped') inFlight = Math.max(0, inFlight - 1);
+    });
+    // A worker script that can't load (file:// pages) fails after the fact:
+    // the canvas is already the worker's, so continue on a fresh one
+    worker.addEventListener('error', (e) => {
+      e.preventDefault();
+      console.warn('Hero particle worker failed; drawing on the main thread:', e.message);
+      threaded = false;
+      useMainThread();
+    });
+
+    worker.postMessage({
+      method: 'init',
+      args: [{ canvas: offscreen, seed: Math.floor(Math.random() * 4294967296), config: Object.assign({}, CONFIG), palette }],
+    }, [offscreen]);
 
     return {
-      x, y,
-      px: x, py: y,
-      vx: 0, vy: 0,
-      size,
-      color,
-      opacity,
-      maxLife: life,
-      life,
-      phase: Math.random() * Math.PI * 2, // For subtle pulsing
+      configure: config => call('configure', config),
+      setPalette: colors => call('setPalette', colors),
+      resize: (w, h, ratio) => call('resize', w, h, ratio),
+      setCount: n => call('setCount', n),
+      setPoints: list => call('setPoints', list),
+      setImage: image => call('setImage', image),
+      setTargets: list => call('setTargets', list),
+      ripple: (nx, ny) => call('ripple', nx, ny),
+      clear: () => call('clear'),
+      step(pointer) {
+        // Drop frames rather than queue them when the worker falls behind
+        if (inFlight >= MAX_IN_FLIGHT) return;
+        inFlight++;
+        call('step', { x: pointer.x, y: pointer.y, active: pointer.active });
+      },
     };
   }
 
-  // ---------------------------------------------------------------------------
-  // Flow field sampling
-  // ---------------------------------------------------------------------------
-  function sampleFlowField(x, y, t) {
-    const scale = CONFIG.NOISE_SCALE;
-    const angle = SimplexNoise.noise2D(x * scale, y * scale + t) * Math.PI * 2;
-
-    // Second noise layer for variation — larger scale, slower
-    const angle2 = SimplexNoise.noise2D(
-      x * scale * 0.4 + 100,
-      y * scale * 0.4 + 200 + t * 0.5
-    ) * Math.PI * 2;
+  function stopWorker() {
+    if (!worker) return;
+    worker.terminate();
+    worker = null;
+  }
 
-    // Blend two noise layers for richer, more river-like flow
-    const blended = angle * 0.7 + angle2 * 0.3;
+  /** Swap in a blank canvas: one given to a worker or a context can't change hands. */
+  function replaceCanvas() {
+    const next = document.createElement('canvas');
+    next.classList.add('hero-canvas');
+    next.style.cssText = canvas.style.cssText;
+    canvas.replaceWith(next);
+    canvas = next;
+  }
 
-    return {
-      fx: Math.cos(blended) * CONFIG.FLOW_STRENGTH,
-      fy: Math.sin(blended) * CONFIG.FLOW_STRENGTH,
+  /** Run the engine on this thread, on a new canvas if the worker took the old one. */
+  function useMainThread() {
+    stopWorker();
+    engine = null;
+    const target = container;
+    if (!target) return;
+    if (canvas.dataset.offscreen) replaceCanvas();
+    const created = () => {
+      if (container !== target || engine) return;
+      // Math.random looked up per call: Procedural.determinism may seed it later
+      engine = HeroParticles.create(canvas, { random: () => Math.random(), config: Object.assign({}, CONFIG), palette });
+      syncEngine();
     };
+    if (typeof HeroParticles !== 'undefined') created();
+    else Procedural.loadScript(ENGINE_SCRIPT).then(created).catch(e => console.warn('Failed to load hero particles:', e));
   }
 
-  // ---------------------------------------------------------------------------
-  // Mouse interaction — gentle orbital attraction
-  // ---------------------------------------------------------------------------
-  function applyMouseInfluence(p) {
-    if (!mouse.active) return;
-
-    const mx = mouseSmooth.x * width;
-    const my = mouseSmooth.y * height;
-    const dx = mx - p.x;
-    const dy = my - p.y;
-    const dist = Math.sqrt(dx * dx + dy * dy);
-    const radius = CONFIG.MOUSE_RADIUS * Math.min(width, height);
-
-    if (dist < radius && dist > 1) {
-      const t = 1 - dist / radius;
-      const falloff = t * t * (3 - 2 * t); // smoothstep
-
-      // Orbital component (perpendicular to radial direction)
-      const nx = dx / dist;
-      const ny = dy / dist;
-      const orbX = -ny;
-      const orbY = nx;
-
-      // Blend attraction (toward cursor) with orbit (around cursor)
-      const attractStrength = CONFIG.MOUSE_STRENGTH * falloff * 0.3;
-      const orbitStrength = CONFIG.MOUSE_STRENGTH * falloff * 0.7;
-
-      p.vx += nx * attractStrength + orbX * orbitStrength;
-      p.vy += ny * attractStrength + orbY * orbitStrength;
+  function createEngine() {
+    threaded = typeof OffscreenCanvas !== 'undefined' && typeof Worker !== 'undefined' &&
+      typeof canvas.transferControlToOffscreen === 'function';
+    if (threaded && !Procedural.determinism.isVirtual()) {
+      try {
+        engine = createWorkerEngine();
+        syncEngine();
+        return;
+      } catch (e) {
+        // Workers refused outright (some browsers on file://)
+        stopWorker();
+        engine = null;
+        threaded = false;
+      }
     }
+    useMainThread();
   }
 
-  // ---------------------------------------------------------------------------
-  // Ripple interaction — expanding wavefront that pushes particles
-  // ---------------------------------------------------------------------------
-  function createRipple(nx, ny) {
-    ripples.push({
-      x: nx * width,
-      y: ny * height,
-      radius: 0,
-      maxRadius: Math.min(width, height) * 0.65,
-      speed: Math.min(width, height) * 0.005,
-      strength: 3.5,
-      life: 1,
-      phase: Math.random() * Math.PI * 2,
-    });
+  /**
+   * A worker draws when it gets to a frame, from its own random stream, so
+   * virtual time brings the engine to this thread, where advance() draws each
+   * frame with the seeded Math.random. The particles start over. Back on the
+   * real clock it stays put, keeping the last frame on screen, until start().
+   */
+  function onClock({ virtual }) {
+    if (!container) return;
+    if (virtual && worker) useMainThread();
+    else fitParticles();
   }
 
-  function applyRippleForces(p) {
-    for (let i = 0; i < ripples.length; i++) {
-      const r = ripples[i];
-      const dx = p.x - r.x;
-      const dy = p.y - r.y;
-      const dist = Math.sqrt(dx * dx + dy * dy);
-
-      // Wavefront band — particles near the ring edge get pushed
-      const ringDist = Math.abs(dist - r.radius);
-      const bandWidth = 60 + r.radius * 0.15;
+  /**
+   * Hand the engine back to a worker after virtual time. Reduced motion only
+   * runs the section for stills and brief nudges, so it stays here then.
+   */
+  function resumeWorker() {
+    if (!threaded || worker || Procedural.determinism.isVirtual()) return;
+    if (Procedural.motion && Procedural.motion.isReduced()) return;
+    replaceCanvas();
+    engine = null;
+    createEngine();
+  }
 
-      if (ringDist < bandWidth && dist > 1) {
-        const bandFalloff = 1 - ringDist / bandWidth;
-        const force = bandFalloff * bandFalloff * r.strength * r.life;
+  /** Bring a new engine up to date: size, palette, config and count. */
+  function syncEngine() {
+    if (!engine) return;
+    engine.configure(Object.assign({}, CONFIG));
+    engine.setPalette(palette);
+    engine.resize(width, height, dpr);
+    engine.setPoints(points);
+    updateImageField();
+    formDirty = true;
+    updateTargets();
+    fitParticles();
+  }
 
-        const nx = dx / dist;
-        const ny = dy / dist;
+  // ---------------------------------------------------------------------------
+  // Field sources from the page: placed points, text and images
+  // ---------------------------------------------------------------------------
 
-        // Push outward from ripple center
-        p.vx += nx * force;
-        p.vy += ny * force;
+  /**
+   * Brightness gradient of the field text or image, drawn to fit a grid with
+   * the canvas's proportions, blurred so the pull reaches past the edges and
+   * scaled so the strongest cells are unit length. Null without either.
+   */
+  function gradientField() {
+    if ((!fieldText && !fieldImage) || !width || !height) return null;
+    const w = FIELD_GRID;
+    const h = Math.max(1, Math.round(FIELD_GRID * height / width));
+    const grid = document.createElement('canvas');
+    grid.width = w;
+    grid.height = h;
+    const g = grid.getContext('2d');
+    if (!g) return null;
+    g.fillStyle = '#000';
+    g.fillRect(0, 0, w, h);
+    drawShape(g, w, h, fieldText, fieldImage, 1);
+
+    const pixels = g.getImageData(0, 0, w, h).data;
+    let lum = new Float32Array(w * h);
+    for (let i = 0; i < lum.length; i++) {
+      lum[i] = (pixels[i * 4] * 0.299 + pixels[i * 4 + 1] * 0.587 + pixels[i * 4 + 2] * 0.114) / 255;
+    }
+    for (let pass = 0; pass < FIELD_BLUR; pass++) lum = boxBlur(lum, w, h);
+
+    const gx = new Float32Array(w * h);
+    const gy = new Float32Array(w * h);
+    let max = 0;
+    for (let y = 1; y < h - 1; y++) {
+      for (let x = 1; x < w - 1; x++) {
+        const i = y * w + x;
+        // Sobel
+        gx[i] = (lum[i - w + 1] + 2 * lum[i + 1] + lum[i + w + 1]) - (lum[i - w - 1] + 2 * lum[i - 1] + lum[i + w - 1]);
+        gy[i] = (lum[i + w - 1] + 2 * lum[i + w] + lum[i + w + 1]) - (lum[i - w - 1] + 2 * lum[i - w] + lum[i - w + 1]);
+        max = Math.max(max, Math.hypot(gx[i], gy[i]));
       }
     }
+    if (!max) return null;
+    for (let i = 0; i < gx.length; i++) {
+      gx[i] /= max;
+      gy[i] /= max;
+    }
+    return { width: w, height: h, gx, gy };
   }
 
-  function updateRipples() {
-    for (let i = ripples.length - 1; i >= 0; i--) {
-      const r = ripples[i];
-      r.radius += r.speed;
-      r.life = Math.max(0, 1 - r.radius / r.maxRadius);
+  /**
+   * Draw the image, or else the text in white Inter, centred and fitted to
+   * `size` of a w x h grid.
+   */
+  function drawShape(g, w, h, text, image, size) {
+    if (image) {
+      // An SVG without width and height has no natural size: fill the box
+      const iw0 = image.width || w;
+      const ih0 = image.height || h;
+      const scale = Math.min(w / iw0, h / ih0) * size;
+      const iw = iw0 * scale;
+      const ih = ih0 * scale;
+      g.drawImage(image, (w - iw) / 2, (h - ih) / 2, iw, ih);
+      return;
+    }
+    const fit = Procedural.i18n.fitText(g, text, w * 0.9 * size, {
+      size: Math.round(h * 0.4 * size), minSize: Math.round(h * 0.12 * size), maxLines: 2, leading: 1.1,
+      font: px => `700 ${px}px Inter, system-ui, sans-serif`,
+    });
+    g.fillStyle = '#fff';
+    g.textAlign = 'center';
+    g.textBaseline = 'middle';
+    const top = (h - fit.height) / 2 + fit.lineHeight / 2;
+    fit.lines.forEach((line, i) => g.fillText(line, w / 2, top + i * fit.lineHeight));
+  }
 
-      if (r.life <= 0) {
-        ripples.splice(i, 1);
+  function boxBlur(src, w, h) {
+    const out = new Float32Array(src.length);
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        let sum = 0;
+        let n = 0;
+        for (let dy = -2; dy <= 2; dy++) {
+          const yy = y + dy;
+          if (yy < 0 || yy >= h) continue;
+          for (let dx = -2; dx <= 2; dx++) {
+            const xx = x + dx;
+            if (xx < 0 || xx >= w) continue;
+            sum += src[yy * w + xx];
+            n++;
+          }
+        }
+        out[y * w + x] = sum / n;
       }
     }
+    return out;
   }
 
-  function drawRipples() {
-    for (let i = 0; i < ripples.length; i++) {
-      const r = ripples[i];
-      const alpha = r.life * 0.12;
-      if (alpha < 0.005 || r.radius < 1) continue;
-
-      // Soft wave band — radial gradient that fades in and out
-      const bandWidth = 40 + r.radius * 0.25;
-      const innerR = Math.max(0, r.radius - bandWidth);
-      const outerR = r.radius + bandWidth;
-
-      const grad = ctx.createRadialGradient(r.x, r.y, innerR, r.x, r.y, outerR);
-      grad.addColorStop(0, `rgba(160, 150, 240, 0)`);
-      grad.addColorStop(0.35, `rgba(170, 160, 255, ${alpha * 0.5})`);
-      grad.addColorStop(0.5, `rgba(180, 170, 255, ${alpha})`);
-      grad.addColorStop(0.65, `rgba(170, 160, 255, ${alpha * 0.5})`);
-      grad.addColorStop(1, `rgba(160, 150, 240, 0)`);
-
-      ctx.beginPath();
-      ctx.arc(r.x, r.y, outerR, 0, Math.PI * 2);
-      ctx.fillStyle = grad;
-      ctx.fill();
-    }
+  function updateImageField() {
+    if (engine) engine.setImage(gradientField());
   }
 
   // ---------------------------------------------------------------------------
-  // Update & Draw
+  // Formation: target points sampled from a shape
   // ---------------------------------------------------------------------------
-  function update() {
-    time += CONFIG.NOISE_SPEED;
 
-    // Smooth mouse position
-    mouseSmooth.x += (mouse.x - mouseSmooth.x) * 0.08;
-    mouseSmooth.y += (mouse.y - mouseSmooth.y) * 0.08;
+  /**
+   * Points inside the form text (the title when empty) or image, drawn to a
+   * grid with the canvas's proportions, as [x0, y0, x1, y1, ...] in 0-1.
+   * Shuffled, so particle i % n lands anywhere in the shape whatever the
+   * particle count. Null if nothing was drawn.
+   */
+  function formTargets() {
+    if (!width || !height) return null;
+    const w = FORM_GRID;
+    const h = Math.max(1, Math.round(FORM_GRID * height / width));
+    const grid = document.createElement('canvas');
+    grid.width = w;
+    grid.height = h;
+    const g = grid.getContext('2d');
+    if (!g) return null;
+    drawShape(g, w, h, formText || copy('title'), formImage, CONFIG.FORM_SIZE);
+
+    // A transparent corner means a cut-out shape: keep what is opaque. An
+    // opaque one is a background colour: keep what differs from it
+    const pixels = g.getImageData(0, 0, w, h).data;
+    const luma = i => (pixels[i * 4] * 0.299 + pixels[i * 4 + 1] * 0.587 + pixels[i * 4 + 2] * 0.114) / 255;
+    const background = pixels[3] < 128 ? null : luma(0);
+    const inside = [];
+    for (let i = 0; i < w * h; i++) {
+      if (pixels[i * 4 + 3] < 128) continue;
+      if (background !== null && Math.abs(luma(i) - background) < 0.25) continue;
+      inside.push(i);
+    }
+    if (!inside.length) return null;
+
+    for (let i = inside.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [inside[i], inside[j]] = [inside[j], inside[i]];
+    }
+    const count = Math.min(inside.length, MAX_TARGETS);
+    const targets = new Float32Array(count * 2);
+    for (let i = 0; i < count; i++) {
+      // Anywhere in the cell, so the shape doesn't show the grid
+      targets[i * 2] = (inside[i] % w + Math.random()) / w;
+      targets[i * 2 + 1] = (Math.floor(inside[i] / w) + Math.random()) / h;
+    }
+    return targets;
+  }
 
-    for (let i = 0; i < particles.length; i++) {
-      const p = particles[i];
+  /** Resample the targets if the shape changed; only while forming. */
+  function updateTargets() {
+    if (!engine || !formDirty || !(CONFIG.FORM_STRENGTH > 0)) return;
+    formDirty = false;
+    engine.setTargets(formTargets());
+  }
 
-      // Flow field force
-      const { fx, fy } = sampleFlowField(p.x, p.y, time);
-      p.vx += fx * 0.15;
-      p.vy += fy * 0.15;
+  function reshape() {
+    formDirty = true;
+    updateTargets();
+  }
 
-      // Mouse interaction
-      applyMouseInfluence(p);
+  function clearForm() {
+    formText = '';
+    formImage = null;
+    if (formInput) formInput.value = '';
+    reshape();
+  }
 
-      // Ripple forces
-      applyRippleForces(p);
+  /** The title is the default shape, so a new language can change it. */
+  function onLanguage() {
+    if (!formText && !formImage) reshape();
+  }
 
-      // Damping
-      p.vx *= CONFIG.SPEED_DAMPING;
-      p.vy *= CONFIG.SPEED_DAMPING;
+  function setPoints(next) {
+    points = next.slice(-MAX_POINTS);
+    if (engine) engine.setPoints(points);
+  }
 
-      // Clamp speed
-      const speed = Math.sqrt(p.vx * p.vx + p.vy * p.vy);
-      if (speed > CONFIG.MAX_SPEED) {
-        p.vx = (p.vx / speed) * CONFIG.MAX_SPEED;
-        p.vy = (p.vy / speed) * CONFIG.MAX_SPEED;
-      }
+  function addPoint(nx, ny, reverse) {
+    if (!Number.isFinite(nx) || !Number.isFinite(ny)) return;
+    setPoints(points.concat({ x: nx, y: ny, kind: CONFIG.CLICK_MODE, strength: reverse ? -1 : 1 }));
+  }
 
-      // Move (save previous position for line drawing)
-      p.px = p.x;
-      p.py = p.y;
-      p.x += p.vx;
-      p.y += p.vy;
-
-      // Age
-      p.life -= 1;
-
-      // Respawn if dead or out of bounds
-      const margin = 50;
-      if (
-        p.life <= 0 ||
-        p.x < -margin || p.x > width + margin ||
-        p.y < -margin || p.y > height + margin
-      ) {
-        Object.assign(p, createParticle(true));
-      }
-    }
+  function decodePoint(point) {
+    if (!Array.isArray(point)) return null;
+    const [x, y, kind, strength] = point;
+    if (!Number.isFinite(x) || !Number.isFinite(y) || (kind !== 'vortex' && kind !== 'source')) return null;
+    return { x: Math.max(0, Math.min(1, x)), y: Math.max(0, Math.min(1, y)), kind, strength: strength < 0 ? -1 : 1 };
+  }
 
-    // Update ripple wavefronts
-    updateRipples();
+  function clearField() {
+    fieldText = '';
+    fieldImage = null;
+    if (fieldInput) fieldInput.value = '';
+    setPoints([]);
+    updateImageField();
   }
 
-  function draw() {
-    // Semi-transparent overlay for trails
-    ctx.fillStyle = `rgba(10, 10, 15, ${CONFIG.TRAIL_ALPHA})`;
-    ctx.fillRect(0, 0, width, height);
-
-    for (let i = 0; i < particles.length; i++) {
-      const p = particles[i];
-
-      // Life-based fade in/out
-      const lifeFrac = p.life / p.maxLife;
-      let lifeFade = 1;
-      if (lifeFrac > 0.9) lifeFade = (1 - lifeFrac) / 0.1; // fade in
-      if (lifeFrac < 0.15) lifeFade = lifeFrac / 0.15;       // fade out
-
-      // Subtle pulse
-      const pulse = 0.85 + 0.15 * Math.sin(time * 800 + p.phase);
-
-      // Speed glow — faster particles are slightly brighter
-      const speed = Math.sqrt(p.vx * p.vx + p.vy * p.vy);
-      const speedGlow = Math.min(1, 0.7 + speed * 0.15);
-
-      const alpha = p.opacity * lifeFade * pulse * speedGlow;
-      if (alpha < 0.01) continue;
-
-      const { r, g, b } = p.color;
-      const lineW = p.size * (0.8 + speed * 0.15);
-
-      // Draw as line segment from previous to current position
-      ctx.strokeStyle = `rgba(${r}, ${g}, ${b}, ${alpha})`;
-      ctx.lineWidth = lineW;
-      ctx.lineCap = 'round';
-      ctx.beginPath();
-      ctx.moveTo(p.px, p.py);
-      ctx.lineTo(p.x, p.y);
-      ctx.stroke();
-
-      // Soft glow for larger/faster particles
-      if (lineW > 1.5) {
-        ctx.strokeStyle = `rgba(${r}, ${g}, ${b}, ${alpha * 0.08})`;
-        ctx.lineWidth = lineW * 4;
-        ctx.beginPath();
-        ctx.moveTo(p.px, p.py);
-        ctx.lineTo(p.x, p.y);
-        ctx.stroke();
-      }
+  // ---------------------------------------------------------------------------
+  // Audio: a local file's frequency bands modulate the flow
+  // ---------------------------------------------------------------------------
+
+  /** Play a local audio file (looped) and analyse it; replaces one playing. */
+  function playAudio(file) {
+    const Context = window.AudioContext || window.webkitAudioContext;
+    if (!file || !/^audio\//.test(file.type) || !Context) return;
+    stopAudio();
+    const element = new Audio();
+    element.loop = true;
+    element.src = URL.createObjectURL(file);
+    const context = new Context();
+    const analyser = context.createAnalyser();
+    analyser.fftSize = AUDIO_FFT;
+    analyser.smoothingTimeConstant = 0.6;
+    context.createMediaElementSource(element).connect(analyser);
+    analyser.connect(context.destination);
+    audio = {
+      element, context, analyser,
+      bins: new Uint8Array(analyser.frequencyBinCount),
+      levels: { bass: 0, mids: 0, highs: 0 },
+      average: 0,
+      lastOnset: -Infinity,
+    };
+    if (running) resumeAudio();
+    updateAudioControls();
+  }
+
+  function resumeAudio() {
+    if (!audio) return;
+    audio.context.resume();
+    audio.element.play().catch(e => console.warn('Hero audio did not start:', e));
+  }
+
+  function pauseAudio() {
+    if (audio) audio.element.pause();
+  }
+
+  /** Stop and release the audio, and give the engine the panel's values back. */
+  function stopAudio() {
+    if (!audio) return;
+    audio.element.pause();
+    URL.revokeObjectURL(audio.element.src);
+    audio.context.close();
+    audio = null;
+    if (engine) engine.configure(Object.fromEntries(MODULATIONS.map(m => [m.param, baseValue(m.param)])));
+    updateAudioControls();
+  }
+
+  function baseValue(param) {
+    return param in CONFIG ? CONFIG[param] : LIVE[param];
+  }
+
+  /** Mean level of each band this frame, 0-1 after AUDIO_GAIN. */
+  function readBands() {
+    const { analyser, bins, levels } = audio;
+    analyser.getByteFrequencyData(bins);
+    const hz = audio.context.sampleRate / analyser.fftSize;
+    Object.keys(BANDS).forEach(band => {
+      const from = Math.max(1, Math.floor(BANDS[band][0] / hz));
+      const to = Math.min(bins.length, Math.ceil(BANDS[band][1] / hz));
+      let sum = 0;
+      for (let i = from; i < to; i++) sum += bins[i];
+      levels[band] = to > from ? Math.min(1, sum / ((to - from) * 255) * CONFIG.AUDIO_GAIN) : 0;
+    });
+  }
+
+  /** Apply the band mapping to the engine and ripple on a beat. */
+  function modulate() {
+    readBands();
+    const { levels } = audio;
+    const next = {};
+    MODULATIONS.forEach(m => {
+      const band = CONFIG[m.key];
+      const base = baseValue(m.param);
+      next[m.param] = levels[band] === undefined ? base : m.apply(base, levels[band]);
+    });
+    engine.configure(next);
+
+    // A bass hit well above its running average is a beat
+    const rise = levels.bass - audio.average;
+    audio.average += (levels.bass - audio.average) * 0.05;
+    const now = performance.now();
+    if (CONFIG.AUDIO_ONSETS && rise > ONSET_RISE && now - audio.lastOnset > ONSET_GAP_MS) {
+      audio.lastOnset = now;
+      engine.ripple(0.2 + Math.random() * 0.6, 0.2 + Math.random() * 0.6);
     }
+  }
+
+  function updateAudioControls() {
+    if (audioStop) audioStop.disabled = !audio;
+  }
+
+  function audioFile(dataTransfer) {
+    return [...(dataTransfer ? dataTransfer.items || [] : [])]
+      .some(item => item.kind === 'file' && /^audio\//.test(item.type));
+  }
 
-    // Draw ripple rings
-    drawRipples();
+  function onDragOver(e) {
+    if (!audioFile(e.dataTransfer)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+  }
+
+  function onDrop(e) {
+    if (!audioFile(e.dataTransfer)) return;
+    e.preventDefault();
+    playAudio([...e.dataTransfer.files].find(file => /^audio\//.test(file.type)));
   }
 
   function frame() {
     if (!running) return;
-    update();
-    draw();
+    if (engine && audio) modulate();
+    if (engine) engine.step(mouse);
     animationId = requestAnimationFrame(frame);
   }
 
@@ -631,127 +867,31 @@ const HeroSection = (() => {
         transform: translateY(0) scale(1);
         pointer-events: auto;
       }
-      .hero-config-panel::-webkit-scrollbar {
-        width: 4px;
-      }
-      .hero-config-panel::-webkit-scrollbar-thumb {
-        background: rgba(255, 255, 255, 0.1);
-        border-radius: 2px;
-      }
-
-      .hcp-title {
-        font-family: 'JetBrains Mono', 'SF Mono', monospace;
-        font-size: 10px;
-        font-weight: 600;
-        letter-spacing: 0.12em;
-        text-transform: uppercase;
-        color: rgba(255, 255, 255, 0.4);
-        margin: 0 0 14px;
-      }
-
-      .hcp-group {
-        margin-bottom: 14px;
-      }
-      .hcp-group:last-child {
-        margin-bottom: 0;
-      }
-
-      .hcp-label {
-        display: flex;
-        justify-content: space-between;
-        align-items: baseline;
-        margin-bottom: 5px;
-      }
-      .hcp-label span {
-        font-family: 'JetBrains Mono', 'SF Mono', monospace;
-        font-size: 10px;
-        color: rgba(255, 255, 255, 0.5);
-        letter-spacing: 0.03em;
-      }
-      .hcp-label .hcp-val {
-        color: rgba(180, 170, 255, 0.7);
-        font-variant-numeric: tabular-nums;
-      }
-
-      .hcp-slider {
-        -webkit-appearance: none;
-        appearance: none;
+      .hero-field-text {
         width: 100%;
-        height: 3px;
-        border-radius: 2px;
-        background: rgba(255, 255, 255, 0.08);
-        outline: none;
-        cursor: pointer;
-      }
-      .hcp-slider::-webkit-slider-thumb {
-        -webkit-appearance: none;
-        appearance: none;
-        width: 12px;
-        height: 12px;
-        border-radius: 50%;
-        background: rgba(180, 170, 255, 0.6);
-        border: none;
-        cursor: pointer;
-        transition: background 0.2s;
-      }
-      .hcp-slider::-webkit-slider-thumb:hover {
-        background: rgba(180, 170, 255, 0.85);
-      }
-      .hcp-slider::-moz-range-thumb {
-        width: 12px;
-        height: 12px;
-        border-radius: 50%;
-        background: rgba(180, 170, 255, 0.6);
-        border: none;
-        cursor: pointer;
+        margin: 4px 0 8px;
+        padding: 6px 8px;
+        border-radius: 6px;
+        border: 1px solid rgba(255, 255, 255, 0.1);
+        background: rgba(255, 255, 255, 0.04);
+        color: rgba(255, 255, 255, 0.85);
+        font: 12px 'JetBrains Mono', monospace;
       }
-
-      .hcp-divider {
-        height: 1px;
-        background: rgba(255, 255, 255, 0.06);
-        margin: 14px 0;
+      .hero-field-text:focus {
+        outline: none;
+        border-color: rgba(180, 170, 255, 0.5);
       }
-
-      .hcp-toggle-row {
-        display: flex;
-        justify-content: space-between;
-        align-items: center;
-        margin-bottom: 12px;
+      .hero-config-panel .pp-button:disabled {
+        opacity: 0.4;
+        cursor: default;
+        border-color: rgba(255, 255, 255, 0.1);
       }
-      .hcp-toggle-row span {
-        font-family: 'JetBrains Mono', 'SF Mono', monospace;
-        font-size: 10px;
-        color: rgba(255, 255, 255, 0.5);
-        letter-spacing: 0.03em;
+      .hero-config-panel::-webkit-scrollbar {
+        width: 4px;
       }
-      .hcp-toggle {
-        position: relative;
-        width: 32px;
-        height: 18px;
+      .hero-config-panel::-webkit-scrollbar-thumb {
         background: rgba(255, 255, 255, 0.1);
-        border-radius: 9px;
-        cursor: pointer;
-        transition: background 0.25s;
-        border: none;
-        padding: 0;
-      }
-      .hcp-toggle.on {
-        background: rgba(180, 170, 255, 0.35);
-      }
-      .hcp-toggle::after {
-        content: '';
-        position: absolute;
-        top: 2px;
-        left: 2px;
-        width: 14px;
-        height: 14px;
-        border-radius: 50%;
-        background: rgba(255, 255, 255, 0.5);
-        transition: transform 0.2s cubic-bezier(0.4, 0, 0.2, 1), background 0.2s;
-      }
-      .hcp-toggle.on::after {
-        transform: translateX(14px);
-        background: rgba(180, 170, 255, 0.9);
+        border-radius: 2px;
       }
     `;
     document.head.appendChild(style);
@@ -769,7 +909,6 @@ const HeroSection = (() => {
     canvas = document.createElement('canvas');
     canvas.classList.add('hero-canvas');
     parentContainer.appendChild(canvas);
-    ctx = canvas.getContext('2d');
 
     // Blur overlay (backdrop-filter with masked clear zone around cursor)
     blurOverlay = document.createElement('div');
@@ -781,17 +920,20 @@ const HeroSection = (() => {
     const overlay = document.createElement('div');
     overlay.classList.add('hero-overlay');
     overlay.innerHTML = `
-      <h1 class="hero-title">Procedural Design</h1>
-      <p class="hero-subtitle">Design for &amp; with AI</p>
-      <p class="hero-date">First Draft &middot; 2019</p>
+      <h1 class="hero-title"></h1>
+      <p class="hero-subtitle"></p>
+      <p class="hero-date"></p>
     `;
+    copy.text(overlay.querySelector('.hero-title'), 'title');
+    copy.text(overlay.querySelector('.hero-subtitle'), 'subtitle');
+    copy.text(overlay.querySelector('.hero-date'), 'date');
     parentContainer.appendChild(overlay);
 
     // Scroll indicator
     const scrollIndicator = document.createElement('div');
     scrollIndicator.classList.add('hero-scroll-indicator');
     scrollIndicator.innerHTML = `
-      <span>Scroll</span>
+      <span></span>
       <div class="hero-chevron">
         <svg viewBox="0 0 20 20" fill="none" xmlns="http://www.w3.org/2000/svg">
           <path d="M4 7L10 13L16 7" stroke="rgba(180,170,220,0.6)" stroke-width="1.5"
@@ -799,6 +941,7 @@ const HeroSection = (() => {
         </svg>
       </div>
     `;
+    copy.text(scrollIndicator.querySelector('span'), 'scroll');
     parentContainer.appendChild(scrollIndicator);
 
     // Config button + panel
@@ -812,6 +955,7 @@ const HeroSection = (() => {
     // Gear button
     const btn = document.createElement('button');
     btn.className = 'hero-config-btn';
+    copy.attr(btn, 'aria-label', 'settings');
     btn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="rgba(255,255,255,0.9)" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round">
       <path d="M12.22 2h-.44a2 2 0 0 0-2 2v.18a2 2 0 0 1-1 1.73l-.43.25a2 2 0 0 1-2 0l-.15-.08a2 2 0 0 0-2.73.73l-.22.38a2 2 0 0 0 .73 2.73l.15.1a2 2 0 0 1 1 1.72v.51a2 2 0 0 1-1 1.74l-.15.09a2 2 0 0 0-.73 2.73l.22.38a2 2 0 0 0 2.73.73l.15-.08a2 2 0 0 1 2 0l.43.25a2 2 0 0 1 1 1.73V20a2 2 0 0 0 2 2h.44a2 2 0 0 0 2-2v-.18a2 2 0 0 1 1-1.73l.43-.25a2 2 0 0 1 2 0l.15.08a2 2 0 0 0 2.73-.73l.22-.39a2 2 0 0 0-.73-2.73l-.15-.08a2 2 0 0 1-1-1.74v-.5a2 2 0 0 1 1-1.74l.15-.09a2 2 0 0 0 .73-2.73l-.22-.38a2 2 0 0 0-2.73-.73l-.15.08a2 2 0 0 1-2 0l-.43-.25a2 2 0 0 1-1-1.73V4a2 2 0 0 0-2-2z"/>
       <circle cx="12" cy="12" r="3"/>
@@ -821,71 +965,17 @@ const HeroSection = (() => {
     // Panel
     const panel = document.createElement('div');
     panel.className = 'hero-config-panel';
-
-    const PARAMS = [
-      { key: 'PARTICLE_COUNT', label: 'Particles', min: 100, max: 3000, step: 50, decimals: 0, rebuild: true },
-      null, // divider
-      { key: 'NOISE_SCALE', label: 'Flow Scale', min: 0.0005, max: 0.008, step: 0.0001, decimals: 4 },
-      { key: 'NOISE_SPEED', label: 'Flow Speed', min: 0.00005, max: 0.002, step: 0.00005, decimals: 5 },
-      { key: 'FLOW_STRENGTH', label: 'Flow Strength', min: 0.2, max: 5, step: 0.1, decimals: 1 },
-      null,
-      { key: 'TRAIL_ALPHA', label: 'Trail Fade', min: 0.01, max: 0.2, step: 0.005, decimals: 3 },
-      { key: 'SPEED_DAMPING', label: 'Damping', min: 0.9, max: 0.999, step: 0.001, decimals: 3 },
-      { key: 'MAX_SPEED', label: 'Max Speed', min: 1, max: 15, step: 0.5, decimals: 1 },
-      null,
-      { key: 'PARTICLE_MIN_SIZE', label: 'Min Size', min: 0.1, max: 3, step: 0.1, decimals: 1 },
-      { key: 'PARTICLE_MAX_SIZE', label: 'Max Size', min: 0.5, max: 8, step: 0.1, decimals: 1 },
-      null,
-      { key: 'MOUSE_RADIUS', label: 'Cursor Radius', min: 0.05, max: 0.4, step: 0.01, decimals: 2 },
-      { key: 'MOUSE_STRENGTH', label: 'Cursor Force', min: 0.1, max: 2, step: 0.05, decimals: 2 },
-    ];
-
-    const BLUR_PARAMS = [
-      { key: 'BLUR_AMOUNT', label: 'Blur Amount', min: 0.5, max: 8, step: 0.25, decimals: 1 },
-      { key: 'BLUR_CLEAR_RADIUS', label: 'Clear Radius', min: 60, max: 500, step: 10, decimals: 0 },
-    ];
-
-    let html = '<div class="hcp-title">Particle Parameters</div>';
-    for (const p of PARAMS) {
-      if (p === null) {
-        html += '<div class="hcp-divider"></div>';
-        continue;
-      }
-      const val = CONFIG[p.key];
-      html += `
-        <div class="hcp-group">
-          <div class="hcp-label">
-            <span>${p.label}</span>
-            <span class="hcp-val" data-val="${p.key}">${val.toFixed(p.decimals)}</span>
-          </div>
-          <input type="range" class="hcp-slider" data-key="${p.key}"
-            min="${p.min}" max="${p.max}" step="${p.step}" value="${val}"
-            ${p.rebuild ? 'data-rebuild="1"' : ''} data-decimals="${p.decimals}">
-        </div>`;
-    }
-
-    // Blur section
-    html += '<div class="hcp-divider"></div>';
-    html += `<div class="hcp-toggle-row">
-      <span>Depth of Field</span>
-      <button class="hcp-toggle ${CONFIG.BLUR_ENABLED ? 'on' : ''}" data-toggle="blur"></button>
-    </div>`;
-    for (const p of BLUR_PARAMS) {
-      const val = CONFIG[p.key];
-      html += `
-        <div class="hcp-group hcp-blur-ctrl">
-          <div class="hcp-label">
-            <span>${p.label}</span>
-            <span class="hcp-val" data-val="${p.key}">${val.toFixed(p.decimals)}</span>
-          </div>
-          <input type="range" class="hcp-slider" data-key="${p.key}" data-blur="1"
-            min="${p.min}" max="${p.max}" step="${p.step}" value="${val}"
-            data-decimals="${p.decimals}">
-        </div>`;
-    }
-
-    panel.innerHTML = html;
     parent.appendChild(panel);
+    configPanel = Procedural.params.createPanel(panel, SCHEMA, CONFIG, {
+      title: 'Particle Parameters',
+      accent: 'rgba(180, 170, 255, 0.75)',
+      messages: copy,
+      onChange: onConfigChange,
+      actions: { reset: applyConfig, randomize: applyConfig },
+    });
+    buildFieldControls(configPanel.el);
+    buildFormControls(configPanel.el);
+    buildAudioControls(configPanel.el);
 
     // Toggle
     btn.addEventListener('click', (e) => {
@@ -893,72 +983,192 @@ const HeroSection = (() => {
       panel.classList.toggle('open');
     });
 
-    // Close when clicking outside
-    document.addEventListener('click', (e) => {
-      if (!panel.contains(e.target) && e.target !== btn) {
+    // Close when clicking outside (composedPath: the click may come from
+    // inside a <procedural-section> shadow root)
+    onOutsideClick = (e) => {
+      const path = e.composedPath();
+      if (!path.includes(panel) && !path.includes(btn)) {
         panel.classList.remove('open');
       }
+    };
+    document.addEventListener('click', onOutsideClick);
+
+    // Keep panel clicks away from the outside-click handler and ripples
+    panel.addEventListener('click', (e) => e.stopPropagation());
+
+    // Prevent panel interactions from triggering ripples
+    btn.addEventListener('click', (e) => e.stopPropagation());
+  }
+
+  /** Text, image and clear controls for the field sources, under the sliders. */
+  function buildFieldControls(parent) {
+    fieldInput = document.createElement('input');
+    fieldInput.type = 'text';
+    fieldInput.className = 'hero-field-text';
+    fieldInput.maxLength = 40;
+    copy.attr(fieldInput, 'placeholder', 'fieldText');
+    copy.attr(fieldInput, 'aria-label', 'fieldText');
+    fieldInput.value = fieldText;
+    fieldInput.addEventListener('input', () => {
+      fieldText = fieldInput.value.trim();
+      if (fieldText) fieldImage = null;
+      updateImageField();
     });
 
-    // Wire sliders
-    panel.addEventListener('input', (e) => {
-      const slider = e.target;
-      if (!slider.dataset.key) return;
-      const key = slider.dataset.key;
-      const val = parseFloat(slider.value);
-      const decimals = parseInt(slider.dataset.decimals);
-      CONFIG[key] = val;
-
-      // Update display value
-      const valEl = panel.querySelector(`[data-val="${key}"]`);
-      if (valEl) valEl.textContent = val.toFixed(decimals);
-
-      // Rebuild particles if count changed
-      if (slider.dataset.rebuild) {
-        const target = Math.round(val);
-        while (particles.length < target) particles.push(createParticle(false));
-        while (particles.length > target) particles.pop();
-      }
+    const file = document.createElement('input');
+    file.type = 'file';
+    file.accept = 'image/*';
+    file.hidden = true;
+    file.addEventListener('change', () => {
+      const chosen = file.files[0];
+      file.value = '';
+      if (!chosen) return;
+      const img = new Image();
+      const url = URL.createObjectURL(chosen);
+      img.onload = () => {
+        URL.revokeObjectURL(url);
+        fieldImage = img;
+        fieldText = '';
+        fieldInput.value = '';
+        updateImageField();
+      };
+      img.onerror = () => URL.revokeObjectURL(url);
+      img.src = url;
+    });
 
-      // Apply blur settings live
-      if (slider.dataset.blur) {
-        applyBlurSettings();
-      }
+    const row = document.createElement('div');
+    row.className = 'pp-actions';
+    const open = copy.text(document.createElement('button'), 'fieldImage');
+    const clear = copy.text(document.createElement('button'), 'fieldClear');
+    [open, clear].forEach(btn => {
+      btn.type = 'button';
+      btn.className = 'pp-button';
+      row.appendChild(btn);
     });
+    open.addEventListener('click', () => file.click());
+    clear.addEventListener('click', clearField);
+    parent.append(fieldInput, file, row);
+  }
 
-    // Wire blur toggle
-    panel.addEventListener('click', (e) => {
-      const toggle = e.target.closest('[data-toggle="blur"]');
-      if (toggle) {
-        CONFIG.BLUR_ENABLED = !CONFIG.BLUR_ENABLED;
-        toggle.classList.toggle('on', CONFIG.BLUR_ENABLED);
-        applyBlurSettings();
-        // Dim blur sliders when off
-        panel.querySelectorAll('.hcp-blur-ctrl').forEach(el => {
-          el.style.opacity = CONFIG.BLUR_ENABLED ? '1' : '0.35';
-          el.style.pointerEvents = CONFIG.BLUR_ENABLED ? '' : 'none';
-        });
-      }
-      e.stopPropagation();
+  /** Text, SVG/PNG and clear controls for the formation shape. */
+  function buildFormControls(parent) {
+    formInput = document.createElement('input');
+    formInput.type = 'text';
+    formInput.className = 'hero-field-text';
+    formInput.maxLength = 40;
+    copy.attr(formInput, 'placeholder', 'formText');
+    copy.attr(formInput, 'aria-label', 'formText');
+    formInput.value = formText;
+    formInput.addEventListener('input', () => {
+      formText = formInput.value.trim();
+      if (formText) formImage = null;
+      reshape();
     });
 
-    // Prevent panel interactions from triggering ripples
-    btn.addEventListener('click', (e) => e.stopPropagation());
+    const file = document.createElement('input');
+    file.type = 'file';
+    file.accept = 'image/svg+xml,image/png';
+    file.hidden = true;
+    file.addEventListener('change', () => {
+      const chosen = file.files[0];
+      file.value = '';
+      if (!chosen) return;
+      const img = new Image();
+      const url = URL.createObjectURL(chosen);
+      img.onload = () => {
+        URL.revokeObjectURL(url);
+        formImage = img;
+        formText = '';
+        formInput.value = '';
+        reshape();
+      };
+      img.onerror = () => URL.revokeObjectURL(url);
+      img.src = url;
+    });
+
+    const row = document.createElement('div');
+    row.className = 'pp-actions';
+    const open = copy.text(document.createElement('button'), 'formImage');
+    const clear = copy.text(document.createElement('button'), 'formClear');
+    [open, clear].forEach(btn => {
+      btn.type = 'button';
+      btn.className = 'pp-button';
+      row.appendChild(btn);
+    });
+    open.addEventListener('click', () => file.click());
+    clear.addEventListener('click', clearForm);
+    parent.append(formInput, file, row);
+  }
+
+  /** Open and stop buttons for the audio; files can also be dropped on the hero. */
+  function buildAudioControls(parent) {
+    const file = document.createElement('input');
+    file.type = 'file';
+    file.accept = 'audio/*';
+    file.hidden = true;
+    file.addEventListener('change', () => {
+      const chosen = file.files[0];
+      file.value = '';
+      playAudio(chosen);
+    });
+
+    const row = document.createElement('div');
+    row.className = 'pp-actions';
+    const open = copy.text(document.createElement('button'), 'audioOpen');
+    copy.attr(open, 'title', 'audioHint');
+    audioStop = copy.text(document.createElement('button'), 'audioStop');
+    [open, audioStop].forEach(btn => {
+      btn.type = 'button';
+      btn.className = 'pp-button';
+      row.appendChild(btn);
+    });
+    open.addEventListener('click', () => file.click());
+    audioStop.addEventListener('click', stopAudio);
+    updateAudioControls();
+    parent.append(file, row);
+  }
+
+  /** Side effects of a CONFIG value changing, from the panel or setState. */
+  function onConfigChange(key) {
+    if (!container) return;
+    if (engine) engine.configure({ [key]: CONFIG[key] });
+    if (key === 'PARTICLE_COUNT') fitParticles();
+    if (key.startsWith('BLUR_')) applyBlurSettings();
+    if (key === 'FORM_SIZE') formDirty = true;
+    if (key.startsWith('FORM_')) updateTargets();
+  }
+
+  function applyConfig(state) {
+    const next = Procedural.params.validate(SCHEMA, state);
+    Object.assign(CONFIG, next);
+    Object.keys(next).forEach(onConfigChange);
+    if (configPanel) configPanel.sync();
   }
 
   // ---------------------------------------------------------------------------
   // Sizing
   // ---------------------------------------------------------------------------
   function setSize() {
-    dpr = Math.min(window.devicePixelRatio || 1, 2);
+    dpr = Math.min(window.devicePixelRatio || 1, QUALITY[quality].dpr);
     const rect = container.getBoundingClientRect();
     width = rect.width;
     height = rect.height;
-    canvas.width = width * dpr;
-    canvas.height = height * dpr;
     canvas.style.width = width + 'px';
     canvas.style.height = height + 'px';
-    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    // The engine sizes the canvas itself: a worker's isn't ours to touch
+    if (engine) engine.resize(width, height, dpr);
+  }
+
+  /**
+   * Grow or trim the particle pool to the configured count at this tier;
+   * on the main thread the count stops at MAIN_THREAD_LIMIT, except under
+   * virtual time, where frames needn't keep up with the display.
+   */
+  function fitParticles() {
+    if (!engine) return;
+    let target = Math.round(CONFIG.PARTICLE_COUNT * QUALITY[quality].particles);
+    if (!worker && !Procedural.determinism.isVirtual()) target = Math.min(target, MAIN_THREAD_LIMIT);
+    engine.setCount(target);
   }
 
   // ---------------------------------------------------------------------------
@@ -1022,7 +1232,9 @@ const HeroSection = (() => {
     const rect = container.getBoundingClientRect();
     const nx = (e.clientX - rect.left) / rect.width;
     const ny = (e.clientY - rect.top) / rect.height;
-    createRipple(nx, ny);
+    // Shift reverses a placed point: clockwise vortex, or a sink
+    if (CONFIG.CLICK_MODE !== 'ripple') addPoint(nx, ny, e.shiftKey);
+    else if (engine) engine.ripple(nx, ny);
   }
 
   function onTouchStart(e) {
@@ -1030,7 +1242,8 @@ const HeroSection = (() => {
       const rect = container.getBoundingClientRect();
       const nx = (e.touches[0].clientX - rect.left) / rect.width;
       const ny = (e.touches[0].clientY - rect.top) / rect.height;
-      createRipple(nx, ny);
+      if (CONFIG.CLICK_MODE !== 'ripple') addPoint(nx, ny, false);
+      else if (engine) engine.ripple(nx, ny);
     }
   }
 
@@ -1045,16 +1258,10 @@ const HeroSection = (() => {
       styleEl = injectStyles();
       buildDOM(container);
       setSize();
-
-      // Create initial particles
-      particles = [];
-      for (let i = 0; i < CONFIG.PARTICLE_COUNT; i++) {
-        particles.push(createParticle(false));
-      }
-
-      // Clear canvas to background color
-      ctx.fillStyle = '#0a0a0f';
-      ctx.fillRect(0, 0, width, height);
+      offPalette = Procedural.palette.subscribe(applyPalette);
+      offLanguage = Procedural.on('language', onLanguage);
+      offClock = Procedural.on('clock', onClock);
+      createEngine();
 
       // Bind events
       container.addEventListener('mousemove', onMouseMove);
@@ -1063,16 +1270,21 @@ const HeroSection = (() => {
       container.addEventListener('touchmove', onTouchMove, { passive: true });
       container.addEventListener('touchstart', onTouchStart, { passive: true });
       container.addEventListener('touchend', onTouchEnd);
+      container.addEventListener('dragover', onDragOver);
+      container.addEventListener('drop', onDrop);
     },
 
     start() {
       if (running) return;
       running = true;
+      resumeWorker();
+      resumeAudio();
       frame();
     },
 
     stop() {
       running = false;
+      pauseAudio();
       if (animationId) {
         cancelAnimationFrame(animationId);
         animationId = null;
@@ -1081,11 +1293,84 @@ const HeroSection = (() => {
 
     resize() {
       if (!container) return;
+      // The engine clears the canvas as it resizes, to avoid artifacts
+      const before = width / height;
       setSize();
+      if (width / height !== before) {
+        if (fieldText || fieldImage) updateImageField();
+        reshape();
+      }
+    },
+
+    /** Undo init(): listeners, palette subscription, styles and DOM. */
+    destroy() {
+      this.stop();
+      if (!container) return;
+      document.removeEventListener('click', onOutsideClick);
+      container.removeEventListener('mousemove', onMouseMove);
+      container.removeEventListener('mouseleave', onMouseLeave);
+      container.removeEventListener('click', onClick);
+      container.removeEventListener('touchmove', onTouchMove);
+      container.removeEventListener('touchstart', onTouchStart);
+      container.removeEventListener('touchend', onTouchEnd);
+      container.removeEventListener('dragover', onDragOver);
+      container.removeEventListener('drop', onDrop);
+      stopAudio();
+      if (offPalette) offPalette();
+      if (offLanguage) offLanguage();
+      if (offClock) offClock();
+      if (configPanel) configPanel.destroy();
+      if (styleEl) styleEl.remove();
+      container.classList.remove('hero-section');
+      stopWorker();
+      container.textContent = '';
+      container = canvas = engine = blurOverlay = null;
+      configPanel = fieldInput = formInput = audioStop = onOutsideClick = offPalette = offLanguage = offClock = styleEl = null;
+      threaded = false;
+    },
 
-      // Re-clear canvas on resize to avoid artifacts
-      ctx.fillStyle = '#0a0a0f';
-      ctx.fillRect(0, 0, width, height);
+    schema: SCHEMA,
+
+    /**
+     * Snapshot of the config panel, keyed by CONFIG name, plus placed points
+     * as [x, y, kind, strength], the field text and the shape text. Uploaded
+     * images stay out.
+     */
+    getState() {
+      return {
+        ...Procedural.params.pick(SCHEMA, CONFIG),
+        points: points.map(p => [+p.x.toFixed(3), +p.y.toFixed(3), p.kind, p.strength]),
+        text: fieldText,
+        form: formText,
+      };
+    },
+
+    /** Apply a (partial) snapshot from getState(), clamped to the schema. */
+    setState(state) {
+      applyConfig(state);
+      if (!state) return;
+      if (Array.isArray(state.points)) setPoints(state.points.map(decodePoint).filter(Boolean));
+      if (typeof state.text === 'string') {
+        fieldText = state.text.trim().slice(0, 40);
+        if (fieldText) fieldImage = null;
+        if (fieldInput) fieldInput.value = fieldText;
+        updateImageField();
+      }
+      if (typeof state.form === 'string') {
+        formText = state.form.trim().slice(0, 40);
+        if (formText) formImage = null;
+        if (formInput) formInput.value = formText;
+        reshape();
+      }
+    },
+
+    /** Quality tier 0-3: fewer particles and a lower DPR cap when low. */
+    setQuality(level) {
+      const next = Math.max(0, Math.min(QUALITY.length - 1, level | 0));
+      if (next === quality) return;
+      quality = next;
+      fitParticles();
+      if (container) this.resize();
     },
   };
 })();
@@ -1094,3 +1379,5 @@ const HeroSection = (() => {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = HeroSection;
 }
+
+if (typeof Procedural !== 'undefined') Procedural.registerSection({ id: 'hero', module: HeroSection });
@@ -0,0 +1,569 @@
+// =============================================================================
+// HERO PARTICLES — Flow-field particle engine behind HeroSection
+// The simulation and drawing, kept apart from the section's DOM so the same
+// code runs in two places: as a Web Worker that owns the hero's canvas as an
+// OffscreenCanvas, or loaded as a plain script where that isn't possible
+// (no OffscreenCanvas, or a file:// page that can't start workers).
+//
+//   const engine = HeroParticles.create(canvas, { random, config, palette });
+//   engine.resize(width, height, dpr);
+//   engine.setCount(50000);
+//   engine.step({ x: 0.5, y: 0.5, active: false });   // update + draw a frame
+//
+// Particles live in typed arrays (one Float32Array per field) and are drawn
+// in batches: one path per color, alpha and width bucket instead of one
+// stroke per particle, which is what lets the count reach the tens of
+// thousands. As a worker it takes { method, args } messages for the engine
+// and answers each step with { type: 'stepped' }.
+//
+// The flow is a weighted blend of field sources — simplex noise, curl noise,
+// a strange attractor, placed vortices and sources, an image's gradient —
+// each weighted by a FIELD_* config value. Sources are registered with
+// defineSource() in this file, so the worker has them too.
+//
+// With target points (setTargets) and FORM_STRENGTH above 0 the particles
+// also seek a place in a shape, eased in and out so a wordmark emerges from
+// the flow; the cursor and ripples scatter them and the shape pulls back.
+//
+// Two config values have no panel control; the section sets them live (from
+// audio): SIZE_SCALE multiplies stroke widths, PALETTE_SHIFT (0-1) rotates
+// every particle along the palette.
+// =============================================================================
+
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  importScripts('../core/proceduralcore.js');
+}
+
+const HeroParticles = (() => {
+  const FIELDS = ['x', 'y', 'px', 'py', 'vx', 'vy', 'size', 'opacity', 'life', 'maxLife', 'phase', 'tone'];
+  const MARGIN = 50;            // off-canvas distance before a particle respawns
+  const BACKGROUND = '#0a0a0f';
+
+  // Draw batches: every particle's stroke is rounded to one of these levels
+  const ALPHA_LEVELS = 8;
+  const WIDTH_LEVELS = 6;
+  const MAX_ALPHA = 0.75;       // brightest a particle gets (see spawn)
+  const GLOW_WIDTH = 1.5;       // strokes wider than this get a soft halo
+
+  const POINT_REACH = 0.15;     // placed points: unit pull at this share of the short side
+  const POINT_CORE = 0.03;      // softening radius, same units
+  const CURL_GAIN = 0.5;        // curl noise comes out about twice unit length
+  const CURL_EPS = 0.01;        // noise-space step for its derivatives
+
+  // Formation: a damped spring toward each particle's target
+  const SEEK_SPRING = 0.01;
+  const SEEK_DAMP = 0.1;
+  const FORM_EASE = 0.012;      // share of the way to FORM_STRENGTH per frame
+  const FORM_SPEEDUP = 3;       // extra speed allowed at full formation
+
+  // Same fixed seed as before the engine moved, so the field is unchanged
+  const simplex = ProceduralCore.createSimplex(ProceduralCore.parkMiller(42));
+
+  // ---------------------------------------------------------------------------
+  // Field sources
+  // ---------------------------------------------------------------------------
+  const sources = {};
+
+  /**
+   * Add a field source. `sample(x, y, field, out)` writes a direction of about
+   * unit length at canvas point (x, y) into out[0], out[1]; `field` has the
+   * config, width, height, time, points, image and the image angle's
+   * cos/sin. `weight` names the config value that scales it (0 skips it).
+   */
+  function defineSource(name, source) {
+    sources[name] = source;
+  }
+
+  function unit(dx, dy, out) {
+    const len = Math.sqrt(dx * dx + dy * dy);
+    out[0] = len > 0 ? dx / len : 0;
+    out[1] = len > 0 ? dy / len : 0;
+  }
+
+  // The original flow: two noise layers as angles, the second larger and
+  // slower, blended for river-like flow
+  defineSource('noise', {
+    weight: 'FIELD_NOISE',
+    sample(x, y, field, out) {
+      const scale = field.config.NOISE_SCALE;
+      const angle = simplex.noise2D(x * scale, y * scale + field.time) * Math.PI * 2;
+      const angle2 = simplex.noise2D(x * scale * 0.4 + 100, y * scale * 0.4 + 200 + field.time * 0.5) * Math.PI * 2;
+      const blended = angle * 0.7 + angle2 * 0.3;
+      out[0] = Math.cos(blended);
+      out[1] = Math.sin(blended);
+    },
+  });
+
+  // Rotated gradient of a noise potential: divergence-free, so particles
+  // swirl in eddies instead of bunching up in sinks
+  defineSource('curl', {
+    weight: 'FIELD_CURL',
+    sample(x, y, field, out) {
+      const scale = field.config.NOISE_SCALE;
+      const u = x * scale + 300;
+      const v = y * scale + field.time;
+      const dv = simplex.noise2D(u, v + CURL_EPS) - simplex.noise2D(u, v - CURL_EPS);
+      const du = simplex.noise2D(u + CURL_EPS, v) - simplex.noise2D(u - CURL_EPS, v);
+      out[0] = dv / (2 * CURL_EPS) * CURL_GAIN;
+      out[1] = -du / (2 * CURL_EPS) * CURL_GAIN;
+    },
+  });
+
+  // One iteration of a Clifford or De Jong map as a direction: the canvas
+  // spans about [-2, 2] of the attractor's plane
+  defineSource('attractor', {
+    weight: 'FIELD_ATTRACTOR',
+    sample(x, y, field, out) {
+      const c = field.config;
+      const span = Math.min(field.width, field.height) / 4;
+      const u = (x - field.width / 2) / span;
+      const v = (y - field.height / 2) / span;
+      const a = c.ATTRACTOR_A, b = c.ATTRACTOR_B, cc = c.ATTRACTOR_C, d = c.ATTRACTOR_D;
+      if (c.ATTRACTOR === 'dejong') {
+        unit(Math.sin(a * v) - Math.cos(b * u) - u, Math.sin(cc * u) - Math.cos(d * v) - v, out);
+      } else {
+        unit(Math.sin(a * v) + cc * Math.cos(a * u) - u, Math.sin(b * u) + d * Math.cos(b * v) - v, out);
+      }
+    },
+  });
+
+  // Placed points: vortices turn the flow around them (strength -1 turns it
+  // clockwise), sources push it out (-1 is a sink)
+  defineSource('points', {
+    weight: 'FIELD_POINTS',
+    sample(x, y, field, out) {
+      const side = Math.min(field.width, field.height);
+      const reach = POINT_REACH * side;
+      const core2 = (POINT_CORE * side) ** 2;
+      let fx = 0;
+      let fy = 0;
+      for (let i = 0; i < field.points.length; i++) {
+        const point = field.points[i];
+        const dx = x - point.x * field.width;
+        const dy = y - point.y * field.height;
+        const k = point.strength * reach / (dx * dx + dy * dy + core2);
+        if (point.kind === 'vortex') {
+          fx -= dy * k;
+          fy += dx * k;
+        } else {
+          fx += dx * k;
+          fy += dy * k;
+        }
+      }
+      const len = Math.sqrt(fx * fx + fy * fy);
+      const cap = len > 2 ? 2 / len : 1;
+      out[0] = fx * cap;
+      out[1] = fy * cap;
+    },
+  });
+
+  // An image's (or rendered text's) brightness gradient, turned by
+  // IMAGE_ANGLE: 0 climbs toward the light, 90 follows the contours
+  defineSource('image', {
+    weight: 'FIELD_IMAGE',
+    sample(x, y, field, out) {
+      const image = field.image;
+      const gx = Math.floor(x / field.width * image.width);
+      const gy = Math.floor(y / field.height * image.height);
+      if (gx < 0 || gy < 0 || gx >= image.width || gy >= image.height) {
+        out[0] = out[1] = 0;
+        return;
+      }
+      const i = gy * image.width + gx;
+      const dx = image.gx[i];
+      const dy = image.gy[i];
+      out[0] = dx * field.cos - dy * field.sin;
+      out[1] = dx * field.sin + dy * field.cos;
+    },
+  });
+
+  function create(canvas, options) {
+    const random = options.random || Math.random;
+    const ctx = canvas.getContext('2d');
+    const config = Object.assign({}, options.config);
+    let palette = options.palette || [];
+    let width = canvas.width;
+    let height = canvas.height;
+    let time = 0;
+    const mouseSmooth = { x: 0.5, y: 0.5 };
+    const ripples = [];
+    const field = { config, width, height, time, points: [], image: null, cos: 1, sin: 0 };
+    let targets = null;         // [x0, y0, x1, y1, ...] in 0-1, particle i seeks i % n
+    let form = 0;               // eased FORM_STRENGTH
+    const sample = new Float64Array(2);
+
+    let capacity = 0;
+    let count = 0;
+    const p = {};               // field name -> Float32Array
+    let keyOf = null;           // batch of each particle this frame, -1 unseen
+    let order = null;           // particle indices sorted into batches
+    let buckets = null;         // batch key -> end offset into order
+
+    function grow(size) {
+      if (size <= capacity) return;
+      const next = Math.max(size, capacity * 2, 1024);
+      FIELDS.forEach(name => {
+        const array = new Float32Array(next);
+        if (p[name]) array.set(p[name]);
+        p[name] = array;
+      });
+      keyOf = new Int32Array(next);
+      order = new Int32Array(next);
+      capacity = next;
+    }
+
+    function spawn(i, respawn) {
+      const size = config.PARTICLE_MIN_SIZE + random() * (config.PARTICLE_MAX_SIZE - config.PARTICLE_MIN_SIZE);
+      const baseOpacity = 0.15 + random() * 0.6;
+      let x, y;
+      if (respawn) {
+        // Respawn from edges for continuous flow
+        switch (Math.floor(random() * 4)) {
+          case 0: x = random() * width; y = -10; break;
+          case 1: x = width + 10; y = random() * height; break;
+          case 2: x = random() * width; y = height + 10; break;
+          default: x = -10; y = random() * height; break;
+        }
+      } else {
+        x = random() * width;
+        y = random() * height;
+      }
+      const life = 300 + random() * 700;
+      p.x[i] = p.px[i] = x;
+      p.y[i] = p.py[i] = y;
+      p.vx[i] = p.vy[i] = 0;
+      p.size[i] = size;
+      // Larger particles are slightly more opaque
+      p.opacity[i] = baseOpacity * (0.5 + (size / config.PARTICLE_MAX_SIZE) * 0.5);
+      p.life[i] = p.maxLife[i] = life;
+      p.phase[i] = random() * Math.PI * 2;
+      p.tone[i] = random();
+    }
+
+    // -------------------------------------------------------------------------
+    // Update
+    // -------------------------------------------------------------------------
+    function update(mouse) {
+      time += config.NOISE_SPEED;
+      mouseSmooth.x += (mouse.x - mouseSmooth.x) * 0.08;
+      mouseSmooth.y += (mouse.y - mouseSmooth.y) * 0.08;
+
+      // The sources in play this frame, with their weights
+      field.width = width;
+      field.height = height;
+      field.time = time;
+      field.cos = Math.cos(config.IMAGE_ANGLE * Math.PI / 180);
+      field.sin = Math.sin(config.IMAGE_ANGLE * Math.PI / 180);
+      const active = Object.keys(sources)
+        .map(name => ({ source: sources[name], weight: Number(config[sources[name].weight]) || 0 }))
+        .filter(({ source, weight }) => weight !== 0 &&
+          (source !== sources.points || field.points.length) && (source !== sources.image || field.image));
+
+      form += ((Number(config.FORM_STRENGTH) || 0) - form) * FORM_EASE;
+      const forming = targets && targets.length && form > 0.001;
+      const seek = forming ? form : 0;
+      const targetCount = forming ? targets.length / 2 : 0;
+
+      // Forming quiets the flow, lets particles hurry to their places and
+      // turns the cursor's pull into a push
+      const flow = config.FLOW_STRENGTH * 0.15 * (1 - seek * 0.9);
+      const damping = config.SPEED_DAMPING;
+      const maxSpeed = config.MAX_SPEED * (1 + seek * FORM_SPEEDUP);
+      const mx = mouseSmooth.x * width;
+      const my = mouseSmooth.y * height;
+      const radius = config.MOUSE_RADIUS * Math.min(width, height);
+      const { x, y, px, py, vx, vy, life } = p;
+
+      for (let i = 0; i < count; i++) {
+        let fx = 0;
+        let fy = 0;
+        for (let s = 0; s < active.length; s++) {
+          active[s].source.sample(x[i], y[i], field, sample);
+          fx += sample[0] * active[s].weight;
+          fy += sample[1] * active[s].weight;
+        }
+        vx[i] += fx * flow;
+        vy[i] += fy * flow;
+
+        // Cursor: gentle orbital attraction
+        if (mouse.active) {
+          const dx = mx - x[i];
+          const dy = my - y[i];
+          const dist = Math.sqrt(dx * dx + dy * dy);
+          if (dist < radius && dist > 1) {
+            const t = 1 - dist / radius;
+            const falloff = t * t * (3 - 2 * t);
+            const nx = dx / dist;
+            const ny = dy / dist;
+            const attract = config.MOUSE_STRENGTH * falloff * (0.3 - seek * 1.3);
+            const orbit = config.MOUSE_STRENGTH * falloff * 0.7;
+            vx[i] += nx * attract - ny * orbit;
+            vy[i] += ny * attract + nx * orbit;
+          }
+        }
+
+        // Ripples: the wavefront band pushes outward
+        for (let r = 0; r < ripples.length; r++) {
+          const ripple = ripples[r];
+          const dx = x[i] - ripple.x;
+          const dy = y[i] - ripple.y;
+          const dist = Math.sqrt(dx * dx + dy * dy);
+          const band = 60 + ripple.radius * 0.15;
+          const ringDist = Math.abs(dist - ripple.radius);
+          if (ringDist < band && dist > 1) {
+            const bandFalloff = 1 - ringDist / band;
+            const force = bandFalloff * bandFalloff * ripple.strength * ripple.life;
+            vx[i] += (dx / dist) * force;
+            vy[i] += (dy / dist) * force;
+          }
+        }
+
+        if (seek) {
+          const t = (i % targetCount) * 2;
+          vx[i] += ((targets[t] * width - x[i]) * SEEK_SPRING - vx[i] * SEEK_DAMP) * seek;
+          vy[i] += ((targets[t + 1] * height - y[i]) * SEEK_SPRING - vy[i] * SEEK_DAMP) * seek;
+        }
+
+        vx[i] *= damping;
+        vy[i] *= damping;
+        const speed = Math.sqrt(vx[i] * vx[i] + vy[i] * vy[i]);
+        if (speed > maxSpeed) {
+          vx[i] = (vx[i] / speed) * maxSpeed;
+          vy[i] = (vy[i] / speed) * maxSpeed;
+        }
+
+        px[i] = x[i];
+        py[i] = y[i];
+        x[i] += vx[i];
+        y[i] += vy[i];
+        // Particles in formation stop ageing, so the shape holds
+        life[i] -= 1 - seek;
+
+        if (life[i] <= 0 || x[i] < -MARGIN || x[i] > width + MARGIN || y[i] < -MARGIN || y[i] > height + MARGIN) {
+          spawn(i, true);
+        }
+      }
+
+      for (let r = ripples.length - 1; r >= 0; r--) {
+        const ripple = ripples[r];
+        ripple.radius += ripple.speed;
+        ripple.life = Math.max(0, 1 - ripple.radius / ripple.maxRadius);
+        if (ripple.life <= 0) ripples.splice(r, 1);
+      }
+    }
+
+    // -------------------------------------------------------------------------
+    // Draw
+    // -------------------------------------------------------------------------
+    function maxLineWidth() {
+      return config.PARTICLE_MAX_SIZE * (0.8 + config.MAX_SPEED * 0.15);
+    }
+
+    /** Sort the visible particles into batches; returns the batch count. */
+    function sortBatches(maxWidth) {
+      const colors = Math.max(1, palette.length);
+      const keys = colors * ALPHA_LEVELS * WIDTH_LEVELS;
+      if (!buckets || buckets.length < keys + 1) buckets = new Int32Array(keys + 1);
+      buckets.fill(0);
+      const { vx, vy, life, maxLife, opacity, size, phase, tone } = p;
+      const shift = ((Number(config.PALETTE_SHIFT) || 0) % 1 + 1) % 1;
+
+      for (let i = 0; i < count; i++) {
+        // Life-based fade in/out, a subtle pulse, faster is brighter
+        const lifeFrac = life[i] / maxLife[i];
+        let lifeFade = 1;
+        if (lifeFrac > 0.9) lifeFade = (1 - lifeFrac) / 0.1;
+        if (lifeFrac < 0.15) lifeFade = lifeFrac / 0.15;
+        const pulse = 0.85 + 0.15 * Math.sin(time * 800 + phase[i]);
+        const speed = Math.sqrt(vx[i] * vx[i] + vy[i] * vy[i]);
+        const alpha = opacity[i] * lifeFade * pulse * Math.min(1, 0.7 + speed * 0.15);
+        if (alpha < 0.01) {
+          keyOf[i] = -1;
+          continue;
+        }
+        const a = Math.min(ALPHA_LEVELS - 1, Math.floor(alpha / MAX_ALPHA * ALPHA_LEVELS));
+        const w = Math.min(WIDTH_LEVELS - 1, Math.floor(size[i] * (0.8 + speed * 0.15) / maxWidth * WIDTH_LEVELS));
+        const c = Math.min(colors - 1, Math.floor((tone[i] + shift) % 1 * colors));
+        const key = (c * ALPHA_LEVELS + a) * WIDTH_LEVELS + w;
+        keyOf[i] = key;
+        buckets[key + 1]++;
+      }
+      for (let k = 1; k <= keys; k++) buckets[k] += buckets[k - 1];
+      const fill = buckets.slice(0, keys);
+      for (let i = 0; i < count; i++) {
+        if (keyOf[i] >= 0) order[fill[keyOf[i]]++] = i;
+      }
+      return keys;
+    }
+
+    function strokeBatches(keys, maxWidth, glow) {
+      const { x, y, px, py } = p;
+      for (let key = 0; key < keys; key++) {
+        const start = buckets[key];
+        const end = buckets[key + 1];
+        if (start === end) continue;
+        const w = key % WIDTH_LEVELS;
+        const a = Math.floor(key / WIDTH_LEVELS) % ALPHA_LEVELS;
+        const color = palette[Math.floor(key / (WIDTH_LEVELS * ALPHA_LEVELS))];
+        const lineWidth = (w + 0.5) / WIDTH_LEVELS * maxWidth;
+        if (glow && lineWidth <= GLOW_WIDTH) continue;
+        const alpha = (a + 0.5) / ALPHA_LEVELS * MAX_ALPHA * (glow ? 0.08 : 1);
+        ctx.strokeStyle = `rgba(${color.r}, ${color.g}, ${color.b}, ${alpha})`;
+        ctx.lineWidth = glow ? lineWidth * 4 : lineWidth;
+        ctx.beginPath();
+        for (let j = start; j < end; j++) {
+          const i = order[j];
+          ctx.moveTo(px[i], py[i]);
+          ctx.lineTo(x[i], y[i]);
+        }
+        ctx.stroke();
+      }
+    }
+
+    function drawRipples() {
+      for (let r = 0; r < ripples.length; r++) {
+        const ripple = ripples[r];
+        const alpha = ripple.life * 0.12;
+        if (alpha < 0.005 || ripple.radius < 1) continue;
+        // Soft wave band — radial gradient that fades in and out
+        const band = 40 + ripple.radius * 0.25;
+        const inner = Math.max(0, ripple.radius - band);
+        const outer = ripple.radius + band;
+        const grad = ctx.createRadialGradient(ripple.x, ripple.y, inner, ripple.x, ripple.y, outer);
+        grad.addColorStop(0, 'rgba(160, 150, 240, 0)');
+        grad.addColorStop(0.35, `rgba(170, 160, 255, ${alpha * 0.5})`);
+        grad.addColorStop(0.5, `rgba(180, 170, 255, ${alpha})`);
+        grad.addColorStop(0.65, `rgba(170, 160, 255, ${alpha * 0.5})`);
+        grad.addColorStop(1, 'rgba(160, 150, 240, 0)');
+        ctx.beginPath();
+        ctx.arc(ripple.x, ripple.y, outer, 0, Math.PI * 2);
+        ctx.fillStyle = grad;
+        ctx.fill();
+      }
+    }
+
+    // Faint markers where points were placed: a ring per vortex, a dot per source
+    function drawPoints() {
+      if (!config.FIELD_POINTS) return;
+      ctx.lineWidth = 1;
+      ctx.strokeStyle = 'rgba(200, 190, 255, 0.35)';
+      ctx.fillStyle = 'rgba(200, 190, 255, 0.35)';
+      field.points.forEach(point => {
+        ctx.beginPath();
+        if (point.kind === 'vortex') {
+          ctx.arc(point.x * width, point.y * height, 6, 0, Math.PI * 2);
+          ctx.stroke();
+        } else {
+          ctx.arc(point.x * width, point.y * height, 2.5, 0, Math.PI * 2);
+          ctx.fill();
+        }
+      });
+    }
+
+    function draw() {
+      // Semi-transparent overlay for trails
+      ctx.fillStyle = `rgba(10, 10, 15, ${config.TRAIL_ALPHA})`;
+      ctx.fillRect(0, 0, width, height);
+      if (count && palette.length) {
+        const maxWidth = maxLineWidth();
+        const keys = sortBatches(maxWidth);
+        const scale = config.SIZE_SCALE > 0 ? config.SIZE_SCALE : 1;
+        ctx.lineCap = 'round';
+        strokeBatches(keys, maxWidth * scale, false);
+        strokeBatches(keys, maxWidth * scale, true);
+      }
+      drawRipples();
+      drawPoints();
+    }
+
+    // -------------------------------------------------------------------------
+    // Engine API (also the worker's message vocabulary)
+    // -------------------------------------------------------------------------
+    return {
+      configure(next) {
+        Object.assign(config, next);
+      },
+
+      setPalette(colors) {
+        palette = colors || [];
+      },
+
+      /** [{ x, y (0-1), kind: 'vortex' | 'source', strength }] */
+      setPoints(points) {
+        field.points = (points || []).slice();
+      },
+
+      /** { width, height, gx, gy } unit-scaled gradient grid over the canvas, or null. */
+      setImage(image) {
+        field.image = image || null;
+      },
+
+      /** Points of the shape to form, [x0, y0, x1, y1, ...] in 0-1, or null. */
+      setTargets(list) {
+        targets = list && list.length >= 2 ? list : null;
+      },
+
+      resize(w, h, dpr) {
+        width = w;
+        height = h;
+        canvas.width = Math.max(1, Math.round(w * dpr));
+        canvas.height = Math.max(1, Math.round(h * dpr));
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        this.clear();
+      },
+
+      /** Grow (new particles anywhere on the canvas) or trim the pool. */
+      setCount(n) {
+        const next = Math.max(0, n | 0);
+        grow(next);
+        for (let i = count; i < next; i++) spawn(i, false);
+        count = next;
+      },
+
+      ripple(nx, ny) {
+        const size = Math.min(width, height);
+        ripples.push({
+          x: nx * width,
+          y: ny * height,
+          radius: 0,
+          maxRadius: size * 0.65,
+          speed: size * 0.005,
+          strength: 3.5,
+          life: 1,
+        });
+      },
+
+      step(mouse) {
+        update(mouse);
+        draw();
+      },
+
+      clear() {
+        ctx.fillStyle = BACKGROUND;
+        ctx.fillRect(0, 0, width, height);
+      },
+    };
+  }
+
+  return { create, defineSource };
+})();
+
+// -----------------------------------------------------------------------------
+// Worker entry: the first message brings the canvas, later ones engine calls
+// -----------------------------------------------------------------------------
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  let engine = null;
+  self.onmessage = ({ data }) => {
+    if (data.method === 'init') {
+      const { canvas, seed, config, palette } = data.args[0];
+      engine = HeroParticles.create(canvas, { random: ProceduralCore.mulberry32(seed), config, palette });
+      return;
+    }
+    engine[data.method](...data.args);
+    if (data.method === 'step') self.postMessage({ type: 'stepped' });
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HeroParticles;
+}
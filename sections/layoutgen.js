@@ -9,17 +9,12 @@ const LayoutGenSection = (() => {
 
   let container, canvas, ctx, running = false, animFrameId = null;
   let W = 0, H = 0, dpr = 1;
+  let quality = Procedural.quality.MAX_LEVEL;   // setQuality tier
   let time = 0;
 
   // --- Seeded PRNG --------------------------------------------------------
 
-  function seededRandom(seed) {
-    let s = seed | 0;
-    return function () {
-      s = (s * 1664525 + 1013904223) & 0xffffffff;
-      return (s >>> 0) / 4294967296;
-    };
-  }
+  const seededRandom = ProceduralCore.lcg;
 
   // --- Constants ----------------------------------------------------------
 
@@ -38,6 +33,22 @@ const LayoutGenSection = (() => {
     nav:         { label: 'Nav',        color: 'rgba(255,100,100,0.18)', border: 'rgba(255,100,100,0.50)' },
   };
 
+  // Own colors, kept for when ColorBox stops sharing its palette
+  const OWN_BLOCK_COLORS = Object.keys(BLOCK_TYPES).map(type => ({ ...BLOCK_TYPES[type] }));
+
+  /** Recolor the block types from a shared palette (core/palette.js), keeping their alphas. */
+  function applyPalette(colors) {
+    const types = Object.keys(BLOCK_TYPES);
+    const picked = colors && Procedural.palette.pick(colors, types.length, [0.35, 0.85]);
+    const alpha = css => parseFloat(css.slice(css.lastIndexOf(',') + 1));
+    types.forEach((type, i) => {
+      const own = OWN_BLOCK_COLORS[i];
+      const info = BLOCK_TYPES[type];
+      info.color = picked ? Procedural.palette.rgba(picked[i], alpha(own.color)) : own.color;
+      info.border = picked ? Procedural.palette.rgba(picked[i], alpha(own.border)) : own.border;
+    });
+  }
+
   // --- Layout state -------------------------------------------------------
 
   let currentBlocks = [];     // {type, col, row, spanC, spanR, x, y, w, h}
@@ -51,6 +62,31 @@ const LayoutGenSection = (() => {
 
   const MODES = ['Magazine', 'Blog', 'Dashboard', 'Portfolio'];
 
+  // State, presets and randomize go through this schema (core/params.js);
+  // the mode tabs and Generate button are drawn on the canvas
+  const SCHEMA = Procedural.params.define({
+    mode: { type: 'enum', label: 'Layout', options: MODES, default: 'Magazine' },
+    seed: { type: 'seed', label: 'Seed', max: 99999, default: 1 },
+  });
+
+  // --- Copy ---------------------------------------------------------------
+
+  const copy = Procedural.i18n.namespace('layout-gen-section', {
+    overline: 'SECTION D',
+    title: 'Generative Layout',
+    description: 'Procedural page composition \u2014 abstract content intents as variables',
+    layoutMode: 'LAYOUT MODE',
+    generate: 'Generate',
+    seed: 'seed: {seed}',
+    blockTypes: 'BLOCK TYPES',
+    controls: 'Layout mode',
+    generateLayout: 'Generate new layout',
+    status: '{mode} layout, seed {seed}',
+    ...Object.fromEntries(MODES.map(mode => [`mode.${mode}`, mode])),
+    ...Object.fromEntries(MODES.map(mode => [`layout.${mode}`, `${mode} layout`])),
+    ...Object.fromEntries(Object.keys(BLOCK_TYPES).map(type => [`block.${type}`, BLOCK_TYPES[type].label])),
+  });
+
   // --- Easing -------------------------------------------------------------
 
   function easeInOutCubic(t) {
@@ -457,9 +493,16 @@ const LayoutGenSection = (() => {
   let generateBtn = null; // {x, y, w, h}
   let hoveredBtn = -1;
   let hoveredGen = false;
+  let a11y = null;        // keyboard / screen-reader stand-ins (core/a11y.js)
+  let offPalette = null;
+  let modeControls = [];
+  let generateControl = null;
 
+  // Title and description are fitted to the width, so a longer translation
+  // shrinks or wraps and pushes the grid down instead of running off
   function drawHeader() {
     const pad = 32;
+    const maxWidth = W - pad * 2;
     ctx.save();
 
     // Overline
@@ -467,20 +510,33 @@ const LayoutGenSection = (() => {
     ctx.fillStyle = ACCENT;
     ctx.textBaseline = 'top';
     ctx.letterSpacing = '2px';
-    ctx.fillText('SECTION D', pad, pad);
+    ctx.fillText(copy('overline'), pad, pad);
 
     // Title
-    ctx.font = 'bold 28px Inter, system-ui, sans-serif';
+    let y = pad + 22;
+    const title = Procedural.i18n.fitText(ctx, copy('title'), maxWidth, {
+      size: 28, minSize: 18, leading: 1.2,
+      font: size => `bold ${size}px Inter, system-ui, sans-serif`,
+    });
     ctx.fillStyle = '#e8ecf8';
-    ctx.fillText('Generative Layout', pad, pad + 22);
+    title.lines.forEach((line, i) => ctx.fillText(line, pad, y + i * title.lineHeight));
+    y += title.height;
 
     // Description
-    ctx.font = '14px Inter, system-ui, sans-serif';
+    const desc = Procedural.i18n.fitText(ctx, copy('description'), maxWidth, {
+      size: 14, minSize: 12, maxLines: 2, leading: 1.4,
+      font: size => `${size}px Inter, system-ui, sans-serif`,
+    });
     ctx.fillStyle = 'rgba(180,190,220,0.6)';
-    ctx.fillText('Procedural page composition \u2014 abstract content intents as variables', pad, pad + 56);
+    desc.lines.forEach((line, i) => ctx.fillText(line, pad, y + i * desc.lineHeight));
+    y += desc.height;
 
     ctx.restore();
-    headerH = pad + 80;
+    const nextH = y + 4;
+    if (nextH !== headerH) {
+      headerH = nextH;
+      placeBlocks();
+    }
   }
 
   function drawControls() {
@@ -506,7 +562,7 @@ const LayoutGenSection = (() => {
     ctx.font = '10px "JetBrains Mono", monospace';
     ctx.fillStyle = 'rgba(180,190,220,0.55)';
     ctx.textBaseline = 'top';
-    ctx.fillText('LAYOUT MODE', cx + pad, cy + pad);
+    ctx.fillText(copy('layoutMode'), cx + pad, cy + pad);
 
     modeButtons = [];
     let by = cy + pad + 20;
@@ -526,9 +582,10 @@ const LayoutGenSection = (() => {
       ctx.font = '13px Inter, system-ui, sans-serif';
       ctx.fillStyle = isActive ? '#e8ecf8' : 'rgba(180,190,220,0.6)';
       ctx.textBaseline = 'middle';
-      ctx.fillText(MODES[i], bx + 12, by + btnH / 2);
+      ctx.fillText(copy(`mode.${MODES[i]}`), bx + 12, by + btnH / 2);
 
       modeButtons.push({ x: bx, y: by, w: bw, h: btnH, mode: i });
+      modeControls[i].place(bx, by, bw, btnH);
       by += btnH + btnGap;
     }
 
@@ -548,30 +605,32 @@ const LayoutGenSection = (() => {
     ctx.fillStyle = '#e8ecf8';
     ctx.textBaseline = 'middle';
     ctx.textAlign = 'center';
-    ctx.fillText('Generate', gbx + gbw / 2, by + (btnH + 4) / 2);
+    ctx.fillText(copy('generate'), gbx + gbw / 2, by + (btnH + 4) / 2);
     ctx.textAlign = 'left';
 
     generateBtn = { x: gbx, y: by, w: gbw, h: btnH + 4 };
+    generateControl.place(gbx, by, gbw, btnH + 4);
 
     // Seed display
     by += btnH + 16;
     ctx.font = '10px "JetBrains Mono", monospace';
     ctx.fillStyle = 'rgba(180,190,220,0.55)';
     ctx.textBaseline = 'top';
-    ctx.fillText(`seed: ${seed}`, cx + pad, by);
+    ctx.fillText(copy('seed', { seed }), cx + pad, by);
 
     // Legend
     by += 24;
-    ctx.fillText('BLOCK TYPES', cx + pad, by);
+    ctx.fillText(copy('blockTypes'), cx + pad, by);
     by += 16;
     const types = Object.keys(BLOCK_TYPES);
     for (let i = 0; i < types.length; i++) {
       const info = BLOCK_TYPES[types[i]];
+      const label = copy(`block.${types[i]}`);
       ctx.fillStyle = info.border;
       ctx.fillRect(cx + pad, by, 8, 8);
       ctx.font = '10px Inter, system-ui, sans-serif';
       ctx.fillStyle = 'rgba(180,190,220,0.55)';
-      ctx.fillText(info.label, cx + pad + 14, by);
+      ctx.fillText(label, cx + pad + 14, by);
       by += 16;
     }
 
@@ -608,6 +667,17 @@ const LayoutGenSection = (() => {
     gridArea = { x: gx, y: gy, w: gw, h: gh, colW, rowH, rows };
   }
 
+  /** Recompute the grid and the blocks' pixel positions after a size change. */
+  function placeBlocks() {
+    computeGridArea();
+    if (targetBlocks.length > 0) {
+      targetBlocks = computePixelPositions(targetBlocks);
+      if (animProgress >= 1) {
+        currentBlocks = targetBlocks.slice();
+      }
+    }
+  }
+
   // --- Main draw ----------------------------------------------------------
 
   function draw(ts) {
@@ -643,6 +713,7 @@ const LayoutGenSection = (() => {
     drawControls();
 
     ctx.restore();
+    a11y.sync();
   }
 
   // --- Interaction --------------------------------------------------------
@@ -671,17 +742,21 @@ const LayoutGenSection = (() => {
     }
   }
 
+  function selectMode(mode) {
+    currentMode = mode;
+    regenerate();
+  }
+
+  function regenerate() {
+    seed = Math.floor(Math.random() * 99999) + 1;
+    generateLayout();
+  }
+
   function onClick(e) {
     const pos = getCanvasPos(e);
     hitTest(pos.x, pos.y);
-    if (hoveredBtn >= 0) {
-      currentMode = hoveredBtn;
-      seed = Math.floor(Math.random() * 99999) + 1;
-      generateLayout();
-    } else if (hoveredGen) {
-      seed = Math.floor(Math.random() * 99999) + 1;
-      generateLayout();
-    }
+    if (hoveredBtn >= 0) selectMode(hoveredBtn);
+    else if (hoveredGen) regenerate();
   }
 
   function onMouseMove(e) {
@@ -698,14 +773,8 @@ const LayoutGenSection = (() => {
       const t = e.touches[0];
       const pos = getCanvasPos(t);
       hitTest(pos.x, pos.y);
-      if (hoveredBtn >= 0) {
-        currentMode = hoveredBtn;
-        seed = Math.floor(Math.random() * 99999) + 1;
-        generateLayout();
-      } else if (hoveredGen) {
-        seed = Math.floor(Math.random() * 99999) + 1;
-        generateLayout();
-      }
+      if (hoveredBtn >= 0) selectMode(hoveredBtn);
+      else if (hoveredGen) regenerate();
     }
   }
 
@@ -731,12 +800,32 @@ const LayoutGenSection = (() => {
 
       ctx = canvas.getContext('2d');
 
+      a11y = Procedural.a11y.createLayer(container, { label: copy('controls') });
+      copy.attr(a11y.el, 'aria-label', 'controls');
+      const describe = () => copy('status', { mode: copy(`mode.${MODES[currentMode]}`), seed });
+      modeControls = MODES.map((mode, i) => a11y.button({
+        label: copy(`layout.${mode}`),
+        pressed: () => currentMode === i,
+        onActivate: () => selectMode(i),
+        describe,
+        onFocus: (focused) => { hoveredBtn = focused ? i : -1; },
+      }));
+      modeControls.forEach((control, i) => copy.attr(control.el, 'aria-label', `layout.${MODES[i]}`));
+      generateControl = a11y.button({
+        label: copy('generateLayout'),
+        onActivate: regenerate,
+        describe,
+        onFocus: (focused) => { hoveredGen = focused; },
+      });
+      copy.attr(generateControl.el, 'aria-label', 'generateLayout');
+
       canvas.addEventListener('click', onClick);
       canvas.addEventListener('mousemove', onMouseMove);
       canvas.addEventListener('touchstart', onTouchStart, { passive: false });
 
       this.resize();
       generateLayout();
+      offPalette = Procedural.palette.subscribe(applyPalette);
     },
 
     start() {
@@ -753,23 +842,56 @@ const LayoutGenSection = (() => {
       }
     },
 
+    destroy() {
+      this.stop();
+      if (!container) return;
+      if (offPalette) offPalette();
+      applyPalette(null);
+      if (a11y) a11y.destroy();
+      canvas.remove();
+      container = canvas = ctx = a11y = offPalette = null;
+      modeControls = [];
+      generateControl = null;
+    },
+
     resize() {
-      dpr = window.devicePixelRatio || 1;
+      if (!container) return;
+      dpr = Procedural.quality.dprFor(quality);
       const rect = container.getBoundingClientRect();
       W = rect.width;
       H = rect.height;
       canvas.width = W * dpr;
       canvas.height = H * dpr;
-      computeGridArea();
-      // Recompute pixel positions for blocks
-      if (targetBlocks.length > 0) {
-        targetBlocks = computePixelPositions(targetBlocks);
-        if (animProgress >= 1) {
-          currentBlocks = targetBlocks.slice();
-        }
-      }
+      placeBlocks();
+    },
+
+    schema: SCHEMA,
+
+    getState() {
+      return Procedural.params.pick(SCHEMA, { mode: MODES[currentMode], seed });
+    },
+
+    setState(state) {
+      const next = Procedural.params.validate(SCHEMA, state);
+      const nextSeed = 'seed' in next ? next.seed : seed;
+      const nextMode = 'mode' in next ? MODES.indexOf(next.mode) : currentMode;
+      if (nextMode === currentMode && nextSeed === seed) return;
+      currentMode = nextMode;
+      seed = nextSeed;
+      generateLayout();
+      if (a11y) a11y.sync();
+    },
+
+    // Quality tier 0-3: the DPR cap from Procedural.quality.dprFor()
+    setQuality(level) {
+      const next = Math.max(0, Math.min(Procedural.quality.MAX_LEVEL, level | 0));
+      if (next === quality) return;
+      quality = next;
+      if (container) this.resize();
     },
   };
 })();
 
 if (typeof module !== 'undefined' && module.exports) module.exports = LayoutGenSection;
+
+if (typeof Procedural !== 'undefined') Procedural.registerSection({ id: 'layout-gen-section', module: LayoutGenSection });
@@ -9,11 +9,17 @@ const LofiHifiSection = (() => {
   let container, sketchCanvas, renderCanvas, sketchCtx, renderCtx;
   let running = false, animFrameId = null;
   let dpr = 1, canvasW = 0, canvasH = 0;
+  const ID = 'lofi-hifi-section';
   let painting = false;
+  let strokeBefore = null;  // sketch pixels when the current stroke began
+  let strokeBounds = null;  // CSS px box the current stroke has touched
   let currentBrush = 'Sky';
   let renderDirty = true;
   let lastRenderTime = 0;
   const RENDER_THROTTLE = 100;
+  // Quality tiers (setQuality): render texture resolution vs. CSS pixels
+  const QUALITY = [0.35, 0.5, 0.75, 1];
+  let quality = QUALITY.length - 1;
   const BRUSH_RADIUS = 40;
 
   // ---- Semantic Palette ----
@@ -27,73 +33,28 @@ const LofiHifiSection = (() => {
     { name: 'Snow',      color: '#E8E8F0', rgb: [232, 232, 240] },
   ];
 
-  // ---- Noise (FBM) ----
-  // Simple value-noise based FBM for procedural textures
-  const _noiseP = new Uint8Array(512);
-  (() => {
-    let s = 17;
-    const sr = () => { s = (s * 16807 + 0) % 2147483647; return (s - 1) / 2147483646; };
-    const p = new Uint8Array(256);
-    for (let i = 0; i < 256; i++) p[i] = i;
-    for (let i = 255; i > 0; i--) {
-      const j = Math.floor(sr() * (i + 1));
-      [p[i], p[j]] = [p[j], p[i]];
-    }
-    for (let i = 0; i < 512; i++) _noiseP[i] = p[i & 255];
-  })();
+  const copy = Procedural.i18n.namespace(ID, {
+    overline: 'Lofi to Hifi',
+    title: 'Give Me Some Baseline to Jam On',
+    description: 'Paint intent, generate detail. Sketch semantic regions on the left — sky, water, trees — and watch procedural textures emerge on the right. Inspired by Nvidia GauGAN.',
+    example: 'Example',
+    clear: 'Clear',
+    sketch: 'Sketch',
+    rendered: 'Rendered',
+  }).add(Object.fromEntries(PALETTE.map(p => [`brush.${p.name}`, p.name])));
+
+  // ---- Noise (FBM) — shared Perlin from ProceduralCore, fixed seed ----
+  const noise2d = ProceduralCore.createPerlin(ProceduralCore.parkMiller(17)).noise2D;
+  const fbm3 = ProceduralCore.fbm(noise2d, { octaves: 3 });
+  const fbm4 = ProceduralCore.fbm(noise2d, { octaves: 4 });
+  const fbm5 = ProceduralCore.fbm(noise2d, { octaves: 5 });
 
-  function fade(t) { return t * t * t * (t * (t * 6 - 15) + 10); }
   function lerp(a, b, t) { return a + t * (b - a); }
 
-  function grad1d(hash, x) {
-    return (hash & 1) === 0 ? x : -x;
-  }
-
-  function noise2d(x, y) {
-    const X = Math.floor(x) & 255;
-    const Y = Math.floor(y) & 255;
-    const xf = x - Math.floor(x);
-    const yf = y - Math.floor(y);
-    const u = fade(xf);
-    const v = fade(yf);
-
-    const aa = _noiseP[_noiseP[X] + Y];
-    const ab = _noiseP[_noiseP[X] + Y + 1];
-    const ba = _noiseP[_noiseP[X + 1] + Y];
-    const bb = _noiseP[_noiseP[X + 1] + Y + 1];
-
-    function grad2(hash, x2, y2) {
-      const h = hash & 3;
-      return ((h & 1) === 0 ? x2 : -x2) + ((h & 2) === 0 ? y2 : -y2);
-    }
-
-    return lerp(
-      lerp(grad2(aa, xf, yf), grad2(ba, xf - 1, yf), u),
-      lerp(grad2(ab, xf, yf - 1), grad2(bb, xf - 1, yf - 1), u),
-      v
-    );
-  }
-
-  function fbm(x, y, octaves, lacunarity, gain) {
-    let sum = 0, amp = 1, freq = 1, max = 0;
-    for (let i = 0; i < octaves; i++) {
-      sum += noise2d(x * freq, y * freq) * amp;
-      max += amp;
-      amp *= gain;
-      freq *= lacunarity;
-    }
-    return sum / max;
-  }
-
   // ---- Seeded random for deterministic detail generation ----
-  let _rngState = 1;
-  function seedRng(s) { _rngState = s | 1; }
-  function rng() {
-    _rngState ^= _rngState << 13;
-    _rngState ^= _rngState >> 17;
-    _rngState ^= _rngState << 5;
-    return (((_rngState < 0 ? ~_rngState + 1 : _rngState) % 10000) / 10000);
-  }
+  let detailRng = ProceduralCore.mulberry32(1);
+  function seedRng(s) { detailRng = ProceduralCore.mulberry32(s); }
+  function rng() { return detailRng(); }
 
   // ---- DOM helpers ----
   function el(tag, styles, parent) {
@@ -127,19 +88,19 @@ const LofiHifiSection = (() => {
       fontSize: '11px', letterSpacing: '3px', textTransform: 'uppercase',
       color: 'rgba(100,140,255,0.8)', marginBottom: '12px',
     }, header);
-    overline.textContent = 'Lofi to Hifi';
+    copy.text(overline, 'overline');
 
     const h2 = el('h2', {
       fontSize: '32px', fontWeight: '700', lineHeight: '1.2',
       margin: '0 0 12px', color: '#ffffff',
     }, header);
-    h2.textContent = 'Give Me Some Baseline to Jam On';
+    copy.text(h2, 'title');
 
     const desc = el('p', {
       fontSize: '15px', lineHeight: '1.6', color: 'rgba(255,255,255,0.55)',
       maxWidth: '640px', margin: '0 auto 0',
     }, header);
-    desc.textContent = 'Paint intent, generate detail. Sketch semantic regions on the left — sky, water, trees — and watch procedural textures emerge on the right. Inspired by Nvidia GauGAN.';
+    copy.text(desc, 'description');
 
     // Toolbar
     const toolbar = el('div', {
@@ -164,8 +125,7 @@ const LofiHifiSection = (() => {
         borderRadius: '3px', background: p.color, flexShrink: '0',
       }, btn);
 
-      const label = document.createTextNode(p.name);
-      btn.appendChild(label);
+      btn.appendChild(copy.text(document.createElement('span'), `brush.${p.name}`));
 
       btn.addEventListener('click', () => {
         currentBrush = p.name;
@@ -178,19 +138,19 @@ const LofiHifiSection = (() => {
     el('span', { width: '1px', height: '24px', background: 'rgba(255,255,255,0.12)', flexShrink: '0' }, toolbar);
 
     // Action buttons
-    ['Example', 'Clear'].forEach(label => {
+    ['example', 'clear'].forEach(key => {
       const btn = el('button', {
         padding: '6px 16px', border: '1px solid rgba(100,140,255,0.3)',
         borderRadius: '6px', background: 'transparent',
         color: 'rgba(100,140,255,0.9)', cursor: 'pointer', fontSize: '12px',
         fontFamily: "'Inter', sans-serif", transition: 'all 0.2s',
       }, toolbar);
-      btn.textContent = label;
+      copy.text(btn, key);
       btn.addEventListener('mouseenter', () => { btn.style.background = 'rgba(100,140,255,0.1)'; });
       btn.addEventListener('mouseleave', () => { btn.style.background = 'transparent'; });
       btn.addEventListener('click', () => {
-        if (label === 'Clear') clearAll();
-        else paintExample();
+        if (key === 'clear') undoableSketch('Clear', clearAll);
+        else undoableSketch('Example', paintExample);
       });
     });
 
@@ -205,16 +165,16 @@ const LofiHifiSection = (() => {
     const leftCol = el('div', { flex: '1', maxWidth: '540px', minWidth: '0' }, canvasRow);
     const rightCol = el('div', { flex: '1', maxWidth: '540px', minWidth: '0' }, canvasRow);
 
-    const mkLabel = (text, parent) => {
+    const mkLabel = (key, parent) => {
       const lb = el('div', {
         fontFamily: "'JetBrains Mono', monospace", fontSize: '10px',
         letterSpacing: '2px', textTransform: 'uppercase',
         color: 'rgba(255,255,255,0.55)', marginBottom: '6px', textAlign: 'center',
       }, parent);
-      lb.textContent = text;
+      copy.text(lb, key);
     };
-    mkLabel('Sketch', leftCol);
-    mkLabel('Rendered', rightCol);
+    mkLabel('sketch', leftCol);
+    mkLabel('rendered', rightCol);
 
     // Sketch canvas
     sketchCanvas = el('canvas', {
@@ -253,19 +213,26 @@ const LofiHifiSection = (() => {
     const rect = sketchCanvas.parentElement;
     const w = rect.clientWidth || 400;
     const h = Math.round(w * 0.65);
+    const width = Math.round(w * dpr);
+    const height = Math.round(h * dpr);
+    // Setting a canvas's size wipes it, so a resize that changes nothing
+    // keeps the sketch and its undo history
+    if (w === canvasW && h === canvasH && width === sketchCanvas.width && height === sketchCanvas.height) return;
     canvasW = w;
     canvasH = h;
 
     [sketchCanvas, renderCanvas].forEach(c => {
       c.style.width = w + 'px';
       c.style.height = h + 'px';
-      c.width = Math.round(w * dpr);
-      c.height = Math.round(h * dpr);
+      c.width = width;
+      c.height = height;
     });
 
     sketchCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
     renderCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
 
+    // Resizing wipes the sketch, and with it the pixels undo would restore
+    Procedural.history.clear(ID);
     renderDirty = true;
   }
 
@@ -288,12 +255,20 @@ const LofiHifiSection = (() => {
     sketchCtx.arc(x, y, BRUSH_RADIUS, 0, Math.PI * 2);
     sketchCtx.fill();
     renderDirty = true;
+    if (strokeBounds) {
+      strokeBounds.x0 = Math.min(strokeBounds.x0, x);
+      strokeBounds.y0 = Math.min(strokeBounds.y0, y);
+      strokeBounds.x1 = Math.max(strokeBounds.x1, x);
+      strokeBounds.y1 = Math.max(strokeBounds.y1, y);
+    }
   }
 
   function onPointerDown(e) {
     e.preventDefault();
     painting = true;
     const pos = getCanvasPos(e);
+    strokeBefore = sketchCtx.getImageData(0, 0, sketchCanvas.width, sketchCanvas.height);
+    strokeBounds = { x0: pos.x, y0: pos.y, x1: pos.x, y1: pos.y };
     paintStroke(pos.x, pos.y);
   }
 
@@ -304,7 +279,56 @@ const LofiHifiSection = (() => {
     paintStroke(pos.x, pos.y);
   }
 
-  function onPointerUp() { painting = false; }
+  function onPointerUp() {
+    if (!painting) return;
+    painting = false;
+    commitStroke();
+  }
+
+  // ==========================================================================
+  //  UNDO — a stroke keeps only the pixels inside the box it touched, before
+  //  and after; Clear and Example keep the whole sketch
+  // ==========================================================================
+  function commitStroke() {
+    const b = strokeBounds;
+    const full = strokeBefore;
+    strokeBefore = strokeBounds = null;
+    if (!full || !b) return;
+    const pad = BRUSH_RADIUS + 2;
+    const x = Math.max(0, Math.floor((b.x0 - pad) * dpr));
+    const y = Math.max(0, Math.floor((b.y0 - pad) * dpr));
+    const w = Math.min(full.width, Math.ceil((b.x1 + pad) * dpr)) - x;
+    const h = Math.min(full.height, Math.ceil((b.y1 + pad) * dpr)) - y;
+    if (w <= 0 || h <= 0) return;
+
+    const before = sketchCtx.createImageData(w, h);
+    for (let row = 0; row < h; row++) {
+      const start = ((y + row) * full.width + x) * 4;
+      before.data.set(full.data.subarray(start, start + w * 4), row * w * 4);
+    }
+    const after = sketchCtx.getImageData(x, y, w, h);
+    Procedural.history.push(ID, {
+      label: 'Paint',
+      undo: () => putRegion(before, x, y),
+      redo: () => putRegion(after, x, y),
+    });
+  }
+
+  function putRegion(image, x, y) {
+    sketchCtx.putImageData(image, x, y);
+    renderDirty = true;
+  }
+
+  function undoableSketch(label, edit) {
+    const before = sketchCtx.getImageData(0, 0, sketchCanvas.width, sketchCanvas.height);
+    edit();
+    const after = sketchCtx.getImageData(0, 0, sketchCanvas.width, sketchCanvas.height);
+    Procedural.history.push(ID, {
+      label,
+      undo: () => putRegion(before, 0, 0),
+      redo: () => putRegion(after, 0, 0),
+    });
+  }
 
   function bindEvents() {
     sketchCanvas.addEventListener('mousedown', onPointerDown);
@@ -381,6 +405,63 @@ const LofiHifiSection = (() => {
     renderDirty = true;
   }
 
+  // ==========================================================================
+  //  SHAREABLE STATE — the sketch is sampled onto a coarse grid of palette
+  //  letters ('a' = Sky ... 'g' = Snow, '.' = empty) and run-length encoded,
+  //  e.g. "96a40d" is 96 cells of Sky followed by 40 of Mountains.
+  // ==========================================================================
+  const SKETCH_COLS = 96;
+  const SKETCH_ROWS = 62;
+
+  function encodeSketch() {
+    const w = canvasW, h = canvasH;
+    if (w === 0 || h === 0) return '';
+    const readOff = document.createElement('canvas');
+    readOff.width = w;
+    readOff.height = h;
+    const readOffCtx = readOff.getContext('2d');
+    readOffCtx.drawImage(sketchCanvas, 0, 0, w, h);
+    const px = readOffCtx.getImageData(0, 0, w, h).data;
+
+    let out = '', prev = null, run = 0;
+    const flush = () => { if (run) out += (run > 1 ? run : '') + prev; };
+    for (let r = 0; r < SKETCH_ROWS; r++) {
+      for (let c = 0; c < SKETCH_COLS; c++) {
+        const x = Math.min(w - 1, Math.floor((c + 0.5) * w / SKETCH_COLS));
+        const y = Math.min(h - 1, Math.floor((r + 0.5) * h / SKETCH_ROWS));
+        const idx = (y * w + x) * 4;
+        const name = classifyPixel(px[idx], px[idx + 1], px[idx + 2], px[idx + 3]);
+        const i = PALETTE.findIndex(p => p.name === name);
+        const ch = i >= 0 ? String.fromCharCode(97 + i) : '.';
+        if (ch === prev) run++;
+        else { flush(); prev = ch; run = 1; }
+      }
+    }
+    flush();
+    return out;
+  }
+
+  function decodeSketch(str) {
+    const cellW = canvasW / SKETCH_COLS, cellH = canvasH / SKETCH_ROWS;
+    const total = SKETCH_COLS * SKETCH_ROWS;
+    sketchCtx.clearRect(0, 0, canvasW, canvasH);
+    let cell = 0;
+    const re = /(\d*)([a-z.])/g;
+    let m;
+    while ((m = re.exec(str)) && cell < total) {
+      const run = Math.min(m[1] ? parseInt(m[1], 10) : 1, total - cell);
+      const p = PALETTE[m[2].charCodeAt(0) - 97];
+      for (let k = 0; k < run; k++, cell++) {
+        if (!p) continue;
+        const r = Math.floor(cell / SKETCH_COLS), c = cell % SKETCH_COLS;
+        sketchCtx.fillStyle = p.color;
+        // Overlap by a pixel so antialiased seams don't classify as empty
+        sketchCtx.fillRect(c * cellW, r * cellH, cellW + 1, cellH + 1);
+      }
+    }
+    renderDirty = true;
+  }
+
   // ==========================================================================
   //  PROCEDURAL RENDERING — reads sketch, generates textures
   // ==========================================================================
@@ -422,8 +503,12 @@ const LofiHifiSection = (() => {
       }
     }
 
-    // Create output ImageData
-    const outData = renderCtx.createImageData(w, h);
+    // Output texture, possibly below CSS resolution; texture coordinates
+    // stay in CSS pixels so every tier shows the same landscape
+    const res = QUALITY[quality];
+    const ow = Math.max(1, Math.round(w * res));
+    const oh = Math.max(1, Math.round(h * res));
+    const outData = renderCtx.createImageData(ow, oh);
     const out = outData.data;
 
     seedRng(42);
@@ -431,12 +516,14 @@ const LofiHifiSection = (() => {
     // Time for animation
     const t = performance.now() * 0.001;
 
-    for (let py = 0; py < h; py++) {
-      for (let px = 0; px < w; px++) {
+    for (let oy = 0; oy < oh; oy++) {
+      const py = oy / res;
+      for (let ox = 0; ox < ow; ox++) {
+        const px = ox / res;
         const cr = Math.min(Math.floor(py / step), rows - 1);
         const cc = Math.min(Math.floor(px / step), cols - 1);
         const cls = classMap[cr][cc];
-        const idx = (py * w + px) * 4;
+        const idx = (oy * ow + ox) * 4;
         const nx = px / w;
         const ny = py / h;
 
@@ -458,7 +545,7 @@ const LofiHifiSection = (() => {
             R = r2; G = g2; B = b2;
 
             // Clouds
-            const cloud = fbm(px * 0.005, py * 0.008, 5, 2.0, 0.5);
+            const cloud = fbm5(px * 0.005, py * 0.008);
             if (cloud > 0.05) {
               const ci = Math.min((cloud - 0.05) * 4, 1);
               R = lerp(R, 245, ci * 0.7);
@@ -470,7 +557,7 @@ const LofiHifiSection = (() => {
 
           case 'Water': {
             // Base deep blue
-            const depth = 0.5 + fbm(px * 0.01, py * 0.015, 4, 2.0, 0.5) * 0.3;
+            const depth = 0.5 + fbm4(px * 0.01, py * 0.015) * 0.3;
             R = 15 + depth * 30;
             G = 60 + depth * 50;
             B = 120 + depth * 50;
@@ -485,7 +572,7 @@ const LofiHifiSection = (() => {
             }
 
             // Reflection highlights
-            const refl = fbm(px * 0.03, py * 0.005, 3, 2.0, 0.5);
+            const refl = fbm3(px * 0.03, py * 0.005);
             if (refl > 0.25) {
               const ri = (refl - 0.25) * 2;
               R = lerp(R, 200, ri * 0.3);
@@ -497,8 +584,8 @@ const LofiHifiSection = (() => {
 
           case 'Trees': {
             // Canopy base
-            const n = fbm(px * 0.02, py * 0.02, 4, 2.0, 0.5);
-            const n2 = fbm(px * 0.05 + 100, py * 0.05 + 100, 3, 2.0, 0.5);
+            const n = fbm4(px * 0.02, py * 0.02);
+            const n2 = fbm3(px * 0.05 + 100, py * 0.05 + 100);
 
             // Green variation
             R = 30 + n * 40;
@@ -528,18 +615,18 @@ const LofiHifiSection = (() => {
 
           case 'Mountains': {
             // Ridge profile from noise
-            const ridge = fbm(px * 0.006, 0, 4, 2.0, 0.5);
+            const ridge = fbm4(px * 0.006, 0);
             const elevation = 1 - ny; // higher = top of canvas
 
             // Base rock
-            const rock = fbm(px * 0.015, py * 0.015, 5, 2.0, 0.5);
+            const rock = fbm5(px * 0.015, py * 0.015);
             const base = 90 + rock * 50;
             R = base * 0.9;
             G = base * 0.88;
             B = base * 0.95;
 
             // Sun-facing side (left lighter)
-            const sunFace = fbm(px * 0.01 - 50, py * 0.01, 3, 2.0, 0.5);
+            const sunFace = fbm3(px * 0.01 - 50, py * 0.01);
             if (sunFace > 0) {
               R = Math.min(R + sunFace * 40, 200);
               G = Math.min(G + sunFace * 35, 195);
@@ -561,7 +648,7 @@ const LofiHifiSection = (() => {
 
           case 'Ground': {
             // Warm brown base
-            const n = fbm(px * 0.02, py * 0.02, 4, 2.0, 0.5);
+            const n = fbm4(px * 0.02, py * 0.02);
             R = 90 + n * 40;
             G = 65 + n * 30;
             B = 30 + n * 20;
@@ -582,7 +669,7 @@ const LofiHifiSection = (() => {
 
           case 'Sand': {
             // Warm sand base
-            const n = fbm(px * 0.03, py * 0.03, 3, 2.0, 0.5);
+            const n = fbm3(px * 0.03, py * 0.03);
             R = 194 + n * 30;
             G = 169 + n * 25;
             B = 94 + n * 20;
@@ -606,13 +693,13 @@ const LofiHifiSection = (() => {
 
           case 'Snow': {
             // Smooth white
-            const n = fbm(px * 0.015, py * 0.015, 3, 2.0, 0.5);
+            const n = fbm3(px * 0.015, py * 0.015);
             R = 230 + n * 20;
             G = 232 + n * 18;
             B = 245 + n * 10;
 
             // Blue-tinted shadows
-            const shadow = fbm(px * 0.008 + 200, py * 0.012 + 200, 4, 2.0, 0.5);
+            const shadow = fbm4(px * 0.008 + 200, py * 0.012 + 200);
             if (shadow < -0.1) {
               R -= 25; G -= 15; B += 5;
             }
@@ -636,8 +723,10 @@ const LofiHifiSection = (() => {
     // Edge blending pass — simple 3x3 box blur on the output
     const blurred = new Uint8ClampedArray(out.length);
     blurred.set(out);
-    for (let py = 1; py < h - 1; py++) {
-      for (let px = 1; px < w - 1; px++) {
+    for (let oy = 1; oy < oh - 1; oy++) {
+      const py = oy / res;
+      for (let ox = 1; ox < ow - 1; ox++) {
+        const px = ox / res;
         // Check if this is near a region boundary
         const cr = Math.min(Math.floor(py / step), rows - 1);
         const cc = Math.min(Math.floor(px / step), cols - 1);
@@ -658,15 +747,15 @@ const LofiHifiSection = (() => {
           let rr = 0, gg = 0, bb = 0, count = 0;
           for (let dy = -2; dy <= 2; dy++) {
             for (let dx = -2; dx <= 2; dx++) {
-              const sy = py + dy, sx = px + dx;
-              if (sy >= 0 && sy < h && sx >= 0 && sx < w) {
-                const si = (sy * w + sx) * 4;
+              const sy = oy + dy, sx = ox + dx;
+              if (sy >= 0 && sy < oh && sx >= 0 && sx < ow) {
+                const si = (sy * ow + sx) * 4;
                 rr += out[si]; gg += out[si + 1]; bb += out[si + 2];
                 count++;
               }
             }
           }
-          const bi = (py * w + px) * 4;
+          const bi = (oy * ow + ox) * 4;
           blurred[bi] = rr / count;
           blurred[bi + 1] = gg / count;
           blurred[bi + 2] = bb / count;
@@ -676,10 +765,10 @@ const LofiHifiSection = (() => {
 
     // Write via offscreen canvas + drawImage so DPR transform is respected
     const writeOff = document.createElement('canvas');
-    writeOff.width = w;
-    writeOff.height = h;
+    writeOff.width = ow;
+    writeOff.height = oh;
     const writeOffCtx = writeOff.getContext('2d');
-    const finalData = writeOffCtx.createImageData(w, h);
+    const finalData = writeOffCtx.createImageData(ow, oh);
     finalData.data.set(blurred);
     writeOffCtx.putImageData(finalData, 0, 0);
     renderCtx.clearRect(0, 0, w, h);
@@ -725,10 +814,46 @@ const LofiHifiSection = (() => {
     },
 
     resize() {
+      if (!container) return;
       sizeCanvases();
       renderDirty = true;
     },
+
+    destroy() {
+      this.stop();
+      if (!container) return;
+      window.removeEventListener('mouseup', onPointerUp);
+      window.removeEventListener('touchend', onPointerUp);
+      container.textContent = '';
+      painting = false;
+      strokeBefore = strokeBounds = null;
+      container = sketchCanvas = renderCanvas = sketchCtx = renderCtx = null;
+    },
+
+    getState() {
+      return { brush: currentBrush, sketch: encodeSketch() };
+    },
+
+    setState(state) {
+      if (!state || !sketchCtx) return;
+      if (PALETTE.some(p => p.name === state.brush)) {
+        currentBrush = state.brush;
+        updateToolbarSelection();
+      }
+      if (typeof state.sketch === 'string') undoableSketch('Load sketch', () => decodeSketch(state.sketch));
+    },
+
+    // Quality tier 0-3: the rendered landscape is computed at 35% to 100%
+    // of CSS resolution and scaled up
+    setQuality(level) {
+      const next = Math.max(0, Math.min(QUALITY.length - 1, level | 0));
+      if (next === quality) return;
+      quality = next;
+      renderDirty = true;
+    },
   };
 })();
 
 if (typeof module !== 'undefined' && module.exports) module.exports = LofiHifiSection;
+
+if (typeof Procedural !== 'undefined') Procedural.registerSection({ id: 'lofi-hifi-section', module: LofiHifiSection });
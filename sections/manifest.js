@@ -0,0 +1,81 @@
+// =============================================================================
+// SECTION MANIFEST — single source of truth for page order, nav dots, theme
+// bridges and lazy-loaded scripts. The payload is plain JSON; it is wrapped in
+// a call (rather than fetched) so the page still opens from file:// with no
+// server. Sections without a "script" are static markup in index.html.
+// =============================================================================
+
+Procedural.defineManifest({
+  "themes": [
+    { "id": "opening" },
+    {
+      "id": "human-in-the-loop",
+      "number": "01",
+      "title": "Human in the Loop",
+      "description": "Art-directable AI and procedural systems. The artist demonstrates design intent; the system fills in the in-betweens."
+    },
+    {
+      "id": "exploration",
+      "number": "02",
+      "title": "Design Exploration at Scale",
+      "description": "Abstract design intents as variables to create variants. Navigate vast design spaces through generation, interpolation, and agentive exploration."
+    },
+    {
+      "id": "semantic",
+      "number": "03",
+      "title": "Semantic Manipulation",
+      "description": "The future of interactive systems. From direct manipulation to semantic control — we are the conductor."
+    },
+    {
+      "id": "participatory",
+      "number": "04",
+      "title": "Participatory Design",
+      "description": "Design at runtime. Simulation-based systems where emergent behaviors shape the outcome beyond the designer's direct involvement."
+    },
+    {
+      "id": "more",
+      "number": "+",
+      "numberColor": "rgba(180,140,255,0.08)",
+      "title": "More on Procedural",
+      "description": "Procedural thinking applied across domains — from agentive set design to parametric architecture to programmatic color systems."
+    },
+    {
+      "id": "intuitions",
+      "number": "∞",
+      "numberColor": "rgba(255,180,100,0.08)",
+      "title": "Intuitions: The Spectrum",
+      "description": "From purely procedural to AI-driven — the evolving relationship between human control, physics, learning, and creative expression."
+    },
+    { "id": "closing" }
+  ],
+  "sections": [
+    { "id": "hero", "label": "Hero", "title": "Procedural Design", "theme": "opening", "script": "sections/hero.js" },
+    { "id": "intro", "label": "About", "title": "Design the Machine", "theme": "opening" },
+    { "id": "themes-overview", "label": "Themes", "title": "Four Dimensions of Augmented Creativity", "theme": "opening" },
+
+    { "id": "spiderverse-section", "label": "Shading", "title": "Spider-Verse Shading", "theme": "human-in-the-loop", "script": "sections/spiderverse.js" },
+    { "id": "firewatch-section", "label": "Color", "title": "Firewatch Color & Tone", "theme": "human-in-the-loop", "script": "sections/firewatch.js" },
+    { "id": "style-transfer-section", "label": "Style", "title": "Style Transfer", "theme": "human-in-the-loop", "script": "sections/styletransfer.js" },
+
+    { "id": "planets-section", "label": "Planets", "title": "Procedural Planets", "theme": "exploration", "script": "sections/planets.js" },
+    { "id": "exploration-section", "label": "Grid", "title": "Exploration Grid", "theme": "exploration", "script": "sections/exploration.js" },
+    { "id": "layout-gen-section", "label": "Layouts", "title": "Layout Generation", "theme": "exploration", "script": "sections/layoutgen.js" },
+    { "id": "variable-font-section", "label": "Fonts", "title": "Variable Font", "theme": "exploration", "script": "sections/variablefont.js" },
+
+    { "id": "semantic-section", "label": "Faces", "title": "Semantic Faces", "theme": "semantic", "script": "sections/semantic.js" },
+    { "id": "lofi-hifi-section", "label": "Lofi-Hifi", "title": "Lofi-to-Hifi", "theme": "semantic", "script": "sections/lofihifi.js" },
+    { "id": "semantic-lighting-section", "label": "Lighting", "title": "Semantic Lighting", "theme": "semantic", "script": "sections/semanticlighting.js" },
+    { "id": "semantic-animation-section", "label": "Walk", "title": "Semantic Animation", "theme": "semantic", "script": "sections/semanticanimation.js" },
+
+    { "id": "participatory", "label": "Runtime", "title": "Design Parameters Become the Product", "theme": "participatory" },
+    { "id": "emergent-section", "label": "Emergent", "title": "Emergent Agents", "theme": "participatory", "script": "sections/emergent.js" },
+
+    { "id": "spiderweb-section", "label": "Webs", "title": "Spider Web", "theme": "more", "script": "sections/spiderweb.js" },
+    { "id": "parametric-arch-section", "label": "Arch", "title": "Parametric Architecture", "theme": "more", "script": "sections/parametricarch.js" },
+    { "id": "colorbox-section", "label": "Color", "title": "ColorBox", "theme": "more", "script": "sections/colorbox.js" },
+
+    { "id": "animation-spectrum-section", "label": "Spectrum", "title": "Animation Spectrum", "theme": "intuitions", "script": "sections/animspectrum.js" },
+
+    { "id": "closing", "label": "Close", "title": "Art Challenges Technology", "theme": "closing" }
+  ]
+});
@@ -10,21 +10,14 @@ const ParametricArchSection = (() => {
   let W, H, dpr;
 
   // --- Slider state ----------------------------------------------------------
-  const params = {
-    curvature: 0.45,
-    columns: 10,
-    roofSpan: 1.2,
-    height: 1.0,
-    organic: 0.35,
-  };
-
-  const sliderDefs = [
-    { key: 'curvature',  label: 'Curvature',      min: 0,   max: 1,   step: 0.01  },
-    { key: 'columns',    label: 'Column Density',  min: 3,   max: 24,  step: 1     },
-    { key: 'roofSpan',   label: 'Roof Span',       min: 0.5, max: 2.0, step: 0.01  },
-    { key: 'height',     label: 'Height',          min: 0.5, max: 2.0, step: 0.01  },
-    { key: 'organic',    label: 'Organic Factor',  min: 0,   max: 1,   step: 0.01  },
-  ];
+  const SCHEMA = Procedural.params.define({
+    curvature: { type: 'range', label: 'Curvature', min: 0, max: 1, step: 0.01, default: 0.45, random: [0.05, 0.9] },
+    columns: { type: 'range', label: 'Column Density', min: 3, max: 24, step: 1, default: 10, random: [4, 22] },
+    roofSpan: { type: 'range', label: 'Roof Span', min: 0.5, max: 2.0, step: 0.01, default: 1.2, random: [0.55, 1.85] },
+    height: { type: 'range', label: 'Height', min: 0.5, max: 2.0, step: 0.01, default: 1.0, random: [0.55, 1.85] },
+    organic: { type: 'range', label: 'Organic Factor', min: 0, max: 1, step: 0.01, default: 0.35, random: [0.05, 0.95] },
+  });
+  const params = Procedural.params.defaults(SCHEMA);
 
   const presets = {
     'Airport Terminal': { curvature: 0.55, columns: 14, roofSpan: 1.6, height: 0.85, organic: 0.6 },
@@ -33,14 +26,15 @@ const ParametricArchSection = (() => {
     'Tower':           { curvature: 0.2,  columns: 6,  roofSpan: 0.6, height: 1.9,  organic: 0.55 },
   };
 
+  const copy = Procedural.i18n.namespace('parametric-arch-section', {
+    overline: 'Section J',
+    title: 'Parametric Architecture',
+    description: 'From airports to stadiums — parametric design generates infinite structural variations from a few control parameters. Inspired by Shenzhen Bao\u2019an Airport.',
+    random: 'Random Building',
+  }).add(Object.fromEntries(Object.keys(presets).map(name => [`preset.${name}`, name])));
+
   // --- Seeded random ---------------------------------------------------------
-  function seededRandom(seed) {
-    let s = seed | 0;
-    return () => {
-      s = (s * 1664525 + 1013904223) & 0xffffffff;
-      return (s >>> 0) / 4294967296;
-    };
-  }
+  const seededRandom = ProceduralCore.lcg;
 
   // --- Bezier helpers --------------------------------------------------------
   function cubicBezier(t, p0, p1, p2, p3) {
@@ -465,6 +459,7 @@ const ParametricArchSection = (() => {
   // --- Render loop -----------------------------------------------------------
 
   function render() {
+    if (!ctx) return;
     ctx.clearRect(0, 0, W, H);
     drawBuilding();
   }
@@ -478,7 +473,7 @@ const ParametricArchSection = (() => {
 
   // --- DOM -------------------------------------------------------------------
 
-  let sliderEls = {};
+  let panel = null; // Procedural.params panel over params
 
   function buildDOM(containerEl) {
     container = containerEl;
@@ -488,10 +483,13 @@ const ParametricArchSection = (() => {
     const header = document.createElement('div');
     header.style.cssText = 'max-width:900px;margin:0 auto 32px;padding:0 32px;box-sizing:border-box;';
     header.innerHTML = `
-      <div style="text-transform:uppercase;font-size:11px;letter-spacing:3px;color:rgba(100,140,255,0.8);margin-bottom:10px;font-family:'JetBrains Mono',monospace;">Section J</div>
-      <h2 style="margin:0 0 12px;font-size:32px;font-weight:700;color:#e8e4de;line-height:1.2;">Parametric Architecture</h2>
-      <p style="margin:0;font-size:15px;color:rgba(232,228,222,0.55);line-height:1.6;max-width:640px;">From airports to stadiums — parametric design generates infinite structural variations from a few control parameters. Inspired by Shenzhen Bao'an Airport.</p>
+      <div style="text-transform:uppercase;font-size:11px;letter-spacing:3px;color:rgba(100,140,255,0.8);margin-bottom:10px;font-family:'JetBrains Mono',monospace;"></div>
+      <h2 style="margin:0 0 12px;font-size:32px;font-weight:700;color:#e8e4de;line-height:1.2;"></h2>
+      <p style="margin:0;font-size:15px;color:rgba(232,228,222,0.55);line-height:1.6;max-width:640px;"></p>
     `;
+    copy.text(header.children[0], 'overline');
+    copy.text(header.children[1], 'title');
+    copy.text(header.children[2], 'description');
     container.appendChild(header);
 
     // Canvas wrapper
@@ -507,47 +505,15 @@ const ParametricArchSection = (() => {
     controls.style.cssText = 'max-width:900px;margin:24px auto 0;padding:0 32px;box-sizing:border-box;';
 
     // Sliders
-    const slidersGrid = document.createElement('div');
-    slidersGrid.style.cssText = 'display:grid;grid-template-columns:repeat(auto-fill,minmax(240px,1fr));gap:16px 28px;margin-bottom:20px;';
-
-    sliderDefs.forEach(def => {
-      const wrap = document.createElement('div');
-      wrap.style.cssText = 'display:flex;flex-direction:column;gap:4px;';
-
-      const labelRow = document.createElement('div');
-      labelRow.style.cssText = 'display:flex;justify-content:space-between;align-items:center;';
-
-      const lbl = document.createElement('label');
-      lbl.textContent = def.label;
-      lbl.style.cssText = 'font-size:12px;color:rgba(232,228,222,0.6);font-family:"JetBrains Mono",monospace;';
-
-      const valSpan = document.createElement('span');
-      valSpan.style.cssText = 'font-size:11px;color:rgba(100,140,255,0.7);font-family:"JetBrains Mono",monospace;';
-      valSpan.textContent = formatVal(def.key, params[def.key]);
-
-      labelRow.appendChild(lbl);
-      labelRow.appendChild(valSpan);
-
-      const input = document.createElement('input');
-      input.type = 'range';
-      input.min = def.min;
-      input.max = def.max;
-      input.step = def.step;
-      input.value = params[def.key];
-      input.style.cssText = 'width:100%;accent-color:rgba(100,140,255,0.8);height:4px;cursor:pointer;';
-      input.addEventListener('input', () => {
-        params[def.key] = parseFloat(input.value);
-        valSpan.textContent = formatVal(def.key, params[def.key]);
-        render();
-      });
-
-      sliderEls[def.key] = { input, valSpan };
-      wrap.appendChild(labelRow);
-      wrap.appendChild(input);
-      slidersGrid.appendChild(wrap);
+    const slidersWrap = document.createElement('div');
+    slidersWrap.style.cssText = 'margin-bottom:20px;';
+    panel = Procedural.params.createPanel(slidersWrap, SCHEMA, params, {
+      layout: 'row',
+      messages: copy,
+      onChange: () => render(),
     });
-
-    controls.appendChild(slidersGrid);
+    panel.el.style.cssText = 'display:grid;grid-template-columns:repeat(auto-fill,minmax(240px,1fr));gap:16px 28px;';
+    controls.appendChild(slidersWrap);
 
     // Buttons
     const btnRow = document.createElement('div');
@@ -555,13 +521,13 @@ const ParametricArchSection = (() => {
 
     // Preset buttons
     Object.keys(presets).forEach(name => {
-      const btn = createButton(name);
+      const btn = createButton(`preset.${name}`);
       btn.addEventListener('click', () => applyPreset(presets[name]));
       btnRow.appendChild(btn);
     });
 
     // Random button
-    const randBtn = createButton('Random Building');
+    const randBtn = createButton('random');
     randBtn.style.background = 'rgba(100,140,255,0.15)';
     randBtn.style.borderColor = 'rgba(100,140,255,0.35)';
     randBtn.addEventListener('click', randomize);
@@ -571,9 +537,9 @@ const ParametricArchSection = (() => {
     container.appendChild(controls);
   }
 
-  function createButton(text) {
+  function createButton(key) {
     const btn = document.createElement('button');
-    btn.textContent = text;
+    copy.text(btn, key);
     btn.style.cssText = `
       padding:7px 16px;font-size:12px;font-family:"JetBrains Mono",monospace;
       background:rgba(232,228,222,0.06);color:rgba(232,228,222,0.7);
@@ -585,38 +551,20 @@ const ParametricArchSection = (() => {
       btn.style.color = '#e8e4de';
     });
     btn.addEventListener('mouseleave', () => {
-      btn.style.background = text === 'Random Building' ? 'rgba(100,140,255,0.15)' : 'rgba(232,228,222,0.06)';
+      btn.style.background = key === 'random' ? 'rgba(100,140,255,0.15)' : 'rgba(232,228,222,0.06)';
       btn.style.color = 'rgba(232,228,222,0.7)';
     });
     return btn;
   }
 
-  function formatVal(key, val) {
-    if (key === 'columns') return Math.round(val).toString();
-    return val.toFixed(2);
-  }
-
   function applyPreset(preset) {
-    Object.keys(preset).forEach(key => {
-      params[key] = preset[key];
-      if (sliderEls[key]) {
-        sliderEls[key].input.value = preset[key];
-        sliderEls[key].valSpan.textContent = formatVal(key, preset[key]);
-      }
-    });
+    Object.assign(params, Procedural.params.validate(SCHEMA, preset));
+    if (panel) panel.sync();
     render();
   }
 
   function randomize() {
-    const rng = seededRandom(Date.now());
-    const preset = {
-      curvature: rng() * 0.85 + 0.05,
-      columns: Math.round(rng() * 18 + 4),
-      roofSpan: rng() * 1.3 + 0.55,
-      height: rng() * 1.3 + 0.55,
-      organic: rng() * 0.9 + 0.05,
-    };
-    applyPreset(preset);
+    applyPreset(Procedural.params.randomize(SCHEMA, seededRandom(Date.now())));
   }
 
   // --- Sizing ----------------------------------------------------------------
@@ -652,10 +600,29 @@ const ParametricArchSection = (() => {
       if (animFrameId) { cancelAnimationFrame(animFrameId); animFrameId = null; }
     },
     resize() {
+      if (!container) return;
       setupCanvas();
       render();
     },
+    destroy() {
+      this.stop();
+      if (!container) return;
+      panel.destroy();
+      container.textContent = '';
+      container = canvas = ctx = panel = null;
+    },
+    schema: SCHEMA,
+    presets,
+    getState() {
+      return Procedural.params.pick(SCHEMA, params);
+    },
+    setState(state) {
+      if (!state) return;
+      applyPreset(state);
+    },
   };
 })();
 
 if (typeof module !== 'undefined' && module.exports) module.exports = ParametricArchSection;
+
+if (typeof Procedural !== 'undefined') Procedural.registerSection({ id: 'parametric-arch-section', module: ParametricArchSection });
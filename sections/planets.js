@@ -1,14 +1,15 @@
 // ============================================================================
 // PROCEDURAL PLANET GENERATOR
 // Inspired by No Man's Sky — 18,446,744,073,709,551,616 unique planets
-// Pure vanilla JS + Canvas API, zero dependencies
+// Pure vanilla JS + Canvas API; noise and color math from ProceduralCore
 // ============================================================================
 
 const PlanetSection = (() => {
 
-  // --- Simplex-style noise (self-contained) -----------------------------------
+  // --- Noise, seeded random, color: shared core (core/proceduralcore.js) -----
 
-  // Permutation table seeded from planet seed
+  // Permutation table seeded from planet seed. Kept local: this exact shuffle
+  // is what makes a given seed the same planet it has always been.
   function buildPerm(seed) {
     const p = new Uint8Array(512);
     const base = new Uint8Array(256);
@@ -24,95 +25,9 @@ const PlanetSection = (() => {
     return p;
   }
 
-  const GRAD3 = [
-    [1,1,0],[-1,1,0],[1,-1,0],[-1,-1,0],
-    [1,0,1],[-1,0,1],[1,0,-1],[-1,0,-1],
-    [0,1,1],[0,-1,1],[0,1,-1],[0,-1,-1],
-  ];
-
-  function dot3(g, x, y, z) { return g[0]*x + g[1]*y + g[2]*z; }
-
-  function fade(t) { return t * t * t * (t * (t * 6 - 15) + 10); }
-  function lerp(a, b, t) { return a + t * (b - a); }
-
-  function perlin3(perm, x, y, z) {
-    const X = Math.floor(x) & 255;
-    const Y = Math.floor(y) & 255;
-    const Z = Math.floor(z) & 255;
-    x -= Math.floor(x);
-    y -= Math.floor(y);
-    z -= Math.floor(z);
-    const u = fade(x), v = fade(y), w = fade(z);
-    const A  = perm[X] + Y;
-    const AA = perm[A] + Z;
-    const AB = perm[A + 1] + Z;
-    const B  = perm[X + 1] + Y;
-    const BA = perm[B] + Z;
-    const BB = perm[B + 1] + Z;
-    return lerp(
-      lerp(
-        lerp(dot3(GRAD3[perm[AA] % 12], x, y, z),
-             dot3(GRAD3[perm[BA] % 12], x-1, y, z), u),
-        lerp(dot3(GRAD3[perm[AB] % 12], x, y-1, z),
-             dot3(GRAD3[perm[BB] % 12], x-1, y-1, z), u),
-        v),
-      lerp(
-        lerp(dot3(GRAD3[perm[AA+1] % 12], x, y, z-1),
-             dot3(GRAD3[perm[BA+1] % 12], x-1, y, z-1), u),
-        lerp(dot3(GRAD3[perm[AB+1] % 12], x, y-1, z-1),
-             dot3(GRAD3[perm[BB+1] % 12], x-1, y-1, z-1), u),
-        v),
-      w);
-  }
-
-  // Fractal Brownian Motion — multiple octaves for rich detail
-  function fbm(perm, x, y, z, octaves, lacunarity, gain) {
-    let value = 0, amplitude = 1, frequency = 1, max = 0;
-    for (let i = 0; i < octaves; i++) {
-      value += amplitude * perlin3(perm, x * frequency, y * frequency, z * frequency);
-      max += amplitude;
-      amplitude *= gain;
-      frequency *= lacunarity;
-    }
-    return value / max;
-  }
-
-  // --- Seeded PRNG for deterministic planet properties ------------------------
-
-  function seededRandom(seed) {
-    let s = seed | 0;
-    return function() {
-      s = (s * 1664525 + 1013904223) & 0xffffffff;
-      return (s >>> 0) / 4294967296;
-    };
-  }
-
-  // --- Color utilities --------------------------------------------------------
-
-  function hslToRgb(h, s, l) {
-    h = ((h % 360) + 360) % 360;
-    s = Math.max(0, Math.min(1, s));
-    l = Math.max(0, Math.min(1, l));
-    const c = (1 - Math.abs(2 * l - 1)) * s;
-    const x = c * (1 - Math.abs((h / 60) % 2 - 1));
-    const m = l - c / 2;
-    let r, g, b;
-    if (h < 60)       { r = c; g = x; b = 0; }
-    else if (h < 120) { r = x; g = c; b = 0; }
-    else if (h < 180) { r = 0; g = c; b = x; }
-    else if (h < 240) { r = 0; g = x; b = c; }
-    else if (h < 300) { r = x; g = 0; b = c; }
-    else              { r = c; g = 0; b = x; }
-    return [(r + m) * 255, (g + m) * 255, (b + m) * 255];
-  }
-
-  function lerpColor(a, b, t) {
-    return [
-      a[0] + (b[0] - a[0]) * t,
-      a[1] + (b[1] - a[1]) * t,
-      a[2] + (b[2] - a[2]) * t,
-    ];
-  }
+  const seededRandom = ProceduralCore.lcg;
+  const hslToRgb = ProceduralCore.hslToRgb;
+  const lerpColor = ProceduralCore.lerpColor;
 
   // --- Planet type palettes ---------------------------------------------------
 
@@ -256,12 +171,34 @@ const PlanetSection = (() => {
     },
   ];
 
+  const copy = Procedural.i18n.namespace('planets-section', {
+    overline: 'Procedural Generation',
+    title: 'Every World Is Unique',
+    developers: 'developers',
+    quintillion: '18.4 quintillion',
+    uniquePlanets: 'unique planets',
+    counter: 'Planet #{seed} of {total}',
+    seed: 'Seed:',
+    go: 'Go',
+    generate: 'Generate New World',
+    ringed: '{type} / Ringed',
+  }).add(Object.fromEntries(PLANET_TYPES.map(type => [`type.${type.name}`, type.name])));
+
+  const PLANET_COUNT = '18446744073709551616'; // 2^64 seeds
+
+  // The one parameter (core/params.js), for state, presets and randomize;
+  // the seed box and buttons below are the controls. Seeds start at 1.
+  const SCHEMA = Procedural.params.define({
+    seed: { type: 'seed', label: 'Seed', max: Number.MAX_SAFE_INTEGER, default: 1 },
+  });
+
   // --- Planet state -----------------------------------------------------------
 
   let container = null;
   let canvas = null;
   let ctx = null;
   let uiOverlay = null;
+  let offLanguage = null;
   let animFrameId = null;
   let running = false;
 
@@ -358,6 +295,15 @@ const PlanetSection = (() => {
     const { perm, palette, noiseScale, cloudNoiseScale } = p;
     const isGas = palette.isGasGiant;
 
+    // Fractal samplers over this planet's Perlin field
+    const noise = ProceduralCore.createPerlin(perm).noise3D;
+    const bandFbm = ProceduralCore.fbm(noise, { octaves: 5 });
+    const turbulenceFbm = ProceduralCore.fbm(noise, { octaves: 4, lacunarity: 2.2, gain: 0.45 });
+    const stormFbm = ProceduralCore.fbm(noise, { octaves: 3 });
+    const terrainFbm = ProceduralCore.fbm(noise, { octaves: 6 });
+    const detailFbm = ProceduralCore.fbm(noise, { octaves: 4, gain: 0.45 });
+    const cloudFbm = bandFbm;
+
     for (let py = 0; py < TEX_HEIGHT; py++) {
       const v = py / TEX_HEIGHT; // 0..1
       const phi = v * Math.PI;   // latitude angle
@@ -377,10 +323,10 @@ const PlanetSection = (() => {
 
         if (isGas) {
           // Gas giant: horizontal bands with turbulence
-          const band = fbm(perm, nx * 1.5, ny * 1.5, nz * 1.5 + v * noiseScale, 5, 2.0, 0.5);
+          const band = bandFbm(nx * 1.5, ny * 1.5, nz * 1.5 + v * noiseScale);
           const bandV = v * 8 + band * 2;
           const bandNoise = Math.sin(bandV * Math.PI) * 0.5 + 0.5;
-          const turbulence = fbm(perm, nx * noiseScale, ny * noiseScale, nz * noiseScale, 4, 2.2, 0.45);
+          const turbulence = turbulenceFbm(nx * noiseScale, ny * noiseScale, nz * noiseScale);
 
           const t1 = (bandNoise + turbulence) * 0.5;
           const idx = Math.min(3, Math.max(0, Math.floor(t1 * 4)));
@@ -390,7 +336,7 @@ const PlanetSection = (() => {
           r = col[0]; g = col[1]; b = col[2];
 
           // Storm spots
-          const storm = fbm(perm, nx * 3, ny * 3, nz * 3 + 100, 3, 2.0, 0.5);
+          const storm = stormFbm(nx * 3, ny * 3, nz * 3 + 100);
           if (storm > 0.4) {
             const si = (storm - 0.4) * 3;
             const stormCol = palette.surface[2];
@@ -400,8 +346,8 @@ const PlanetSection = (() => {
           }
         } else {
           // Terrestrial planet
-          const terrain = fbm(perm, nx * noiseScale, ny * noiseScale, nz * noiseScale, 6, 2.0, 0.5);
-          const detail = fbm(perm, nx * noiseScale * 3, ny * noiseScale * 3, nz * noiseScale * 3 + 50, 4, 2.0, 0.45);
+          const terrain = terrainFbm(nx * noiseScale, ny * noiseScale, nz * noiseScale);
+          const detail = detailFbm(nx * noiseScale * 3, ny * noiseScale * 3, nz * noiseScale * 3 + 50);
 
           // Map terrain to color gradient
           const t = (terrain * 0.7 + detail * 0.3) * 0.5 + 0.5; // 0..1
@@ -423,7 +369,7 @@ const PlanetSection = (() => {
 
         // Clouds
         if (palette.cloudDensity > 0.05) {
-          const cloud = fbm(perm, nx * cloudNoiseScale + 200, ny * cloudNoiseScale + 200, nz * cloudNoiseScale, 5, 2.0, 0.5);
+          const cloud = cloudFbm(nx * cloudNoiseScale + 200, ny * cloudNoiseScale + 200, nz * cloudNoiseScale);
           const cloudVal = Math.max(0, (cloud - (1 - palette.cloudDensity * 2)) * 2);
           if (cloudVal > 0) {
             const ci = Math.min(1, cloudVal);
@@ -567,9 +513,13 @@ const PlanetSection = (() => {
 
   // --- Sphere-mapped texture rendering ----------------------------------------
 
+  // Quality tiers (setQuality): largest sphere buffer diameter in pixels
+  const QUALITY_DIAMETER = [160, 220, 300, 400];
+  let quality = QUALITY_DIAMETER.length - 1;
+
   function drawSphereTexture(cx, cy, radius, scrollX) {
     // Use an offscreen buffer at reduced resolution for performance
-    const maxDiam = 400;
+    const maxDiam = QUALITY_DIAMETER[quality];
     const scale = Math.min(1, maxDiam / (radius * 2));
     const size = Math.ceil(radius * 2 * scale);
     const halfSize = size / 2;
@@ -698,7 +648,7 @@ const PlanetSection = (() => {
   // --- Number formatting ------------------------------------------------------
 
   function formatSeed(seed) {
-    return seed.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+    return Procedural.i18n.number(BigInt(seed));
   }
 
   // --- UI setup ---------------------------------------------------------------
@@ -718,24 +668,21 @@ const PlanetSection = (() => {
       padding: 40px 48px; pointer-events: none;
     `;
     topBar.innerHTML = `
-      <div style="font-size: 13px; text-transform: uppercase; letter-spacing: 3px; color: rgba(255,255,255,0.55); margin-bottom: 8px;">
-        Procedural Generation
-      </div>
-      <div style="font-size: 28px; font-weight: 600; letter-spacing: -0.5px; margin-bottom: 16px;">
-        Every World Is Unique
-      </div>
-      <div style="display: flex; align-items: center; gap: 32px;">
+      <div data-copy="overline" style="font-size: 13px; text-transform: uppercase; letter-spacing: 3px; color: rgba(255,255,255,0.55); margin-bottom: 8px;"></div>
+      <div data-copy="title" style="font-size: 28px; font-weight: 600; letter-spacing: -0.5px; margin-bottom: 16px;"></div>
+      <div style="display: flex; align-items: center; gap: 32px; flex-wrap: wrap;">
         <div style="display: flex; align-items: baseline; gap: 8px;">
           <span style="font-size: 36px; font-weight: 700; color: #7dd3fc;">~5</span>
-          <span style="font-size: 14px; color: rgba(255,255,255,0.5);">developers</span>
+          <span data-copy="developers" style="font-size: 14px; color: rgba(255,255,255,0.5);"></span>
         </div>
         <div style="font-size: 20px; color: rgba(255,255,255,0.45);">&rarr;</div>
         <div style="display: flex; align-items: baseline; gap: 8px;">
-          <span style="font-size: 36px; font-weight: 700; color: #c4b5fd;">18.4 quintillion</span>
-          <span style="font-size: 14px; color: rgba(255,255,255,0.5);">unique planets</span>
+          <span data-copy="quintillion" style="font-size: 36px; font-weight: 700; color: #c4b5fd;"></span>
+          <span data-copy="uniquePlanets" style="font-size: 14px; color: rgba(255,255,255,0.5);"></span>
         </div>
       </div>
     `;
+    topBar.querySelectorAll('[data-copy]').forEach(el => copy.text(el, el.dataset.copy));
     uiOverlay.appendChild(topBar);
 
     // Bottom section: controls
@@ -752,7 +699,7 @@ const PlanetSection = (() => {
       font-size: 15px; color: rgba(255,255,255,0.5); margin-bottom: 20px;
       font-variant-numeric: tabular-nums;
     `;
-    counter.textContent = `Planet #1 of 18,446,744,073,709,551,616`;
+    copy.text(counter, 'counter', { seed: formatSeed(1), total: formatSeed(PLANET_COUNT) });
     bottomBar.appendChild(counter);
 
     // Controls row
@@ -766,7 +713,7 @@ const PlanetSection = (() => {
     seedLabel.style.cssText = `
       font-size: 13px; color: rgba(255,255,255,0.55); display: flex; align-items: center; gap: 8px;
     `;
-    seedLabel.textContent = 'Seed:';
+    seedLabel.appendChild(copy.text(document.createElement('span'), 'seed'));
     const seedInput = document.createElement('input');
     seedInput.type = 'text';
     seedInput.id = 'seed-input';
@@ -796,7 +743,7 @@ const PlanetSection = (() => {
 
     // Go button
     const goBtn = document.createElement('button');
-    goBtn.textContent = 'Go';
+    copy.text(goBtn, 'go');
     goBtn.style.cssText = `
       background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.2);
       border-radius: 8px; padding: 10px 20px; color: #fff; font-size: 14px;
@@ -825,7 +772,7 @@ const PlanetSection = (() => {
 
     // Generate New World button
     const genBtn = document.createElement('button');
-    genBtn.textContent = 'Generate New World';
+    copy.text(genBtn, 'generate');
     genBtn.id = 'gen-btn';
     genBtn.style.cssText = `
       background: linear-gradient(135deg, rgba(125,211,252,0.2), rgba(196,181,253,0.2));
@@ -866,14 +813,14 @@ const PlanetSection = (() => {
   }
 
   function updateUI() {
-    const counter = document.getElementById('planet-counter');
+    const counter = container.querySelector('#planet-counter');
     if (counter) {
-      counter.textContent = `Planet #${formatSeed(currentSeed)} of 18,446,744,073,709,551,616`;
+      copy.text(counter, 'counter', { seed: formatSeed(currentSeed), total: formatSeed(PLANET_COUNT) });
     }
-    const typeLabel = document.getElementById('planet-type');
+    const typeLabel = container.querySelector('#planet-type');
     if (typeLabel && planet) {
-      const ringText = planet.hasRings ? ' / Ringed' : '';
-      typeLabel.textContent = `${planet.type.name}${ringText}`;
+      const type = copy(`type.${planet.type.name}`);
+      typeLabel.textContent = planet.hasRings ? copy('ringed', { type }) : type;
     }
   }
 
@@ -916,6 +863,17 @@ const PlanetSection = (() => {
     fadeOut();
   }
 
+  // Switch without the fade (first planet, restored links)
+  function showPlanet(seed) {
+    currentSeed = seed;
+    const seedInput = container.querySelector('#seed-input');
+    if (seedInput) seedInput.value = currentSeed;
+    planet = generatePlanet(currentSeed);
+    renderSurfaceTexture(planet);
+    cachedTexData = null;
+    updateUI();
+  }
+
   // --- Animation loop ---------------------------------------------------------
 
   function animate(timestamp) {
@@ -941,15 +899,10 @@ const PlanetSection = (() => {
 
       this.resize();
       createUI();
+      offLanguage = Procedural.on('language', updateUI);
 
       // Generate first planet
-      currentSeed = Math.floor(Math.random() * 999999) + 1;
-      const seedInput = document.getElementById('seed-input');
-      if (seedInput) seedInput.value = currentSeed;
-      planet = generatePlanet(currentSeed);
-      renderSurfaceTexture(planet);
-      cachedTexData = null;
-      updateUI();
+      showPlanet(Math.floor(Math.random() * 999999) + 1);
     },
 
     start() {
@@ -967,6 +920,19 @@ const PlanetSection = (() => {
       }
     },
 
+    // Lazily rebuilt buffers go too; they are the bulk of the memory
+    destroy() {
+      this.stop();
+      if (!container) return;
+      if (offLanguage) offLanguage();
+      container.textContent = '';
+      container = canvas = ctx = uiOverlay = offLanguage = null;
+      texCanvas = texCtx = sphereBufCanvas = sphereBufCtx = null;
+      planet = surfaceImageData = cachedTexData = null;
+      transitioning = false;
+      pendingSeed = null;
+    },
+
     resize() {
       if (!canvas || !container) return;
       const rect = container.getBoundingClientRect();
@@ -975,9 +941,31 @@ const PlanetSection = (() => {
       canvas.width = rect.width;
       canvas.height = rect.height;
     },
+
+    schema: SCHEMA,
+
+    getState() {
+      // A planet mid-fade is already the one the user asked for
+      return Procedural.params.pick(SCHEMA, { seed: pendingSeed || currentSeed });
+    },
+
+    setState(state) {
+      const seed = Procedural.params.validate(SCHEMA, state).seed;
+      if (!(seed > 0) || !container) return;
+      if (transitioning) pendingSeed = seed;
+      else if (seed !== currentSeed) showPlanet(seed);
+    },
+
+    // Quality tier 0-3: caps the per-pixel sphere buffer; the planet is
+    // scaled up from it, so lower tiers read as softer, not smaller
+    setQuality(level) {
+      quality = Math.max(0, Math.min(QUALITY_DIAMETER.length - 1, level | 0));
+    },
   };
 })();
 
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = PlanetSection;
 }
+
+if (typeof Procedural !== 'undefined') Procedural.registerSection({ id: 'planets-section', module: PlanetSection });
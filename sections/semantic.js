@@ -27,10 +27,44 @@ const SemanticSection = {
     age: 0.2,
     style: 0.4,
   },
+  // Labels live in _copy as <key>.label / .left / .right
+  _sliderDefs: [
+    { key: 'mood', color: '#ff6eb4' },
+    { key: 'energy', color: '#6effb4' },
+    { key: 'age', color: '#ffb86e' },
+    { key: 'style', color: '#6ec3ff' },
+  ],
   _activeSlider: null,
   _sliderRects: [],
   _sliderHovered: null,
 
+  // ---- Keyboard / screen-reader stand-ins (core/a11y.js) ----
+  _a11y: null,
+  _sliderControls: {},
+
+  // ---- Copy (core/i18n.js); handle labels are added in _initHandles ----
+  _copy: Procedural.i18n.namespace('semantic-section', {
+    direct: 'Direct Manipulation',
+    semantic: 'Semantic Manipulation',
+    vs: 'VS',
+    quoteLine: '"The future of interactive systems',
+    directQuote: 'and the emergence of Direct Manipulation."',
+    semanticQuote: 'and the emergence of Semantic Manipulation."',
+    directCredit: '-- Ben Shneiderman, 1982',
+    semanticCredit: '-- 2019',
+    conductor: 'We are the conductor.',
+    controlPoints: { one: '{count} control point', other: '{count} control points' },
+    dimensions: { one: '{count} semantic dimension', other: '{count} semantic dimensions' },
+    dragHint: 'Drag any handle to reshape',
+    sliderHint: 'Move the sliders below',
+    controls: 'Semantic controls',
+    range: '{value} ({lo} to {hi})',
+    'mood.label': 'Mood', 'mood.left': 'Sad', 'mood.right': 'Happy',
+    'energy.label': 'Energy', 'energy.left': 'Calm', 'energy.right': 'Excited',
+    'age.label': 'Age', 'age.left': 'Young', 'age.right': 'Old',
+    'style.label': 'Style', 'style.left': 'Minimal', 'style.right': 'Detailed',
+  }),
+
   // ---- Connection lines animation ----
   _connectionAlpha: 0,
   _connectionTarget: 0.6,
@@ -87,6 +121,20 @@ const SemanticSection = {
 
     this._boundDraw = this._draw.bind(this);
 
+    const copy = this._copy;
+    this._a11y = Procedural.a11y.createLayer(container, { label: copy('controls') });
+    copy.attr(this._a11y.el, 'aria-label', 'controls');
+    this._sliderDefs.forEach((sd, i) => {
+      this._sliderControls[sd.key] = this._a11y.slider({
+        label: copy(`${sd.key}.label`),
+        get: () => this._sliders[sd.key],
+        set: (v) => { this._sliders[sd.key] = v; },
+        format: (v) => copy('range', { value: v.toFixed(2), lo: copy(`${sd.key}.left`), hi: copy(`${sd.key}.right`) }),
+        onFocus: (focused) => { this._sliderHovered = focused ? i : null; },
+      });
+      copy.attr(this._sliderControls[sd.key].el, 'aria-label', `${sd.key}.label`);
+    });
+
     this.resize();
     this._initHandles();
   },
@@ -127,6 +175,7 @@ const SemanticSection = {
       { id: 'cheek_l', rx: -0.52, ry: 0.22, label: 'Left Cheek', color: '#ffb86e' },
       { id: 'cheek_r', rx: 0.52, ry: 0.22, label: 'Right Cheek', color: '#ffb86e' },
     ];
+    this._copy.add(Object.fromEntries(this._handles.map(h => [`handle.${h.id}`, h.label])));
   },
 
   // ================================================================
@@ -519,7 +568,7 @@ const SemanticSection = {
         ctx.font = `${Math.max(10, r * 0.08)}px "SF Mono", "Fira Code", monospace`;
         ctx.fillStyle = 'rgba(255,255,255,0.8)';
         ctx.textAlign = 'center';
-        ctx.fillText(h.label, hx, hy - handleR * 2);
+        ctx.fillText(this._copy(`handle.${h.id}`), hx, hy - handleR * 2);
       }
     }
   },
@@ -528,12 +577,7 @@ const SemanticSection = {
   //  DRAW SEMANTIC SLIDERS
   // ================================================================
   _drawSliders(ctx, cx, cy, r) {
-    const sliderDefs = [
-      { key: 'mood', label: 'Mood', left: 'Sad', right: 'Happy', color: '#ff6eb4' },
-      { key: 'energy', label: 'Energy', left: 'Calm', right: 'Excited', color: '#6effb4' },
-      { key: 'age', label: 'Age', left: 'Young', right: 'Old', color: '#ffb86e' },
-      { key: 'style', label: 'Style', left: 'Minimal', right: 'Detailed', color: '#6ec3ff' },
-    ];
+    const sliderDefs = this._sliderDefs;
 
     const sliderW = Math.min(r * 1.6, 280);
     const sliderH = Math.max(8, r * 0.06);
@@ -559,21 +603,22 @@ const SemanticSection = {
         trackY: sy,
         trackH: sliderH,
       });
+      this._sliderControls[sd.key].place(startX, sy - sliderH * 2, sliderW, sliderH * 4 + 10);
 
       // Label
       const fontSize = Math.max(11, r * 0.09);
       ctx.font = `600 ${fontSize}px -apple-system, "Segoe UI", sans-serif`;
       ctx.fillStyle = isActive ? sd.color : 'rgba(255,255,255,0.75)';
       ctx.textAlign = 'left';
-      ctx.fillText(sd.label, startX, sy - sliderH * 1.5);
+      ctx.fillText(this._copy(`${sd.key}.label`), startX, sy - sliderH * 1.5);
 
       // Range labels
       ctx.font = `${fontSize * 0.8}px -apple-system, "Segoe UI", sans-serif`;
       ctx.fillStyle = 'rgba(255,255,255,0.55)';
       ctx.textAlign = 'left';
-      ctx.fillText(sd.left, startX, sy + sliderH * 2.8);
+      ctx.fillText(this._copy(`${sd.key}.left`), startX, sy + sliderH * 2.8);
       ctx.textAlign = 'right';
-      ctx.fillText(sd.right, startX + sliderW, sy + sliderH * 2.8);
+      ctx.fillText(this._copy(`${sd.key}.right`), startX + sliderW, sy + sliderH * 2.8);
 
       // Track background
       ctx.fillStyle = 'rgba(255,255,255,0.08)';
@@ -697,6 +742,7 @@ const SemanticSection = {
   //  DRAW LABELS & QUOTES
   // ================================================================
   _drawLabels(ctx, t) {
+    const copy = this._copy;
     const w = this._width / this._dpr;
     const h = this._height / this._dpr;
     const leftX = w * 0.25;
@@ -723,7 +769,7 @@ const SemanticSection = {
     ctx.fillStyle = 'rgba(255,255,255,0.55)';
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
-    ctx.fillText('VS', dividerX, vsY);
+    ctx.fillText(copy('vs'), dividerX, vsY);
 
     // Section titles
     const titleSize = Math.max(14, Math.min(22, w * 0.018));
@@ -732,10 +778,10 @@ const SemanticSection = {
     ctx.fillStyle = 'rgba(110, 127, 255, 0.9)';
     ctx.textAlign = 'center';
     ctx.textBaseline = 'top';
-    ctx.fillText('Direct Manipulation', leftX, h * 0.03);
+    ctx.fillText(copy('direct'), leftX, h * 0.03);
 
     ctx.fillStyle = 'rgba(255, 110, 180, 0.9)';
-    ctx.fillText('Semantic Manipulation', rightX, h * 0.03);
+    ctx.fillText(copy('semantic'), rightX, h * 0.03);
 
     // Year badges
     const badgeSize = Math.max(11, titleSize * 0.65);
@@ -753,20 +799,20 @@ const SemanticSection = {
 
     ctx.fillStyle = `rgba(110, 127, 255, ${quoteAlpha})`;
     ctx.textAlign = 'center';
-    ctx.fillText('"The future of interactive systems', leftX, h - quoteSize * 2.5);
-    ctx.fillText('and the emergence of Direct Manipulation."', leftX, h - quoteSize * 1.2);
+    ctx.fillText(copy('quoteLine'), leftX, h - quoteSize * 2.5);
+    ctx.fillText(copy('directQuote'), leftX, h - quoteSize * 1.2);
     ctx.font = `${quoteSize * 0.9}px "SF Mono", "Fira Code", monospace`;
     ctx.fillStyle = `rgba(110, 127, 255, ${quoteAlpha * 0.8})`;
-    ctx.fillText('-- Ben Shneiderman, 1982', leftX, h - 2);
+    ctx.fillText(copy('directCredit'), leftX, h - 2);
 
     ctx.font = `italic ${quoteSize}px Georgia, "Times New Roman", serif`;
     ctx.fillStyle = `rgba(255, 110, 180, ${quoteAlpha})`;
     ctx.textAlign = 'center';
-    ctx.fillText('"The future of interactive systems', rightX, h - quoteSize * 2.5);
-    ctx.fillText('and the emergence of Semantic Manipulation."', rightX, h - quoteSize * 1.2);
+    ctx.fillText(copy('quoteLine'), rightX, h - quoteSize * 2.5);
+    ctx.fillText(copy('semanticQuote'), rightX, h - quoteSize * 1.2);
     ctx.font = `${quoteSize * 0.9}px "SF Mono", "Fira Code", monospace`;
     ctx.fillStyle = `rgba(255, 110, 180, ${quoteAlpha * 0.8})`;
-    ctx.fillText('-- 2019', rightX, h - 2);
+    ctx.fillText(copy('semanticCredit'), rightX, h - 2);
 
     // "We are the conductor" — center bottom
     const conductorAlpha = 0.5 + Math.sin(t * 0.7 + 1) * 0.1;
@@ -775,7 +821,7 @@ const SemanticSection = {
     ctx.fillStyle = `rgba(255, 255, 255, ${conductorAlpha})`;
     ctx.textAlign = 'center';
     ctx.textBaseline = 'bottom';
-    ctx.fillText('We are the conductor.', dividerX, h - condSize * 3);
+    ctx.fillText(copy('conductor'), dividerX, h - condSize * 3);
 
     // Handle count comparison
     const countSize = Math.max(9, Math.min(11, w * 0.009));
@@ -784,11 +830,11 @@ const SemanticSection = {
 
     ctx.fillStyle = 'rgba(110, 127, 255, 0.6)';
     ctx.textAlign = 'center';
-    ctx.fillText(`${this._handles.length} control points`, leftX, h * 0.03 + titleSize * 2.6);
+    ctx.fillText(copy('controlPoints', { count: this._handles.length }), leftX, h * 0.03 + titleSize * 2.6);
 
     ctx.fillStyle = 'rgba(255, 110, 180, 0.6)';
     ctx.textAlign = 'center';
-    ctx.fillText('4 semantic dimensions', rightX, h * 0.03 + titleSize * 2.6);
+    ctx.fillText(copy('dimensions', { count: this._sliderDefs.length }), rightX, h * 0.03 + titleSize * 2.6);
   },
 
   // ================================================================
@@ -800,8 +846,8 @@ const SemanticSection = {
     ctx.textAlign = 'center';
     ctx.textBaseline = 'top';
     ctx.fillStyle = 'rgba(255,255,255,0.5)';
-    ctx.fillText('Drag any handle to reshape', leftX, faceY - r * 1.28);
-    ctx.fillText('Move the sliders below', rightX, faceY - r * 1.28);
+    ctx.fillText(this._copy('dragHint'), leftX, faceY - r * 1.28);
+    ctx.fillText(this._copy('sliderHint'), rightX, faceY - r * 1.28);
   },
 
   // ================================================================
@@ -875,6 +921,7 @@ const SemanticSection = {
     this._drawConnections(ctx, rightX, faceY, fr, semanticParams, t);
 
     ctx.restore();
+    this._a11y.sync();
   },
 
   // ================================================================
@@ -997,6 +1044,12 @@ const SemanticSection = {
   },
 
   _onMouseUp() {
+    // Both sides share one canvas, so tell the recorder which one was used
+    if (Procedural.analytics && this._dragging !== null) {
+      Procedural.analytics.mark('semantic-section', 'direct', { handle: this._handles[this._dragging].id });
+    } else if (Procedural.analytics && this._activeSlider) {
+      Procedural.analytics.mark('semantic-section', 'semantic', { dimension: this._activeSlider });
+    }
     this._dragging = null;
     this._activeSlider = null;
     this._mouseDown = false;
@@ -1023,6 +1076,34 @@ const SemanticSection = {
     this._onMouseUp();
   },
 
+  // ================================================================
+  //  SHAREABLE STATE
+  // ================================================================
+  getState() {
+    const handles = {};
+    for (const h of this._handles) {
+      handles[h.id] = [+h.rx.toFixed(3), +h.ry.toFixed(3)];
+    }
+    return { ...this._sliders, handles };
+  },
+
+  setState(state) {
+    if (!state) return;
+    for (const key of Object.keys(this._sliders)) {
+      if (Number.isFinite(state[key])) this._sliders[key] = Math.max(0, Math.min(1, state[key]));
+    }
+    if (this._a11y) this._a11y.sync();
+    if (state.handles && typeof state.handles === 'object') {
+      for (const h of this._handles) {
+        const pos = state.handles[h.id];
+        if (!Array.isArray(pos) || !Number.isFinite(pos[0]) || !Number.isFinite(pos[1])) continue;
+        // Same bounds as dragging
+        h.rx = Math.max(-1.3, Math.min(1.3, pos[0]));
+        h.ry = Math.max(-1.3, Math.min(1.3, pos[1]));
+      }
+    }
+  },
+
   // ================================================================
   //  LIFECYCLE
   // ================================================================
@@ -1057,6 +1138,10 @@ const SemanticSection = {
     this._canvas.removeEventListener('touchstart', this._boundTouchStart);
     this._canvas.removeEventListener('touchmove', this._boundTouchMove);
     window.removeEventListener('touchend', this._boundTouchEnd);
+    if (this._a11y) {
+      this._a11y.destroy();
+      this._a11y = null;
+    }
     if (this._canvas.parentNode) {
       this._canvas.parentNode.removeChild(this._canvas);
     }
@@ -1069,3 +1154,5 @@ if (typeof module !== 'undefined' && module.exports) {
 } else if (typeof window !== 'undefined') {
   window.SemanticSection = SemanticSection;
 }
+
+if (typeof Procedural !== 'undefined') Procedural.registerSection({ id: 'semantic-section', module: SemanticSection });
@@ -8,6 +8,7 @@ const SemanticAnimationSection = (() => {
   let container, canvas, ctx;
   let running = false, animFrameId = null;
   let width = 0, height = 0, dpr = 1;
+  let quality = Procedural.quality.MAX_LEVEL;   // setQuality tier
   let time = 0;
   let sliderEls = [];       // DOM slider elements (right side)
   let sliderContainer = null;
@@ -105,6 +106,29 @@ const SemanticAnimationSection = (() => {
     { key: 'style',  label: 'Style',  left: 'Subtle', right: 'Exaggerated', color: '#6ec3ff' },
   ];
 
+  // ================================================================
+  //  COPY (core/i18n.js)
+  // ================================================================
+  const copy = Procedural.i18n.namespace('semantic-animation-section', {
+    overline: 'SEMANTIC ANIMATION',
+    title: 'Semantic Animation',
+    subtitle: 'How Disney & Pixar think about motion -- meaning, not math.',
+    vs: 'VS',
+    direct: 'Direct Control (12 joints)',
+    directHint: 'Drag each joint individually',
+    semantic: 'Semantic Control (4 dimensions)',
+    semanticHint: 'Move any slider to change the walk',
+    poseHint: 'Drag any joint to pose the figure',
+    moved: '{moved}/12 joints moved -- see how tedious this is?',
+    tedious: 'Tedious, right? Now look at the right side.',
+    oneSlider: 'One slider changes all 12 joints at once',
+    ...Object.fromEntries(SLIDER_DEFS.flatMap(def => [
+      [`${def.key}.label`, def.label],
+      [`${def.key}.left`, def.left],
+      [`${def.key}.right`, def.right],
+    ])),
+  });
+
   // ================================================================
   //  LAYOUT HELPERS
   // ================================================================
@@ -499,8 +523,11 @@ const SemanticAnimationSection = (() => {
   // ================================================================
   //  DRAW HEADER
   // ================================================================
+  // The column labels sit at a fixed height below, so a longer translation
+  // shrinks to fit one line rather than wrapping
   function drawHeader(w) {
     const headerY = 22;
+    const maxWidth = w - 48;
 
     // Overline
     ctx.save();
@@ -508,20 +535,23 @@ const SemanticAnimationSection = (() => {
     ctx.fillStyle = 'rgba(100, 140, 255, 0.55)';
     ctx.textAlign = 'center';
     ctx.textBaseline = 'top';
-    ctx.fillText('SEMANTIC ANIMATION', w / 2, headerY);
+    ctx.fillText(copy('overline'), w / 2, headerY);
 
     // Title
-    ctx.font = '700 26px "Inter", -apple-system, sans-serif';
+    const title = Procedural.i18n.fitText(ctx, copy('title'), maxWidth, {
+      size: 26, minSize: 18,
+      font: size => `700 ${size}px "Inter", -apple-system, sans-serif`,
+    });
     ctx.fillStyle = 'rgba(255, 255, 255, 0.92)';
-    ctx.fillText('Semantic Animation', w / 2, headerY + 20);
+    ctx.fillText(title.lines[0], w / 2, headerY + 20);
 
     // Subtitle
-    ctx.font = '400 13px "Inter", -apple-system, sans-serif';
+    const subtitle = Procedural.i18n.fitText(ctx, copy('subtitle'), maxWidth, {
+      size: 13, minSize: 10,
+      font: size => `400 ${size}px "Inter", -apple-system, sans-serif`,
+    });
     ctx.fillStyle = 'rgba(255, 255, 255, 0.55)';
-    ctx.fillText(
-      'How Disney & Pixar think about motion -- meaning, not math.',
-      w / 2, headerY + 52
-    );
+    ctx.fillText(subtitle.lines[0], w / 2, headerY + 52);
     ctx.restore();
   }
 
@@ -556,7 +586,7 @@ const SemanticAnimationSection = (() => {
     ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
-    ctx.fillText('VS', divX, badgeY);
+    ctx.fillText(copy('vs'), divX, badgeY);
 
     ctx.restore();
   }
@@ -573,20 +603,20 @@ const SemanticAnimationSection = (() => {
     ctx.textAlign = 'center';
     ctx.textBaseline = 'top';
     ctx.fillStyle = 'rgba(80, 140, 255, 0.85)';
-    ctx.fillText('Direct Control (12 joints)', lay.leftCX, labelY);
+    ctx.fillText(copy('direct'), lay.leftCX, labelY);
 
     ctx.font = '400 11px "Inter", -apple-system, sans-serif';
     ctx.fillStyle = 'rgba(255, 255, 255, 0.55)';
-    ctx.fillText('Drag each joint individually', lay.leftCX, labelY + 20);
+    ctx.fillText(copy('directHint'), lay.leftCX, labelY + 20);
 
     // Right column: Semantic Control
     ctx.font = '600 14px "Inter", -apple-system, sans-serif';
     ctx.fillStyle = 'rgba(255, 100, 180, 0.85)';
-    ctx.fillText('Semantic Control (4 dimensions)', lay.rightCX, labelY);
+    ctx.fillText(copy('semantic'), lay.rightCX, labelY);
 
     ctx.font = '400 11px "Inter", -apple-system, sans-serif';
     ctx.fillStyle = 'rgba(255, 255, 255, 0.55)';
-    ctx.fillText('Move any slider to change the walk', lay.rightCX, labelY + 20);
+    ctx.fillText(copy('semanticHint'), lay.rightCX, labelY + 20);
 
     ctx.restore();
   }
@@ -603,7 +633,7 @@ const SemanticAnimationSection = (() => {
     // Left hint
     if (leftDragCount === 0) {
       ctx.fillStyle = 'rgba(80, 140, 255, 0.55)';
-      ctx.fillText('Drag any joint to pose the figure', lay.leftCX, lay.figureCY - 110);
+      ctx.fillText(copy('poseHint'), lay.leftCX, lay.figureCY - 110);
       // Draw animated arrow pointing at a joint
       const arrowPhase = Math.sin(time * 3) * 4;
       const targetJ = leftCanvasJoints ? leftCanvasJoints[J.R_HAND] : null;
@@ -621,13 +651,13 @@ const SemanticAnimationSection = (() => {
       const alpha = 0.4 + Math.sin(time * 2) * 0.1;
       ctx.fillStyle = `rgba(80, 140, 255, ${alpha})`;
       ctx.fillText(
-        `${leftDragCount}/12 joints moved -- see how tedious this is?`,
+        copy('moved', { moved: leftDragCount }),
         lay.leftCX, lay.figureCY - 110
       );
     } else {
       ctx.fillStyle = 'rgba(80, 140, 255, 0.4)';
       ctx.fillText(
-        'Tedious, right? Now look at the right side.',
+        copy('tedious'),
         lay.leftCX, lay.figureCY - 110
       );
     }
@@ -665,7 +695,7 @@ const SemanticAnimationSection = (() => {
         margin-bottom: 4px;
       `;
       const lbl = document.createElement('span');
-      lbl.textContent = def.label;
+      copy.text(lbl, `${def.key}.label`);
       lbl.style.cssText = `
         font: 600 12px "Inter", -apple-system, sans-serif;
         color: ${def.color};
@@ -690,13 +720,13 @@ const SemanticAnimationSection = (() => {
         margin-bottom: 2px;
       `;
       const rl = document.createElement('span');
-      rl.textContent = def.left;
+      copy.text(rl, `${def.key}.left`);
       rl.style.cssText = `
         font: 400 9px "Inter", sans-serif;
         color: rgba(255,255,255,0.4);
       `;
       const rr = document.createElement('span');
-      rr.textContent = def.right;
+      copy.text(rr, `${def.key}.right`);
       rr.style.cssText = `
         font: 400 9px "Inter", sans-serif;
         color: rgba(255,255,255,0.4);
@@ -893,7 +923,7 @@ const SemanticAnimationSection = (() => {
     ctx.textAlign = 'center';
     ctx.textBaseline = 'bottom';
     ctx.fillStyle = 'rgba(255, 100, 180, 0.45)';
-    ctx.fillText('One slider changes all 12 joints at once', rightCX, figureCY - 110);
+    ctx.fillText(copy('oneSlider'), rightCX, figureCY - 110);
     ctx.restore();
 
     ctx.restore();
@@ -967,7 +997,7 @@ const SemanticAnimationSection = (() => {
     resize() {
       if (!container) return;
       const rect = container.getBoundingClientRect();
-      dpr = window.devicePixelRatio || 1;
+      dpr = Procedural.quality.dprFor(quality);
       width = rect.width * dpr;
       height = rect.height * dpr;
       canvas.width = width;
@@ -975,6 +1005,28 @@ const SemanticAnimationSection = (() => {
       positionSliders();
     },
 
+    getState() {
+      // Puppet pose as a flat [x0, y0, x1, y1, ...] list in local coords
+      const pose = [];
+      for (const j of leftJoints) pose.push(Math.round(j.x), Math.round(j.y));
+      return { ...semanticSliders, pose };
+    },
+
+    setState(state) {
+      if (!state || !leftJoints) return;
+      for (const slider of sliderEls) {
+        const v = state[slider.dataset.key];
+        if (!Number.isFinite(v)) continue;
+        slider.value = String(v);
+        slider.dispatchEvent(new Event('input'));
+      }
+      const pose = state.pose;
+      if (Array.isArray(pose) && pose.length === JOINT_COUNT * 2 && pose.every(Number.isFinite)) {
+        leftJoints = [];
+        for (let i = 0; i < JOINT_COUNT; i++) leftJoints.push({ x: pose[i * 2], y: pose[i * 2 + 1] });
+      }
+    },
+
     destroy() {
       this.stop();
       if (canvas) {
@@ -995,7 +1047,17 @@ const SemanticAnimationSection = (() => {
       sliderContainer = null;
       sliderEls = [];
     },
+
+    // Quality tier 0-3: the DPR cap from Procedural.quality.dprFor()
+    setQuality(level) {
+      const next = Math.max(0, Math.min(Procedural.quality.MAX_LEVEL, level | 0));
+      if (next === quality) return;
+      quality = next;
+      this.resize();
+    },
   };
 })();
 
 if (typeof module !== 'undefined' && module.exports) module.exports = SemanticAnimationSection;
+
+if (typeof Procedural !== 'undefined') Procedural.registerSection({ id: 'semantic-animation-section', module: SemanticAnimationSection });
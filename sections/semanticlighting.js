@@ -9,6 +9,7 @@ const SemanticLightingSection = (() => {
   let container, canvas, ctx;
   let running = false, animFrameId = null;
   let dpr = 1, W = 0, H = 0;
+  let quality = Procedural.quality.MAX_LEVEL;   // setQuality tier
   let time = 0; // animation time
 
   // ---- Semantic Controls ----
@@ -24,6 +25,7 @@ const SemanticLightingSection = (() => {
   // ---- Lightning flash ----
   let lightningTimer = 0;
   let lightningFlash = 0;
+  let reducedMotion = false;  // no flashes under prefers-reduced-motion
 
   // ---- Rain drops (for stormy weather) ----
   const raindrops = [];
@@ -33,20 +35,43 @@ const SemanticLightingSection = (() => {
   let timeSlider = null, dramaSlider = null;
   let timeLabel = null, dramaLabel = null;
   let weatherBtns = {}, seasonBtns = {};
+  let offLanguage = null;
+
+  // ---- Copy (core/i18n.js) ----
+  const WEATHERS = ['Clear', 'Cloudy', 'Stormy'];
+  const SEASONS = ['Spring', 'Summer', 'Fall', 'Winter'];
+  const DIRECT_VALUES = { sunX: 'Sun X', sunY: 'Sun Y', shadowAngle: 'Shadow Angle', ambient: 'Ambient Level' };
+
+  // ---- Parameter schema (core/params.js) ----
+  // State, presets and randomize go through it; the sliders and button rows
+  // stay this section's own, since the controls are the demo
+  const SCHEMA = Procedural.params.define({
+    time: { type: 'range', label: 'Time of Day', min: 0, max: 24, step: 0.1, default: 10 },
+    weather: { type: 'enum', label: 'Weather', options: WEATHERS, default: 'Clear' },
+    drama: { type: 'range', label: 'Drama', min: 0, max: 1, step: 0.01, default: 0.3 },
+    season: { type: 'enum', label: 'Season', options: SEASONS, default: 'Summer' },
+  });
+  const copy = Procedural.i18n.namespace('semantic-lighting-section', {
+    overline: 'Semantic Lighting',
+    title: 'Teaching Machines About Lights & Shadows',
+    description: 'Describe intent, not coordinates. Adjust time, weather, drama, and season — the system computes sun position, shadow angles, sky gradients, and atmospheric effects. Inspired by Autodesk Flame and Promethean AI.',
+    timeOfDay: 'Time of Day',
+    weather: 'Weather',
+    drama: 'Drama',
+    season: 'Season',
+    showDirect: 'Show Direct Controls',
+    hideDirect: 'Hide Direct Controls',
+    ...Object.fromEntries(WEATHERS.map(w => [`weather.${w}`, w])),
+    ...Object.fromEntries(SEASONS.map(s => [`season.${s}`, s])),
+    ...Object.fromEntries(Object.keys(DIRECT_VALUES).map(k => [`direct.${k}`, DIRECT_VALUES[k]])),
+  });
 
   // ---- Helpers ----
   function lerp(a, b, t) { return a + (b - a) * Math.max(0, Math.min(1, t)); }
   function clamp(v, lo, hi) { return Math.max(lo, Math.min(hi, v)); }
 
-  function hexToRgb(hex) {
-    const v = parseInt(hex.slice(1), 16);
-    return [(v >> 16) & 255, (v >> 8) & 255, v & 255];
-  }
-
-  function rgbStr(r, g, b, a) {
-    if (a !== undefined) return `rgba(${Math.round(r)},${Math.round(g)},${Math.round(b)},${a})`;
-    return `rgb(${Math.round(r)},${Math.round(g)},${Math.round(b)})`;
-  }
+  const hexToRgb = ProceduralCore.hexToRgb;
+  const rgbStr = ProceduralCore.rgbToCss;
 
   function lerpColor(c1, c2, t) {
     return [lerp(c1[0], c2[0], t), lerp(c1[1], c2[1], t), lerp(c1[2], c2[2], t)];
@@ -182,19 +207,19 @@ const SemanticLightingSection = (() => {
       fontSize: '11px', letterSpacing: '3px', textTransform: 'uppercase',
       color: 'rgba(100,140,255,0.8)', marginBottom: '12px',
     }, header);
-    overline.textContent = 'Semantic Lighting';
+    copy.text(overline, 'overline');
 
     const h2 = el('h2', {
       fontSize: '32px', fontWeight: '700', lineHeight: '1.2',
       margin: '0 0 12px', color: '#ffffff',
     }, header);
-    h2.textContent = 'Teaching Machines About Lights & Shadows';
+    copy.text(h2, 'title');
 
     const desc = el('p', {
       fontSize: '15px', lineHeight: '1.6', color: 'rgba(255,255,255,0.55)',
       maxWidth: '640px', margin: '0 auto 0',
     }, header);
-    desc.textContent = 'Describe intent, not coordinates. Adjust time, weather, drama, and season — the system computes sun position, shadow angles, sky gradients, and atmospheric effects. Inspired by Autodesk Flame and Promethean AI.';
+    copy.text(desc, 'description');
 
     // Controls panel
     const controls = el('div', {
@@ -204,7 +229,7 @@ const SemanticLightingSection = (() => {
     }, container);
 
     // -- Time of Day slider --
-    const timeGroup = buildControlGroup(controls, 'Time of Day');
+    const timeGroup = buildControlGroup(controls, 'timeOfDay');
     const timeRow = el('div', { display: 'flex', alignItems: 'center', gap: '10px' }, timeGroup);
     timeSlider = buildSlider(timeRow, 0, 24, timeOfDay, 0.1, (v) => {
       timeOfDay = parseFloat(v);
@@ -216,17 +241,17 @@ const SemanticLightingSection = (() => {
     }, timeRow);
 
     // -- Weather buttons --
-    const weatherGroup = buildControlGroup(controls, 'Weather');
+    const weatherGroup = buildControlGroup(controls, 'weather');
     const weatherRow = el('div', { display: 'flex', gap: '6px' }, weatherGroup);
-    ['Clear', 'Cloudy', 'Stormy'].forEach(w => {
-      weatherBtns[w] = buildToggleBtn(weatherRow, w, weather === w, () => {
+    WEATHERS.forEach(w => {
+      weatherBtns[w] = buildToggleBtn(weatherRow, `weather.${w}`, weather === w, () => {
         weather = w;
         updateButtonStates();
       });
     });
 
     // -- Drama slider --
-    const dramaGroup = buildControlGroup(controls, 'Drama');
+    const dramaGroup = buildControlGroup(controls, 'drama');
     const dramaRow = el('div', { display: 'flex', alignItems: 'center', gap: '10px' }, dramaGroup);
     dramaSlider = buildSlider(dramaRow, 0, 1, drama, 0.01, (v) => {
       drama = parseFloat(v);
@@ -238,10 +263,10 @@ const SemanticLightingSection = (() => {
     }, dramaRow);
 
     // -- Season buttons --
-    const seasonGroup = buildControlGroup(controls, 'Season');
+    const seasonGroup = buildControlGroup(controls, 'season');
     const seasonRow = el('div', { display: 'flex', gap: '6px' }, seasonGroup);
-    ['Spring', 'Summer', 'Fall', 'Winter'].forEach(s => {
-      seasonBtns[s] = buildToggleBtn(seasonRow, s, season === s, () => {
+    SEASONS.forEach(s => {
+      seasonBtns[s] = buildToggleBtn(seasonRow, `season.${s}`, season === s, () => {
         season = s;
         updateButtonStates();
       });
@@ -257,10 +282,10 @@ const SemanticLightingSection = (() => {
       color: 'rgba(100,140,255,0.8)', cursor: 'pointer', fontSize: '11px',
       fontFamily: "'JetBrains Mono', monospace", transition: 'all 0.2s',
     }, directGroup);
-    directToggle.textContent = 'Show Direct Controls';
+    copy.text(directToggle, 'showDirect');
     directToggle.addEventListener('click', () => {
       showDirect = !showDirect;
-      directToggle.textContent = showDirect ? 'Hide Direct Controls' : 'Show Direct Controls';
+      copy.text(directToggle, showDirect ? 'hideDirect' : 'showDirect');
       directToggle.style.background = showDirect ? 'rgba(100,140,255,0.12)' : 'transparent';
       directPanel.style.display = showDirect ? 'flex' : 'none';
     });
@@ -274,13 +299,14 @@ const SemanticLightingSection = (() => {
       borderRadius: '8px', border: '1px solid rgba(100,140,255,0.1)',
     }, container);
     directPanel._values = {};
-    ['Sun X', 'Sun Y', 'Shadow Angle', 'Ambient Level'].forEach(k => {
+    Object.keys(DIRECT_VALUES).forEach(k => {
       const item = el('div', {
         fontFamily: "'JetBrains Mono', monospace", fontSize: '11px',
         color: 'rgba(255,255,255,0.55)', display: 'flex', gap: '6px', alignItems: 'center',
       }, directPanel);
-      const lbl = document.createTextNode(k + ': ');
-      item.appendChild(lbl);
+      const lbl = el('span', null, item);
+      copy.text(el('span', null, lbl), `direct.${k}`);
+      lbl.appendChild(document.createTextNode(':'));
       const val = el('span', { color: 'rgba(100,140,255,0.9)' }, item);
       directPanel._values[k] = val;
     });
@@ -300,14 +326,14 @@ const SemanticLightingSection = (() => {
     updateButtonStates();
   }
 
-  function buildControlGroup(parent, label) {
+  function buildControlGroup(parent, key) {
     const group = el('div', { display: 'flex', flexDirection: 'column', gap: '4px' }, parent);
     const lbl = el('div', {
       fontFamily: "'JetBrains Mono', monospace", fontSize: '10px',
       letterSpacing: '2px', textTransform: 'uppercase',
       color: 'rgba(255,255,255,0.55)',
     }, group);
-    lbl.textContent = label;
+    copy.text(lbl, key);
     return group;
   }
 
@@ -321,7 +347,7 @@ const SemanticLightingSection = (() => {
     return slider;
   }
 
-  function buildToggleBtn(parent, label, active, onClick) {
+  function buildToggleBtn(parent, key, active, onClick) {
     const btn = el('button', {
       padding: '5px 12px', border: '1px solid rgba(255,255,255,0.12)',
       borderRadius: '5px',
@@ -330,7 +356,7 @@ const SemanticLightingSection = (() => {
       cursor: 'pointer', fontSize: '12px',
       fontFamily: "'Inter', sans-serif", transition: 'all 0.2s',
     }, parent);
-    btn.textContent = label;
+    copy.text(btn, key);
     btn.addEventListener('click', onClick);
     return btn;
   }
@@ -353,9 +379,8 @@ const SemanticLightingSection = (() => {
   function updateLabels() {
     const h = Math.floor(timeOfDay);
     const m = Math.round((timeOfDay - h) * 60);
-    const ampm = h >= 12 ? 'PM' : 'AM';
-    const h12 = h === 0 ? 12 : h > 12 ? h - 12 : h;
-    timeLabel.textContent = `${h12}:${String(m).padStart(2, '0')} ${ampm}`;
+    const clock = new Intl.DateTimeFormat(Procedural.i18n.language(), { hour: 'numeric', minute: '2-digit' });
+    timeLabel.textContent = clock.format(new Date(2000, 0, 1, h, m));
     dramaLabel.textContent = drama.toFixed(2);
   }
 
@@ -363,7 +388,7 @@ const SemanticLightingSection = (() => {
   //  SIZING
   // ==========================================================================
   function sizeCanvas() {
-    dpr = Math.min(window.devicePixelRatio || 1, 2);
+    dpr = Procedural.quality.dprFor(quality);
     const parent = canvas.parentElement;
     const w = parent.clientWidth || 800;
     const h = Math.round(w * 0.5);
@@ -394,10 +419,10 @@ const SemanticLightingSection = (() => {
 
     // Update direct controls panel
     if (showDirect && directPanel._values) {
-      directPanel._values['Sun X'].textContent = Math.round(sun.x);
-      directPanel._values['Sun Y'].textContent = Math.round(sun.y);
-      directPanel._values['Shadow Angle'].textContent = (shadowAngle * 180 / Math.PI).toFixed(1) + '\u00B0';
-      directPanel._values['Ambient Level'].textContent = ambient.toFixed(2);
+      directPanel._values.sunX.textContent = Math.round(sun.x);
+      directPanel._values.sunY.textContent = Math.round(sun.y);
+      directPanel._values.shadowAngle.textContent = (shadowAngle * 180 / Math.PI).toFixed(1) + '\u00B0';
+      directPanel._values.ambient.textContent = ambient.toFixed(2);
     }
 
     ctx.clearRect(0, 0, w, h);
@@ -425,7 +450,7 @@ const SemanticLightingSection = (() => {
     ctx.fillRect(0, 0, w, groundY);
 
     // Lightning flash overlay
-    if (weather === 'Stormy') {
+    if (weather === 'Stormy' && !reducedMotion) {
       lightningTimer -= dt;
       if (lightningTimer <= 0) {
         lightningTimer = 3 + Math.random() * 5;
@@ -881,6 +906,7 @@ const SemanticLightingSection = (() => {
     init(containerEl) {
       buildDOM(containerEl);
       sizeCanvas();
+      offLanguage = Procedural.on('language', updateLabels);
     },
 
     start() {
@@ -896,9 +922,54 @@ const SemanticLightingSection = (() => {
     },
 
     resize() {
+      if (!container) return;
       sizeCanvas();
     },
+
+    destroy() {
+      this.stop();
+      if (!container) return;
+      offLanguage();
+      container.textContent = '';
+      container = canvas = ctx = directPanel = offLanguage = null;
+      timeSlider = dramaSlider = timeLabel = dramaLabel = null;
+      weatherBtns = {};
+      seasonBtns = {};
+    },
+
+    schema: SCHEMA,
+
+    getState() {
+      return Procedural.params.pick(SCHEMA, { time: timeOfDay, weather, drama, season });
+    },
+
+    setState(state) {
+      if (!timeSlider) return;
+      const next = Procedural.params.validate(SCHEMA, state);
+      if ('time' in next) timeSlider.value = timeOfDay = next.time;
+      if ('drama' in next) dramaSlider.value = drama = next.drama;
+      if ('weather' in next) weather = next.weather;
+      if ('season' in next) season = next.season;
+      updateLabels();
+      updateButtonStates();
+    },
+
+    // Quality tier 0-3: the DPR cap from Procedural.quality.dprFor()
+    setQuality(level) {
+      const next = Math.max(0, Math.min(Procedural.quality.MAX_LEVEL, level | 0));
+      if (next === quality) return;
+      quality = next;
+      if (canvas) sizeCanvas();
+    },
+
+    // Reduced motion: storms keep their rain and clouds but never flash
+    setReducedMotion(reduced) {
+      reducedMotion = !!reduced;
+      if (reducedMotion) lightningFlash = 0;
+    },
   };
 })();
 
 if (typeof module !== 'undefined' && module.exports) module.exports = SemanticLightingSection;
+
+if (typeof Procedural !== 'undefined') Procedural.registerSection({ id: 'semantic-lighting-section', module: SemanticLightingSection });
@@ -2,52 +2,17 @@
 // SPIDER-VERSE SHADING SECTION — Art-Directable Cross-Hatching & Stippling
 // Artist demonstrates design intent, AI fills in the in-betweens.
 // Inspired by Spider-Man: Into the Spider-Verse's hand-drawn shading style.
+// The shading exports as SVG, layered for vector tools or path-ordered for a
+// pen plotter:
+//
+//   SpiderVerseSection.toSVG({ plotter: true });   // markup of what's on screen
 // =============================================================================
 
 const SpiderVerseSection = (() => {
   // ---------------------------------------------------------------------------
-  // Simplex Noise (2D) — for hand-drawn waviness
+  // Simplex Noise (2D) — for hand-drawn waviness (ProceduralCore)
   // ---------------------------------------------------------------------------
-  const SimplexNoise = (() => {
-    const F2 = 0.5 * (Math.sqrt(3) - 1);
-    const G2 = (3 - Math.sqrt(3)) / 6;
-    const grad3 = [
-      [1, 1], [-1, 1], [1, -1], [-1, -1],
-      [1, 0], [-1, 0], [0, 1], [0, -1],
-      [1, 1], [-1, 1], [1, -1], [-1, -1],
-    ];
-    const perm = new Uint8Array(512);
-    const permMod12 = new Uint8Array(512);
-    const p = new Uint8Array(256);
-    for (let i = 0; i < 256; i++) p[i] = i;
-    let seed = 137;
-    const sr = () => { seed = (seed * 16807) % 2147483647; return (seed - 1) / 2147483646; };
-    for (let i = 255; i > 0; i--) { const j = Math.floor(sr() * (i + 1)); [p[i], p[j]] = [p[j], p[i]]; }
-    for (let i = 0; i < 512; i++) { perm[i] = p[i & 255]; permMod12[i] = perm[i] % 12; }
-
-    function noise2D(xin, yin) {
-      const s = (xin + yin) * F2;
-      const i = Math.floor(xin + s), j = Math.floor(yin + s);
-      const t = (i + j) * G2;
-      const x0 = xin - (i - t), y0 = yin - (j - t);
-      const i1 = x0 > y0 ? 1 : 0, j1 = x0 > y0 ? 0 : 1;
-      const x1 = x0 - i1 + G2, y1 = y0 - j1 + G2;
-      const x2 = x0 - 1 + 2 * G2, y2 = y0 - 1 + 2 * G2;
-      const ii = i & 255, jj = j & 255;
-      const gi0 = permMod12[ii + perm[jj]];
-      const gi1 = permMod12[ii + i1 + perm[jj + j1]];
-      const gi2 = permMod12[ii + 1 + perm[jj + 1]];
-      let n0 = 0, n1 = 0, n2 = 0;
-      let t0 = 0.5 - x0 * x0 - y0 * y0;
-      if (t0 >= 0) { t0 *= t0; n0 = t0 * t0 * (grad3[gi0][0] * x0 + grad3[gi0][1] * y0); }
-      let t1 = 0.5 - x1 * x1 - y1 * y1;
-      if (t1 >= 0) { t1 *= t1; n1 = t1 * t1 * (grad3[gi1][0] * x1 + grad3[gi1][1] * y1); }
-      let t2 = 0.5 - x2 * x2 - y2 * y2;
-      if (t2 >= 0) { t2 *= t2; n2 = t2 * t2 * (grad3[gi2][0] * x2 + grad3[gi2][1] * y2); }
-      return 70 * (n0 + n1 + n2);
-    }
-    return { noise2D };
-  })();
+  const SimplexNoise = ProceduralCore.createSimplex(ProceduralCore.parkMiller(137));
 
   // ---------------------------------------------------------------------------
   // State
@@ -55,14 +20,37 @@ const SpiderVerseSection = (() => {
   let container, canvas, ctx;
   let running = false, animFrameId = null;
   let width, height, dpr;
+  let quality = Procedural.quality.MAX_LEVEL;   // setQuality tier
+  const ID = 'spiderverse-section';
   let strokes = [];
   let currentStroke = null;
   let isDrawing = false;
-  let shadingDensity = 0.6;
-  let lineWeight = 1.0;
-  let shadingStyle = 'mixed'; // 'crosshatch', 'stipple', 'mixed'
+  const SCHEMA = Procedural.params.define({
+    density: { type: 'range', label: 'Shading Density', min: 0, max: 1, step: 0.01, default: 0.6 },
+    weight: { type: 'range', label: 'Line Weight', min: 0.2, max: 2.5, step: 0.05, decimals: 2, default: 1.0 },
+    style: { type: 'enum', label: 'Style', options: [
+      { value: 'mixed', label: 'Mixed' },
+      { value: 'crosshatch', label: 'Crosshatch' },
+      { value: 'stipple', label: 'Stipple' },
+    ], default: 'mixed' },
+  });
+  const settings = Procedural.params.defaults(SCHEMA);
   let animTime = 0;
   let needsRedraw = true;
+  let panel = null; // Procedural.params panel over settings
+  let shading = [];  // per stroke, the geometry last drawn: { points, hatch, dots }
+
+  const copy = Procedural.i18n.namespace(ID, {
+    overline: 'Art-Directable Shading',
+    title: 'Artist demonstrates intent, AI fills in the in-betweens',
+    description: 'Draw rough strokes on the canvas below. The system procedurally generates comic-style cross-hatching, stippling, and shading — inspired by Spider-Man: Into the Spider-Verse.',
+    hint: 'Draw here — your strokes will be shaded',
+    clear: 'Clear',
+    exportSvg: 'SVG',
+    exportSvgTitle: 'Download as SVG, a layer per kind of mark and a group per stroke',
+    exportPlot: 'Plotter SVG',
+    exportPlotTitle: 'Download as SVG ordered for a pen plotter, with less pen-up travel',
+  });
 
   // Paper background color
   const PAPER_COLOR = '#f5f0e8';
@@ -160,10 +148,10 @@ const SpiderVerseSection = (() => {
   // ---------------------------------------------------------------------------
   function generateCrossHatch(pathData, stroke) {
     const lines = [];
-    const density = shadingDensity;
+    const density = settings.density;
     const baseSpacing = lerp(18, 5, density);
     const hatchLength = lerp(20, 55, density);
-    const weight = lineWeight;
+    const weight = settings.weight;
 
     for (let i = 0; i < pathData.length; i += Math.max(1, Math.floor(baseSpacing / 3))) {
       const pt = pathData[i];
@@ -213,7 +201,7 @@ const SpiderVerseSection = (() => {
   // ---------------------------------------------------------------------------
   function generateStipple(pathData, stroke) {
     const dots = [];
-    const density = shadingDensity;
+    const density = settings.density;
     const numDots = Math.floor(pathData.length * lerp(2, 12, density));
     const spread = lerp(8, 30, density);
 
@@ -229,7 +217,7 @@ const SpiderVerseSection = (() => {
       dots.push({
         x: pt.x + pt.nx * offsetX + pt.tx * offsetY * 0.3,
         y: pt.y + pt.ny * offsetX + pt.ty * offsetY * 0.3,
-        radius: lineWeight * lerp(0.5, 1.8, 1 - distFromCenter) * (0.5 + Math.random() * 0.5),
+        radius: settings.weight * lerp(0.5, 1.8, 1 - distFromCenter) * (0.5 + Math.random() * 0.5),
         opacity: lerp(0.3, 0.85, 1 - distFromCenter * 0.5),
       });
     }
@@ -266,7 +254,7 @@ const SpiderVerseSection = (() => {
     const last = points[points.length - 1];
     ctx.lineTo(last.x * dpr, last.y * dpr);
     ctx.strokeStyle = INK_COLOR;
-    ctx.lineWidth = 2.5 * lineWeight * dpr;
+    ctx.lineWidth = 2.5 * settings.weight * dpr;
     ctx.lineCap = 'round';
     ctx.lineJoin = 'round';
     ctx.globalAlpha = 0.85;
@@ -274,25 +262,31 @@ const SpiderVerseSection = (() => {
     ctx.globalAlpha = 1;
   }
 
+  /** A hatch line with subtle waviness along it, as points in CSS pixels. */
+  function hatchPoints(line) {
+    const points = [];
+    const steps = 6;
+    const nx = -(line.y2 - line.y1);
+    const ny = (line.x2 - line.x1);
+    const len = Math.sqrt(nx * nx + ny * ny) || 1;
+    for (let s = 0; s <= steps; s++) {
+      const t = s / steps;
+      // The waves follow device pixels, as they always have on the canvas
+      const x = lerp(line.x1, line.x2, t) * dpr;
+      const y = lerp(line.y1, line.y2, t) * dpr;
+      const waveOffset = SimplexNoise.noise2D(x * 0.05, y * 0.05 + animTime * 0.001) * 1.5 * dpr;
+      points.push({ x: (x + (nx / len) * waveOffset) / dpr, y: (y + (ny / len) * waveOffset) / dpr });
+    }
+    return points;
+  }
+
   function drawHatchLines(lines) {
     for (const line of lines) {
       ctx.beginPath();
-      // Add subtle waviness along the line
-      const steps = 6;
-      for (let s = 0; s <= steps; s++) {
-        const t = s / steps;
-        const x = lerp(line.x1, line.x2, t) * dpr;
-        const y = lerp(line.y1, line.y2, t) * dpr;
-        const waveOffset = SimplexNoise.noise2D(x * 0.05, y * 0.05 + animTime * 0.001) * 1.5 * dpr;
-        const nx = -(line.y2 - line.y1);
-        const ny = (line.x2 - line.x1);
-        const len = Math.sqrt(nx * nx + ny * ny) || 1;
-        if (s === 0) {
-          ctx.moveTo(x + (nx / len) * waveOffset, y + (ny / len) * waveOffset);
-        } else {
-          ctx.lineTo(x + (nx / len) * waveOffset, y + (ny / len) * waveOffset);
-        }
-      }
+      line.points.forEach((pt, s) => {
+        if (s === 0) ctx.moveTo(pt.x * dpr, pt.y * dpr);
+        else ctx.lineTo(pt.x * dpr, pt.y * dpr);
+      });
       ctx.strokeStyle = INK_COLOR;
       ctx.lineWidth = line.weight * dpr;
       ctx.lineCap = 'round';
@@ -321,25 +315,30 @@ const SpiderVerseSection = (() => {
     // Draw subtle paper grain
     drawPaperTexture();
 
-    // Draw each completed stroke and its shading
+    // Draw each completed stroke and its shading, keeping the geometry for
+    // toSVG(): stippling is random, so generating it again would differ
+    shading = [];
     for (const stroke of strokes) {
       const smoothed = smoothPath(stroke.points, 2);
       const resampled = resamplePath(smoothed, 4);
       const pathData = computePathData(resampled);
+      const shape = { points: resampled, hatch: [], dots: [] };
 
       // Draw shading based on style
-      const style = stroke.style || shadingStyle;
+      const style = stroke.style || settings.style;
       if (style === 'crosshatch' || style === 'mixed') {
-        const hatchLines = generateCrossHatch(pathData, stroke);
-        drawHatchLines(hatchLines);
+        shape.hatch = generateCrossHatch(pathData, stroke);
+        shape.hatch.forEach(line => { line.points = hatchPoints(line); });
+        drawHatchLines(shape.hatch);
       }
       if (style === 'stipple' || style === 'mixed') {
-        const dots = generateStipple(pathData, stroke);
-        drawStippleDots(dots);
+        shape.dots = generateStipple(pathData, stroke);
+        drawStippleDots(shape.dots);
       }
 
       // Draw the main stroke on top
       drawStroke(resampled);
+      shading.push(shape);
     }
 
     // Draw current in-progress stroke
@@ -348,6 +347,171 @@ const SpiderVerseSection = (() => {
     }
   }
 
+  // ---------------------------------------------------------------------------
+  // SVG export — the drawn geometry as layers (hatching, stipple, strokes) of
+  // one group per stroke. For a pen plotter, marks are reordered to cut the
+  // travel between them with the pen up, and drawn without opacity.
+  // ---------------------------------------------------------------------------
+  const INKSCAPE_NS = 'http://www.inkscape.org/namespaces/inkscape';
+
+  function num(v) {
+    return +v.toFixed(2);
+  }
+
+  function gap(a, b) {
+    return dist(a.x, a.y, b.x, b.y);
+  }
+
+  /** Marks of one layer per stroke: { points (a path) or x, y, radius (a dot), weight, opacity }. */
+  function layerMarks(kind) {
+    return shading.map(shape => {
+      if (kind === 'hatch') return shape.hatch.map(line => ({ points: line.points, weight: line.weight, opacity: line.opacity }));
+      if (kind === 'dots') return shape.dots.slice();
+      return shape.points.length > 1 ? [{ points: shape.points, weight: 2.5 * settings.weight, opacity: 0.85, curve: true }] : [];
+    });
+  }
+
+  function markStart(mark) {
+    return mark.points ? mark.points[0] : mark;
+  }
+
+  function markEnd(mark) {
+    return mark.points ? mark.points[mark.points.length - 1] : mark;
+  }
+
+  /** Pen-up distance from `pen` through the marks in order; returns [distance, pen]. */
+  function travel(marks, pen) {
+    let total = 0;
+    for (const mark of marks) {
+      total += gap(pen, markStart(mark));
+      pen = markEnd(mark);
+    }
+    return [total, pen];
+  }
+
+  /**
+   * Greedy nearest-neighbour plot order: from the pen, always the closest
+   * mark next, drawn backwards if its far end is the closer one.
+   */
+  function plotOrder(marks, pen) {
+    const left = marks.slice();
+    const out = [];
+    while (left.length) {
+      let best = 0;
+      let bestGap = Infinity;
+      let flip = false;
+      for (let i = 0; i < left.length; i++) {
+        const toStart = gap(pen, markStart(left[i]));
+        const toEnd = gap(pen, markEnd(left[i]));
+        if (toStart < bestGap) { best = i; bestGap = toStart; flip = false; }
+        if (toEnd < bestGap) { best = i; bestGap = toEnd; flip = true; }
+      }
+      let mark = left[best];
+      left[best] = left[left.length - 1];
+      left.pop();
+      if (flip) mark = Object.assign({}, mark, { points: mark.points.slice().reverse() });
+      out.push(mark);
+      pen = markEnd(mark);
+    }
+    return out;
+  }
+
+  /**
+   * Strokes ({ index, marks }) in plot order too: next, the one holding the
+   * mark nearest the pen, its marks in plotOrder().
+   */
+  function plotGroups(groups, pen) {
+    const left = groups.slice();
+    const out = [];
+    while (left.length) {
+      let best = 0;
+      let bestGap = Infinity;
+      left.forEach((group, i) => group.marks.forEach(mark => {
+        const d = Math.min(gap(pen, markStart(mark)), gap(pen, markEnd(mark)));
+        if (d < bestGap) { best = i; bestGap = d; }
+      }));
+      const group = left.splice(best, 1)[0];
+      const marks = plotOrder(group.marks, pen);
+      out.push({ index: group.index, marks });
+      pen = markEnd(marks[marks.length - 1]);
+    }
+    return out;
+  }
+
+  /** Path data for a mark, the main stroke with the same curves as drawStroke(). */
+  function markPath(mark) {
+    const pts = mark.points;
+    let d = `M${num(pts[0].x)} ${num(pts[0].y)}`;
+    if (!mark.curve) {
+      for (let i = 1; i < pts.length; i++) d += `L${num(pts[i].x)} ${num(pts[i].y)}`;
+      return d;
+    }
+    for (let i = 1; i < pts.length; i++) {
+      const prev = pts[i - 1];
+      const curr = pts[i];
+      d += `Q${num(prev.x)} ${num(prev.y)} ${num((prev.x + curr.x) * 0.5)} ${num((prev.y + curr.y) * 0.5)}`;
+    }
+    const last = pts[pts.length - 1];
+    return `${d}L${num(last.x)} ${num(last.y)}`;
+  }
+
+  function markSVG(mark, plotter) {
+    const opacity = plotter ? '' : ` opacity="${num(mark.opacity)}"`;
+    if (!mark.points) return `<circle cx="${num(mark.x)}" cy="${num(mark.y)}" r="${num(mark.radius)}"${opacity}/>`;
+    return `<path d="${markPath(mark)}" stroke-width="${num(mark.weight)}"${opacity}/>`;
+  }
+
+  /**
+   * The strokes and their shading as SVG markup, in CSS pixels of the
+   * canvas. Options: plotter (plot order, no opacity or paper).
+   */
+  function toSVG(options) {
+    const plotter = !!(options && options.plotter);
+    if (needsRedraw && ctx) {
+      renderAll();
+      needsRedraw = false;
+    }
+    const layers = [
+      { id: 'hatching', label: 'Hatching', kind: 'hatch', attrs: `fill="none" stroke="${INK_COLOR}" stroke-linecap="round" stroke-linejoin="round"` },
+      { id: 'stipple', label: 'Stipple', kind: 'dots', attrs: plotter ? `fill="none" stroke="${INK_COLOR}" stroke-width="0.5"` : `fill="${INK_COLOR}" stroke="none"` },
+      { id: 'strokes', label: 'Strokes', kind: 'strokes', attrs: `fill="none" stroke="${INK_COLOR}" stroke-linecap="round" stroke-linejoin="round"` },
+    ];
+
+    // Plotters park the pen at the top left between layers (pen changes)
+    let before = 0;
+    let after = 0;
+    const body = layers.map((layer, n) => {
+      let groups = layerMarks(layer.kind).map((marks, index) => ({ index, marks })).filter(g => g.marks.length);
+      if (plotter) {
+        before += travel([].concat(...groups.map(g => g.marks)), { x: 0, y: 0 })[0];
+        groups = plotGroups(groups, { x: 0, y: 0 });
+        after += travel([].concat(...groups.map(g => g.marks)), { x: 0, y: 0 })[0];
+      }
+      const content = groups.map(g =>
+        `    <g id="${layer.id}-${g.index + 1}">\n${g.marks.map(mark => `      ${markSVG(mark, plotter)}`).join('\n')}\n    </g>`);
+      return `  <g id="${layer.id}" inkscape:groupmode="layer" inkscape:label="${n + 1} ${layer.label}" ${layer.attrs}>\n${content.join('\n')}\n  </g>`;
+    });
+
+    const w = num(width);
+    const h = num(height);
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="${INKSCAPE_NS}" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}">`,
+      plotter
+        ? `  <!-- Plot order: pen-up travel ${Math.round(after)}px, ${Math.round(before)}px as drawn -->`
+        : `  <rect width="${w}" height="${h}" fill="${PAPER_COLOR}"/>`,
+      ...body,
+      '</svg>',
+      '',
+    ].join('\n');
+  }
+
+  function downloadSVG(plotter) {
+    if (!strokes.length) return;
+    const blob = new Blob([toSVG({ plotter })], { type: 'image/svg+xml' });
+    Procedural.capture.save(blob, plotter ? 'spiderverse-plot.svg' : 'spiderverse-shading.svg');
+  }
+
   // ---------------------------------------------------------------------------
   // Animation loop (just for paper grain animation subtlety)
   // ---------------------------------------------------------------------------
@@ -398,17 +562,36 @@ const SpiderVerseSection = (() => {
     if (!isDrawing) return;
     isDrawing = false;
     if (currentStroke && currentStroke.length > 2) {
-      strokes.push({
+      const stroke = {
         points: currentStroke.slice(),
-        style: shadingStyle,
-        density: shadingDensity,
-        weight: lineWeight,
+        style: settings.style,
+        density: settings.density,
+        weight: settings.weight,
+      };
+      strokes.push(stroke);
+      Procedural.history.push(ID, {
+        label: 'Stroke',
+        undo: () => {
+          const i = strokes.indexOf(stroke);
+          if (i >= 0) strokes.splice(i, 1);
+          redrawStrokes();
+        },
+        redo: () => {
+          strokes.push(stroke);
+          redrawStrokes();
+        },
       });
     }
     currentStroke = null;
     needsRedraw = true;
   }
 
+  function redrawStrokes() {
+    needsRedraw = true;
+    const h = container.querySelector('#spiderverse-hint');
+    if (h) h.style.opacity = strokes.length ? '0' : '1';
+  }
+
   // ---------------------------------------------------------------------------
   // DOM Builder
   // ---------------------------------------------------------------------------
@@ -434,7 +617,7 @@ const SpiderVerseSection = (() => {
     `;
 
     const overline = document.createElement('div');
-    overline.textContent = 'Art-Directable Shading';
+    copy.text(overline, 'overline');
     overline.style.cssText = `
       font-family: 'JetBrains Mono', monospace;
       font-size: 11px;
@@ -445,7 +628,7 @@ const SpiderVerseSection = (() => {
     `;
 
     const title = document.createElement('h2');
-    title.textContent = 'Artist demonstrates intent, AI fills in the in-betweens';
+    copy.text(title, 'title');
     title.style.cssText = `
       font-size: 28px;
       font-weight: 600;
@@ -455,7 +638,7 @@ const SpiderVerseSection = (() => {
     `;
 
     const desc = document.createElement('p');
-    desc.textContent = 'Draw rough strokes on the canvas below. The system procedurally generates comic-style cross-hatching, stippling, and shading — inspired by Spider-Man: Into the Spider-Verse.';
+    copy.text(desc, 'description');
     desc.style.cssText = `
       font-size: 15px;
       color: rgba(232,230,227,0.55);
@@ -500,7 +683,7 @@ const SpiderVerseSection = (() => {
     // Hint overlay
     const hint = document.createElement('div');
     hint.id = 'spiderverse-hint';
-    hint.textContent = 'Draw here — your strokes will be shaded';
+    copy.text(hint, 'hint');
     hint.style.cssText = `
       position: absolute;
       top: 50%;
@@ -531,59 +714,17 @@ const SpiderVerseSection = (() => {
       box-sizing: border-box;
     `;
 
-    // Shading Density slider
-    const densityGroup = createSliderGroup('Shading Density', 0, 1, shadingDensity, 0.01, (v) => {
-      shadingDensity = v;
-      needsRedraw = true;
-    });
-
-    // Line Weight slider
-    const weightGroup = createSliderGroup('Line Weight', 0.2, 2.5, lineWeight, 0.05, (v) => {
-      lineWeight = v;
-      needsRedraw = true;
+    panel = Procedural.params.createPanel(controls, SCHEMA, settings, {
+      layout: 'row',
+      accent: 'rgba(100,140,255,0.9)',
+      messages: copy,
+      onChange: () => { needsRedraw = true; },
     });
-
-    // Style selector
-    const styleGroup = document.createElement('div');
-    styleGroup.style.cssText = 'display: flex; flex-direction: column; gap: 6px;';
-    const styleLabel = document.createElement('label');
-    styleLabel.textContent = 'Style';
-    styleLabel.style.cssText = `
-      font-family: 'JetBrains Mono', monospace;
-      font-size: 10px;
-      letter-spacing: 1.5px;
-      text-transform: uppercase;
-      color: rgba(232,230,227,0.55);
-    `;
-    const styleSelect = document.createElement('select');
-    styleSelect.style.cssText = `
-      background: rgba(255,255,255,0.06);
-      border: 1px solid rgba(255,255,255,0.1);
-      border-radius: 6px;
-      color: #e8e6e3;
-      padding: 6px 10px;
-      font-family: 'Inter', sans-serif;
-      font-size: 13px;
-      cursor: pointer;
-      outline: none;
-    `;
-    ['mixed', 'crosshatch', 'stipple'].forEach((s) => {
-      const opt = document.createElement('option');
-      opt.value = s;
-      opt.textContent = s.charAt(0).toUpperCase() + s.slice(1);
-      if (s === shadingStyle) opt.selected = true;
-      styleSelect.appendChild(opt);
-    });
-    styleSelect.addEventListener('change', () => {
-      shadingStyle = styleSelect.value;
-      needsRedraw = true;
-    });
-    styleGroup.appendChild(styleLabel);
-    styleGroup.appendChild(styleSelect);
+    panel.el.style.flex = '1';
 
     // Clear button
     const clearBtn = document.createElement('button');
-    clearBtn.textContent = 'Clear';
+    copy.text(clearBtn, 'clear');
     clearBtn.style.cssText = `
       background: rgba(255,255,255,0.06);
       border: 1px solid rgba(255,255,255,0.12);
@@ -606,17 +747,38 @@ const SpiderVerseSection = (() => {
       clearBtn.style.borderColor = 'rgba(255,255,255,0.12)';
     });
     clearBtn.addEventListener('click', () => {
+      const cleared = strokes;
+      if (!cleared.length) return;
       strokes = [];
       currentStroke = null;
-      needsRedraw = true;
-      const h = container.querySelector('#spiderverse-hint');
-      if (h) h.style.opacity = '1';
+      redrawStrokes();
+      Procedural.history.push(ID, {
+        label: 'Clear',
+        undo: () => { strokes = cleared.concat(strokes); redrawStrokes(); },
+        redo: () => { strokes = strokes.filter(st => !cleared.includes(st)); redrawStrokes(); },
+      });
     });
 
-    controls.appendChild(densityGroup);
-    controls.appendChild(weightGroup);
-    controls.appendChild(styleGroup);
     controls.appendChild(clearBtn);
+
+    // SVG export buttons
+    [['exportSvg', false], ['exportPlot', true]].forEach(([key, plotter]) => {
+      const btn = document.createElement('button');
+      copy.text(btn, key);
+      copy.attr(btn, 'title', `${key}Title`);
+      btn.style.cssText = clearBtn.style.cssText;
+      btn.style.marginLeft = '0';
+      btn.addEventListener('mouseenter', () => {
+        btn.style.background = 'rgba(100,140,255,0.15)';
+        btn.style.borderColor = 'rgba(100,140,255,0.4)';
+      });
+      btn.addEventListener('mouseleave', () => {
+        btn.style.background = 'rgba(255,255,255,0.06)';
+        btn.style.borderColor = 'rgba(255,255,255,0.12)';
+      });
+      btn.addEventListener('click', () => downloadSVG(plotter));
+      controls.appendChild(btn);
+    });
     canvasWrap.appendChild(controls);
 
     // Events
@@ -640,93 +802,37 @@ const SpiderVerseSection = (() => {
     }, { once: false });
   }
 
-  function createSliderGroup(labelText, min, max, value, step, onChange) {
-    const group = document.createElement('div');
-    group.style.cssText = 'display: flex; flex-direction: column; gap: 6px; min-width: 140px;';
-
-    const labelRow = document.createElement('div');
-    labelRow.style.cssText = 'display: flex; justify-content: space-between; align-items: center;';
-
-    const label = document.createElement('label');
-    label.textContent = labelText;
-    label.style.cssText = `
-      font-family: 'JetBrains Mono', monospace;
-      font-size: 10px;
-      letter-spacing: 1.5px;
-      text-transform: uppercase;
-      color: rgba(232,230,227,0.55);
-    `;
-
-    const valDisplay = document.createElement('span');
-    valDisplay.textContent = value.toFixed(2);
-    valDisplay.style.cssText = `
-      font-family: 'JetBrains Mono', monospace;
-      font-size: 10px;
-      color: rgba(100,140,255,0.8);
-    `;
-
-    labelRow.appendChild(label);
-    labelRow.appendChild(valDisplay);
-
-    const slider = document.createElement('input');
-    slider.type = 'range';
-    slider.min = min;
-    slider.max = max;
-    slider.step = step;
-    slider.value = value;
-    slider.style.cssText = `
-      width: 100%;
-      height: 4px;
-      -webkit-appearance: none;
-      appearance: none;
-      background: rgba(255,255,255,0.1);
-      border-radius: 2px;
-      outline: none;
-      cursor: pointer;
-    `;
-
-    // Style the slider thumb via a style element
-    const styleId = 'spiderverse-slider-style';
-    if (!document.getElementById(styleId)) {
-      const style = document.createElement('style');
-      style.id = styleId;
-      style.textContent = `
-        .sv-slider::-webkit-slider-thumb {
-          -webkit-appearance: none;
-          width: 14px; height: 14px;
-          border-radius: 50%;
-          background: rgba(100,140,255,0.9);
-          cursor: pointer;
-          border: none;
-        }
-        .sv-slider::-moz-range-thumb {
-          width: 14px; height: 14px;
-          border-radius: 50%;
-          background: rgba(100,140,255,0.9);
-          cursor: pointer;
-          border: none;
-        }
-      `;
-      document.head.appendChild(style);
+  // ---------------------------------------------------------------------------
+  // Shareable state — stroke points are stored in thousandths of the canvas
+  // size so a drawing survives a different viewport width.
+  // ---------------------------------------------------------------------------
+  function encodeStroke(stroke) {
+    const p = [];
+    for (const pt of stroke.points) {
+      p.push(Math.round(pt.x / width * 1000), Math.round(pt.y / height * 1000));
     }
-    slider.className = 'sv-slider';
-
-    slider.addEventListener('input', () => {
-      const v = parseFloat(slider.value);
-      valDisplay.textContent = v.toFixed(2);
-      onChange(v);
-    });
+    return { s: stroke.style, d: +stroke.density.toFixed(2), w: +stroke.weight.toFixed(2), p };
+  }
 
-    group.appendChild(labelRow);
-    group.appendChild(slider);
-    return group;
+  function decodeStroke(data) {
+    if (!data || !Array.isArray(data.p) || data.p.length < 6) return null;
+    const points = [];
+    for (let i = 0; i + 1 < data.p.length; i += 2) {
+      points.push({ x: data.p[i] / 1000 * width, y: data.p[i + 1] / 1000 * height });
+    }
+    return {
+      points,
+      style: ['mixed', 'crosshatch', 'stipple'].includes(data.s) ? data.s : settings.style,
+      density: clamp(Number.isFinite(data.d) ? data.d : settings.density, 0, 1),
+      weight: clamp(Number.isFinite(data.w) ? data.w : settings.weight, 0.2, 2.5),
+    };
   }
 
   // ---------------------------------------------------------------------------
   // Sizing
   // ---------------------------------------------------------------------------
   function sizeCanvas() {
-    dpr = window.devicePixelRatio || 1;
+    dpr = Procedural.quality.dprFor(quality);
     const rect = canvas.parentElement.getBoundingClientRect();
     width = rect.width;
     height = 480;
@@ -768,7 +874,52 @@ const SpiderVerseSection = (() => {
       sizeCanvas();
       if (ctx) renderAll();
     },
+
+    destroy() {
+      this.stop();
+      if (!container) return;
+      panel.destroy();
+      container.textContent = '';
+      container = canvas = ctx = panel = null;
+      strokes = [];
+      shading = [];
+      currentStroke = null;
+      isDrawing = false;
+    },
+
+    schema: SCHEMA,
+
+    toSVG,
+
+    getState() {
+      return {
+        ...Procedural.params.pick(SCHEMA, settings),
+        strokes: strokes.map(encodeStroke),
+      };
+    },
+
+    setState(state) {
+      if (!state || !canvas) return;
+      Object.assign(settings, Procedural.params.validate(SCHEMA, state));
+      panel.sync();
+      if (Array.isArray(state.strokes)) {
+        strokes = state.strokes.map(decodeStroke).filter(Boolean);
+        currentStroke = null;
+        redrawStrokes();
+      }
+      needsRedraw = true;
+    },
+
+    // Quality tier 0-3: the DPR cap from Procedural.quality.dprFor()
+    setQuality(level) {
+      const next = Math.max(0, Math.min(Procedural.quality.MAX_LEVEL, level | 0));
+      if (next === quality) return;
+      quality = next;
+      this.resize();
+    },
   };
 })();
 
 if (typeof module !== 'undefined' && module.exports) module.exports = SpiderVerseSection;
+
+if (typeof Procedural !== 'undefined') Procedural.registerSection({ id: 'spiderverse-section', module: SpiderVerseSection });
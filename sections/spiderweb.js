@@ -13,6 +13,18 @@ const SpiderWebSection = (() => {
   let running = false;
   let time = 0;
 
+  const ID = 'spiderweb-section'; // history stack and copy namespace
+
+  const copy = Procedural.i18n.namespace(ID, {
+    title: 'Procedural & Agentive Design',
+    description: 'Inspired by Pixar\u2019s procedural cobweb system \u2014 virtual spiders weave realistic webs controlled by density, tension, and placement parameters.',
+    help: 'Double-click or right-click anchor to remove',
+    clear: 'Clear',
+    placeAnchors: 'Click to place anchor points',
+    weaveHint: 'Place {count} or more anchors to weave a web',
+    moreAnchors: { one: 'Place {count} more anchor to begin weaving', other: 'Place {count} more anchors to begin weaving' },
+  });
+
   // Anchor points placed by user
   let anchors = []; // { x, y, id }
   let anchorIdCounter = 0;
@@ -23,11 +35,13 @@ const SpiderWebSection = (() => {
   let spiders = []; // animated spider dots
 
   // Controls
-  let settings = {
-    density: 0.5,    // 0..1
-    tension: 0.5,    // 0..1
-    spiderSpeed: 0.5 // 0..1
-  };
+  const SCHEMA = Procedural.params.define({
+    density: { type: 'range', label: 'Web Density', min: 0, max: 1, step: 0.01, default: 0.5 },
+    tension: { type: 'range', label: 'Tension', min: 0, max: 1, step: 0.01, default: 0.5 },
+    spiderSpeed: { type: 'range', label: 'Spider Speed', min: 0, max: 1, step: 0.01, default: 0.5 },
+  });
+  const settings = Procedural.params.defaults(SCHEMA);
+  let panel = null; // Procedural.params panel over settings
 
   // Wind simulation
   let wind = { x: 0, y: 0, phase: 0 };
@@ -35,6 +49,7 @@ const SpiderWebSection = (() => {
   // Layout
   let W = 0, H = 0;
   let dpr = 1;
+  let quality = Procedural.quality.MAX_LEVEL;   // setQuality tier
 
   // Interaction
   let mouse = { x: 0, y: 0, down: false };
@@ -406,15 +421,15 @@ const SpiderWebSection = (() => {
       ctx.fillStyle = 'rgba(180, 200, 230, 0.5)';
       ctx.font = '16px "Inter", "SF Pro Display", system-ui, sans-serif';
       ctx.textAlign = 'center';
-      ctx.fillText('Click to place anchor points', W / 2, H / 2);
+      ctx.fillText(copy('placeAnchors'), W / 2, H / 2);
       ctx.font = '13px "Inter", "SF Pro Display", system-ui, sans-serif';
       ctx.fillStyle = 'rgba(180, 200, 230, 0.55)';
-      ctx.fillText('Place 3 or more anchors to weave a web', W / 2, H / 2 + 28);
+      ctx.fillText(copy('weaveHint', { count: MIN_ANCHORS_FOR_WEB }), W / 2, H / 2 + 28);
     } else if (anchors.length < MIN_ANCHORS_FOR_WEB) {
       ctx.fillStyle = 'rgba(180, 200, 230, 0.55)';
       ctx.font = '13px "Inter", "SF Pro Display", system-ui, sans-serif';
       ctx.textAlign = 'center';
-      ctx.fillText(`Place ${MIN_ANCHORS_FOR_WEB - anchors.length} more anchor${MIN_ANCHORS_FOR_WEB - anchors.length > 1 ? 's' : ''} to begin weaving`, W / 2, H - 30);
+      ctx.fillText(copy('moreAnchors', { count: MIN_ANCHORS_FOR_WEB - anchors.length }), W / 2, H - 30);
     }
   }
 
@@ -511,12 +526,31 @@ const SpiderWebSection = (() => {
   }
 
   function addAnchor(x, y) {
-    anchors.push({ x, y, id: anchorIdCounter++ });
-    rebuildWebs();
+    const anchor = { x, y, id: anchorIdCounter++ };
+    setAnchors(anchors.concat(anchor));
+    Procedural.history.push(ID, {
+      label: 'Add anchor',
+      undo: () => setAnchors(anchors.filter(a => a !== anchor)),
+      redo: () => setAnchors(anchors.concat(anchor)),
+    });
   }
 
   function removeAnchor(anchor) {
-    anchors = anchors.filter(a => a !== anchor);
+    const index = anchors.indexOf(anchor);
+    setAnchors(anchors.filter(a => a !== anchor));
+    Procedural.history.push(ID, {
+      label: 'Remove anchor',
+      undo: () => {
+        const next = anchors.slice();
+        next.splice(Math.min(index, next.length), 0, anchor);
+        setAnchors(next);
+      },
+      redo: () => setAnchors(anchors.filter(a => a !== anchor)),
+    });
+  }
+
+  function setAnchors(list) {
+    anchors = list;
     hoveredAnchor = null;
     rebuildWebs();
   }
@@ -555,7 +589,7 @@ const SpiderWebSection = (() => {
         color: #e8ecf4;
         margin: 0 0 12px 0;
         letter-spacing: -0.02em;
-      ">Procedural &amp; Agentive Design</h2>
+      "></h2>
       <p style="
         font-family: 'Inter', 'SF Pro Display', system-ui, sans-serif;
         font-size: clamp(14px, 2vw, 18px);
@@ -565,9 +599,10 @@ const SpiderWebSection = (() => {
         margin-left: auto;
         margin-right: auto;
         line-height: 1.6;
-      ">Inspired by Pixar's procedural cobweb system &mdash; virtual spiders weave realistic webs
-      controlled by density, tension, and placement parameters.</p>
+      "></p>
     `;
+    copy.text(header.querySelector('h2'), 'title');
+    copy.text(header.querySelector('p'), 'description');
     container.appendChild(header);
 
     // Canvas wrapper
@@ -605,7 +640,7 @@ const SpiderWebSection = (() => {
       pointer-events: none;
       z-index: 3;
     `;
-    helpText.textContent = 'Double-click or right-click anchor to remove';
+    copy.text(helpText, 'help');
     canvasWrap.appendChild(helpText);
 
     container.appendChild(canvasWrap);
@@ -623,62 +658,17 @@ const SpiderWebSection = (() => {
       margin: 0 auto;
     `;
 
-    function makeSlider(label, key, min, max, step) {
-      const wrap = document.createElement('div');
-      wrap.style.cssText = `
-        display: flex;
-        flex-direction: column;
-        align-items: center;
-        gap: 6px;
-        min-width: 140px;
-      `;
-
-      const lbl = document.createElement('label');
-      lbl.style.cssText = `
-        font-family: 'Inter', 'SF Pro Display', system-ui, sans-serif;
-        font-size: 12px;
-        font-weight: 500;
-        color: rgba(180, 200, 230, 0.55);
-        text-transform: uppercase;
-        letter-spacing: 0.08em;
-      `;
-      lbl.textContent = label;
-
-      const input = document.createElement('input');
-      input.type = 'range';
-      input.min = min;
-      input.max = max;
-      input.step = step;
-      input.value = settings[key];
-      input.style.cssText = `
-        width: 140px;
-        height: 4px;
-        -webkit-appearance: none;
-        appearance: none;
-        background: rgba(100, 120, 160, 0.25);
-        border-radius: 2px;
-        outline: none;
-        cursor: pointer;
-        accent-color: #6b8aad;
-      `;
-      // Style the thumb via a sheet
-      input.addEventListener('input', () => {
-        settings[key] = parseFloat(input.value);
-        rebuildWebs();
-      });
-
-      wrap.appendChild(lbl);
-      wrap.appendChild(input);
-      return wrap;
-    }
-
-    controls.appendChild(makeSlider('Web Density', 'density', 0, 1, 0.01));
-    controls.appendChild(makeSlider('Tension', 'tension', 0, 1, 0.01));
-    controls.appendChild(makeSlider('Spider Speed', 'spiderSpeed', 0, 1, 0.01));
+    panel = Procedural.params.createPanel(controls, SCHEMA, settings, {
+      layout: 'row',
+      accent: '#6b8aad',
+      messages: copy,
+      onChange: () => rebuildWebs(),
+    });
+    panel.el.style.cssText = 'flex: 1; max-width: 560px; --pp-text: rgba(180, 200, 230, 0.55);';
 
     // Clear button
     const clearBtn = document.createElement('button');
-    clearBtn.textContent = 'Clear';
+    copy.text(clearBtn, 'clear');
     clearBtn.style.cssText = `
       font-family: 'Inter', 'SF Pro Display', system-ui, sans-serif;
       font-size: 13px;
@@ -701,7 +691,14 @@ const SpiderWebSection = (() => {
       clearBtn.style.color = 'rgba(200, 210, 230, 0.7)';
     });
     clearBtn.addEventListener('click', () => {
+      const cleared = anchors;
       clearAll();
+      if (!cleared.length) return;
+      Procedural.history.push(ID, {
+        label: 'Clear',
+        undo: () => setAnchors(cleared.concat(anchors)),
+        redo: () => setAnchors(anchors.filter(a => !cleared.includes(a))),
+      });
     });
     controls.appendChild(clearBtn);
 
@@ -737,7 +734,7 @@ const SpiderWebSection = (() => {
 
   function sizeCanvas() {
     const rect = canvas.parentElement.getBoundingClientRect();
-    dpr = window.devicePixelRatio || 1;
+    dpr = Procedural.quality.dprFor(quality);
     W = rect.width * dpr;
     H = rect.height * dpr;
     canvas.width = W;
@@ -803,7 +800,55 @@ const SpiderWebSection = (() => {
         }
         rebuildWebs();
       }
-    }
+    },
+
+    destroy() {
+      this.stop();
+      if (!container) return;
+      panel.destroy();
+      container.textContent = '';
+      container = canvas = ctx = panel = null;
+      anchors = [];
+      webs = [];
+      spiders = [];
+      hoveredAnchor = null;
+      W = H = 0;
+    },
+
+    schema: SCHEMA,
+
+    // Anchors are stored in thousandths of the canvas so links survive a
+    // different viewport size: { anchors: [x0, y0, x1, y1, ...] }
+    getState() {
+      const list = [];
+      for (const a of anchors) {
+        list.push(Math.round(a.x / W * 1000), Math.round(a.y / H * 1000));
+      }
+      return { ...Procedural.params.pick(SCHEMA, settings), anchors: list };
+    },
+
+    setState(state) {
+      if (!state || !canvas) return;
+      Object.assign(settings, Procedural.params.validate(SCHEMA, state));
+      panel.sync();
+      if (Array.isArray(state.anchors)) {
+        clearAll();
+        for (let i = 0; i + 1 < state.anchors.length; i += 2) {
+          const x = state.anchors[i], y = state.anchors[i + 1];
+          if (!Number.isFinite(x) || !Number.isFinite(y)) continue;
+          anchors.push({ x: clamp(x, 0, 1000) / 1000 * W, y: clamp(y, 0, 1000) / 1000 * H, id: anchorIdCounter++ });
+        }
+      }
+      rebuildWebs();
+    },
+
+    // Quality tier 0-3: the DPR cap from Procedural.quality.dprFor()
+    setQuality(level) {
+      const next = Math.max(0, Math.min(Procedural.quality.MAX_LEVEL, level | 0));
+      if (next === quality) return;
+      quality = next;
+      this.resize();
+    },
   };
 })();
 
@@ -811,3 +856,5 @@ const SpiderWebSection = (() => {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = SpiderWebSection;
 }
+
+if (typeof Procedural !== 'undefined') Procedural.registerSection({ id: 'spiderweb-section', module: SpiderWebSection });
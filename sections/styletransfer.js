@@ -12,6 +12,7 @@ const StyleTransferSection = (() => {
   let running = false, animFrameId = null;
   let canvases = []; // Array of { canvas, ctx, style, label }
   let dpr = 1;
+  let quality = Procedural.quality.MAX_LEVEL;   // setQuality tier
   let cellWidth = 0, cellHeight = 0;
   let composition = null; // Shared base composition
   let seed = Date.now();
@@ -27,6 +28,13 @@ const StyleTransferSection = (() => {
     { id: 'woodcut', label: 'Woodcut' },
   ];
 
+  const copy = Procedural.i18n.namespace('style-transfer-section', {
+    overline: 'Style Transfer & Imitation',
+    title: 'The same content, rendered through different artistic processes',
+    description: 'From Prisma to Pixar\u2019s <em>Stylizing Animation by Example</em> \u2014 the same procedural composition rendered through six distinct visual styles. Each demonstrates how artistic process transforms identical content.',
+    newComposition: 'New Composition',
+  }).add(Object.fromEntries(STYLES.map(style => [`style.${style.id}`, style.label])));
+
   // Color palettes for base composition
   const PALETTES = [
     ['#e74c3c', '#3498db', '#2ecc71', '#f39c12', '#9b59b6', '#1abc9c', '#e67e22', '#34495e'],
@@ -35,18 +43,13 @@ const StyleTransferSection = (() => {
     ['#fc5c65', '#45aaf2', '#26de81', '#fed330', '#a55eea', '#fd9644', '#2bcbba', '#778ca3'],
     ['#e55039', '#4a69bd', '#78e08f', '#f6b93b', '#e056a0', '#0a3d62', '#b8e994', '#60a3bc'],
   ];
+  let sharedPalette = null;   // ColorBox's colors while it shares them (core/palette.js)
+  let offPalette = null;
 
   // ---------------------------------------------------------------------------
-  // Seeded random
+  // Seeded random (ProceduralCore)
   // ---------------------------------------------------------------------------
-  function mulberry32(a) {
-    return function() {
-      a |= 0; a = a + 0x6D2B79F5 | 0;
-      let t = Math.imul(a ^ a >>> 15, 1 | a);
-      t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
-      return ((t ^ t >>> 14) >>> 0) / 4294967296;
-    };
-  }
+  const mulberry32 = ProceduralCore.mulberry32;
 
   let rng = mulberry32(seed);
 
@@ -57,7 +60,9 @@ const StyleTransferSection = (() => {
   // ---------------------------------------------------------------------------
   function generateComposition() {
     rng = mulberry32(seed);
-    const palette = PALETTES[Math.floor(seededRandom() * PALETTES.length)];
+    // Draw the index either way, so a shared palette keeps the seed's shapes
+    const own = PALETTES[Math.floor(seededRandom() * PALETTES.length)];
+    const palette = sharedPalette || own;
     const shapes = [];
     const numShapes = 8 + Math.floor(seededRandom() * 5); // 8-12
 
@@ -91,29 +96,10 @@ const StyleTransferSection = (() => {
   // Parse hex color
   // ---------------------------------------------------------------------------
   function hexToRGB(hex) {
-    const r = parseInt(hex.slice(1, 3), 16);
-    const g = parseInt(hex.slice(3, 5), 16);
-    const b = parseInt(hex.slice(5, 7), 16);
+    const [r, g, b] = ProceduralCore.hexToRgb(hex);
     return { r, g, b };
   }
 
-  function rgbToHSL(r, g, b) {
-    r /= 255; g /= 255; b /= 255;
-    const max = Math.max(r, g, b), min = Math.min(r, g, b);
-    let h, s, l = (max + min) / 2;
-    if (max === min) { h = s = 0; }
-    else {
-      const d = max - min;
-      s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
-      switch (max) {
-        case r: h = ((g - b) / d + (g < b ? 6 : 0)) / 6; break;
-        case g: h = ((b - r) / d + 2) / 6; break;
-        case b: h = ((r - g) / d + 4) / 6; break;
-      }
-    }
-    return { h: h * 360, s: s * 100, l: l * 100 };
-  }
-
   function luminance(hex) {
     const { r, g, b } = hexToRGB(hex);
     return 0.299 * r + 0.587 * g + 0.114 * b;
@@ -673,7 +659,7 @@ const StyleTransferSection = (() => {
     `;
 
     const overline = document.createElement('div');
-    overline.textContent = 'Style Transfer & Imitation';
+    copy.text(overline, 'overline');
     overline.style.cssText = `
       font-family: 'JetBrains Mono', monospace;
       font-size: 11px;
@@ -684,7 +670,7 @@ const StyleTransferSection = (() => {
     `;
 
     const title = document.createElement('h2');
-    title.textContent = 'The same content, rendered through different artistic processes';
+    copy.text(title, 'title');
     title.style.cssText = `
       font-size: 28px;
       font-weight: 600;
@@ -694,7 +680,7 @@ const StyleTransferSection = (() => {
     `;
 
     const desc = document.createElement('p');
-    desc.innerHTML = 'From Prisma to Pixar\u2019s <em>Stylizing Animation by Example</em> \u2014 the same procedural composition rendered through six distinct visual styles. Each demonstrates how artistic process transforms identical content.';
+    copy.html(desc, 'description');
     desc.style.cssText = `
       font-size: 15px;
       color: rgba(232,230,227,0.55);
@@ -753,7 +739,7 @@ const StyleTransferSection = (() => {
       canvasWrap.appendChild(cvs);
 
       const label = document.createElement('div');
-      label.textContent = style.label;
+      copy.text(label, `style.${style.id}`);
       label.style.cssText = `
         font-family: 'JetBrains Mono', monospace;
         font-size: 10px;
@@ -790,7 +776,7 @@ const StyleTransferSection = (() => {
     `;
 
     const newBtn = document.createElement('button');
-    newBtn.textContent = 'New Composition';
+    copy.text(newBtn, 'newComposition');
     newBtn.style.cssText = `
       background: rgba(100,140,255,0.1);
       border: 1px solid rgba(100,140,255,0.25);
@@ -823,11 +809,18 @@ const StyleTransferSection = (() => {
     gridWrap.appendChild(btnWrap);
   }
 
+  // Same 8 slots as PALETTES, from colors that hold up on the paper ground
+  function applyPalette(colors) {
+    sharedPalette = colors ? Procedural.palette.pick(colors, 8, [0.15, 0.75]).map(c => c.hex) : null;
+    generateComposition();
+    renderAllStyles();
+  }
+
   // ---------------------------------------------------------------------------
   // Sizing
   // ---------------------------------------------------------------------------
   function sizeCanvases() {
-    dpr = window.devicePixelRatio || 1;
+    dpr = Procedural.quality.dprFor(quality);
     for (const cell of canvases) {
       const rect = cell.wrapper.getBoundingClientRect();
       cell.canvas.width = rect.width * dpr;
@@ -847,8 +840,10 @@ const StyleTransferSection = (() => {
       generateComposition();
       // Use RAF to ensure layout has computed before sizing
       requestAnimationFrame(() => {
+        if (!container) return; // destroyed before the first frame
         sizeCanvases();
         renderAllStyles();
+        offPalette = Procedural.palette.subscribe(applyPalette);
       });
     },
 
@@ -871,7 +866,39 @@ const StyleTransferSection = (() => {
       sizeCanvases();
       renderAllStyles();
     },
+
+    destroy() {
+      this.stop();
+      if (!container) return;
+      if (offPalette) offPalette();
+      container.textContent = '';
+      container = offPalette = sharedPalette = null;
+      canvases = [];
+    },
+
+    getState() {
+      return { seed };
+    },
+
+    setState(state) {
+      const next = state ? Math.floor(Number(state.seed)) : NaN;
+      if (!isFinite(next) || next === seed) return;
+      seed = next;
+      generateComposition();
+      sizeCanvases();
+      renderAllStyles();
+    },
+
+    // Quality tier 0-3: the DPR cap from Procedural.quality.dprFor()
+    setQuality(level) {
+      const next = Math.max(0, Math.min(Procedural.quality.MAX_LEVEL, level | 0));
+      if (next === quality) return;
+      quality = next;
+      this.resize();
+    },
   };
 })();
 
 if (typeof module !== 'undefined' && module.exports) module.exports = StyleTransferSection;
+
+if (typeof Procedural !== 'undefined') Procedural.registerSection({ id: 'style-transfer-section', module: StyleTransferSection });
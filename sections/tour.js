@@ -0,0 +1,36 @@
+// =============================================================================
+// DEFAULT TOUR — hands-free walkthrough for conference screens
+// Loaded when the page is opened with ?tour (or ?tour=<path/to/timeline.js>).
+// Each step: section id, how long to stay, optional state for the module's
+// setState() and an optional caption. Plain JSON, same as the manifest.
+// =============================================================================
+
+Procedural.tour.define({
+  "loop": true,
+  "steps": [
+    { "section": "hero", "durationMs": 9000, "caption": "Procedural Design — design for & with AI" },
+    { "section": "intro", "durationMs": 8000 },
+
+    { "section": "spiderverse-section", "durationMs": 10000, "state": { "style": "crosshatch", "density": 0.75 }, "caption": "The artist demonstrates intent; the system fills in the shading" },
+    { "section": "firewatch-section", "durationMs": 10000, "state": { "time": 18.5, "temperature": 0.4 }, "caption": "One slider re-colors an entire landscape" },
+    { "section": "style-transfer-section", "durationMs": 9000, "state": { "seed": 20190412 }, "caption": "One composition, six rendering styles" },
+
+    { "section": "planets-section", "durationMs": 12000, "state": { "seed": 48213 }, "caption": "Every seed is a world — 18 quintillion of them" },
+    { "section": "exploration-section", "durationMs": 10000, "state": { "complexity": 0.8, "organic": 0.7 }, "caption": "Design intents become variables to explore" },
+    { "section": "layout-gen-section", "durationMs": 9000, "state": { "mode": "Magazine", "seed": 4242 }, "caption": "Layouts generated from rules, not templates" },
+    { "section": "variable-font-section", "durationMs": 9000, "state": { "weight": 0.8, "width": 0.3 }, "caption": "Continuous axes of typographic variation" },
+
+    { "section": "semantic-section", "durationMs": 10000, "state": { "mood": 0.9, "energy": 0.7 }, "caption": "From direct manipulation to semantic control" },
+    { "section": "lofi-hifi-section", "durationMs": 10000, "caption": "Paint meaning; the system renders detail" },
+    { "section": "semantic-lighting-section", "durationMs": 10000, "state": { "time": 19, "weather": "Cloudy", "drama": 0.8 }, "caption": "Describe intent, not coordinates" },
+    { "section": "semantic-animation-section", "durationMs": 10000, "state": { "mood": 0.2, "energy": 0.3, "weight": 0.7 }, "caption": "A walk cycle directed by mood, energy and weight" },
+
+    { "section": "emergent-section", "durationMs": 12000, "caption": "Simple rules, complex outcomes" },
+    { "section": "spiderweb-section", "durationMs": 10000, "state": { "anchors": [200, 200, 800, 180, 850, 800, 150, 780, 500, 120] }, "caption": "Virtual spiders weave from a handful of anchors" },
+    { "section": "parametric-arch-section", "durationMs": 9000, "state": { "curvature": 0.55, "columns": 14, "roofSpan": 1.6, "height": 0.85, "organic": 0.6 }, "caption": "Infinite structures from a few parameters" },
+    { "section": "colorbox-section", "durationMs": 9000, "state": { "steps": 14, "correction": true }, "caption": "Accessible palettes from three curves" },
+
+    { "section": "animation-spectrum-section", "durationMs": 14000, "state": { "step": 5, "art": 0.7 }, "caption": "From purely procedural to AI-driven" },
+    { "section": "closing", "durationMs": 8000 }
+  ]
+});
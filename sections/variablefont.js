@@ -9,6 +9,7 @@ const VariableFontSection = (() => {
 
   let container, canvas, ctx, running = false, animFrameId = null;
   let W = 0, H = 0, dpr = 1;
+  let quality = Procedural.quality.MAX_LEVEL;   // setQuality tier
   let time = 0;
 
   // --- Constants ----------------------------------------------------------
@@ -19,12 +20,15 @@ const VariableFontSection = (() => {
 
   // --- Axis state ---------------------------------------------------------
 
-  const axes = {
-    weight: 0.35,
-    width: 0.5,
-    opticalSize: 0.5,
-    slant: 0.0,
-  };
+  // Axis positions 0-1 as a parameter schema (core/params.js), for state,
+  // presets and randomize; the sliders themselves are drawn on the canvas
+  const SCHEMA = Procedural.params.define({
+    weight: { type: 'range', label: 'Weight', min: 0, max: 1, step: 0.001, default: 0.35 },
+    width: { type: 'range', label: 'Width', min: 0, max: 1, step: 0.001, default: 0.5 },
+    opticalSize: { type: 'range', label: 'Optical Size', min: 0, max: 1, step: 0.001, default: 0.5 },
+    slant: { type: 'range', label: 'Slant', min: 0, max: 1, step: 0.001, default: 0 },
+  });
+  const axes = Procedural.params.defaults(SCHEMA);
 
   const AXIS_META = [
     { key: 'weight',      label: 'Weight',       lo: 'Thin',       hi: 'Bold' },
@@ -33,12 +37,33 @@ const VariableFontSection = (() => {
     { key: 'slant',       label: 'Slant',        lo: 'Upright',    hi: 'Italic' },
   ];
 
+  // --- Copy ---------------------------------------------------------------
+
+  const copy = Procedural.i18n.namespace('variable-font-section', {
+    overline: 'SECTION E',
+    title: 'Typographic Design Space',
+    description: 'Variable font interpolation \u2014 navigating continuous axes of typographic variation',
+    axes: 'VARIATION AXES',
+    designSpace: 'DESIGN SPACE',
+    weightAxis: 'Weight \u2192',
+    widthAxis: 'Width \u2192',
+    controls: 'Variation axes',
+    range: '{value} ({lo} to {hi})',
+    ...Object.fromEntries(AXIS_META.flatMap(meta => [
+      [`${meta.key}.label`, meta.label],
+      [`${meta.key}.lo`, meta.lo],
+      [`${meta.key}.hi`, meta.hi],
+    ])),
+  });
+
   // --- Slider interaction state -------------------------------------------
 
   let sliderRects = [];  // {x, y, w, h, key}
   let activeSlider = null;
   let hoveredSlider = null;
   let hoveredCell = null; // {r, c} for design space grid
+  let a11y = null;        // keyboard / screen-reader stand-ins (core/a11y.js)
+  const axisControls = {};
 
   // --- Procedural Letterform Definitions ----------------------------------
   // Each letter is an array of path commands in a normalized coordinate
@@ -271,26 +296,37 @@ const VariableFontSection = (() => {
 
   let headerH = 0;
 
+  // Fitted to the width: a longer translation shrinks, then wraps, and
+  // headerH grows with it so the panels below move down
   function drawHeader() {
     const pad = 32;
+    const maxWidth = W - pad * 2;
     ctx.save();
 
     ctx.font = '11px "JetBrains Mono", monospace';
     ctx.fillStyle = ACCENT;
     ctx.textBaseline = 'top';
-    ctx.fillText('SECTION E', pad, pad);
+    ctx.fillText(copy('overline'), pad, pad);
 
-    ctx.font = 'bold 28px Inter, system-ui, sans-serif';
+    let y = pad + 22;
+    const title = Procedural.i18n.fitText(ctx, copy('title'), maxWidth, {
+      size: 28, minSize: 18, leading: 1.2,
+      font: size => `bold ${size}px Inter, system-ui, sans-serif`,
+    });
     ctx.fillStyle = '#e8ecf8';
-    ctx.fillText('Typographic Design Space', pad, pad + 22);
+    title.lines.forEach((line, i) => ctx.fillText(line, pad, y + i * title.lineHeight));
+    y += title.height;
 
-    ctx.font = '14px Inter, system-ui, sans-serif';
+    const desc = Procedural.i18n.fitText(ctx, copy('description'), maxWidth, {
+      size: 14, minSize: 12, maxLines: 2, leading: 1.4,
+      font: size => `${size}px Inter, system-ui, sans-serif`,
+    });
     ctx.fillStyle = 'rgba(180,190,220,0.6)';
-    const desc = 'Variable font interpolation \u2014 navigating continuous axes of typographic variation';
-    ctx.fillText(desc, pad, pad + 56);
+    desc.lines.forEach((line, i) => ctx.fillText(line, pad, y + i * desc.lineHeight));
+    y += desc.height;
 
     ctx.restore();
-    headerH = pad + 80;
+    headerH = y + 4;
   }
 
   // --- Slider rendering ---------------------------------------------------
@@ -320,7 +356,7 @@ const VariableFontSection = (() => {
     ctx.font = '10px "JetBrains Mono", monospace';
     ctx.fillStyle = 'rgba(180,190,220,0.55)';
     ctx.textBaseline = 'top';
-    ctx.fillText('VARIATION AXES', sx, sy);
+    ctx.fillText(copy('axes'), sx, sy);
 
     let y = sy + 20;
     for (const meta of AXIS_META) {
@@ -332,7 +368,7 @@ const VariableFontSection = (() => {
       ctx.font = '11px Inter, system-ui, sans-serif';
       ctx.fillStyle = isActive || isHovered ? '#e8ecf8' : 'rgba(180,190,220,0.6)';
       ctx.textBaseline = 'bottom';
-      ctx.fillText(meta.label, sx, y - 2);
+      ctx.fillText(copy(`${meta.key}.label`), sx, y - 2);
 
       // Value
       ctx.textAlign = 'right';
@@ -365,12 +401,14 @@ const VariableFontSection = (() => {
       ctx.font = '9px "JetBrains Mono", monospace';
       ctx.fillStyle = 'rgba(180,190,220,0.55)';
       ctx.textBaseline = 'top';
-      ctx.fillText(meta.lo, sx, trackY + trackH + 3);
+      ctx.fillText(copy(`${meta.key}.lo`), sx, trackY + trackH + 3);
       ctx.textAlign = 'right';
-      ctx.fillText(meta.hi, sx + sliderW, trackY + trackH + 3);
+      ctx.fillText(copy(`${meta.key}.hi`), sx + sliderW, trackY + trackH + 3);
       ctx.textAlign = 'left';
 
-      sliderRects.push({ x: sx - 8, y: y - 14, w: sliderW + 16, h: gap, key: meta.key });
+      const rect = { x: sx - 8, y: y - 14, w: sliderW + 16, h: gap, key: meta.key };
+      sliderRects.push(rect);
+      axisControls[meta.key].place(rect.x, rect.y, rect.w, rect.h);
       y += gap;
     }
 
@@ -403,18 +441,18 @@ const VariableFontSection = (() => {
     ctx.font = '10px "JetBrains Mono", monospace';
     ctx.fillStyle = 'rgba(180,190,220,0.55)';
     ctx.textBaseline = 'top';
-    ctx.fillText('DESIGN SPACE', gx, gy - 24);
+    ctx.fillText(copy('designSpace'), gx, gy - 24);
 
     // Axis labels
     ctx.fillStyle = 'rgba(180,190,220,0.55)';
     ctx.font = '9px "JetBrains Mono", monospace';
     ctx.textBaseline = 'bottom';
-    ctx.fillText('Weight \u2192', gx, gy - 4);
+    ctx.fillText(copy('weightAxis'), gx, gy - 4);
     ctx.save();
     ctx.translate(gx - 6, gy + gridSize);
     ctx.rotate(-Math.PI / 2);
     ctx.textBaseline = 'bottom';
-    ctx.fillText('Width \u2192', 0, 0);
+    ctx.fillText(copy('widthAxis'), 0, 0);
     ctx.restore();
 
     // Find current position
@@ -538,6 +576,7 @@ const VariableFontSection = (() => {
     ctx.textAlign = 'left';
 
     ctx.restore();
+    a11y.sync();
   }
 
   // --- Interaction --------------------------------------------------------
@@ -664,6 +703,19 @@ const VariableFontSection = (() => {
 
       ctx = canvas.getContext('2d');
 
+      a11y = Procedural.a11y.createLayer(container, { label: copy('controls') });
+      copy.attr(a11y.el, 'aria-label', 'controls');
+      for (const meta of AXIS_META) {
+        axisControls[meta.key] = a11y.slider({
+          label: copy(`${meta.key}.label`),
+          get: () => axes[meta.key],
+          set: (v) => { axes[meta.key] = v; },
+          format: (v) => copy('range', { value: v.toFixed(2), lo: copy(`${meta.key}.lo`), hi: copy(`${meta.key}.hi`) }),
+          onFocus: (focused) => { hoveredSlider = focused ? meta.key : null; },
+        });
+        copy.attr(axisControls[meta.key].el, 'aria-label', `${meta.key}.label`);
+      }
+
       canvas.addEventListener('mousedown', onMouseDown);
       canvas.addEventListener('mousemove', onMouseMove);
       window.addEventListener('mouseup', onMouseUp);
@@ -688,15 +740,49 @@ const VariableFontSection = (() => {
       }
     },
 
+    destroy() {
+      this.stop();
+      if (!container) return;
+      window.removeEventListener('mouseup', onMouseUp);
+      window.removeEventListener('touchend', onTouchEnd);
+      if (a11y) a11y.destroy();
+      canvas.remove();
+      container = canvas = ctx = a11y = null;
+      activeSlider = hoveredSlider = hoveredCell = null;
+      sliderRects = [];
+    },
+
     resize() {
-      dpr = window.devicePixelRatio || 1;
+      if (!container) return;
+      dpr = Procedural.quality.dprFor(quality);
       const rect = container.getBoundingClientRect();
       W = rect.width;
       H = rect.height;
       canvas.width = W * dpr;
       canvas.height = H * dpr;
     },
+
+    schema: SCHEMA,
+
+    getState() {
+      return Procedural.params.pick(SCHEMA, axes);
+    },
+
+    setState(state) {
+      Object.assign(axes, Procedural.params.validate(SCHEMA, state));
+      if (a11y) a11y.sync();
+    },
+
+    // Quality tier 0-3: the DPR cap from Procedural.quality.dprFor()
+    setQuality(level) {
+      const next = Math.max(0, Math.min(Procedural.quality.MAX_LEVEL, level | 0));
+      if (next === quality) return;
+      quality = next;
+      if (container) this.resize();
+    },
   };
 })();
 
 if (typeof module !== 'undefined' && module.exports) module.exports = VariableFontSection;
+
+if (typeof Procedural !== 'undefined') Procedural.registerSection({ id: 'variable-font-section', module: VariableFontSection });
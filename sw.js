@@ -0,0 +1,77 @@
+// =============================================================================
+// SERVICE WORKER — Offline copy of the page
+// index.html registers it when served over http(s); from file:// there is
+// nothing to fetch anyway. Installing caches the page, every core, section
+// and locale script and the font files; after that requests go to the
+// network first, refreshing the cache, and fall back to it with no network,
+// so a kiosk that was online once keeps working offline.
+//
+// Section scripts come from the manifest, so a new section is cached without
+// touching this file; bump VERSION when the lists below change.
+// =============================================================================
+
+importScripts('core/procedural.js', 'core/fonts.js', 'sections/manifest.js');
+
+const VERSION = 'procedural-v2';
+
+const PAGE = [
+  './',
+  'index.html',
+  'embed.js',
+  'core/proceduralcore.js',
+  'core/procedural.js',
+  'core/fonts.js',
+  'core/determinism.js',
+  'core/urlstate.js',
+  'core/tour.js',
+  'core/quality.js',
+  'core/motion.js',
+  'core/a11y.js',
+  'core/i18n.js',
+  'core/params.js',
+  'core/palette.js',
+  'core/presets.js',
+  'core/history.js',
+  'core/capture.js',
+  'core/automation.js',
+  'core/lifecycle.js',
+  'core/analytics.js',
+  'core/deck.js',
+  'core/element.js',
+  'sections/manifest.js',
+  'sections/tour.js',
+  'sections/heroparticles.js',
+  'locales/de.js',
+  'locales/ja.js',
+];
+
+function sectionScripts() {
+  return Procedural.getSections().map(entry => entry.script).filter(Boolean);
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(VERSION).then(async cache => {
+    await cache.addAll([...new Set([...PAGE, ...sectionScripts(), ...Procedural.fonts.files()])]);
+  }).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys
+      .filter(key => key.startsWith('procedural-') && key !== VERSION)
+      .map(key => caches.delete(key))))
+    .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+  event.respondWith(fetch(request).then(response => {
+    if (response.ok) {
+      const copy = response.clone();
+      caches.open(VERSION).then(cache => cache.put(request, copy));
+    }
+    return response;
+  }).catch(() => caches.match(request, { ignoreSearch: request.mode === 'navigate' })
+    .then(cached => cached || Response.error())));
+});
@@ -0,0 +1,697 @@
+// =============================================================================
+// CORE TESTS — The runtime modules that don't draw
+// Each test loads the scripts it needs into a fresh jsdom window, the way the
+// page runs them, and calls the module through Procedural. Covers presets,
+// history, URL state, i18n's format and fitText, capture's zip and GIF
+// encoders and the analytics log's exports.
+//
+//   npm test
+// =============================================================================
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { TextEncoder, TextDecoder } = require('util');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..');
+
+/**
+ * A window on an http origin (so localStorage works) with `scripts` run in
+ * order; run(src) evaluates another one later.
+ */
+function load(...scripts) {
+  const dom = new JSDOM('<!DOCTYPE html><html lang="en"><head></head><body></body></html>', {
+    url: 'http://localhost/index.html',
+    runScripts: 'outside-only',
+  });
+  const { window } = dom;
+  // Browsers have these; jsdom doesn't (capture.js encodes zip names)
+  Object.assign(window, { TextEncoder, TextDecoder });
+  const context = dom.getInternalVMContext();
+  // As <script> tags: top-level declarations are shared between files
+  const run = src => new vm.Script(fs.readFileSync(path.join(ROOT, src), 'utf8'), { filename: src }).runInContext(context);
+  scripts.forEach(run);
+  // A top-level const in the page's scripts, not a window property
+  return { window, Procedural: window.eval('Procedural'), run };
+}
+
+/** A value from the window as a plain object of this realm, to compare. */
+function plain(value) {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+/** Every event of `type` emitted while `fn` runs. */
+function collect(Procedural, type, fn) {
+  const seen = [];
+  const off = Procedural.on(type, detail => seen.push(detail));
+  try {
+    fn();
+  } finally {
+    off();
+  }
+  return seen;
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((n, part) => n + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    out.set(part, offset);
+    offset += part.length;
+  });
+  return out;
+}
+
+// -----------------------------------------------------------------------------
+// Presets
+// -----------------------------------------------------------------------------
+describe('presets', () => {
+  /** Presets on a page with one stateful section, `demo-section`. */
+  function page(stored) {
+    const env = load('core/procedural.js');
+    if (stored) env.window.localStorage.setItem('procedural-presets', JSON.stringify(stored));
+    env.run('core/presets.js');
+    let state = { size: 1 };
+    const entry = env.Procedural.registerSection({
+      id: 'demo-section',
+      module: {
+        presets: { Large: { size: 9 } },
+        getState: () => ({ ...state }),
+        setState: next => { state = { ...state, ...next }; },
+      },
+    });
+    entry.initialized = true;
+    return { ...env, presets: env.Procedural.presets, state: () => state };
+  }
+
+  test('saves the current state and applies it back', () => {
+    const { presets, state, Procedural } = page();
+    const events = collect(Procedural, 'presets', () => {
+      assert.strictEqual(presets.save('demo-section', '  Small  '), 'Small');
+    });
+    assert.deepStrictEqual(plain(events), [{ id: 'demo-section' }]);
+    presets.apply('demo-section', 'Large');
+    assert.deepStrictEqual(state(), { size: 9 });
+    assert.strictEqual(presets.apply('demo-section', 'Small'), true);
+    assert.deepStrictEqual(state(), { size: 1 });
+    assert.strictEqual(presets.apply('demo-section', 'Missing'), false);
+  });
+
+  test('lists built-in presets first, then saved ones A-Z', () => {
+    const { presets } = page();
+    presets.save('demo-section', 'b', { size: 2 });
+    presets.save('demo-section', 'a', { size: 3 });
+    assert.deepStrictEqual(plain(presets.list('demo-section')), [
+      { name: 'Large', builtin: true },
+      { name: 'a', builtin: false },
+      { name: 'b', builtin: false },
+    ]);
+  });
+
+  test('get() hands out copies', () => {
+    const { presets } = page();
+    presets.save('demo-section', 'Mine', { size: 4 });
+    presets.get('demo-section', 'Mine').size = 5;
+    assert.strictEqual(presets.get('demo-section', 'Mine').size, 4);
+  });
+
+  test('rejects presets without a name or an object state', () => {
+    const { presets } = page();
+    assert.throws(() => presets.save('demo-section', '   ', { size: 1 }), /needs a name/);
+    assert.throws(() => presets.save('demo-section', 'Bad', 3), /must be an object/);
+    assert.throws(() => presets.save('other-section', 'Bad'), /no state to save/);
+  });
+
+  test('deletes saved presets but keeps built-in ones', () => {
+    const { presets } = page();
+    presets.save('demo-section', 'Mine', { size: 4 });
+    assert.strictEqual(presets.remove('demo-section', 'Mine'), true);
+    assert.strictEqual(presets.remove('demo-section', 'Large'), false);
+    assert.deepStrictEqual(plain(presets.list('demo-section').map(p => p.name)), ['Large']);
+  });
+
+  test('persists to localStorage and reads it back', () => {
+    const first = page();
+    first.presets.save('demo-section', 'Kept', { size: 7 });
+    const stored = JSON.parse(first.window.localStorage.getItem('procedural-presets'));
+    const second = page(stored);
+    assert.deepStrictEqual(plain(second.presets.get('demo-section', 'Kept')), { size: 7 });
+  });
+
+  test('round-trips exportJSON() through importJSON()', () => {
+    const source = page();
+    source.presets.save('demo-section', 'Shared', { size: 6 });
+    const json = source.presets.exportJSON('demo-section');
+    assert.deepStrictEqual(JSON.parse(json).presets, { 'demo-section': { Shared: { size: 6 } } });
+
+    const { presets, Procedural } = page();
+    const events = collect(Procedural, 'presets', () => {
+      assert.strictEqual(presets.importJSON(json), 1);
+    });
+    assert.deepStrictEqual(plain(events), [{ id: null }]);
+    assert.deepStrictEqual(plain(presets.get('demo-section', 'Shared')), { size: 6 });
+  });
+
+  test('refuses files that are not preset files', () => {
+    const { presets } = page();
+    assert.throws(() => presets.importJSON('{'), /Not a JSON file/);
+    assert.throws(() => presets.importJSON({ format: 'other', presets: {} }), /Not a preset file/);
+    assert.throws(() => presets.importJSON({ format: 'procedural-presets', version: 99, presets: {} }), /newer/);
+  });
+
+  test('imports only sections the page has, without touching prototypes', () => {
+    const { presets, window } = page();
+    const count = presets.importJSON(`{
+      "format": "procedural-presets", "version": 1,
+      "presets": {
+        "constructor": { "polluted": { "a": 1 } },
+        "__proto__": { "polluted": { "a": 1 } },
+        "toString": { "polluted": { "a": 1 } },
+        "demo-section": {
+          "constructor": { "size": 2 },
+          "__proto__": { "size": 3 },
+          "Plain": { "size": 4 },
+          "Array": [1, 2]
+        }
+      }
+    }`);
+    assert.strictEqual(count, 3);
+    assert.strictEqual(window.Object.polluted, undefined);
+    assert.strictEqual(window.eval('({}).polluted'), undefined);
+    assert.strictEqual(window.eval('Object.prototype.size'), undefined);
+    assert.deepStrictEqual(plain(presets.list('constructor')), []);
+    assert.deepStrictEqual(plain(presets.get('demo-section', 'constructor')), { size: 2 });
+    assert.deepStrictEqual(plain(presets.get('demo-section', '__proto__')), { size: 3 });
+    assert.strictEqual(presets.get('demo-section', 'hasOwnProperty'), null);
+  });
+});
+
+// -----------------------------------------------------------------------------
+// History
+// -----------------------------------------------------------------------------
+describe('history', () => {
+  function counter() {
+    const { Procedural, window } = load('core/procedural.js', 'core/history.js');
+    const target = { value: 0 };
+    const set = (label, value) => {
+      const before = target.value;
+      target.value = value;
+      Procedural.history.push('demo', {
+        label,
+        undo: () => { target.value = before; },
+        redo: () => { target.value = value; },
+      });
+    };
+    return { history: Procedural.history, Procedural, window, target, set };
+  }
+
+  test('undoes and redoes in order, returning labels', () => {
+    const { history, target, set } = counter();
+    set('One', 1);
+    set('Two', 2);
+    assert.strictEqual(history.undo('demo'), 'Two');
+    assert.strictEqual(target.value, 1);
+    assert.strictEqual(history.undo('demo'), 'One');
+    assert.strictEqual(target.value, 0);
+    assert.strictEqual(history.undo('demo'), null);
+    assert.strictEqual(history.redo('demo'), 'One');
+    assert.strictEqual(target.value, 1);
+    assert.strictEqual(history.canRedo('demo'), true);
+  });
+
+  test('a new edit drops the redo stack', () => {
+    const { history, set } = counter();
+    set('One', 1);
+    history.undo('demo');
+    set('Other', 5);
+    assert.strictEqual(history.canRedo('demo'), false);
+    assert.strictEqual(history.redo('demo'), null);
+  });
+
+  test('ignores edits made while undoing', () => {
+    const { history, Procedural } = counter();
+    Procedural.history.push('demo', {
+      label: 'Noisy',
+      undo: () => history.push('demo', { label: 'Echo', undo() {}, redo() {} }),
+      redo() {},
+    });
+    history.undo('demo');
+    assert.strictEqual(history.canUndo('demo'), false);
+    assert.strictEqual(history.canRedo('demo'), true);
+  });
+
+  test('keeps the last LIMIT edits per section', () => {
+    const { history, set } = counter();
+    for (let i = 1; i <= history.LIMIT + 5; i++) set(`Edit ${i}`, i);
+    let undone = 0;
+    while (history.undo('demo') !== null) undone++;
+    assert.strictEqual(undone, history.LIMIT);
+    assert.strictEqual(history.canUndo('other'), false);
+  });
+
+  test('change() records snapshots only when they differ', () => {
+    const { history } = counter();
+    const applied = [];
+    history.change('demo', 'Same', { a: 1 }, { a: 1 }, s => applied.push(s));
+    assert.strictEqual(history.canUndo('demo'), false);
+    history.change('demo', 'Move', { a: 1 }, { a: 2 }, s => applied.push(s));
+    history.undo('demo');
+    history.redo('demo');
+    assert.deepStrictEqual(applied, [{ a: 1 }, { a: 2 }]);
+  });
+
+  test("emits 'history' for push, undo, redo and clear", () => {
+    const { history, Procedural, set } = counter();
+    const events = collect(Procedural, 'history', () => {
+      set('One', 1);
+      history.undo('demo');
+      history.redo('demo');
+      history.clear('demo');
+      history.clear('demo');
+    });
+    assert.deepStrictEqual(events.map(e => [e.action, e.label, e.canUndo, e.canRedo]), [
+      ['push', 'One', true, false],
+      ['undo', 'One', false, true],
+      ['redo', 'One', true, false],
+      ['clear', '', false, false],
+    ]);
+  });
+
+  test('handles Ctrl+Z, Ctrl+Shift+Z and Ctrl+Y, but not in text fields', () => {
+    const { history, window, target, set } = counter();
+    const key = (init, target) => {
+      const e = new window.KeyboardEvent('keydown', { bubbles: true, cancelable: true, ...init });
+      (target || window.document.body).dispatchEvent(e);
+      return e;
+    };
+    let handled;
+    window.document.body.addEventListener('keydown', e => { handled = history.handleKey(e, 'demo'); });
+    set('One', 1);
+    key({ key: 'z', ctrlKey: true });
+    assert.strictEqual(handled, true);
+    assert.strictEqual(target.value, 0);
+    key({ key: 'Z', ctrlKey: true, shiftKey: true });
+    assert.strictEqual(target.value, 1);
+    key({ key: 'z', metaKey: true });
+    key({ key: 'y', ctrlKey: true });
+    assert.strictEqual(target.value, 1);
+    key({ key: 'z' });
+    assert.strictEqual(handled, false);
+    const input = window.document.createElement('input');
+    window.document.body.appendChild(input);
+    key({ key: 'z', ctrlKey: true }, input);
+    assert.strictEqual(handled, false);
+    assert.strictEqual(target.value, 1);
+  });
+});
+
+// -----------------------------------------------------------------------------
+// URL state
+// -----------------------------------------------------------------------------
+describe('urlState', () => {
+  test('writes strings bare and everything else as JSON', () => {
+    const { Procedural } = load('core/procedural.js', 'core/urlstate.js');
+    assert.strictEqual(Procedural.urlState.format('planets-section', { seed: 48213 }), '#planets-section?seed=48213');
+    assert.strictEqual(
+      Procedural.urlState.format('colorbox-section', { mode: 'hsl', steps: 14, on: true, hue: [0.5, 0.25] }),
+      '#colorbox-section?mode=hsl&steps=14&on=true&hue=%5B0.5%2C0.25%5D');
+    assert.strictEqual(Procedural.urlState.format('intro'), '#intro');
+    assert.strictEqual(Procedural.urlState.format(null, { a: 1 }), '');
+  });
+
+  test('parses what it formats', () => {
+    const { Procedural } = load('core/procedural.js', 'core/urlstate.js');
+    const state = { text: 'a b&c=d?', n: -1.5, list: [1, 'two', null], nested: { x: { y: 2 } }, flag: false, digits: '007' };
+    const hash = Procedural.urlState.format('demo section', state);
+    const parsed = Procedural.urlState.parse(hash);
+    assert.strictEqual(parsed.id, 'demo section');
+    assert.deepStrictEqual(plain(parsed.state), state);
+  });
+
+  test('reads bare ids, empty hashes and hand-edited values', () => {
+    const { Procedural } = load('core/procedural.js', 'core/urlstate.js');
+    assert.deepStrictEqual(plain(Procedural.urlState.parse('')), { id: null, state: null });
+    assert.deepStrictEqual(plain(Procedural.urlState.parse('#intro')), { id: 'intro', state: null });
+    assert.deepStrictEqual(plain(Procedural.urlState.parse('#intro?')), { id: 'intro', state: null });
+    assert.deepStrictEqual(plain(Procedural.urlState.parse('planets-section?seed=12&name={oops')),
+      { id: 'planets-section', state: { seed: 12, name: '{oops' } });
+  });
+
+  test('write() replaces the hash and reports no-ops', () => {
+    const { Procedural, window } = load('core/procedural.js', 'core/urlstate.js');
+    const length = window.history.length;
+    assert.strictEqual(Procedural.urlState.write('planets-section', { seed: 3 }), true);
+    assert.strictEqual(window.location.hash, '#planets-section?seed=3');
+    assert.strictEqual(Procedural.urlState.write('planets-section', { seed: 3 }), false);
+    assert.deepStrictEqual(plain(Procedural.urlState.read()), { id: 'planets-section', state: { seed: 3 } });
+    assert.strictEqual(window.history.length, length);
+  });
+});
+
+// -----------------------------------------------------------------------------
+// i18n
+// -----------------------------------------------------------------------------
+describe('i18n', () => {
+  function messages() {
+    const env = load('core/procedural.js', 'core/i18n.js');
+    const t = env.Procedural.i18n.namespace('demo', {
+      hello: 'Hello {name}',
+      files: { one: '{count} file', other: '{count} files' },
+      only: 'English only',
+    });
+    env.Procedural.i18n.define('de', { demo: { hello: 'Hallo {name}', files: { one: '{count} Datei', other: '{count} Dateien' } } });
+    env.Procedural.i18n.define('ja', { demo: { files: { other: '{count} 件のファイル' } } });
+    return { ...env, t };
+  }
+
+  test('fills in params and leaves unknown ones as written', () => {
+    const { t } = messages();
+    assert.strictEqual(t('hello', { name: 'Ada' }), 'Hello Ada');
+    assert.strictEqual(t('hello'), 'Hello {name}');
+    assert.strictEqual(t('hello', { other: 1 }), 'Hello {name}');
+    assert.strictEqual(t('missing.key'), 'missing.key');
+  });
+
+  test('picks plural forms by the language', async () => {
+    const { t, Procedural } = messages();
+    assert.strictEqual(t('files', { count: 1 }), '1 file');
+    assert.strictEqual(t('files', { count: 0 }), '0 files');
+    assert.strictEqual(t('files'), '{count} files');
+    await Procedural.i18n.use('de');
+    assert.strictEqual(t('files', { count: 1 }), '1 Datei');
+    assert.strictEqual(t('files', { count: 2 }), '2 Dateien');
+    await Procedural.i18n.use('ja');
+    assert.strictEqual(t('files', { count: 1 }), '1 件のファイル');
+  });
+
+  test('falls back to English for keys a catalog lacks', async () => {
+    const { t, Procedural, window } = messages();
+    assert.strictEqual(await Procedural.i18n.use('de'), 'de');
+    assert.strictEqual(window.document.documentElement.lang, 'de');
+    assert.strictEqual(t('hello', { name: 'Ada' }), 'Hallo Ada');
+    assert.strictEqual(t('only'), 'English only');
+    assert.strictEqual(Procedural.i18n.text('demo', 'only'), 'English only');
+    assert.strictEqual(Procedural.i18n.text('demo', 'missing'), undefined);
+    assert.strictEqual(await Procedural.i18n.use('xx'), 'en');
+  });
+
+  test('re-translates bound markup when the language changes', async () => {
+    const { t, Procedural, window } = messages();
+    // An element keeps one set of params for its text and attributes
+    const params = { count: 3, name: 'Ada' };
+    const el = t.text(window.document.createElement('span'), 'files', params);
+    t.attr(el, 'title', 'hello', params);
+    window.document.body.appendChild(el);
+    await Procedural.i18n.use('de');
+    assert.strictEqual(el.textContent, '3 Dateien');
+    assert.strictEqual(el.title, 'Hallo Ada');
+  });
+
+  describe('fitText', () => {
+    // Every character is as wide as the font size, so widths are exact
+    function monospace() {
+      const ctx = {
+        font: '',
+        measureText: text => ({ width: String(text).length * parseInt(ctx.font, 10) }),
+      };
+      return ctx;
+    }
+    const font = size => `${size}px sans-serif`;
+
+    test('keeps the full size when the text fits', () => {
+      const ctx = monospace();
+      const fit = load('core/procedural.js', 'core/i18n.js').Procedural.i18n.fitText(
+        ctx, 'Short label', 200, { size: 14, font });
+      assert.deepStrictEqual(plain(fit), { lines: ['Short label'], size: 14, lineHeight: 18, height: 18 });
+      assert.strictEqual(ctx.font, '14px sans-serif');
+    });
+
+    test('shrinks, then wraps onto the allowed lines', () => {
+      const { fitText } = load('core/procedural.js', 'core/i18n.js').Procedural.i18n;
+      const shrunk = fitText(monospace(), 'twelve chars', 130, { size: 14, minSize: 10, font });
+      assert.strictEqual(shrunk.size, 10);
+      assert.deepStrictEqual(plain(shrunk.lines), ['twelve chars']);
+      const wrapped = fitText(monospace(), 'one two three four', 100, { size: 10, minSize: 10, maxLines: 2, font });
+      assert.deepStrictEqual(plain(wrapped.lines), ['one two', 'three four']);
+      assert.strictEqual(wrapped.height, 2 * wrapped.lineHeight);
+    });
+
+    test('cuts what still overflows at the smallest size with an ellipsis', () => {
+      const { fitText } = load('core/procedural.js', 'core/i18n.js').Procedural.i18n;
+      const fit = fitText(monospace(), 'one two three four five six', 100, { size: 12, minSize: 10, maxLines: 2, font });
+      assert.strictEqual(fit.size, 10);
+      assert.strictEqual(fit.lines.length, 2);
+      assert.strictEqual(fit.lines[0], 'one two');
+      assert.ok(fit.lines[1].endsWith('…'), fit.lines[1]);
+      fit.lines.forEach(line => assert.ok(line.length * 10 <= 100, line));
+    });
+
+    test('breaks CJK text between characters', () => {
+      const { fitText } = load('core/procedural.js', 'core/i18n.js').Procedural.i18n;
+      const fit = fitText(monospace(), 'プロシージャルデザイン', 60, { size: 10, minSize: 10, maxLines: 2, font });
+      assert.deepStrictEqual(plain(fit.lines), ['プロシージャ', 'ルデザイン']);
+    });
+  });
+});
+
+// -----------------------------------------------------------------------------
+// Capture encoders
+// -----------------------------------------------------------------------------
+describe('capture encoders', () => {
+  function capture() {
+    return load('core/procedural.js', 'core/capture.js').Procedural.capture;
+  }
+
+  /** The files in a store-only zip, found through its central directory. */
+  function unzip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const end = bytes.length - 22;
+    assert.strictEqual(view.getUint32(end, true), 0x06054b50, 'end of central directory');
+    const count = view.getUint16(end + 10, true);
+    let p = view.getUint32(end + 16, true);
+    assert.strictEqual(p + view.getUint32(end + 12, true), end, 'central directory size');
+    const files = [];
+    for (let i = 0; i < count; i++) {
+      assert.strictEqual(view.getUint32(p, true), 0x02014b50, 'central header');
+      const crc = view.getUint32(p + 16, true);
+      const size = view.getUint32(p + 24, true);
+      const nameLength = view.getUint16(p + 28, true);
+      const local = view.getUint32(p + 42, true);
+      const name = new TextDecoder().decode(bytes.subarray(p + 46, p + 46 + nameLength));
+      assert.strictEqual(view.getUint32(local, true), 0x04034b50, 'local header');
+      assert.strictEqual(view.getUint16(local + 8, true), 0, 'stored, not deflated');
+      assert.strictEqual(view.getUint32(local + 14, true), crc);
+      const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+      files.push({ name, crc, data: bytes.slice(start, start + size) });
+      p += 46 + nameLength;
+    }
+    return files;
+  }
+
+  /** Sizes, delays and palette indices of every frame in a GIF. */
+  function readGif(bytes) {
+    const ascii = (from, n) => String.fromCharCode(...bytes.subarray(from, from + n));
+    const u16 = at => bytes[at] | (bytes[at + 1] << 8);
+    assert.strictEqual(ascii(0, 6), 'GIF89a');
+    const gif = { width: u16(6), height: u16(8), loop: null, frames: [] };
+    let p = 13;
+    let delay = null;
+    const subBlocks = () => {
+      const chunks = [];
+      while (bytes[p]) {
+        chunks.push(bytes.subarray(p + 1, p + 1 + bytes[p]));
+        p += bytes[p] + 1;
+      }
+      p++;
+      return concat(chunks);
+    };
+    for (;;) {
+      const type = bytes[p++];
+      if (type === 0x3b) break;
+      if (type === 0x21) {
+        const label = bytes[p++];
+        const data = subBlocks();
+        if (label === 0xf9) delay = data[1] | (data[2] << 8);
+        if (label === 0xff && new TextDecoder().decode(data.subarray(0, 11)) === 'NETSCAPE2.0') {
+          gif.loop = data[12] | (data[13] << 8);
+        }
+      } else if (type === 0x2c) {
+        const width = u16(p + 4), height = u16(p + 6), flags = bytes[p + 8];
+        p += 9;
+        const palette = flags & 0x80 ? bytes.slice(p, p + 3 * (2 << (flags & 7))) : null;
+        if (palette) p += palette.length;
+        const minCodeSize = bytes[p++];
+        const indices = lzwDecode(subBlocks(), minCodeSize);
+        gif.frames.push({ width, height, delay, palette, indices });
+      } else {
+        assert.fail(`unexpected block 0x${type.toString(16)} at ${p - 1}`);
+      }
+    }
+    assert.strictEqual(p, bytes.length, 'trailer ends the file');
+    return gif;
+  }
+
+  /** A plain GIF LZW decoder, to check the encoder against. */
+  function lzwDecode(data, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    let table, codeSize, prev = null;
+    const reset = () => {
+      table = [];
+      for (let i = 0; i < clearCode; i++) table[i] = [i];
+      codeSize = minCodeSize + 1;
+      prev = null;
+    };
+    reset();
+    const out = [];
+    let bit = 0;
+    for (;;) {
+      let code = 0;
+      for (let i = 0; i < codeSize; i++, bit++) code |= ((data[bit >> 3] >> (bit & 7)) & 1) << i;
+      if (code === clearCode) {
+        reset();
+        continue;
+      }
+      if (code === endCode) break;
+      const next = table.length < endCode + 1 ? endCode + 1 : table.length;
+      const entry = code < next && table[code] ? table[code] : prev.concat(prev[0]);
+      out.push(...entry);
+      if (prev) {
+        table[next] = prev.concat(entry[0]);
+        if (next + 1 === 1 << codeSize && codeSize < 12) codeSize++;
+      }
+      prev = entry;
+    }
+    return Uint8Array.from(out);
+  }
+
+  /** RGBA pixels from a list of colors, chosen per pixel by `pick(i)`. */
+  function pixels(count, colors, pick) {
+    const rgba = new Uint8Array(count * 4);
+    for (let i = 0; i < count; i++) {
+      rgba.set(colors[pick(i)], i * 4);
+      rgba[i * 4 + 3] = 255;
+    }
+    return rgba;
+  }
+
+  test('zips files that unzip to the same bytes', () => {
+    const zip = capture().createZip();
+    const text = new TextEncoder().encode('123456789');
+    const frame = Uint8Array.from({ length: 70000 }, (_, i) => (i * 31) & 0xff);
+    zip.add('check.txt', text);
+    zip.add('frames/frame-0001.png', frame);
+    zip.add('ünïcode.txt', new Uint8Array(0));
+    const files = unzip(concat(zip.finish()));
+    assert.deepStrictEqual(files.map(f => f.name), ['check.txt', 'frames/frame-0001.png', 'ünïcode.txt']);
+    assert.strictEqual(files[0].crc, 0xcbf43926);   // the standard CRC-32 check value
+    assert.deepStrictEqual(files[0].data, text);
+    assert.deepStrictEqual(files[1].data, frame);
+    assert.strictEqual(files[2].data.length, 0);
+  });
+
+  test('encodes GIF frames that decode to the same pixels', () => {
+    // Colors at bin centers (5 bits per channel) come back exactly
+    const colors = [];
+    for (let i = 0; i < 200; i++) colors.push([(i % 32) * 8 + 4, ((i * 7) % 32) * 8 + 4, ((i * 13) % 32) * 8 + 4]);
+    const width = 96, height = 64;
+    let seed = 1;
+    const random = () => (seed = (seed * 1103515245 + 12345) >>> 0) / 4294967296;
+    const noisy = pixels(width * height, colors, () => Math.floor(random() * colors.length));
+    const flat = pixels(width * height, colors, i => (i % width < width / 2 ? 0 : 1));
+
+    const encoder = capture().createGifEncoder(width, height);
+    [noisy, flat, noisy].forEach(rgba => assert.ok(encoder.addFrame(rgba, 1000 / 30) > 0));
+    const gif = readGif(concat(encoder.finish()));
+
+    assert.strictEqual(gif.width, width);
+    assert.strictEqual(gif.height, height);
+    assert.strictEqual(gif.loop, 0);
+    // 33.3 ms frames round to centiseconds without drifting
+    assert.deepStrictEqual(gif.frames.map(f => f.delay), [3, 4, 3]);
+    [noisy, flat, noisy].forEach((rgba, n) => {
+      const frame = gif.frames[n];
+      assert.strictEqual(frame.indices.length, width * height, `frame ${n} pixel count`);
+      for (let i = 0; i < width * height; i++) {
+        const index = frame.indices[i];
+        const rgb = [...frame.palette.subarray(index * 3, index * 3 + 3)];
+        assert.deepStrictEqual(rgb, [...rgba.subarray(i * 4, i * 4 + 3)], `frame ${n} pixel ${i}`);
+      }
+    });
+  });
+
+  test('reduces frames with more than 256 colors to a 256-entry palette', () => {
+    const width = 128, height = 128;
+    const rgba = new Uint8Array(width * height * 4);
+    for (let i = 0; i < width * height; i++) rgba.set([i & 0xff, (i >> 6) & 0xff, (i * 3) & 0xff, 255], i * 4);
+    const encoder = capture().createGifEncoder(width, height, { loop: 2 });
+    encoder.addFrame(rgba, 100);
+    const gif = readGif(concat(encoder.finish()));
+    assert.strictEqual(gif.loop, 2);
+    assert.strictEqual(gif.frames[0].palette.length, 768);
+    assert.strictEqual(gif.frames[0].indices.length, width * height);
+    // Every pixel lands near its color: within one bin, give or take the
+    // averaging inside a shared box
+    let far = 0;
+    for (let i = 0; i < width * height; i++) {
+      const index = gif.frames[0].indices[i];
+      const error = [0, 1, 2].reduce((max, c) => Math.max(max, Math.abs(gif.frames[0].palette[index * 3 + c] - rgba[i * 4 + c])), 0);
+      if (error > 64) far++;
+    }
+    assert.ok(far / (width * height) < 0.01, `${far} pixels far from their color`);
+  });
+});
+
+// -----------------------------------------------------------------------------
+// Analytics exports
+// -----------------------------------------------------------------------------
+describe('analytics exports', () => {
+  const T = Date.UTC(2024, 0, 1, 12, 0, 0);
+  const EVENTS = [
+    { session: 1, time: T, type: 'enter', id: 'planets-section' },
+    { session: 1, time: T + 1500, type: 'control', id: 'planets-section', control: 'Seed', value: '42, "quoted"' },
+    { session: 1, time: T + 2000, type: 'draw', id: 'planets-section', x: 0.25, y: 0.5, path: [0.25, 0.5, 0.3, 0.6] },
+    { session: 1, time: T + 4000, type: 'leave', id: 'planets-section', ms: 4000 },
+    { session: 2, time: T + 60000, type: 'mark', id: 'emergent-section', name: 'reset', label: 'line\nbreak' },
+  ];
+
+  function analytics() {
+    return load('core/procedural.js', 'core/analytics.js').Procedural.analytics;
+  }
+
+  test('writes one CSV row per event with the rest as JSON detail', () => {
+    const lines = analytics().exportCSV(EVENTS).split('\r\n');
+    assert.strictEqual(lines[0], 'session,time,elapsed,type,id,control,value,x,y,ms,name,label,detail');
+    assert.strictEqual(lines[1], '1,2024-01-01T12:00:00.000Z,0,enter,planets-section,,,,,,,,');
+    assert.strictEqual(lines[2], '1,2024-01-01T12:00:01.500Z,1500,control,planets-section,Seed,"42, ""quoted""",,,,,,');
+    assert.strictEqual(lines[3], '1,2024-01-01T12:00:02.000Z,2000,draw,planets-section,,,0.25,0.5,,,,"{""path"":[0.25,0.5,0.3,0.6]}"');
+    assert.strictEqual(lines[4], '1,2024-01-01T12:00:04.000Z,4000,leave,planets-section,,,,,4000,,,');
+    // elapsed restarts with each session; quoted cells keep their line breaks
+    assert.strictEqual(lines[5], '2,2024-01-01T12:01:00.000Z,0,mark,emergent-section,,,,,,reset,"line\nbreak",');
+    assert.strictEqual(lines[6], '');
+    assert.strictEqual(lines.length, 7);
+  });
+
+  test('reads its own JSON export back', () => {
+    const log = analytics();
+    assert.deepStrictEqual(plain(log.parse(log.exportJSON(EVENTS))), EVENTS);
+    assert.throws(() => log.parse('nope'), /Not a JSON file/);
+    assert.throws(() => log.parse({ format: 'procedural-analytics', events: {} }), /Not an analytics log/);
+    assert.throws(() => log.parse({ format: 'procedural-analytics', version: 9, events: [] }), /newer/);
+    assert.strictEqual(log.parse({ format: 'procedural-analytics', version: 1, events: [{ type: 'enter' }, null, EVENTS[0]] }).length, 1);
+  });
+
+  test('groups sessions and sums dwell per section', () => {
+    const log = analytics();
+    assert.deepStrictEqual(plain(log.sessions(EVENTS)), [
+      { session: 1, start: T, end: T + 4000, count: 4 },
+      { session: 2, start: T + 60000, end: T + 60000, count: 1 },
+    ]);
+    const summary = plain(log.summarize(EVENTS));
+    assert.deepStrictEqual(summary['planets-section'], { dwell: 4000, visits: 1, control: 1, click: 0, draw: 1, edit: 0, mark: 0, marks: {} });
+    assert.deepStrictEqual(summary['emergent-section'].marks, { reset: 1 });
+  });
+});
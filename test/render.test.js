@@ -0,0 +1,302 @@
+// =============================================================================
+// RENDER TESTS — Golden-image snapshots of every section
+// Each section loads in its own jsdom window whose canvases are backed by
+// @napi-rs/canvas, with Math.random seeded and the clock virtual (core/
+// determinism.js). It runs FRAMES frames; its canvases, tiled in a grid,
+// must match test/golden/<section id>.png within the tolerances below. A
+// mismatch writes the render and a diff to test/output/.
+//
+//   npm test                  # compare against the goldens
+//   npm run test:update       # re-render the goldens after an intended change
+// =============================================================================
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { createCanvas, loadImage, GlobalFonts, ImageData, Path2D, DOMMatrix } = require('@napi-rs/canvas');
+
+const ROOT = path.resolve(__dirname, '..');
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+const OUTPUT_DIR = path.join(__dirname, 'output');
+const UPDATE = process.argv.includes('--update') || !!process.env.UPDATE_GOLDENS;
+
+const SEED = 42;
+const EPOCH = Date.UTC(2024, 0, 1);   // Date.now() when the clock freezes
+const FRAMES = 30;
+const FRAME_MS = 1000 / 60;
+const WIDTH = 800;                    // every element's layout box (jsdom has no layout)
+const HEIGHT = 450;
+const CHANNEL_TOLERANCE = 16;         // per-channel difference a pixel may have
+const PIXEL_TOLERANCE = 0.002;        // share of pixels allowed past it
+
+// Sections that start empty, given something to draw (their getState() form)
+const STATES = {
+  'spiderweb-section': { anchors: [150, 150, 850, 120, 900, 800, 500, 920, 100, 750] },
+};
+
+// Same order as embed.js; sections need nothing else
+const CORE = [
+  'core/proceduralcore.js',
+  'core/procedural.js',
+  'core/fonts.js',
+  'core/determinism.js',
+  'core/quality.js',
+  'core/motion.js',
+  'core/a11y.js',
+  'core/i18n.js',
+  'core/params.js',
+  'core/palette.js',
+  'core/history.js',
+  'core/capture.js',
+  'sections/manifest.js',
+];
+
+// The page's own faces, so text measures and draws the same on every machine
+GlobalFonts.registerFromPath(path.join(ROOT, 'fonts/InterVariable.woff2'), 'Inter');
+GlobalFonts.registerFromPath(path.join(ROOT, 'fonts/JetBrainsMono.woff2'), 'JetBrains Mono');
+
+// -----------------------------------------------------------------------------
+// Canvas — each <canvas> gets a napi canvas behind it, created on first use
+// -----------------------------------------------------------------------------
+const BACKING = Symbol('backing');
+
+function backing(el) {
+  if (!el[BACKING]) el[BACKING] = createCanvas(Math.max(1, el.width), Math.max(1, el.height));
+  return el[BACKING];
+}
+
+/** A jsdom <canvas> passed to the 2D API stands for its backing canvas. */
+function unwrap(source) {
+  return source && source.localName === 'canvas' && source.ownerDocument ? backing(source) : source;
+}
+
+// The 2D context prototype is shared by every window: patch it once
+const contextProto = Object.getPrototypeOf(createCanvas(1, 1).getContext('2d'));
+['drawImage', 'createPattern'].forEach(method => {
+  const native = contextProto[method];
+  contextProto[method] = function(source, ...args) {
+    return native.call(this, unwrap(source), ...args);
+  };
+});
+
+function installCanvas(window) {
+  const proto = window.HTMLCanvasElement.prototype;
+  ['width', 'height'].forEach(dim => {
+    const desc = Object.getOwnPropertyDescriptor(proto, dim);
+    Object.defineProperty(proto, dim, {
+      configurable: true,
+      enumerable: true,
+      get: desc.get,
+      set(value) {
+        desc.set.call(this, value);
+        // Resizing clears the canvas, as in a browser
+        if (this[BACKING]) this[BACKING][dim] = Math.max(1, desc.get.call(this));
+      },
+    });
+  });
+  proto.getContext = function(type) {
+    return type === '2d' ? backing(this).getContext('2d') : null;
+  };
+  proto.toDataURL = function(type, quality) {
+    return backing(this).toDataURL(type || 'image/png', quality);
+  };
+  proto.toBlob = function(callback, type, quality) {
+    const mime = type || 'image/png';
+    const data = backing(this).toBuffer(mime, quality);
+    setTimeout(() => callback(new window.Blob([data], { type: mime })));
+  };
+  Object.assign(window, { ImageData, Path2D, DOMMatrix });
+}
+
+// -----------------------------------------------------------------------------
+// Browser APIs jsdom leaves out: a fixed layout box, observers, media queries
+// -----------------------------------------------------------------------------
+function installLayout(window) {
+  const box = { x: 0, y: 0, left: 0, top: 0, right: WIDTH, bottom: HEIGHT, width: WIDTH, height: HEIGHT };
+  window.Element.prototype.getBoundingClientRect = () => Object.assign({ toJSON() { return box; } }, box);
+  ['clientWidth', 'offsetWidth', 'scrollWidth'].forEach(name => {
+    Object.defineProperty(window.HTMLElement.prototype, name, { configurable: true, get: () => WIDTH });
+  });
+  ['clientHeight', 'offsetHeight', 'scrollHeight'].forEach(name => {
+    Object.defineProperty(window.HTMLElement.prototype, name, { configurable: true, get: () => HEIGHT });
+  });
+  Object.defineProperty(window, 'innerWidth', { configurable: true, value: WIDTH });
+  Object.defineProperty(window, 'innerHeight', { configurable: true, value: HEIGHT });
+  Object.defineProperty(window, 'devicePixelRatio', { configurable: true, value: 1 });
+
+  class Observer {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  }
+  window.IntersectionObserver = Observer;
+  window.ResizeObserver = Observer;
+  window.matchMedia = media => ({
+    matches: false, media,
+    addEventListener() {}, removeEventListener() {}, addListener() {}, removeListener() {},
+  });
+  window.scrollTo = () => {};
+  window.Element.prototype.scrollIntoView = () => {};
+}
+
+// -----------------------------------------------------------------------------
+// Rendering
+// -----------------------------------------------------------------------------
+
+/** A window with the core scripts loaded, seeded and on the virtual clock. */
+async function openWindow() {
+  const problems = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('jsdomError', e => problems.push(e.detail || e));
+  virtualConsole.on('error', (...args) => problems.push(args.join(' ')));
+  const scripts = CORE.map(src => `<script src="${src}"></script>`).join('\n');
+  const dom = new JSDOM(`<!DOCTYPE html><html lang="en"><head>${scripts}</head><body></body></html>`, {
+    url: `file://${ROOT}/index.html`,
+    runScripts: 'dangerously',
+    resources: 'usable',
+    pretendToBeVisual: true,
+    virtualConsole,
+    beforeParse(window) {
+      installCanvas(window);
+      installLayout(window);
+    },
+  });
+  const window = dom.window;
+  await new Promise(resolve => window.addEventListener('load', resolve));
+  // A top-level const in the page's scripts, not a window property
+  const Procedural = window.eval('Procedural');
+  Procedural.determinism.seed(SEED);
+  Procedural.determinism.useVirtualTime({ frameMs: FRAME_MS, start: 0, epoch: EPOCH });
+  return { window, Procedural, problems };
+}
+
+/** Resolve once every script added to the page since `before` has loaded. */
+function scriptsAdded(window, before) {
+  const added = [...window.document.scripts].filter(script => !before.has(script));
+  return Promise.all(added.map(script => new Promise(resolve => {
+    script.addEventListener('load', resolve);
+    script.addEventListener('error', resolve);
+  })));
+}
+
+/**
+ * The canvases in a grid, ceil(√n) to a row and each scaled to fit: every
+ * element here has the same layout box, so thumbnails come out full size.
+ */
+function tile(layers) {
+  const cols = Math.ceil(Math.sqrt(layers.length));
+  const rows = Math.ceil(layers.length / cols);
+  const cellW = Math.ceil(Math.max(...layers.map(c => c.width)) / cols);
+  const cellH = Math.ceil(Math.max(...layers.map(c => c.height)) / cols);
+  const out = createCanvas(cellW * cols, cellH * rows);
+  const ctx = out.getContext('2d');
+  layers.forEach((layer, i) => {
+    ctx.drawImage(layer, (i % cols) * cellW, Math.floor(i / cols) * cellH, layer.width / cols, layer.height / cols);
+  });
+  return out;
+}
+
+/** Run a section for FRAMES frames and tile its canvases into one image. */
+async function render(id) {
+  const { window, Procedural, problems } = await openWindow();
+  try {
+    const container = window.document.createElement('div');
+    container.id = id;
+    container.className = 'section';
+    window.document.body.appendChild(container);
+
+    const entry = await Procedural.loadSection(id);
+    const scripts = new Set(window.document.scripts);
+    entry.module.init(container);
+    entry.initialized = true;
+    // Engines and helpers some sections load on init (the hero's particles)
+    await scriptsAdded(window, scripts);
+    if (STATES[id]) entry.module.setState(STATES[id]);
+    entry.module.start();
+    Procedural.determinism.advance(FRAMES);
+    entry.module.stop();
+
+    const layers = [...container.querySelectorAll('canvas')]
+      .filter(el => el.width > 0 && el.height > 0)
+      .map(backing);
+    assert.ok(layers.length > 0, `${id} drew no canvas`);
+    const out = tile(layers);
+    if (entry.module.destroy) entry.module.destroy();
+    assert.deepStrictEqual(problems, [], `${id} reported errors`);
+    return out;
+  } finally {
+    window.close();
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Comparison
+// -----------------------------------------------------------------------------
+function pixels(canvas) {
+  return canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data;
+}
+
+/** Share of pixels differing by more than CHANNEL_TOLERANCE, and a diff image. */
+function compare(actual, expected) {
+  const a = pixels(actual);
+  const b = pixels(expected);
+  const diff = createCanvas(actual.width, actual.height);
+  const diffCtx = diff.getContext('2d');
+  const marks = diffCtx.createImageData(actual.width, actual.height);
+  let bad = 0;
+  for (let i = 0; i < a.length; i += 4) {
+    const delta = Math.max(
+      Math.abs(a[i] - b[i]), Math.abs(a[i + 1] - b[i + 1]),
+      Math.abs(a[i + 2] - b[i + 2]), Math.abs(a[i + 3] - b[i + 3]));
+    const over = delta > CHANNEL_TOLERANCE;
+    if (over) bad++;
+    marks.data[i] = over ? 255 : a[i] / 4;
+    marks.data[i + 1] = over ? 0 : a[i + 1] / 4;
+    marks.data[i + 2] = over ? 0 : a[i + 2] / 4;
+    marks.data[i + 3] = 255;
+  }
+  diffCtx.putImageData(marks, 0, 0);
+  return { share: bad / (a.length / 4), diff };
+}
+
+function writeOutput(id, canvas, diff) {
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+  fs.writeFileSync(path.join(OUTPUT_DIR, `${id}.png`), canvas.toBuffer('image/png'));
+  if (diff) fs.writeFileSync(path.join(OUTPUT_DIR, `${id}-diff.png`), diff.toBuffer('image/png'));
+}
+
+// -----------------------------------------------------------------------------
+// One test per section with a script, in page order
+// -----------------------------------------------------------------------------
+function sectionIds() {
+  const manifest = fs.readFileSync(path.join(ROOT, 'sections/manifest.js'), 'utf8');
+  const json = manifest.slice(manifest.indexOf('{'), manifest.lastIndexOf('}') + 1);
+  return JSON.parse(json).sections.filter(s => s.script).map(s => s.id);
+}
+
+sectionIds().forEach(id => {
+  test(id, async () => {
+    const golden = path.join(GOLDEN_DIR, `${id}.png`);
+    const actual = await render(id);
+    if (UPDATE) {
+      fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+      fs.writeFileSync(golden, actual.toBuffer('image/png'));
+      return;
+    }
+    assert.ok(fs.existsSync(golden), `no golden for ${id}; run npm run test:update`);
+    const image = await loadImage(fs.readFileSync(golden));
+    const expected = createCanvas(image.width, image.height);
+    expected.getContext('2d').drawImage(image, 0, 0);
+    if (expected.width !== actual.width || expected.height !== actual.height) {
+      writeOutput(id, actual);
+      assert.fail(`${id} rendered ${actual.width}×${actual.height}, golden is ${expected.width}×${expected.height}`);
+    }
+    const { share, diff } = compare(actual, expected);
+    if (share > PIXEL_TOLERANCE) {
+      writeOutput(id, actual, diff);
+      assert.fail(`${id} differs from its golden in ${(share * 100).toFixed(2)}% of pixels (see test/output/)`);
+    }
+  });
+});